@@ -120,21 +120,34 @@ async function addSampleData() {
     ];
 
     for (const q of questions) {
-      await client.query(`
-        INSERT INTO questions (
-          level, question_order, question_text,
-          option_1, option_2, option_3, option_4,
-          explanation_text, subject, topic, difficulty
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        ON CONFLICT (level, question_order) DO UPDATE SET
-          question_text = $3,
-          option_1 = $4, option_2 = $5, option_3 = $6, option_4 = $7,
-          explanation_text = $8, subject = $9, topic = $10, difficulty = $11
-      `, [
+      // Sample options mark the answer with @ - store it in correct_option instead
+      const correctOption = q.options.findIndex(opt => opt.startsWith('@')) + 1;
+      const options = q.options.map(opt => opt.replace(/^@/, ''));
+
+      const values = [
         q.level, q.order, q.text,
-        q.options[0], q.options[1], q.options[2], q.options[3],
+        options[0], options[1], options[2], options[3], correctOption,
         q.explanation, q.subject, q.topic, q.difficulty
-      ]);
+      ];
+
+      // Re-running the script updates the sample question in place
+      const updated = await client.query(`
+        UPDATE questions SET
+          question_text = $3,
+          option_1 = $4, option_2 = $5, option_3 = $6, option_4 = $7, correct_option = $8,
+          explanation_text = $9, subject = $10, topic = $11, difficulty = $12
+        WHERE level = $1 AND question_order = $2 AND medium = 'both'
+      `, values);
+
+      if (updated.rowCount === 0) {
+        await client.query(`
+          INSERT INTO questions (
+            level, question_order, question_text,
+            option_1, option_2, option_3, option_4, correct_option,
+            explanation_text, subject, topic, difficulty
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        `, values);
+      }
 
       console.log(`✓ Question ${q.order}: ${q.text.substring(0, 50)}...`);
     }
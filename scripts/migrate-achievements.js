@@ -0,0 +1,103 @@
+const pool = require('../src/config/database');
+
+/**
+ * Achievements and badges
+ * Adds badge definitions (seeded with a starter set), earned badges per user, and the
+ * 'achievement' XP ledger source for badge XP rewards.
+ */
+async function migrateAchievements() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting achievements migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS achievements (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(255),
+        icon_url VARCHAR(500),
+        metric VARCHAR(30) NOT NULL CHECK (metric IN (
+          'levels_completed', 'perfect_levels', 'correct_answers', 'streak_days',
+          'referrals', 'total_xp', 'reels_watched', 'reels_hearted_in_category'
+        )),
+        target INTEGER CHECK (target >= 1),
+        reel_category VARCHAR(50),
+        xp_reward INTEGER NOT NULL DEFAULT 0 CHECK (xp_reward >= 0),
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (target IS NOT NULL OR metric = 'reels_hearted_in_category'),
+        CHECK (reel_category IS NOT NULL OR metric <> 'reels_hearted_in_category')
+      );
+    `);
+    console.log('✓ achievements table created');
+
+    const seedResult = await client.query(`
+      INSERT INTO achievements (code, name, description, metric, target, reel_category, xp_reward, sort_order) VALUES
+        ('first_level', 'First Steps', 'Complete your first level', 'levels_completed', 1, NULL, 10, 1),
+        ('perfect_level', 'Perfectionist', 'Answer every question in a level correctly', 'perfect_levels', 1, NULL, 20, 2),
+        ('levels_10', 'Climber', 'Complete 10 levels', 'levels_completed', 10, NULL, 50, 3),
+        ('correct_100', 'Sharp Mind', 'Answer 100 questions correctly', 'correct_answers', 100, NULL, 50, 4),
+        ('streak_7', 'On Fire', 'Keep a 7-day streak', 'streak_days', 7, NULL, 50, 5),
+        ('streak_30', 'Unstoppable', 'Keep a 30-day streak', 'streak_days', 30, NULL, 200, 6),
+        ('referrals_10', 'Team Builder', 'Refer 10 friends', 'referrals', 10, NULL, 100, 7),
+        ('reels_education_all', 'Reel Fan', 'Heart every education reel', 'reels_hearted_in_category', NULL, 'education', 20, 8)
+      ON CONFLICT (code) DO NOTHING
+    `);
+    console.log(`✓ ${seedResult.rowCount} starter achievement(s) added`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_achievements (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(15) NOT NULL,
+        achievement_id INTEGER NOT NULL,
+        xp_awarded INTEGER NOT NULL DEFAULT 0,
+        earned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+        FOREIGN KEY (achievement_id) REFERENCES achievements(id),
+        UNIQUE (phone, achievement_id)
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_achievements_achievement ON user_achievements(achievement_id);
+    `);
+    console.log('✓ user_achievements table created');
+
+    await client.query('ALTER TABLE xp_transactions DROP CONSTRAINT IF EXISTS xp_transactions_source_type_check');
+    await client.query(`
+      ALTER TABLE xp_transactions ADD CONSTRAINT xp_transactions_source_type_check CHECK (source_type IN (
+        'level_complete', 'video_bonus', 'practice', 'referral', 'anti_cheat_release',
+        'admin_adjustment', 'admin_reset', 'opening_balance', 'achievement'
+      ))
+    `);
+    console.log("✓ 'achievement' XP source allowed in xp_transactions");
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Review the starter badges in Admin → Achievements');
+    console.log('3. Existing users earn badges they already qualify for at their next matching activity');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateAchievements()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
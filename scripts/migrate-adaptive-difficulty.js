@@ -0,0 +1,57 @@
+const pool = require('../src/config/database');
+
+/**
+ * Add adaptive difficulty
+ * Levels with quiz_levels.adaptive_difficulty pick questions by questions.difficulty
+ * based on the student's recent accuracy; the chosen profile is kept on the attempt
+ */
+async function migrateAdaptiveDifficulty() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting adaptive difficulty migration...');
+
+    await client.query(`
+      ALTER TABLE quiz_levels
+      ADD COLUMN IF NOT EXISTS adaptive_difficulty BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+    console.log('✓ quiz_levels.adaptive_difficulty added');
+
+    await client.query(`
+      ALTER TABLE level_attempts
+      ADD COLUMN IF NOT EXISTS difficulty_profile VARCHAR(10)
+        CHECK (difficulty_profile IN ('easier', 'balanced', 'harder'));
+    `);
+    console.log('✓ level_attempts.difficulty_profile added');
+
+    // Report how much of the question bank has a usable difficulty
+    const coverage = await client.query(`
+      SELECT COALESCE(LOWER(TRIM(difficulty)), 'not set') as difficulty, COUNT(*) as count
+      FROM questions
+      GROUP BY 1
+      ORDER BY 1
+    `);
+    console.log('\nQuestion difficulty coverage:');
+    coverage.rows.forEach(row => console.log(`  - ${row.difficulty}: ${row.count}`));
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Fill in question difficulty (easy / medium / hard) - unset counts as medium');
+    console.log('3. Turn on "Adaptive difficulty" per level at /admin/levels');
+
+  } catch (err) {
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateAdaptiveDifficulty()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,88 @@
+const pool = require('../src/config/database');
+
+/**
+ * Add anti-cheat scoring of level attempts
+ * Completed attempts get a suspicion score; attempts at or above the threshold are flagged
+ * for the configured actions and the admin review queue. Existing attempts are not scored.
+ */
+async function migrateAntiCheat() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting anti-cheat migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE app_config
+      ADD COLUMN IF NOT EXISTS anti_cheat_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN IF NOT EXISTS anti_cheat_flag_threshold INTEGER NOT NULL DEFAULT 50
+        CHECK (anti_cheat_flag_threshold >= 0 AND anti_cheat_flag_threshold <= 100),
+      ADD COLUMN IF NOT EXISTS anti_cheat_min_answer_seconds DECIMAL(4,1) NOT NULL DEFAULT 2.0
+        CHECK (anti_cheat_min_answer_seconds >= 0 AND anti_cheat_min_answer_seconds <= 30),
+      ADD COLUMN IF NOT EXISTS anti_cheat_withhold_xp BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS anti_cheat_exclude_leaderboard BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN IF NOT EXISTS anti_cheat_queue_review BOOLEAN NOT NULL DEFAULT TRUE;
+    `);
+    console.log('✓ app_config anti-cheat settings added');
+
+    await client.query(`
+      ALTER TABLE level_attempts
+      ADD COLUMN IF NOT EXISTS suspicion_score SMALLINT
+        CHECK (suspicion_score >= 0 AND suspicion_score <= 100);
+    `);
+    console.log('✓ level_attempts.suspicion_score added');
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_responses_question ON question_responses(question_id)');
+    console.log('✓ question_responses question index created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attempt_flags (
+        id SERIAL PRIMARY KEY,
+        attempt_id INTEGER NOT NULL UNIQUE,
+        phone VARCHAR(15) NOT NULL,
+        level INTEGER NOT NULL,
+        attempt_date DATE NOT NULL,
+        suspicion_score SMALLINT NOT NULL CHECK (suspicion_score >= 0 AND suspicion_score <= 100),
+        signals JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL CHECK (status IN ('pending_review', 'auto_flagged', 'confirmed', 'cleared')),
+        withhold_xp BOOLEAN NOT NULL DEFAULT FALSE,
+        exclude_from_leaderboard BOOLEAN NOT NULL DEFAULT FALSE,
+        xp_withheld INTEGER NOT NULL DEFAULT 0,
+        review_note TEXT,
+        reviewed_by VARCHAR(255),
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (attempt_id) REFERENCES level_attempts(id) ON DELETE CASCADE,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_attempt_flags_status ON attempt_flags(status, suspicion_score DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_attempt_flags_phone_date ON attempt_flags(phone, attempt_date)');
+    console.log('✓ attempt_flags table created');
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Review thresholds and actions in Admin → Configuration → Anti-Cheat');
+    console.log('3. Flagged attempts appear at /admin/anti-cheat');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateAntiCheat()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
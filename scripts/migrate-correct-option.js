@@ -0,0 +1,89 @@
+const pool = require('../src/config/database');
+
+/**
+ * Move the answer key out of the options text
+ * Options used to carry the correct answer as an "@" prefix; it now lives in questions.correct_option
+ */
+async function migrateCorrectOption() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting correct_option migration...');
+
+    await client.query('BEGIN');
+
+    // 1. Add the stored answer key column
+    await client.query(`
+      ALTER TABLE questions
+      ADD COLUMN IF NOT EXISTS correct_option SMALLINT CHECK (correct_option >= 1 AND correct_option <= 4);
+    `);
+    console.log('✓ questions.correct_option column added');
+
+    // 2. Backfill from the @ marker
+    const backfill = await client.query(`
+      UPDATE questions
+      SET correct_option = CASE
+        WHEN option_1 LIKE '@%' THEN 1
+        WHEN option_2 LIKE '@%' THEN 2
+        WHEN option_3 LIKE '@%' THEN 3
+        WHEN option_4 LIKE '@%' THEN 4
+      END
+      WHERE correct_option IS NULL;
+    `);
+    console.log(`✓ Backfilled ${backfill.rowCount} questions from @ marker`);
+
+    // 3. Strip the marker from option text
+    await client.query(`
+      UPDATE questions
+      SET
+        option_1 = regexp_replace(option_1, '^@', ''),
+        option_2 = regexp_replace(option_2, '^@', ''),
+        option_3 = regexp_replace(option_3, '^@', ''),
+        option_4 = regexp_replace(option_4, '^@', '')
+      WHERE option_1 LIKE '@%' OR option_2 LIKE '@%' OR option_3 LIKE '@%' OR option_4 LIKE '@%';
+    `);
+    console.log('✓ @ marker removed from options');
+
+    // 4. Enforce NOT NULL only when every question has an answer key
+    const missing = await client.query('SELECT sl, level, question_order FROM questions WHERE correct_option IS NULL ORDER BY sl');
+
+    if (missing.rows.length === 0) {
+      await client.query('ALTER TABLE questions ALTER COLUMN correct_option SET NOT NULL;');
+      console.log('✓ correct_option set to NOT NULL');
+    } else {
+      console.log(`⚠ ${missing.rows.length} questions have no correct answer marked - fix them in the admin panel:`);
+      missing.rows.forEach(q => console.log(`  - sl=${q.sl} (level ${q.level}, order ${q.question_order})`));
+    }
+
+    // 5. Legacy answer key toggle - enabled for existing installs so released app builds keep working
+    await client.query(`
+      ALTER TABLE app_config
+      ADD COLUMN IF NOT EXISTS legacy_answer_key_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+    await client.query('UPDATE app_config SET legacy_answer_key_enabled = TRUE WHERE id = 1;');
+    console.log('✓ app_config.legacy_answer_key_enabled added (enabled)');
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server (question cache keys are versioned, old cached payloads are ignored)');
+    console.log('2. Ship the app build that reads correct_answer from POST /question/answer');
+    console.log('3. Once old builds are retired, turn off "Send answer key to old app builds" at /admin/config');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateCorrectOption()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
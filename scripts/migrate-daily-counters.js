@@ -0,0 +1,88 @@
+const pool = require('../src/config/database');
+
+/**
+ * Daily activity counters and frozen daily ranks
+ * Backfills levels_completed_today, questions_attempted_today and videos_watched_today in
+ * daily_xp_summary from the attempt, answer and video logs, and adds the table recording which
+ * days have their final ranks frozen into daily_rank (the server's freeze job fills it in).
+ */
+async function migrateDailyCounters() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting daily counters migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS daily_rank_freezes (
+        date DATE PRIMARY KEY,
+        ranked_users INTEGER NOT NULL DEFAULT 0,
+        frozen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✓ daily_rank_freezes table created');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_daily_xp_date_rank ON daily_xp_summary(date, daily_rank) WHERE daily_rank IS NOT NULL;
+    `);
+    console.log('✓ Index for frozen daily ranks created');
+
+    const levelsResult = await client.query(`
+      INSERT INTO daily_xp_summary (phone, date, levels_completed_today)
+      SELECT phone, attempt_date, COUNT(*)
+      FROM level_attempts
+      WHERE completion_status = 'completed'
+      GROUP BY phone, attempt_date
+      ON CONFLICT (phone, date)
+      DO UPDATE SET levels_completed_today = EXCLUDED.levels_completed_today
+    `);
+    console.log(`✓ levels_completed_today backfilled (${levelsResult.rowCount} day(s))`);
+
+    const questionsResult = await client.query(`
+      INSERT INTO daily_xp_summary (phone, date, questions_attempted_today)
+      SELECT phone, COALESCE(answered_at, created_at)::date, COUNT(*)
+      FROM question_responses
+      GROUP BY phone, COALESCE(answered_at, created_at)::date
+      ON CONFLICT (phone, date)
+      DO UPDATE SET questions_attempted_today = EXCLUDED.questions_attempted_today
+    `);
+    console.log(`✓ questions_attempted_today backfilled (${questionsResult.rowCount} day(s))`);
+
+    const videosResult = await client.query(`
+      INSERT INTO daily_xp_summary (phone, date, videos_watched_today)
+      SELECT phone, watched_on, COUNT(*)
+      FROM (
+        SELECT phone, watch_started_at::date AS watched_on FROM video_watch_log
+        UNION ALL
+        SELECT phone, watch_started_at::date AS watched_on FROM lifeline_videos_watched
+      ) videos
+      GROUP BY phone, watched_on
+      ON CONFLICT (phone, date)
+      DO UPDATE SET videos_watched_today = EXCLUDED.videos_watched_today
+    `);
+    console.log(`✓ videos_watched_today backfilled (${videosResult.rowCount} day(s))`);
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. The daily rank freeze job freezes past days, oldest first, 31 days every 10 minutes');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateDailyCounters()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,109 @@
+const pool = require('../src/config/database');
+
+/**
+ * Daily missions
+ * Adds mission templates (seeded with a starter set), the missions handed out per user per
+ * IST day, the missions-per-day setting, and the 'daily_mission' XP ledger source.
+ */
+async function migrateDailyMissions() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting daily missions migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE app_config
+      ADD COLUMN IF NOT EXISTS daily_missions_count INTEGER NOT NULL DEFAULT 3
+        CHECK (daily_missions_count >= 1 AND daily_missions_count <= 10)
+    `);
+    console.log('✓ app_config.daily_missions_count added');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mission_templates (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) NOT NULL UNIQUE,
+        title VARCHAR(100) NOT NULL,
+        description VARCHAR(255),
+        metric VARCHAR(30) NOT NULL CHECK (metric IN (
+          'questions_answered', 'correct_answers', 'levels_completed', 'perfect_levels',
+          'reels_watched', 'videos_watched', 'xp_earned', 'streak_kept'
+        )),
+        target INTEGER NOT NULL CHECK (target >= 1),
+        xp_reward INTEGER NOT NULL DEFAULT 0 CHECK (xp_reward >= 0),
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✓ mission_templates table created');
+
+    const seedResult = await client.query(`
+      INSERT INTO mission_templates (code, title, description, metric, target, xp_reward, sort_order) VALUES
+        ('answer_20', 'Quiz Warm-up', 'Answer 20 questions', 'questions_answered', 20, 15, 1),
+        ('correct_10', 'Sharp Shooter', 'Answer 10 questions correctly', 'correct_answers', 10, 15, 2),
+        ('levels_2', 'Level Up', 'Complete 2 levels', 'levels_completed', 2, 20, 3),
+        ('perfect_1', 'Flawless', 'Complete a level with every answer correct', 'perfect_levels', 1, 25, 4),
+        ('reels_3', 'Reel Time', 'Watch 3 reels', 'reels_watched', 3, 10, 5),
+        ('streak_keep', 'Keep the Flame', 'Keep your streak going today', 'streak_kept', 1, 10, 6)
+      ON CONFLICT (code) DO NOTHING
+    `);
+    console.log(`✓ ${seedResult.rowCount} starter mission(s) added`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_daily_missions (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(15) NOT NULL,
+        mission_date DATE NOT NULL,
+        template_id INTEGER NOT NULL,
+        target INTEGER NOT NULL,
+        xp_reward INTEGER NOT NULL DEFAULT 0,
+        claimed_at TIMESTAMP,
+        xp_awarded INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+        FOREIGN KEY (template_id) REFERENCES mission_templates(id),
+        UNIQUE (phone, mission_date, template_id)
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_daily_missions_template ON user_daily_missions(template_id);
+    `);
+    console.log('✓ user_daily_missions table created');
+
+    await client.query('ALTER TABLE xp_transactions DROP CONSTRAINT IF EXISTS xp_transactions_source_type_check');
+    await client.query(`
+      ALTER TABLE xp_transactions ADD CONSTRAINT xp_transactions_source_type_check CHECK (source_type IN (
+        'level_complete', 'video_bonus', 'practice', 'referral', 'anti_cheat_release',
+        'admin_adjustment', 'admin_reset', 'opening_balance', 'achievement', 'streak_repair', 'streak_milestone',
+        'daily_mission'
+      ))
+    `);
+    console.log("✓ 'daily_mission' XP source allowed in xp_transactions");
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Review the starter missions in Admin → Missions');
+    console.log('3. Set how many missions each user gets per day in Admin → Configuration → Daily Missions');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateDailyMissions()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,99 @@
+const pool = require('../src/config/database');
+
+/**
+ * Make questions per level, unlock accuracy and max level configurable
+ * Global defaults live in app_config, per-level overrides in quiz_levels.
+ * The fixed 1-100 level and 0-10 question CHECK constraints are relaxed to match.
+ */
+async function migrateLevelSettings() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting level settings migration...');
+
+    await client.query('BEGIN');
+
+    // 1. Global defaults
+    await client.query(`
+      ALTER TABLE app_config
+      DROP CONSTRAINT IF EXISTS app_config_questions_per_level_check,
+      ADD COLUMN IF NOT EXISTS unlock_accuracy_percent DECIMAL(5,2) NOT NULL DEFAULT 30.00
+        CHECK (unlock_accuracy_percent >= 0 AND unlock_accuracy_percent <= 100),
+      ADD COLUMN IF NOT EXISTS max_level INTEGER NOT NULL DEFAULT 100 CHECK (max_level >= 1);
+    `);
+    await client.query(`
+      ALTER TABLE app_config
+      ADD CONSTRAINT app_config_questions_per_level_check
+        CHECK (questions_per_level >= 1 AND questions_per_level <= 100);
+    `);
+    console.log('✓ app_config.unlock_accuracy_percent and max_level added, questions_per_level up to 100');
+
+    // 2. Per-level overrides
+    await client.query(`
+      ALTER TABLE quiz_levels
+      DROP CONSTRAINT IF EXISTS quiz_levels_level_number_check,
+      ADD COLUMN IF NOT EXISTS questions_per_level INTEGER
+        CHECK (questions_per_level >= 1 AND questions_per_level <= 100),
+      ADD COLUMN IF NOT EXISTS unlock_accuracy_percent DECIMAL(5,2)
+        CHECK (unlock_accuracy_percent >= 0 AND unlock_accuracy_percent <= 100);
+    `);
+    await client.query('ALTER TABLE quiz_levels ADD CONSTRAINT quiz_levels_level_number_check CHECK (level_number >= 1);');
+    console.log('✓ quiz_levels.questions_per_level and unlock_accuracy_percent added');
+
+    // 3. Level numbers are no longer capped at 100
+    await client.query(`
+      ALTER TABLE users_profile
+      DROP CONSTRAINT IF EXISTS users_profile_current_level_check,
+      ADD CONSTRAINT users_profile_current_level_check CHECK (current_level >= 1);
+    `);
+    await client.query(`
+      ALTER TABLE video_watch_log
+      DROP CONSTRAINT IF EXISTS video_watch_log_level_check,
+      ADD CONSTRAINT video_watch_log_level_check CHECK (level >= 1);
+    `);
+    console.log('✓ Level upper bound removed from users_profile and video_watch_log');
+
+    // 4. Attempt counters are bounded by the attempt's own question count
+    await client.query(`
+      ALTER TABLE level_attempts
+      DROP CONSTRAINT IF EXISTS level_attempts_level_check,
+      DROP CONSTRAINT IF EXISTS level_attempts_questions_attempted_check,
+      DROP CONSTRAINT IF EXISTS level_attempts_correct_answers_check,
+      DROP CONSTRAINT IF EXISTS level_attempts_total_questions_check,
+      DROP CONSTRAINT IF EXISTS level_attempts_progress_check;
+    `);
+    await client.query(`
+      ALTER TABLE level_attempts
+      ADD CONSTRAINT level_attempts_level_check CHECK (level >= 1),
+      ADD CONSTRAINT level_attempts_questions_attempted_check CHECK (questions_attempted >= 0),
+      ADD CONSTRAINT level_attempts_correct_answers_check CHECK (correct_answers >= 0),
+      ADD CONSTRAINT level_attempts_total_questions_check CHECK (total_questions >= 1 AND total_questions <= 100),
+      ADD CONSTRAINT level_attempts_progress_check
+        CHECK (questions_attempted <= total_questions AND correct_answers <= questions_attempted);
+    `);
+    console.log('✓ level_attempts constraints now follow total_questions');
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Set defaults (questions per attempt, unlock accuracy, max level) at /admin/config');
+    console.log('3. Override per level at /admin/levels');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateLevelSettings()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
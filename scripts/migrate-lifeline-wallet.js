@@ -0,0 +1,111 @@
+const pool = require('../src/config/database');
+
+/**
+ * Lifeline wallet
+ * Adds the lifeline mode settings, account-level lifeline wallets with their ledger, and lifeline
+ * rewards on missions and streak milestones. Per-attempt lifelines now follow
+ * app_config.lifelines_per_quiz (1-10) instead of a fixed 3. Wallet mode stays off until chosen.
+ */
+async function migrateLifelineWallet() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting lifeline wallet migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE app_config
+      ADD COLUMN IF NOT EXISTS lifeline_mode VARCHAR(20) NOT NULL DEFAULT 'per_attempt'
+        CHECK (lifeline_mode IN ('per_attempt', 'wallet')),
+      ADD COLUMN IF NOT EXISTS lifeline_wallet_daily_refill INTEGER NOT NULL DEFAULT 5
+        CHECK (lifeline_wallet_daily_refill >= 0 AND lifeline_wallet_daily_refill <= 50),
+      ADD COLUMN IF NOT EXISTS referral_lifeline_reward INTEGER NOT NULL DEFAULT 3
+        CHECK (referral_lifeline_reward >= 0 AND referral_lifeline_reward <= 50)
+    `);
+    await client.query('ALTER TABLE app_config DROP CONSTRAINT IF EXISTS app_config_lifelines_per_quiz_check');
+    await client.query(`
+      ALTER TABLE app_config ADD CONSTRAINT app_config_lifelines_per_quiz_check
+        CHECK (lifelines_per_quiz >= 1 AND lifelines_per_quiz <= 10)
+    `);
+    console.log('✓ app_config lifeline settings added');
+
+    await client.query('ALTER TABLE level_attempts DROP CONSTRAINT IF EXISTS level_attempts_lifelines_remaining_check');
+    await client.query(`
+      ALTER TABLE level_attempts ADD CONSTRAINT level_attempts_lifelines_remaining_check
+        CHECK (lifelines_remaining >= 0 AND lifelines_remaining <= 10)
+    `);
+    await client.query(`
+      ALTER TABLE level_attempts
+      ADD COLUMN IF NOT EXISTS wallet_lifelines_used INTEGER NOT NULL DEFAULT 0
+    `);
+    console.log('✓ level_attempts allows up to 10 lifelines and counts wallet lifelines used');
+
+    await client.query(`
+      ALTER TABLE mission_templates
+      ADD COLUMN IF NOT EXISTS lifeline_reward INTEGER NOT NULL DEFAULT 0 CHECK (lifeline_reward >= 0)
+    `);
+    await client.query(`
+      ALTER TABLE user_daily_missions
+      ADD COLUMN IF NOT EXISTS lifeline_reward INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS lifelines_awarded INTEGER NOT NULL DEFAULT 0
+    `);
+    await client.query(`
+      ALTER TABLE streak_milestone_rewards
+      ADD COLUMN IF NOT EXISTS lifelines_awarded INTEGER NOT NULL DEFAULT 0
+    `);
+    console.log('✓ lifeline rewards added to missions and streak milestones');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS lifeline_wallets (
+        phone VARCHAR(15) PRIMARY KEY,
+        balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+        last_refill_date DATE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+      );
+    `);
+    console.log('✓ lifeline_wallets table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS lifeline_transactions (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(15) NOT NULL,
+        change INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        source VARCHAR(20) NOT NULL CHECK (source IN ('daily_refill', 'wrong_answer', 'mission', 'streak_milestone', 'referral')),
+        reference_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_lifeline_transactions_phone ON lifeline_transactions(phone, id DESC);
+    `);
+    console.log('✓ lifeline_transactions table created');
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Choose the lifeline mode and wallet settings in Admin → Configuration → Lifelines');
+    console.log('3. Add lifeline rewards to missions (Admin → Missions) or streak milestones, e.g. "7: 25 XP, 2 lifelines"');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateLifelineWallet()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,70 @@
+const pool = require('../src/config/database');
+const { normalizeDistrict, normalizeState } = require('../src/utils/location');
+
+/**
+ * Normalize existing district and state names
+ * Profiles saved before normalization keep their free-text spellings ("up", "Uttar pradesh ", ...),
+ * which split district and state leaderboards. Rewrites them with the same rules the API now applies.
+ */
+async function migrateLocationNames() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting location name migration...');
+
+    await client.query('BEGIN');
+
+    const pairs = await client.query(`
+      SELECT DISTINCT district, state FROM users_profile
+      WHERE district IS NOT NULL OR state IS NOT NULL
+    `);
+
+    let changedPairs = 0;
+    let updatedUsers = 0;
+
+    for (const row of pairs.rows) {
+      const district = normalizeDistrict(row.district);
+      const state = normalizeState(row.state);
+
+      if (district === row.district && state === row.state) {
+        continue;
+      }
+
+      const result = await client.query(`
+        UPDATE users_profile SET district = $1, state = $2
+        WHERE district IS NOT DISTINCT FROM $3 AND state IS NOT DISTINCT FROM $4
+      `, [district, state, row.district, row.state]);
+
+      changedPairs++;
+      updatedUsers += result.rowCount;
+    }
+    console.log(`✓ ${changedPairs} of ${pairs.rows.length} district/state spelling(s) normalized (${updatedUsers} user(s))`);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_state_district ON users_profile(state, district);
+    `);
+    console.log('✓ Index for district/state leaderboards created');
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. New and edited profiles are normalized automatically');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateLocationNames()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,88 @@
+const pool = require('../src/config/database');
+const { SQL_IST_NOW } = require('../src/utils/timezone');
+
+/**
+ * Add the mistake review deck
+ * Wrong answers are scheduled for spaced review and replayed as practice sessions.
+ * Existing wrong answers in question_responses are imported and due immediately.
+ */
+async function migrateMistakeDeck() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting mistake deck migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE practice_sessions
+      ADD COLUMN IF NOT EXISTS session_type VARCHAR(20) NOT NULL DEFAULT 'topic'
+        CHECK (session_type IN ('topic', 'mistakes'));
+    `);
+    await client.query('ALTER TABLE practice_sessions ALTER COLUMN topic DROP NOT NULL');
+    await client.query('ALTER TABLE practice_sessions DROP CONSTRAINT IF EXISTS practice_sessions_topic_check');
+    await client.query(`
+      ALTER TABLE practice_sessions
+      ADD CONSTRAINT practice_sessions_topic_check CHECK (session_type = 'mistakes' OR topic IS NOT NULL);
+    `);
+    console.log('✓ practice_sessions.session_type added (topic optional for mistake replays)');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mistake_deck (
+        phone VARCHAR(15) NOT NULL,
+        question_id INTEGER NOT NULL,
+        times_wrong INTEGER NOT NULL DEFAULT 1,
+        review_stage INTEGER NOT NULL DEFAULT 0 CHECK (review_stage >= 0),
+        next_review_at TIMESTAMP NOT NULL,
+        last_wrong_at TIMESTAMP NOT NULL,
+        last_reviewed_at TIMESTAMP,
+        mastered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (phone, question_id),
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+        FOREIGN KEY (question_id) REFERENCES questions(sl) ON DELETE CASCADE
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_mistake_deck_due ON mistake_deck(phone, next_review_at) WHERE mastered_at IS NULL;
+    `);
+    console.log('✓ mistake_deck table created');
+
+    const backfill = await client.query(`
+      INSERT INTO mistake_deck (
+        phone, question_id, times_wrong, review_stage, next_review_at, last_wrong_at, created_at, updated_at
+      )
+      SELECT
+        phone, question_id, COUNT(*), 0, ${SQL_IST_NOW},
+        COALESCE(MAX(answered_at), MAX(created_at), ${SQL_IST_NOW}), ${SQL_IST_NOW}, ${SQL_IST_NOW}
+      FROM question_responses
+      WHERE is_correct = FALSE
+      GROUP BY phone, question_id
+      ON CONFLICT (phone, question_id) DO NOTHING
+    `);
+    console.log(`✓ Imported ${backfill.rowCount} mistake(s) from question_responses`);
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Imported mistakes are due for review immediately');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateMistakeDeck()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,140 @@
+const pool = require('../src/config/database');
+
+/**
+ * Add JNVST-style mock tests
+ * Papers are made of timed sections; attempts are stored apart from level_attempts.
+ */
+async function migrateMockTests() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting mock test migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mock_tests (
+        id SERIAL PRIMARY KEY,
+        title VARCHAR(200) NOT NULL,
+        description TEXT,
+        marks_per_correct DECIMAL(5,2) NOT NULL DEFAULT 1.00 CHECK (marks_per_correct > 0),
+        negative_marking_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        negative_marks_per_wrong DECIMAL(5,2) NOT NULL DEFAULT 0.25 CHECK (negative_marks_per_wrong >= 0),
+        is_active BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✓ mock_tests table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mock_test_sections (
+        id SERIAL PRIMARY KEY,
+        mock_test_id INTEGER NOT NULL,
+        section_order INTEGER NOT NULL CHECK (section_order >= 1),
+        title VARCHAR(100) NOT NULL,
+        subject VARCHAR(50) NOT NULL,
+        topic VARCHAR(100),
+        difficulty VARCHAR(20) CHECK (difficulty IN ('easy', 'medium', 'hard')),
+        question_count INTEGER NOT NULL CHECK (question_count >= 1 AND question_count <= 100),
+        duration_seconds INTEGER NOT NULL CHECK (duration_seconds >= 60 AND duration_seconds <= 7200),
+        FOREIGN KEY (mock_test_id) REFERENCES mock_tests(id) ON DELETE CASCADE,
+        CONSTRAINT mock_test_sections_order_unique UNIQUE (mock_test_id, section_order) DEFERRABLE INITIALLY DEFERRED
+      );
+    `);
+    console.log('✓ mock_test_sections table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mock_test_attempts (
+        id SERIAL PRIMARY KEY,
+        mock_test_id INTEGER NOT NULL,
+        phone VARCHAR(15) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+        current_section_order INTEGER NOT NULL DEFAULT 1,
+        total_questions INTEGER NOT NULL CHECK (total_questions >= 1),
+        correct_answers INTEGER NOT NULL DEFAULT 0,
+        wrong_answers INTEGER NOT NULL DEFAULT 0,
+        unanswered INTEGER NOT NULL DEFAULT 0,
+        score DECIMAL(7,2) NOT NULL DEFAULT 0,
+        max_score DECIMAL(7,2) NOT NULL,
+        accuracy_percentage DECIMAL(5,2) NOT NULL DEFAULT 0.00,
+        marks_per_correct DECIMAL(5,2) NOT NULL,
+        negative_marks_per_wrong DECIMAL(5,2) NOT NULL DEFAULT 0,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (mock_test_id) REFERENCES mock_tests(id) ON DELETE CASCADE,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_mock_attempts_test_status ON mock_test_attempts(mock_test_id, status)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_mock_attempts_phone ON mock_test_attempts(phone, started_at DESC)');
+    console.log('✓ mock_test_attempts table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mock_test_attempt_sections (
+        attempt_id INTEGER NOT NULL,
+        section_order INTEGER NOT NULL,
+        title VARCHAR(100) NOT NULL,
+        duration_seconds INTEGER NOT NULL,
+        total_questions INTEGER NOT NULL,
+        started_at TIMESTAMP,
+        expires_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        correct_answers INTEGER NOT NULL DEFAULT 0,
+        wrong_answers INTEGER NOT NULL DEFAULT 0,
+        unanswered INTEGER NOT NULL DEFAULT 0,
+        score DECIMAL(7,2) NOT NULL DEFAULT 0,
+        accuracy_percentage DECIMAL(5,2) NOT NULL DEFAULT 0.00,
+        PRIMARY KEY (attempt_id, section_order),
+        FOREIGN KEY (attempt_id) REFERENCES mock_test_attempts(id) ON DELETE CASCADE
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_mock_attempt_sections_expiry
+      ON mock_test_attempt_sections(expires_at) WHERE completed_at IS NULL
+    `);
+    console.log('✓ mock_test_attempt_sections table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mock_test_attempt_questions (
+        attempt_id INTEGER NOT NULL,
+        section_order INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        question_id INTEGER NOT NULL,
+        option_order SMALLINT[] NOT NULL,
+        user_answer INTEGER CHECK (user_answer >= 1 AND user_answer <= 4),
+        is_correct BOOLEAN,
+        answered_at TIMESTAMP,
+        PRIMARY KEY (attempt_id, section_order, position),
+        UNIQUE (attempt_id, question_id),
+        FOREIGN KEY (attempt_id, section_order) REFERENCES mock_test_attempt_sections(attempt_id, section_order) ON DELETE CASCADE,
+        FOREIGN KEY (question_id) REFERENCES questions(sl) ON DELETE CASCADE
+      );
+    `);
+    console.log('✓ mock_test_attempt_questions table created');
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Create a paper and its sections in Admin → Mock Tests, then mark it active');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateMockTests()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
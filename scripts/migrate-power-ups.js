@@ -0,0 +1,93 @@
+const pool = require('../src/config/database');
+
+/**
+ * Power-ups
+ * Adds the 50-50, skip and extra-time settings, per-attempt usage counters, the attempt_power_ups
+ * log, and the 'power_up' source on the XP and lifeline ledgers.
+ */
+async function migratePowerUps() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting power-ups migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE app_config
+      ADD COLUMN IF NOT EXISTS power_ups JSONB NOT NULL DEFAULT '{"fifty_fifty": {"per_attempt": 1, "video": true, "xp_cost": 20, "lifeline_cost": 1}, "skip": {"per_attempt": 1, "video": true, "xp_cost": 30, "lifeline_cost": 1}, "extra_time": {"per_attempt": 2, "video": true, "xp_cost": 10, "lifeline_cost": 0, "seconds": 30}}'
+    `);
+    console.log('✓ app_config.power_ups added');
+
+    await client.query(`
+      ALTER TABLE level_attempts
+      ADD COLUMN IF NOT EXISTS fifty_fifty_used INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS skips_used INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS extra_time_used INTEGER NOT NULL DEFAULT 0
+    `);
+    console.log('✓ level_attempts counts power-ups used');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attempt_power_ups (
+        id SERIAL PRIMARY KEY,
+        attempt_id INTEGER NOT NULL,
+        phone VARCHAR(15) NOT NULL,
+        power_up VARCHAR(20) NOT NULL CHECK (power_up IN ('fifty_fifty', 'skip', 'extra_time')),
+        question_id INTEGER,
+        replacement_question_id INTEGER,
+        removed_options SMALLINT[],
+        seconds_added INTEGER,
+        payment VARCHAR(10) NOT NULL CHECK (payment IN ('video', 'xp', 'lifelines')),
+        cost INTEGER NOT NULL DEFAULT 0,
+        video_id INTEGER,
+        watch_duration_seconds INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (attempt_id) REFERENCES level_attempts(id) ON DELETE CASCADE,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_attempt_power_ups_attempt ON attempt_power_ups(attempt_id);
+    `);
+    console.log('✓ attempt_power_ups table created');
+
+    await client.query('ALTER TABLE xp_transactions DROP CONSTRAINT IF EXISTS xp_transactions_source_type_check');
+    await client.query(`
+      ALTER TABLE xp_transactions ADD CONSTRAINT xp_transactions_source_type_check CHECK (source_type IN (
+        'level_complete', 'video_bonus', 'practice', 'referral', 'anti_cheat_release',
+        'admin_adjustment', 'admin_reset', 'opening_balance', 'achievement', 'streak_repair', 'streak_milestone',
+        'daily_mission', 'power_up'
+      ))
+    `);
+    console.log("✓ 'power_up' XP source allowed in xp_transactions");
+
+    await client.query('ALTER TABLE lifeline_transactions DROP CONSTRAINT IF EXISTS lifeline_transactions_source_check');
+    await client.query(`
+      ALTER TABLE lifeline_transactions ADD CONSTRAINT lifeline_transactions_source_check
+        CHECK (source IN ('daily_refill', 'wrong_answer', 'mission', 'streak_milestone', 'referral', 'power_up'))
+    `);
+    console.log("✓ 'power_up' source allowed in lifeline_transactions");
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Adjust power-up limits and costs in Admin → Configuration → Power-ups');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migratePowerUps()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+const pool = require('../src/config/database');
+
+/**
+ * Add topic practice mode
+ * Practice sessions have their own tables so level_attempts and level analytics are unaffected
+ */
+async function migratePracticeMode() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting practice mode migration...');
+
+    await client.query(`
+      ALTER TABLE app_config
+      ADD COLUMN IF NOT EXISTS practice_questions_per_session INTEGER NOT NULL DEFAULT 10
+        CHECK (practice_questions_per_session >= 1 AND practice_questions_per_session <= 50),
+      ADD COLUMN IF NOT EXISTS practice_xp_per_correct INTEGER NOT NULL DEFAULT 1
+        CHECK (practice_xp_per_correct >= 0),
+      ADD COLUMN IF NOT EXISTS practice_daily_xp_cap INTEGER NOT NULL DEFAULT 20
+        CHECK (practice_daily_xp_cap >= 0);
+    `);
+    console.log('✓ app_config practice settings added');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS practice_sessions (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(15) NOT NULL,
+        subject VARCHAR(50),
+        topic VARCHAR(100) NOT NULL,
+        total_questions INTEGER NOT NULL CHECK (total_questions >= 1 AND total_questions <= 50),
+        questions_attempted INTEGER NOT NULL DEFAULT 0 CHECK (questions_attempted >= 0),
+        correct_answers INTEGER NOT NULL DEFAULT 0 CHECK (correct_answers >= 0),
+        accuracy_percentage DECIMAL(5,2) NOT NULL DEFAULT 0.00 CHECK (accuracy_percentage >= 0 AND accuracy_percentage <= 100),
+        xp_earned INTEGER NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'abandoned')),
+        session_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+        CHECK (questions_attempted <= total_questions AND correct_answers <= questions_attempted)
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_practice_sessions_phone ON practice_sessions(phone, started_at DESC);
+    `);
+    console.log('✓ practice_sessions table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS practice_session_questions (
+        session_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        question_id INTEGER NOT NULL,
+        option_order SMALLINT[] NOT NULL,
+        user_answer INTEGER CHECK (user_answer >= 1 AND user_answer <= 4),
+        is_correct BOOLEAN,
+        time_taken_seconds INTEGER,
+        xp_earned INTEGER NOT NULL DEFAULT 0,
+        answered_at TIMESTAMP,
+        PRIMARY KEY (session_id, position),
+        UNIQUE (session_id, question_id),
+        FOREIGN KEY (session_id) REFERENCES practice_sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (question_id) REFERENCES questions(sl) ON DELETE CASCADE
+      );
+    `);
+    console.log('✓ practice_session_questions table created');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Review practice XP settings at /admin/config');
+    console.log('Note: only questions with a topic are offered for practice');
+
+  } catch (err) {
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migratePracticeMode()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,79 @@
+const pool = require('../src/config/database');
+
+/**
+ * Allow larger question pools per level
+ * Each attempt draws a random subset (app_config.questions_per_level) with shuffled options,
+ * stored in level_attempt_questions so scoring and resume use the same set
+ */
+async function migrateQuestionPools() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting question pool migration...');
+
+    await client.query('BEGIN');
+
+    // 1. Question order is now a position in the pool, not one of ten fixed slots
+    await client.query(`
+      ALTER TABLE questions
+      DROP CONSTRAINT IF EXISTS questions_level_question_order_medium_key,
+      DROP CONSTRAINT IF EXISTS questions_level_question_order_key;
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_questions_level_order ON questions(level, question_order);');
+    console.log('✓ UNIQUE (level, question_order, medium) removed from questions');
+
+    // 2. Number of questions drawn per attempt
+    await client.query(`
+      ALTER TABLE app_config
+      ADD COLUMN IF NOT EXISTS questions_per_level INTEGER NOT NULL DEFAULT 10
+        CHECK (questions_per_level >= 1 AND questions_per_level <= 10);
+    `);
+    console.log('✓ app_config.questions_per_level added (default 10)');
+
+    // 3. Size of each attempt's drawn set
+    await client.query(`
+      ALTER TABLE level_attempts
+      ADD COLUMN IF NOT EXISTS total_questions INTEGER NOT NULL DEFAULT 10;
+    `);
+    console.log('✓ level_attempts.total_questions added');
+
+    // 4. Drawn question set and option permutation per attempt
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS level_attempt_questions (
+        attempt_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        question_id INTEGER NOT NULL,
+        option_order SMALLINT[] NOT NULL,
+        PRIMARY KEY (attempt_id, position),
+        UNIQUE (attempt_id, question_id),
+        FOREIGN KEY (attempt_id) REFERENCES level_attempts(id) ON DELETE CASCADE,
+        FOREIGN KEY (question_id) REFERENCES questions(sl) ON DELETE CASCADE
+      );
+    `);
+    console.log('✓ level_attempt_questions table created');
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Upload additional questions per level (CSV or /admin/questions)');
+    console.log('3. Set "Questions per Level Attempt" at /admin/config');
+    console.log('Note: attempts started before this migration keep stored option order and are scored by level');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateQuestionPools()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
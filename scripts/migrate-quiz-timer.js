@@ -0,0 +1,46 @@
+const pool = require('../src/config/database');
+
+/**
+ * Add the server-side timer to level attempts
+ * startLevel sets expires_at from quiz_levels.duration_seconds; late answers are rejected
+ */
+async function migrateQuizTimer() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting quiz timer migration...');
+
+    await client.query(`
+      ALTER TABLE level_attempts
+      ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS timed_out BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+    console.log('✓ level_attempts.expires_at and timed_out columns added');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_attempts_in_progress_expiry
+      ON level_attempts(expires_at) WHERE completion_status = 'in_progress';
+    `);
+    console.log('✓ Index on in-progress attempt deadlines created');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server (the timeout job runs on the primary worker)');
+    console.log('2. Review level time limits at /admin/levels');
+    console.log('Note: attempts started before this migration have no deadline and are not timed');
+
+  } catch (err) {
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateQuizTimer()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
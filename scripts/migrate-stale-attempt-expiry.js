@@ -0,0 +1,77 @@
+const pool = require('../src/config/database');
+const { SQL_IST_NOW } = require('../src/utils/timezone');
+
+/**
+ * Add expiry of idle in-progress level attempts
+ * Adds the 'expired' status, the end_reason column and the idle age setting.
+ * Attempts abandoned before this migration came from POST /level/abandon and are marked as such.
+ */
+async function migrateStaleAttemptExpiry() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting stale attempt expiry migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE app_config
+      ADD COLUMN IF NOT EXISTS stale_attempt_idle_minutes INTEGER NOT NULL DEFAULT 60
+        CHECK (stale_attempt_idle_minutes >= 10 AND stale_attempt_idle_minutes <= 10080);
+    `);
+    console.log('✓ app_config.stale_attempt_idle_minutes added');
+
+    await client.query('ALTER TABLE level_attempts DROP CONSTRAINT IF EXISTS level_attempts_completion_status_check');
+    await client.query(`
+      ALTER TABLE level_attempts
+      ADD CONSTRAINT level_attempts_completion_status_check
+        CHECK (completion_status IN ('in_progress', 'completed', 'abandoned', 'expired'));
+    `);
+    console.log('✓ level_attempts.completion_status accepts expired');
+
+    await client.query(`
+      ALTER TABLE level_attempts
+      ADD COLUMN IF NOT EXISTS end_reason VARCHAR(30)
+        CHECK (end_reason IN ('user_abandoned', 'idle_timeout'));
+    `);
+    const backfill = await client.query(`
+      UPDATE level_attempts SET end_reason = 'user_abandoned'
+      WHERE completion_status = 'abandoned' AND end_reason IS NULL
+    `);
+    console.log(`✓ level_attempts.end_reason added (${backfill.rowCount} abandoned attempt(s) marked user_abandoned)`);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_attempts_in_progress_idle
+      ON level_attempts(updated_at) WHERE completion_status = 'in_progress';
+    `);
+    console.log('✓ Index for idle attempts created');
+
+    const pending = await client.query(`
+      SELECT COUNT(*) as count FROM level_attempts
+      WHERE completion_status = 'in_progress' AND updated_at < ${SQL_IST_NOW} - INTERVAL '60 minutes'
+    `);
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log(`2. About ${pending.rows[0].count} idle attempt(s) will be expired by the primary worker shortly after startup`);
+    console.log('3. Adjust the idle age in Admin → Configuration → Quiz Settings if needed');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateStaleAttemptExpiry()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,102 @@
+const pool = require('../src/config/database');
+
+/**
+ * Streak freezes and streak repair
+ * Adds the freeze and repair settings to app_config, each user's freezes and open repair offer
+ * to streak_tracking, the freeze and repair history tables, and the 'streak_repair' XP ledger
+ * source for XP spent on repairs.
+ */
+async function migrateStreakFreeze() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting streak freeze migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE app_config
+        ADD COLUMN IF NOT EXISTS streak_freeze_earn_days INTEGER NOT NULL DEFAULT 7 CHECK (streak_freeze_earn_days >= 0),
+        ADD COLUMN IF NOT EXISTS streak_freeze_max INTEGER NOT NULL DEFAULT 2 CHECK (streak_freeze_max >= 0 AND streak_freeze_max <= 10),
+        ADD COLUMN IF NOT EXISTS streak_repair_hours INTEGER NOT NULL DEFAULT 48 CHECK (streak_repair_hours >= 0 AND streak_repair_hours <= 168),
+        ADD COLUMN IF NOT EXISTS streak_repair_xp_cost INTEGER NOT NULL DEFAULT 50 CHECK (streak_repair_xp_cost >= 0);
+    `);
+    console.log('✓ Streak settings added to app_config');
+
+    await client.query(`
+      ALTER TABLE streak_tracking
+        ADD COLUMN IF NOT EXISTS freezes_available INTEGER NOT NULL DEFAULT 0 CHECK (freezes_available >= 0),
+        ADD COLUMN IF NOT EXISTS repair_streak INTEGER,
+        ADD COLUMN IF NOT EXISTS repair_expires_at TIMESTAMP;
+    `);
+    console.log('✓ Freezes and repair offer added to streak_tracking');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS streak_freeze_history (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(15) NOT NULL,
+        change INTEGER NOT NULL,
+        reason VARCHAR(20) NOT NULL CHECK (reason IN ('earned', 'used')),
+        covered_date DATE,
+        streak_days INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_streak_freeze_history_phone ON streak_freeze_history(phone, id DESC);
+    `);
+    console.log('✓ streak_freeze_history table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS streak_repairs (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(15) NOT NULL,
+        method VARCHAR(10) NOT NULL CHECK (method IN ('video', 'xp')),
+        restored_streak INTEGER NOT NULL,
+        new_streak INTEGER NOT NULL,
+        xp_spent INTEGER NOT NULL DEFAULT 0,
+        video_id INTEGER,
+        watch_duration_seconds INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_streak_repairs_phone ON streak_repairs(phone);
+    `);
+    console.log('✓ streak_repairs table created');
+
+    await client.query('ALTER TABLE xp_transactions DROP CONSTRAINT IF EXISTS xp_transactions_source_type_check');
+    await client.query(`
+      ALTER TABLE xp_transactions ADD CONSTRAINT xp_transactions_source_type_check CHECK (source_type IN (
+        'level_complete', 'video_bonus', 'practice', 'referral', 'anti_cheat_release',
+        'admin_adjustment', 'admin_reset', 'opening_balance', 'achievement', 'streak_repair'
+      ))
+    `);
+    console.log("✓ 'streak_repair' XP source allowed in xp_transactions");
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Review the streak settings in Admin → Config');
+    console.log('3. Users start with no freezes and earn them as their streaks grow');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateStreakFreeze()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
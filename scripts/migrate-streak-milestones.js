@@ -0,0 +1,83 @@
+const pool = require('../src/config/database');
+
+/**
+ * Streak milestone rewards and streak-at-risk events
+ * Adds the milestone list and at-risk reminder hour to app_config, the day each user was last
+ * sent a streak_at_risk event, the table recording milestones rewarded per user, milestone
+ * freezes in the freeze history, and the 'streak_milestone' XP ledger source.
+ */
+async function migrateStreakMilestones() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting streak milestones migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE app_config
+        ADD COLUMN IF NOT EXISTS streak_milestones JSONB NOT NULL DEFAULT '[{"days": 3, "xp": 10, "freezes": 0}, {"days": 7, "xp": 25, "freezes": 1}, {"days": 30, "xp": 100, "freezes": 1}, {"days": 100, "xp": 500, "freezes": 2}]',
+        ADD COLUMN IF NOT EXISTS streak_at_risk_hour INTEGER NOT NULL DEFAULT 19 CHECK (streak_at_risk_hour >= 0 AND streak_at_risk_hour <= 23);
+    `);
+    console.log('✓ Streak milestones and at-risk hour added to app_config');
+
+    await client.query(`
+      ALTER TABLE streak_tracking ADD COLUMN IF NOT EXISTS at_risk_notified_date DATE;
+    `);
+    console.log('✓ at_risk_notified_date added to streak_tracking');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS streak_milestone_rewards (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(15) NOT NULL,
+        days INTEGER NOT NULL,
+        xp_awarded INTEGER NOT NULL DEFAULT 0,
+        freezes_awarded INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+        UNIQUE (phone, days)
+      );
+    `);
+    console.log('✓ streak_milestone_rewards table created');
+
+    await client.query('ALTER TABLE streak_freeze_history DROP CONSTRAINT IF EXISTS streak_freeze_history_reason_check');
+    await client.query(`
+      ALTER TABLE streak_freeze_history ADD CONSTRAINT streak_freeze_history_reason_check
+        CHECK (reason IN ('earned', 'used', 'milestone'))
+    `);
+    console.log("✓ 'milestone' reason allowed in streak_freeze_history");
+
+    await client.query('ALTER TABLE xp_transactions DROP CONSTRAINT IF EXISTS xp_transactions_source_type_check');
+    await client.query(`
+      ALTER TABLE xp_transactions ADD CONSTRAINT xp_transactions_source_type_check CHECK (source_type IN (
+        'level_complete', 'video_bonus', 'practice', 'referral', 'anti_cheat_release',
+        'admin_adjustment', 'admin_reset', 'opening_balance', 'achievement', 'streak_repair', 'streak_milestone'
+      ))
+    `);
+    console.log("✓ 'streak_milestone' XP source allowed in xp_transactions");
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Review the milestones in Admin → Config → Streaks');
+    console.log('3. Enable the streak events under Event Webhooks for your n8n flows');
+    console.log('4. Users already past a milestone get its reward the next time their streak grows');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateStreakMilestones()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
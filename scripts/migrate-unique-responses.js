@@ -0,0 +1,54 @@
+const pool = require('../src/config/database');
+
+/**
+ * Allow each question to be answered only once per level attempt
+ * Removes replayed answers left by older servers, then adds UNIQUE(attempt_id, question_id)
+ */
+async function migrateUniqueResponses() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting question_responses uniqueness migration...');
+
+    await client.query('BEGIN');
+
+    // 1. Keep only the first answer for each question in an attempt
+    const duplicates = await client.query(`
+      DELETE FROM question_responses qr
+      USING question_responses earlier
+      WHERE qr.attempt_id = earlier.attempt_id
+        AND qr.question_id = earlier.question_id
+        AND qr.id > earlier.id;
+    `);
+    console.log(`✓ Removed ${duplicates.rowCount} repeated answers`);
+
+    // 2. Enforce one answer per question per attempt
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_responses_attempt_question
+      ON question_responses(attempt_id, question_id);
+    `);
+    console.log('✓ Unique index on (attempt_id, question_id) created');
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('Note: level_attempts counters of attempts that had repeated answers are left as they were');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateUniqueResponses()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
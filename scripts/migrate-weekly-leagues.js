@@ -0,0 +1,88 @@
+const pool = require('../src/config/database');
+
+/**
+ * Weekly leagues
+ * Adds the league group settings, weekly league groups per tier and their members with each
+ * week's result. Everyone starts in Bronze; groups fill as users earn XP this week.
+ */
+async function migrateWeeklyLeagues() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting weekly leagues migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      ALTER TABLE app_config
+      ADD COLUMN IF NOT EXISTS league_group_size INTEGER NOT NULL DEFAULT 30
+        CHECK (league_group_size >= 5 AND league_group_size <= 100),
+      ADD COLUMN IF NOT EXISTS league_promote_count INTEGER NOT NULL DEFAULT 5
+        CHECK (league_promote_count >= 0 AND league_promote_count <= 50),
+      ADD COLUMN IF NOT EXISTS league_demote_count INTEGER NOT NULL DEFAULT 5
+        CHECK (league_demote_count >= 0 AND league_demote_count <= 50)
+    `);
+    console.log('✓ app_config league settings added');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS leagues (
+        id SERIAL PRIMARY KEY,
+        week_start DATE NOT NULL,
+        tier INTEGER NOT NULL CHECK (tier >= 1 AND tier <= 5),
+        group_number INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finalized_at TIMESTAMP,
+        UNIQUE (week_start, tier, group_number)
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_leagues_open ON leagues(week_start) WHERE finalized_at IS NULL;
+    `);
+    console.log('✓ leagues table created');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS league_members (
+        id SERIAL PRIMARY KEY,
+        league_id INTEGER NOT NULL,
+        phone VARCHAR(15) NOT NULL,
+        week_start DATE NOT NULL,
+        activity_score INTEGER NOT NULL DEFAULT 0,
+        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        final_xp INTEGER,
+        final_rank INTEGER,
+        result VARCHAR(10) CHECK (result IN ('promoted', 'demoted', 'stayed')),
+        next_tier INTEGER,
+        FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+        UNIQUE (phone, week_start)
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_league_members_league ON league_members(league_id);
+    `);
+    console.log('✓ league_members table created');
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server (the primary worker runs the league rollover every 10 minutes)');
+    console.log('2. Adjust group size, promotions and demotions in Admin → Configuration → Weekly Leagues');
+    console.log('3. Enable the league_promoted / league_demoted events under Event Webhooks if needed');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateWeeklyLeagues()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,94 @@
+const pool = require('../src/config/database');
+
+/**
+ * Add the append-only XP ledger
+ * Existing XP is carried over as opening_balance entries so every user reconciles from day one:
+ * one entry per daily_xp_summary row (dated that day) plus one undated entry for the rest of xp_total.
+ * Users who already have ledger entries are skipped, so the migration can be re-run.
+ */
+async function migrateXPLedger() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting XP ledger migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS xp_transactions (
+        id BIGSERIAL PRIMARY KEY,
+        phone VARCHAR(15) NOT NULL,
+        amount INTEGER NOT NULL,
+        source_type VARCHAR(30) NOT NULL CHECK (source_type IN (
+          'level_complete', 'video_bonus', 'practice', 'referral', 'anti_cheat_release',
+          'admin_adjustment', 'admin_reset', 'opening_balance'
+        )),
+        reference_id INTEGER,
+        xp_date DATE,
+        note VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_xp_transactions_phone ON xp_transactions(phone, id DESC)');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_xp_transactions_phone_date
+      ON xp_transactions(phone, xp_date) WHERE xp_date IS NOT NULL
+    `);
+    console.log('✓ xp_transactions table created');
+
+    // Users without ledger entries yet
+    await client.query(`
+      CREATE TEMP TABLE ledger_backfill_users ON COMMIT DROP AS
+      SELECT u.phone, u.xp_total
+      FROM users_profile u
+      WHERE NOT EXISTS (SELECT 1 FROM xp_transactions t WHERE t.phone = u.phone)
+    `);
+
+    const dailyResult = await client.query(`
+      INSERT INTO xp_transactions (phone, amount, source_type, xp_date, note, created_at)
+      SELECT d.phone, d.total_xp_today, 'opening_balance', d.date, 'Daily XP before ledger', d.created_at
+      FROM daily_xp_summary d
+      JOIN ledger_backfill_users b ON b.phone = d.phone
+      WHERE d.total_xp_today <> 0
+      ORDER BY d.date ASC
+    `);
+    console.log(`✓ ${dailyResult.rowCount} daily opening balances recorded`);
+
+    const totalResult = await client.query(`
+      INSERT INTO xp_transactions (phone, amount, source_type, note)
+      SELECT b.phone, b.xp_total - COALESCE(d.daily_xp, 0), 'opening_balance', 'XP before ledger'
+      FROM ledger_backfill_users b
+      LEFT JOIN (
+        SELECT phone, SUM(total_xp_today) as daily_xp
+        FROM daily_xp_summary
+        GROUP BY phone
+      ) d ON d.phone = b.phone
+      WHERE b.xp_total - COALESCE(d.daily_xp, 0) <> 0
+    `);
+    console.log(`✓ ${totalResult.rowCount} undated opening balances recorded`);
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Check Admin → XP Audit (/admin/xp-reconciliation); it should list no mismatches');
+    console.log('3. Users can see their XP history via GET /api/v1/user/xp-history');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateXPLedger()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,90 @@
+const pool = require('../src/config/database');
+
+/**
+ * Add versioned XP rules
+ * Seeds version 1 with the rules that were hardcoded until now (5 XP per correct answer on a first
+ * attempt, 1 on retries, video doubles the XP) and the referral bonus currently in effect
+ * (REFERRAL_BONUS_XP if set, otherwise app_config.referral_bonus_xp).
+ */
+async function migrateXPRules() {
+  const client = await pool.connect();
+
+  try {
+    console.log('Starting XP rules migration...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS xp_rule_versions (
+        id SERIAL PRIMARY KEY,
+        rules JSONB NOT NULL,
+        note VARCHAR(255),
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✓ xp_rule_versions table created');
+
+    const existing = await client.query('SELECT COUNT(*) as count FROM xp_rule_versions');
+
+    if (parseInt(existing.rows[0].count) === 0) {
+      const configResult = await client.query('SELECT referral_bonus_xp FROM app_config WHERE id = 1');
+      const referralBonusXP = parseInt(process.env.REFERRAL_BONUS_XP) || configResult.rows[0]?.referral_bonus_xp || 50;
+
+      const rules = {
+        per_correct_by_attempt: [5, 1],
+        speed_bonus: { enabled: false, max_seconds: 5, xp_per_answer: 1 },
+        combo_bonus: { enabled: false, every: 5, xp: 5 },
+        level_multipliers: [],
+        video_multiplier: 2,
+        referral_bonus_xp: referralBonusXP,
+        max_xp_per_attempt: null,
+        daily_level_xp_cap: null,
+        events: []
+      };
+
+      await client.query(
+        "INSERT INTO xp_rule_versions (rules, note) VALUES ($1, 'Initial rules')",
+        [JSON.stringify(rules)]
+      );
+      await client.query('UPDATE app_config SET referral_bonus_xp = $1 WHERE id = 1', [referralBonusXP]);
+      console.log(`✓ XP rules version 1 seeded (referral bonus ${referralBonusXP} XP)`);
+    } else {
+      console.log('✓ XP rules already present, seed skipped');
+    }
+
+    await client.query(`
+      ALTER TABLE level_attempts
+      ADD COLUMN IF NOT EXISTS attempt_number INTEGER,
+      ADD COLUMN IF NOT EXISTS xp_rule_version INTEGER,
+      ADD COLUMN IF NOT EXISTS xp_breakdown JSONB;
+    `);
+    console.log('✓ level_attempts XP rule columns added');
+
+    await client.query('ALTER TABLE xp_transactions ADD COLUMN IF NOT EXISTS rule_version INTEGER');
+    console.log('✓ xp_transactions.rule_version added');
+
+    await client.query('COMMIT');
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nNext steps:');
+    console.log('1. Restart your server');
+    console.log('2. Review the rules in Admin → Configuration → XP Rules');
+    console.log('3. REFERRAL_BONUS_XP is no longer read by the server and can be removed from .env');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Migration failed:', err.message);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateXPRules()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
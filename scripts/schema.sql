@@ -6,6 +6,31 @@ DROP TABLE IF EXISTS user_reel_progress CASCADE;
 DROP TABLE IF EXISTS reels CASCADE;
 DROP TABLE IF EXISTS referral_tracking CASCADE;
 DROP TABLE IF EXISTS lifeline_videos_watched CASCADE;
+DROP TABLE IF EXISTS lifeline_transactions CASCADE;
+DROP TABLE IF EXISTS attempt_power_ups CASCADE;
+DROP TABLE IF EXISTS lifeline_wallets CASCADE;
+DROP TABLE IF EXISTS league_members CASCADE;
+DROP TABLE IF EXISTS leagues CASCADE;
+DROP TABLE IF EXISTS user_daily_missions CASCADE;
+DROP TABLE IF EXISTS mission_templates CASCADE;
+DROP TABLE IF EXISTS streak_milestone_rewards CASCADE;
+DROP TABLE IF EXISTS streak_repairs CASCADE;
+DROP TABLE IF EXISTS streak_freeze_history CASCADE;
+DROP TABLE IF EXISTS user_achievements CASCADE;
+DROP TABLE IF EXISTS achievements CASCADE;
+DROP TABLE IF EXISTS daily_rank_freezes CASCADE;
+DROP TABLE IF EXISTS xp_rule_versions CASCADE;
+DROP TABLE IF EXISTS xp_transactions CASCADE;
+DROP TABLE IF EXISTS attempt_flags CASCADE;
+DROP TABLE IF EXISTS mock_test_attempt_questions CASCADE;
+DROP TABLE IF EXISTS mock_test_attempt_sections CASCADE;
+DROP TABLE IF EXISTS mock_test_attempts CASCADE;
+DROP TABLE IF EXISTS mock_test_sections CASCADE;
+DROP TABLE IF EXISTS mock_tests CASCADE;
+DROP TABLE IF EXISTS mistake_deck CASCADE;
+DROP TABLE IF EXISTS practice_session_questions CASCADE;
+DROP TABLE IF EXISTS practice_sessions CASCADE;
+DROP TABLE IF EXISTS level_attempt_questions CASCADE;
 DROP TABLE IF EXISTS question_responses CASCADE;
 DROP TABLE IF EXISTS video_watch_log CASCADE;
 DROP TABLE IF EXISTS level_attempts CASCADE;
@@ -40,12 +65,56 @@ CREATE TABLE app_config (
 
     -- Other app settings
     referral_bonus_xp INTEGER NOT NULL DEFAULT 50,
-    lifelines_per_quiz INTEGER NOT NULL DEFAULT 3,
+    lifelines_per_quiz INTEGER NOT NULL DEFAULT 3 CHECK (lifelines_per_quiz >= 1 AND lifelines_per_quiz <= 10),
+
+    -- Quiz settings
+    legacy_answer_key_enabled BOOLEAN NOT NULL DEFAULT FALSE, -- send @ marker to old app builds
+    questions_per_level INTEGER NOT NULL DEFAULT 10 CHECK (questions_per_level >= 1 AND questions_per_level <= 100), -- default; drawn at random from the level's pool
+    unlock_accuracy_percent DECIMAL(5,2) NOT NULL DEFAULT 30.00 CHECK (unlock_accuracy_percent >= 0 AND unlock_accuracy_percent <= 100), -- default
+    max_level INTEGER NOT NULL DEFAULT 100 CHECK (max_level >= 1),
+    stale_attempt_idle_minutes INTEGER NOT NULL DEFAULT 60 CHECK (stale_attempt_idle_minutes >= 10 AND stale_attempt_idle_minutes <= 10080), -- idle in-progress attempts are expired after this
+
+    -- Practice mode settings (topic practice outside level progression)
+    practice_questions_per_session INTEGER NOT NULL DEFAULT 10 CHECK (practice_questions_per_session >= 1 AND practice_questions_per_session <= 50),
+    practice_xp_per_correct INTEGER NOT NULL DEFAULT 1 CHECK (practice_xp_per_correct >= 0),
+    practice_daily_xp_cap INTEGER NOT NULL DEFAULT 20 CHECK (practice_daily_xp_cap >= 0), -- max practice XP per user per IST day
+
+    -- Anti-cheat (suspicion score per completed level attempt, 0-100)
+    anti_cheat_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    anti_cheat_flag_threshold INTEGER NOT NULL DEFAULT 50 CHECK (anti_cheat_flag_threshold >= 0 AND anti_cheat_flag_threshold <= 100),
+    anti_cheat_min_answer_seconds DECIMAL(4,1) NOT NULL DEFAULT 2.0 CHECK (anti_cheat_min_answer_seconds >= 0 AND anti_cheat_min_answer_seconds <= 30), -- faster answers count as implausible
+    anti_cheat_withhold_xp BOOLEAN NOT NULL DEFAULT FALSE, -- hold XP of flagged attempts until reviewed
+    anti_cheat_exclude_leaderboard BOOLEAN NOT NULL DEFAULT TRUE, -- hide flagged users from that day's leaderboard
+    anti_cheat_queue_review BOOLEAN NOT NULL DEFAULT TRUE, -- put flagged attempts in the admin review queue
 
     -- Reels settings
     reel_watch_threshold_seconds INTEGER NOT NULL DEFAULT 5,
     reels_prefetch_count INTEGER NOT NULL DEFAULT 3,
 
+    -- Streak freeze and repair
+    streak_freeze_earn_days INTEGER NOT NULL DEFAULT 7 CHECK (streak_freeze_earn_days >= 0), -- one freeze per this many streak days (0 = never)
+    streak_freeze_max INTEGER NOT NULL DEFAULT 2 CHECK (streak_freeze_max >= 0 AND streak_freeze_max <= 10), -- most freezes a user can hold
+    streak_repair_hours INTEGER NOT NULL DEFAULT 48 CHECK (streak_repair_hours >= 0 AND streak_repair_hours <= 168), -- how long a broken streak can be repaired (0 = no repairs)
+    streak_repair_xp_cost INTEGER NOT NULL DEFAULT 50 CHECK (streak_repair_xp_cost >= 0), -- XP to repair instead of watching a video (0 = video only)
+    streak_milestones JSONB NOT NULL DEFAULT '[{"days": 3, "xp": 10, "freezes": 0}, {"days": 7, "xp": 25, "freezes": 1}, {"days": 30, "xp": 100, "freezes": 1}, {"days": 100, "xp": 500, "freezes": 2}]', -- rewards granted once per user per milestone
+    streak_at_risk_hour INTEGER NOT NULL DEFAULT 19 CHECK (streak_at_risk_hour >= 0 AND streak_at_risk_hour <= 23), -- IST hour from which streak_at_risk events go out
+
+    -- Daily missions
+    daily_missions_count INTEGER NOT NULL DEFAULT 3 CHECK (daily_missions_count >= 1 AND daily_missions_count <= 10), -- missions handed out per user per IST day
+
+    -- Weekly leagues
+    league_group_size INTEGER NOT NULL DEFAULT 30 CHECK (league_group_size >= 5 AND league_group_size <= 100), -- users per league group
+    league_promote_count INTEGER NOT NULL DEFAULT 5 CHECK (league_promote_count >= 0 AND league_promote_count <= 50), -- top finishers moving up a tier each week
+    league_demote_count INTEGER NOT NULL DEFAULT 5 CHECK (league_demote_count >= 0 AND league_demote_count <= 50), -- bottom finishers moving down a tier each week
+
+    -- Lifeline wallet
+    lifeline_mode VARCHAR(20) NOT NULL DEFAULT 'per_attempt' CHECK (lifeline_mode IN ('per_attempt', 'wallet')), -- wallet: lost lifelines are drawn from the user's wallet first
+    lifeline_wallet_daily_refill INTEGER NOT NULL DEFAULT 5 CHECK (lifeline_wallet_daily_refill >= 0 AND lifeline_wallet_daily_refill <= 50), -- wallet is topped up to this once per IST day
+    referral_lifeline_reward INTEGER NOT NULL DEFAULT 3 CHECK (referral_lifeline_reward >= 0 AND referral_lifeline_reward <= 50), -- wallet lifelines for both users on a referral
+
+    -- Power-ups (per level attempt)
+    power_ups JSONB NOT NULL DEFAULT '{"fifty_fifty": {"per_attempt": 1, "video": true, "xp_cost": 20, "lifeline_cost": 1}, "skip": {"per_attempt": 1, "video": true, "xp_cost": 30, "lifeline_cost": 1}, "extra_time": {"per_attempt": 2, "video": true, "xp_cost": 10, "lifeline_cost": 0, "seconds": 30}}', -- per_attempt 0 = off; xp_cost / lifeline_cost 0 = not accepted
+
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -68,7 +137,7 @@ CREATE TABLE users_profile (
     date_joined DATE NOT NULL DEFAULT CURRENT_DATE,
     time_joined TIME NOT NULL DEFAULT CURRENT_TIME,
     xp_total INTEGER NOT NULL DEFAULT 0,
-    current_level INTEGER NOT NULL DEFAULT 1 CHECK (current_level >= 1 AND current_level <= 100),
+    current_level INTEGER NOT NULL DEFAULT 1 CHECK (current_level >= 1), -- upper bound is app_config.max_level
     total_ads_watched INTEGER NOT NULL DEFAULT 0,
     videos_watched INTEGER NOT NULL DEFAULT 0,
     last_active_at TIMESTAMP,
@@ -78,6 +147,7 @@ CREATE TABLE users_profile (
 
 CREATE INDEX idx_users_xp_total ON users_profile(xp_total DESC);
 CREATE INDEX idx_users_district ON users_profile(district);
+CREATE INDEX idx_users_state_district ON users_profile(state, district);
 CREATE INDEX idx_users_referral ON users_profile(referral_code);
 CREATE INDEX idx_users_last_active ON users_profile(last_active_at DESC);
 
@@ -118,20 +188,21 @@ CREATE TABLE questions (
     option_2 TEXT NOT NULL,
     option_3 TEXT NOT NULL,
     option_4 TEXT NOT NULL,
+    correct_option SMALLINT NOT NULL CHECK (correct_option >= 1 AND correct_option <= 4),
     explanation_text TEXT,
     explanation_url VARCHAR(500),
     subject VARCHAR(50),
     topic VARCHAR(100),
     difficulty VARCHAR(20),
     medium VARCHAR(10) NOT NULL DEFAULT 'both' CHECK (medium IN ('hindi', 'english', 'both')),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE (level, question_order, medium)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_questions_level ON questions(level);
 CREATE INDEX idx_questions_subject ON questions(subject);
 CREATE INDEX idx_questions_medium ON questions(medium);
 CREATE INDEX idx_questions_level_medium ON questions(level, medium);
+CREATE INDEX idx_questions_level_order ON questions(level, question_order);
 
 -- ============================================
 -- Table 4: level_attempts (WITH lifelines tracking)
@@ -139,31 +210,55 @@ CREATE INDEX idx_questions_level_medium ON questions(level, medium);
 CREATE TABLE level_attempts (
     id SERIAL PRIMARY KEY,
     phone VARCHAR(15) NOT NULL,
-    level INTEGER NOT NULL CHECK (level >= 1 AND level <= 100),
+    level INTEGER NOT NULL CHECK (level >= 1),
     attempt_date DATE NOT NULL DEFAULT CURRENT_DATE,
     attempt_time TIME NOT NULL DEFAULT CURRENT_TIME,
-    questions_attempted INTEGER NOT NULL DEFAULT 0 CHECK (questions_attempted >= 0 AND questions_attempted <= 10),
-    correct_answers INTEGER NOT NULL DEFAULT 0 CHECK (correct_answers >= 0 AND correct_answers <= 10),
+    questions_attempted INTEGER NOT NULL DEFAULT 0 CHECK (questions_attempted >= 0),
+    correct_answers INTEGER NOT NULL DEFAULT 0 CHECK (correct_answers >= 0),
     accuracy_percentage DECIMAL(5,2) NOT NULL DEFAULT 0.00 CHECK (accuracy_percentage >= 0 AND accuracy_percentage <= 100),
     xp_earned_base INTEGER NOT NULL DEFAULT 0,
     video_watched BOOLEAN NOT NULL DEFAULT FALSE,
     xp_earned_final INTEGER NOT NULL DEFAULT 0,
     is_first_attempt BOOLEAN NOT NULL DEFAULT TRUE,
-    completion_status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (completion_status IN ('in_progress', 'completed', 'abandoned')),
+    total_questions INTEGER NOT NULL DEFAULT 10 CHECK (total_questions >= 1 AND total_questions <= 100), -- size of the drawn question set
+    difficulty_profile VARCHAR(10) CHECK (difficulty_profile IN ('easier', 'balanced', 'harder')), -- NULL = not adaptive
+    completion_status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (completion_status IN ('in_progress', 'completed', 'abandoned', 'expired')),
+    end_reason VARCHAR(30) CHECK (end_reason IN ('user_abandoned', 'idle_timeout')), -- why an attempt was abandoned/expired
 
     -- Lifelines system
-    lifelines_remaining INTEGER NOT NULL DEFAULT 3 CHECK (lifelines_remaining >= 0 AND lifelines_remaining <= 3),
+    lifelines_remaining INTEGER NOT NULL DEFAULT 3 CHECK (lifelines_remaining >= 0 AND lifelines_remaining <= 10), -- starts at app_config.lifelines_per_quiz
     lifelines_used INTEGER NOT NULL DEFAULT 0,
     lifeline_videos_watched INTEGER NOT NULL DEFAULT 0,
+    wallet_lifelines_used INTEGER NOT NULL DEFAULT 0, -- wrong answers covered by the lifeline wallet (included in lifelines_used)
+
+    -- Power-ups used (details in attempt_power_ups)
+    fifty_fifty_used INTEGER NOT NULL DEFAULT 0,
+    skips_used INTEGER NOT NULL DEFAULT 0,
+    extra_time_used INTEGER NOT NULL DEFAULT 0,
+
+    -- Server-side timer (IST deadline set at level start from quiz_levels.duration_seconds)
+    expires_at TIMESTAMP,
+    timed_out BOOLEAN NOT NULL DEFAULT FALSE,
+
+    -- Anti-cheat suspicion score set on completion (NULL = not scored)
+    suspicion_score SMALLINT CHECK (suspicion_score >= 0 AND suspicion_score <= 100),
+
+    -- XP rules (attempt_number counts attempts at this level, excluding abandoned/expired ones)
+    attempt_number INTEGER,
+    xp_rule_version INTEGER, -- xp_rule_versions.id used to score the attempt
+    xp_breakdown JSONB, -- per-correct XP, bonuses, multipliers and caps applied
 
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+    CONSTRAINT level_attempts_progress_check CHECK (questions_attempted <= total_questions AND correct_answers <= questions_attempted)
 );
 
 CREATE INDEX idx_attempts_phone ON level_attempts(phone);
 CREATE INDEX idx_attempts_phone_level ON level_attempts(phone, level);
 CREATE INDEX idx_attempts_date ON level_attempts(attempt_date);
+CREATE INDEX idx_attempts_in_progress_expiry ON level_attempts(expires_at) WHERE completion_status = 'in_progress';
+CREATE INDEX idx_attempts_in_progress_idle ON level_attempts(updated_at) WHERE completion_status = 'in_progress';
 
 -- ============================================
 -- Table 5: question_responses
@@ -181,11 +276,13 @@ CREATE TABLE question_responses (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (attempt_id) REFERENCES level_attempts(id) ON DELETE CASCADE,
     FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
-    FOREIGN KEY (question_id) REFERENCES questions(sl) ON DELETE CASCADE
+    FOREIGN KEY (question_id) REFERENCES questions(sl) ON DELETE CASCADE,
+    UNIQUE(attempt_id, question_id) -- Each question answered at most once per attempt
 );
 
 CREATE INDEX idx_responses_attempt ON question_responses(attempt_id);
 CREATE INDEX idx_responses_phone ON question_responses(phone);
+CREATE INDEX idx_responses_question ON question_responses(question_id);
 
 -- ============================================
 -- Table 6: daily_xp_summary
@@ -207,6 +304,7 @@ CREATE TABLE daily_xp_summary (
 
 CREATE INDEX idx_daily_xp_date ON daily_xp_summary(date);
 CREATE INDEX idx_daily_xp_date_xp ON daily_xp_summary(date, total_xp_today DESC);
+CREATE INDEX idx_daily_xp_date_rank ON daily_xp_summary(date, daily_rank) WHERE daily_rank IS NOT NULL;
 
 -- ============================================
 -- Table 7: video_watch_log
@@ -215,7 +313,7 @@ CREATE TABLE video_watch_log (
     id SERIAL PRIMARY KEY,
     phone VARCHAR(15) NOT NULL,
     attempt_id INTEGER NOT NULL,
-    level INTEGER NOT NULL CHECK (level >= 1 AND level <= 100),
+    level INTEGER NOT NULL CHECK (level >= 1),
     video_id INTEGER,
     video_url VARCHAR(500) NOT NULL,
     video_type VARCHAR(50),
@@ -240,6 +338,10 @@ CREATE TABLE streak_tracking (
     current_streak INTEGER NOT NULL DEFAULT 0,
     longest_streak INTEGER NOT NULL DEFAULT 0,
     last_activity_date DATE,
+    freezes_available INTEGER NOT NULL DEFAULT 0 CHECK (freezes_available >= 0), -- used up automatically for missed days
+    repair_streak INTEGER, -- streak lost on the last break, restorable until repair_expires_at
+    repair_expires_at TIMESTAMP, -- IST
+    at_risk_notified_date DATE, -- IST day the last streak_at_risk event was sent
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
@@ -410,10 +512,13 @@ CREATE INDEX idx_user_reel_hearted ON user_reel_progress(reel_id, is_hearted) WH
 -- ============================================
 CREATE TABLE quiz_levels (
     id SERIAL PRIMARY KEY,
-    level_number INTEGER NOT NULL UNIQUE CHECK (level_number >= 1 AND level_number <= 100),
+    level_number INTEGER NOT NULL UNIQUE CHECK (level_number >= 1),
     title VARCHAR(200) NOT NULL,
     subtitle VARCHAR(300),
     duration_seconds INTEGER NOT NULL DEFAULT 300 CHECK (duration_seconds > 0),
+    questions_per_level INTEGER CHECK (questions_per_level >= 1 AND questions_per_level <= 100), -- NULL = app_config default
+    unlock_accuracy_percent DECIMAL(5,2) CHECK (unlock_accuracy_percent >= 0 AND unlock_accuracy_percent <= 100), -- NULL = app_config default
+    adaptive_difficulty BOOLEAN NOT NULL DEFAULT FALSE, -- pick questions by difficulty from recent accuracy
     is_active BOOLEAN NOT NULL DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -460,12 +565,514 @@ CREATE TRIGGER trg_quiz_levels_delete
     AFTER DELETE ON quiz_levels
     FOR EACH ROW EXECUTE FUNCTION update_levels_version();
 
+-- ============================================
+-- Table 19: level_attempt_questions (Question set drawn for each attempt)
+-- ============================================
+CREATE TABLE level_attempt_questions (
+    attempt_id INTEGER NOT NULL,
+    position INTEGER NOT NULL, -- order shown in this attempt (1-based)
+    question_id INTEGER NOT NULL,
+    option_order SMALLINT[] NOT NULL, -- option_order[n] = stored option number shown at position n
+    PRIMARY KEY (attempt_id, position),
+    UNIQUE (attempt_id, question_id),
+    FOREIGN KEY (attempt_id) REFERENCES level_attempts(id) ON DELETE CASCADE,
+    FOREIGN KEY (question_id) REFERENCES questions(sl) ON DELETE CASCADE
+);
+
+-- ============================================
+-- Table 20: practice_sessions (Topic practice, kept out of level_attempts)
+-- ============================================
+CREATE TABLE practice_sessions (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(15) NOT NULL,
+    session_type VARCHAR(20) NOT NULL DEFAULT 'topic' CHECK (session_type IN ('topic', 'mistakes')), -- mistakes = replay of the mistake deck
+    subject VARCHAR(50), -- NULL = any subject
+    topic VARCHAR(100), -- required for topic sessions; optional filter for mistake replays
+    total_questions INTEGER NOT NULL CHECK (total_questions >= 1 AND total_questions <= 50),
+    questions_attempted INTEGER NOT NULL DEFAULT 0 CHECK (questions_attempted >= 0),
+    correct_answers INTEGER NOT NULL DEFAULT 0 CHECK (correct_answers >= 0),
+    accuracy_percentage DECIMAL(5,2) NOT NULL DEFAULT 0.00 CHECK (accuracy_percentage >= 0 AND accuracy_percentage <= 100),
+    xp_earned INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'abandoned')),
+    session_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+    CHECK (questions_attempted <= total_questions AND correct_answers <= questions_attempted),
+    CONSTRAINT practice_sessions_topic_check CHECK (session_type = 'mistakes' OR topic IS NOT NULL)
+);
+
+CREATE INDEX idx_practice_sessions_phone ON practice_sessions(phone, started_at DESC);
+
+-- ============================================
+-- Table 21: practice_session_questions (Question set and answers per practice session)
+-- ============================================
+CREATE TABLE practice_session_questions (
+    session_id INTEGER NOT NULL,
+    position INTEGER NOT NULL, -- order shown in this session (1-based)
+    question_id INTEGER NOT NULL,
+    option_order SMALLINT[] NOT NULL, -- option_order[n] = stored option number shown at position n
+    user_answer INTEGER CHECK (user_answer >= 1 AND user_answer <= 4), -- stored option number; NULL = not answered yet
+    is_correct BOOLEAN,
+    time_taken_seconds INTEGER,
+    xp_earned INTEGER NOT NULL DEFAULT 0,
+    answered_at TIMESTAMP,
+    PRIMARY KEY (session_id, position),
+    UNIQUE (session_id, question_id),
+    FOREIGN KEY (session_id) REFERENCES practice_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (question_id) REFERENCES questions(sl) ON DELETE CASCADE
+);
+
+-- ============================================
+-- Table 22: mistake_deck (Wrongly answered questions scheduled for spaced review)
+-- ============================================
+CREATE TABLE mistake_deck (
+    phone VARCHAR(15) NOT NULL,
+    question_id INTEGER NOT NULL,
+    times_wrong INTEGER NOT NULL DEFAULT 1,
+    review_stage INTEGER NOT NULL DEFAULT 0 CHECK (review_stage >= 0), -- correct replays so far (spaced repetition step)
+    next_review_at TIMESTAMP NOT NULL, -- IST; due when <= now
+    last_wrong_at TIMESTAMP NOT NULL,
+    last_reviewed_at TIMESTAMP,
+    mastered_at TIMESTAMP, -- set after the last review interval is passed; NULL = still in the deck
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (phone, question_id),
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+    FOREIGN KEY (question_id) REFERENCES questions(sl) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_mistake_deck_due ON mistake_deck(phone, next_review_at) WHERE mastered_at IS NULL;
+
+-- ============================================
+-- Table 23: mock_tests (JNVST-style mock test papers)
+-- ============================================
+CREATE TABLE mock_tests (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    marks_per_correct DECIMAL(5,2) NOT NULL DEFAULT 1.00 CHECK (marks_per_correct > 0),
+    negative_marking_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    negative_marks_per_wrong DECIMAL(5,2) NOT NULL DEFAULT 0.25 CHECK (negative_marks_per_wrong >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- Table 24: mock_test_sections (Timed sections of a paper, played in order)
+-- ============================================
+CREATE TABLE mock_test_sections (
+    id SERIAL PRIMARY KEY,
+    mock_test_id INTEGER NOT NULL,
+    section_order INTEGER NOT NULL CHECK (section_order >= 1),
+    title VARCHAR(100) NOT NULL,
+    subject VARCHAR(50) NOT NULL, -- questions.subject to draw from
+    topic VARCHAR(100), -- optional narrower filter
+    difficulty VARCHAR(20) CHECK (difficulty IN ('easy', 'medium', 'hard')), -- NULL = any
+    question_count INTEGER NOT NULL CHECK (question_count >= 1 AND question_count <= 100),
+    duration_seconds INTEGER NOT NULL CHECK (duration_seconds >= 60 AND duration_seconds <= 7200),
+    FOREIGN KEY (mock_test_id) REFERENCES mock_tests(id) ON DELETE CASCADE,
+    CONSTRAINT mock_test_sections_order_unique UNIQUE (mock_test_id, section_order) DEFERRABLE INITIALLY DEFERRED
+);
+
+-- ============================================
+-- Table 25: mock_test_attempts (Kept apart from level_attempts)
+-- ============================================
+CREATE TABLE mock_test_attempts (
+    id SERIAL PRIMARY KEY,
+    mock_test_id INTEGER NOT NULL,
+    phone VARCHAR(15) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+    current_section_order INTEGER NOT NULL DEFAULT 1,
+    total_questions INTEGER NOT NULL CHECK (total_questions >= 1),
+    correct_answers INTEGER NOT NULL DEFAULT 0,
+    wrong_answers INTEGER NOT NULL DEFAULT 0,
+    unanswered INTEGER NOT NULL DEFAULT 0,
+    score DECIMAL(7,2) NOT NULL DEFAULT 0, -- can be negative with negative marking
+    max_score DECIMAL(7,2) NOT NULL,
+    accuracy_percentage DECIMAL(5,2) NOT NULL DEFAULT 0.00, -- correct / answered
+    marks_per_correct DECIMAL(5,2) NOT NULL, -- scoring rules copied from the paper at start
+    negative_marks_per_wrong DECIMAL(5,2) NOT NULL DEFAULT 0, -- 0 = no negative marking
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (mock_test_id) REFERENCES mock_tests(id) ON DELETE CASCADE,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_mock_attempts_test_status ON mock_test_attempts(mock_test_id, status);
+CREATE INDEX idx_mock_attempts_phone ON mock_test_attempts(phone, started_at DESC);
+
+-- ============================================
+-- Table 26: mock_test_attempt_sections (Per-section timer and score of an attempt)
+-- ============================================
+CREATE TABLE mock_test_attempt_sections (
+    attempt_id INTEGER NOT NULL,
+    section_order INTEGER NOT NULL,
+    title VARCHAR(100) NOT NULL,
+    duration_seconds INTEGER NOT NULL,
+    total_questions INTEGER NOT NULL,
+    started_at TIMESTAMP, -- NULL until the section is reached
+    expires_at TIMESTAMP, -- IST deadline
+    completed_at TIMESTAMP,
+    correct_answers INTEGER NOT NULL DEFAULT 0,
+    wrong_answers INTEGER NOT NULL DEFAULT 0,
+    unanswered INTEGER NOT NULL DEFAULT 0,
+    score DECIMAL(7,2) NOT NULL DEFAULT 0,
+    accuracy_percentage DECIMAL(5,2) NOT NULL DEFAULT 0.00,
+    PRIMARY KEY (attempt_id, section_order),
+    FOREIGN KEY (attempt_id) REFERENCES mock_test_attempts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_mock_attempt_sections_expiry ON mock_test_attempt_sections(expires_at) WHERE completed_at IS NULL;
+
+-- ============================================
+-- Table 27: mock_test_attempt_questions (Drawn questions and answers of an attempt)
+-- ============================================
+CREATE TABLE mock_test_attempt_questions (
+    attempt_id INTEGER NOT NULL,
+    section_order INTEGER NOT NULL,
+    position INTEGER NOT NULL, -- order within the section (1-based)
+    question_id INTEGER NOT NULL,
+    option_order SMALLINT[] NOT NULL, -- option_order[n] = stored option number shown at position n
+    user_answer INTEGER CHECK (user_answer >= 1 AND user_answer <= 4), -- stored option number; NULL = unanswered
+    is_correct BOOLEAN,
+    answered_at TIMESTAMP,
+    PRIMARY KEY (attempt_id, section_order, position),
+    UNIQUE (attempt_id, question_id),
+    FOREIGN KEY (attempt_id, section_order) REFERENCES mock_test_attempt_sections(attempt_id, section_order) ON DELETE CASCADE,
+    FOREIGN KEY (question_id) REFERENCES questions(sl) ON DELETE CASCADE
+);
+
+-- ============================================
+-- Table 28: attempt_flags (Level attempts flagged by anti-cheat scoring)
+-- ============================================
+CREATE TABLE attempt_flags (
+    id SERIAL PRIMARY KEY,
+    attempt_id INTEGER NOT NULL UNIQUE,
+    phone VARCHAR(15) NOT NULL,
+    level INTEGER NOT NULL,
+    attempt_date DATE NOT NULL, -- IST day the attempt was completed (leaderboard exclusion applies to this day)
+    suspicion_score SMALLINT NOT NULL CHECK (suspicion_score >= 0 AND suspicion_score <= 100),
+    signals JSONB NOT NULL DEFAULT '{}', -- breakdown: fast answers, answer pattern, rare-correct answers
+    status VARCHAR(20) NOT NULL CHECK (status IN ('pending_review', 'auto_flagged', 'confirmed', 'cleared')),
+    withhold_xp BOOLEAN NOT NULL DEFAULT FALSE, -- actions copied from app_config when flagged
+    exclude_from_leaderboard BOOLEAN NOT NULL DEFAULT FALSE,
+    xp_withheld INTEGER NOT NULL DEFAULT 0, -- base + video bonus held back; credited if the flag is cleared
+    review_note TEXT,
+    reviewed_by VARCHAR(255),
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (attempt_id) REFERENCES level_attempts(id) ON DELETE CASCADE,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_attempt_flags_status ON attempt_flags(status, suspicion_score DESC);
+CREATE INDEX idx_attempt_flags_phone_date ON attempt_flags(phone, attempt_date);
+
+-- ============================================
+-- Table 29: xp_transactions (Append-only XP ledger)
+-- ============================================
+CREATE TABLE xp_transactions (
+    id BIGSERIAL PRIMARY KEY,
+    phone VARCHAR(15) NOT NULL,
+    amount INTEGER NOT NULL, -- signed: negative for resets and downward admin edits
+    source_type VARCHAR(30) NOT NULL CHECK (source_type IN (
+        'level_complete', 'video_bonus', 'practice', 'referral', 'anti_cheat_release',
+        'admin_adjustment', 'admin_reset', 'opening_balance', 'achievement', 'streak_repair', 'streak_milestone',
+        'daily_mission', 'power_up'
+    )),
+    reference_id INTEGER, -- level_attempts / practice_sessions / referral_tracking / attempt_flags / achievements / streak_repairs / streak_milestone_rewards / user_daily_missions / attempt_power_ups id, by source
+    xp_date DATE, -- IST day the amount was added to daily_xp_summary (NULL = xp_total only)
+    rule_version INTEGER, -- xp_rule_versions.id that computed the amount (NULL for admin entries)
+    note VARCHAR(255), -- admin email for admin entries
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_xp_transactions_phone ON xp_transactions(phone, id DESC);
+CREATE INDEX idx_xp_transactions_phone_date ON xp_transactions(phone, xp_date) WHERE xp_date IS NOT NULL;
+
+-- ============================================
+-- Table 30: xp_rule_versions (XP rules; the newest version is active)
+-- ============================================
+CREATE TABLE xp_rule_versions (
+    id SERIAL PRIMARY KEY,
+    rules JSONB NOT NULL, -- per-correct XP by attempt, speed/combo bonuses, level multipliers, video multiplier, referral bonus, caps, events
+    note VARCHAR(255),
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO xp_rule_versions (rules, note) VALUES ('{
+    "per_correct_by_attempt": [5, 1],
+    "speed_bonus": {"enabled": false, "max_seconds": 5, "xp_per_answer": 1},
+    "combo_bonus": {"enabled": false, "every": 5, "xp": 5},
+    "level_multipliers": [],
+    "video_multiplier": 2,
+    "referral_bonus_xp": 50,
+    "max_xp_per_attempt": null,
+    "daily_level_xp_cap": null,
+    "events": []
+}', 'Initial rules');
+
+-- ============================================
+-- Table 31: daily_rank_freezes (days whose final ranks are stored in daily_xp_summary.daily_rank)
+-- ============================================
+CREATE TABLE daily_rank_freezes (
+    date DATE PRIMARY KEY,
+    ranked_users INTEGER NOT NULL DEFAULT 0,
+    frozen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- Table 32: achievements (admin-managed badge definitions)
+-- ============================================
+CREATE TABLE achievements (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255),
+    icon_url VARCHAR(500),
+    metric VARCHAR(30) NOT NULL CHECK (metric IN (
+        'levels_completed', 'perfect_levels', 'correct_answers', 'streak_days',
+        'referrals', 'total_xp', 'reels_watched', 'reels_hearted_in_category'
+    )),
+    target INTEGER CHECK (target >= 1), -- NULL only for reels_hearted_in_category (= every active reel in the category)
+    reel_category VARCHAR(50), -- reels_hearted_in_category only
+    xp_reward INTEGER NOT NULL DEFAULT 0 CHECK (xp_reward >= 0),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (target IS NOT NULL OR metric = 'reels_hearted_in_category'),
+    CHECK (reel_category IS NOT NULL OR metric <> 'reels_hearted_in_category')
+);
+
+INSERT INTO achievements (code, name, description, metric, target, reel_category, xp_reward, sort_order) VALUES
+    ('first_level', 'First Steps', 'Complete your first level', 'levels_completed', 1, NULL, 10, 1),
+    ('perfect_level', 'Perfectionist', 'Answer every question in a level correctly', 'perfect_levels', 1, NULL, 20, 2),
+    ('levels_10', 'Climber', 'Complete 10 levels', 'levels_completed', 10, NULL, 50, 3),
+    ('correct_100', 'Sharp Mind', 'Answer 100 questions correctly', 'correct_answers', 100, NULL, 50, 4),
+    ('streak_7', 'On Fire', 'Keep a 7-day streak', 'streak_days', 7, NULL, 50, 5),
+    ('streak_30', 'Unstoppable', 'Keep a 30-day streak', 'streak_days', 30, NULL, 200, 6),
+    ('referrals_10', 'Team Builder', 'Refer 10 friends', 'referrals', 10, NULL, 100, 7),
+    ('reels_education_all', 'Reel Fan', 'Heart every education reel', 'reels_hearted_in_category', NULL, 'education', 20, 8);
+
+-- ============================================
+-- Table 33: user_achievements (badges earned, once per user)
+-- ============================================
+CREATE TABLE user_achievements (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(15) NOT NULL,
+    achievement_id INTEGER NOT NULL,
+    xp_awarded INTEGER NOT NULL DEFAULT 0,
+    earned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+    FOREIGN KEY (achievement_id) REFERENCES achievements(id), -- earned badges keep their definition (deactivate instead)
+    UNIQUE (phone, achievement_id)
+);
+
+CREATE INDEX idx_user_achievements_achievement ON user_achievements(achievement_id);
+
+-- ============================================
+-- Table 34: streak_freeze_history (freezes earned, rewarded and used)
+-- ============================================
+CREATE TABLE streak_freeze_history (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(15) NOT NULL,
+    change INTEGER NOT NULL, -- +1 earned, +N milestone reward, -1 used
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('earned', 'used', 'milestone')),
+    covered_date DATE, -- missed IST day the freeze kept the streak alive (used only)
+    streak_days INTEGER NOT NULL, -- streak at the time
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_streak_freeze_history_phone ON streak_freeze_history(phone, id DESC);
+
+-- ============================================
+-- Table 35: streak_repairs (broken streaks restored by video or XP)
+-- ============================================
+CREATE TABLE streak_repairs (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(15) NOT NULL,
+    method VARCHAR(10) NOT NULL CHECK (method IN ('video', 'xp')),
+    restored_streak INTEGER NOT NULL, -- streak lost on the break
+    new_streak INTEGER NOT NULL, -- streak after the repair (lost streak + days played since)
+    xp_spent INTEGER NOT NULL DEFAULT 0,
+    video_id INTEGER, -- promotional_videos.id (video only)
+    watch_duration_seconds INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_streak_repairs_phone ON streak_repairs(phone);
+
+-- ============================================
+-- Table 36: streak_milestone_rewards (streak milestones rewarded, once per user)
+-- ============================================
+CREATE TABLE streak_milestone_rewards (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(15) NOT NULL,
+    days INTEGER NOT NULL, -- app_config.streak_milestones[].days
+    xp_awarded INTEGER NOT NULL DEFAULT 0,
+    freezes_awarded INTEGER NOT NULL DEFAULT 0,
+    lifelines_awarded INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+    UNIQUE (phone, days)
+);
+
+-- ============================================
+-- Table 37: mission_templates (admin-managed daily mission definitions)
+-- ============================================
+CREATE TABLE mission_templates (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    title VARCHAR(100) NOT NULL,
+    description VARCHAR(255),
+    metric VARCHAR(30) NOT NULL CHECK (metric IN (
+        'questions_answered', 'correct_answers', 'levels_completed', 'perfect_levels',
+        'reels_watched', 'videos_watched', 'xp_earned', 'streak_kept'
+    )),
+    target INTEGER NOT NULL CHECK (target >= 1), -- counted within one IST day
+    xp_reward INTEGER NOT NULL DEFAULT 0 CHECK (xp_reward >= 0),
+    lifeline_reward INTEGER NOT NULL DEFAULT 0 CHECK (lifeline_reward >= 0), -- wallet lifelines (wallet mode only)
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO mission_templates (code, title, description, metric, target, xp_reward, sort_order) VALUES
+    ('answer_20', 'Quiz Warm-up', 'Answer 20 questions', 'questions_answered', 20, 15, 1),
+    ('correct_10', 'Sharp Shooter', 'Answer 10 questions correctly', 'correct_answers', 10, 15, 2),
+    ('levels_2', 'Level Up', 'Complete 2 levels', 'levels_completed', 2, 20, 3),
+    ('perfect_1', 'Flawless', 'Complete a level with every answer correct', 'perfect_levels', 1, 25, 4),
+    ('reels_3', 'Reel Time', 'Watch 3 reels', 'reels_watched', 3, 10, 5),
+    ('streak_keep', 'Keep the Flame', 'Keep your streak going today', 'streak_kept', 1, 10, 6);
+
+-- ============================================
+-- Table 38: user_daily_missions (missions handed out per user per IST day)
+-- ============================================
+CREATE TABLE user_daily_missions (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(15) NOT NULL,
+    mission_date DATE NOT NULL, -- IST day
+    template_id INTEGER NOT NULL,
+    target INTEGER NOT NULL, -- copied from the template when handed out
+    xp_reward INTEGER NOT NULL DEFAULT 0, -- copied from the template when handed out
+    lifeline_reward INTEGER NOT NULL DEFAULT 0, -- copied from the template when handed out
+    claimed_at TIMESTAMP,
+    xp_awarded INTEGER NOT NULL DEFAULT 0,
+    lifelines_awarded INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+    FOREIGN KEY (template_id) REFERENCES mission_templates(id), -- handed-out missions keep their template (deactivate instead)
+    UNIQUE (phone, mission_date, template_id)
+);
+
+CREATE INDEX idx_user_daily_missions_template ON user_daily_missions(template_id);
+
+-- ============================================
+-- Table 39: leagues (weekly league groups per tier)
+-- ============================================
+CREATE TABLE leagues (
+    id SERIAL PRIMARY KEY,
+    week_start DATE NOT NULL, -- IST Monday
+    tier INTEGER NOT NULL CHECK (tier >= 1 AND tier <= 5), -- 1 Bronze, 2 Silver, 3 Gold, 4 Platinum, 5 Diamond
+    group_number INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finalized_at TIMESTAMP, -- set when the week's final ranks and moves are recorded
+    UNIQUE (week_start, tier, group_number)
+);
+
+CREATE INDEX idx_leagues_open ON leagues(week_start) WHERE finalized_at IS NULL;
+
+-- ============================================
+-- Table 40: league_members (users in a weekly league group, with their result)
+-- ============================================
+CREATE TABLE league_members (
+    id SERIAL PRIMARY KEY,
+    league_id INTEGER NOT NULL,
+    phone VARCHAR(15) NOT NULL,
+    week_start DATE NOT NULL, -- copied from leagues (one group per user per week)
+    activity_score INTEGER NOT NULL DEFAULT 0, -- XP in the week before joining, used to group similar users
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    final_xp INTEGER, -- set when the group is finalized
+    final_rank INTEGER,
+    result VARCHAR(10) CHECK (result IN ('promoted', 'demoted', 'stayed')),
+    next_tier INTEGER, -- tier for the user's next league
+    FOREIGN KEY (league_id) REFERENCES leagues(id) ON DELETE CASCADE,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE,
+    UNIQUE (phone, week_start)
+);
+
+CREATE INDEX idx_league_members_league ON league_members(league_id);
+
+-- ============================================
+-- Table 41: lifeline_wallets (account-level lifelines, used in wallet mode)
+-- ============================================
+CREATE TABLE lifeline_wallets (
+    phone VARCHAR(15) PRIMARY KEY,
+    balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+    last_refill_date DATE, -- IST day of the last daily top-up
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+);
+
+-- ============================================
+-- Table 42: lifeline_transactions (ledger of every wallet change)
+-- ============================================
+CREATE TABLE lifeline_transactions (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(15) NOT NULL,
+    change INTEGER NOT NULL, -- positive = earned, negative = used
+    balance_after INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('daily_refill', 'wrong_answer', 'mission', 'streak_milestone', 'referral', 'power_up')),
+    reference_id INTEGER, -- level_attempts / user_daily_missions / streak_milestone_rewards / referral_tracking / attempt_power_ups id
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_lifeline_transactions_phone ON lifeline_transactions(phone, id DESC);
+
+-- ============================================
+-- Table 43: attempt_power_ups (50-50, skip and extra time used in level attempts)
+-- ============================================
+CREATE TABLE attempt_power_ups (
+    id SERIAL PRIMARY KEY,
+    attempt_id INTEGER NOT NULL,
+    phone VARCHAR(15) NOT NULL,
+    power_up VARCHAR(20) NOT NULL CHECK (power_up IN ('fifty_fifty', 'skip', 'extra_time')),
+    question_id INTEGER, -- question it was used on (NULL for extra_time)
+    replacement_question_id INTEGER, -- skip: question drawn in its place
+    removed_options SMALLINT[], -- fifty_fifty: stored option numbers taken away
+    seconds_added INTEGER, -- extra_time
+    payment VARCHAR(10) NOT NULL CHECK (payment IN ('video', 'xp', 'lifelines')),
+    cost INTEGER NOT NULL DEFAULT 0, -- XP or wallet lifelines spent (0 for video)
+    video_id INTEGER,
+    watch_duration_seconds INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (attempt_id) REFERENCES level_attempts(id) ON DELETE CASCADE,
+    FOREIGN KEY (phone) REFERENCES users_profile(phone) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_attempt_power_ups_attempt ON attempt_power_ups(attempt_id);
+
 -- ============================================
 -- Success Message
 -- ============================================
 DO $$
 BEGIN
-    RAISE NOTICE 'Database schema created successfully with 18 tables!';
+    RAISE NOTICE 'Database schema created successfully with 43 tables!';
     RAISE NOTICE '✓ app_config (configurable settings)';
     RAISE NOTICE '✓ users_profile';
     RAISE NOTICE '✓ referral_tracking';
@@ -485,4 +1092,29 @@ BEGIN
     RAISE NOTICE '✓ user_reel_progress (viewing tracking)';
     RAISE NOTICE '✓ quiz_levels (level metadata)';
     RAISE NOTICE '✓ levels_version (version tracking)';
+    RAISE NOTICE '✓ level_attempt_questions (drawn question set per attempt)';
+    RAISE NOTICE '✓ practice_sessions (topic practice history)';
+    RAISE NOTICE '✓ practice_session_questions (practice question sets and answers)';
+    RAISE NOTICE '✓ mistake_deck (spaced review of wrong answers)';
+    RAISE NOTICE '✓ mock_tests (mock test papers)';
+    RAISE NOTICE '✓ mock_test_sections (timed sections per paper)';
+    RAISE NOTICE '✓ mock_test_attempts (mock test results)';
+    RAISE NOTICE '✓ mock_test_attempt_sections (per-section timer and score)';
+    RAISE NOTICE '✓ mock_test_attempt_questions (drawn questions and answers)';
+    RAISE NOTICE '✓ attempt_flags (anti-cheat flags and review)';
+    RAISE NOTICE '✓ xp_transactions (append-only XP ledger)';
+    RAISE NOTICE '✓ xp_rule_versions (versioned XP rules)';
+    RAISE NOTICE '✓ daily_rank_freezes (frozen daily ranks)';
+    RAISE NOTICE '✓ achievements (badge definitions)';
+    RAISE NOTICE '✓ user_achievements (earned badges)';
+    RAISE NOTICE '✓ streak_freeze_history (freezes earned and used)';
+    RAISE NOTICE '✓ streak_repairs (restored streaks)';
+    RAISE NOTICE '✓ streak_milestone_rewards (milestones rewarded)';
+    RAISE NOTICE '✓ mission_templates (daily mission definitions)';
+    RAISE NOTICE '✓ user_daily_missions (missions handed out and claimed)';
+    RAISE NOTICE '✓ leagues (weekly league groups)';
+    RAISE NOTICE '✓ league_members (league standings and results)';
+    RAISE NOTICE '✓ lifeline_wallets (account-level lifelines)';
+    RAISE NOTICE '✓ lifeline_transactions (lifeline wallet ledger)';
+    RAISE NOTICE '✓ attempt_power_ups (power-ups used in level attempts)';
 END $$;
@@ -1,5 +1,10 @@
 const app = require('./src/app');
 const { startAutoUpdateJob } = require('./src/services/onlineUsersService');
+const { startAttemptTimeoutJob, startStaleAttemptJob } = require('./src/services/levelAttemptService');
+const { startMockTestTimeoutJob } = require('./src/services/mockAttemptService');
+const { startLeaderboardSyncJob, startDailyRankFreezeJob } = require('./src/services/leaderboardService');
+const { startStreakAtRiskJob } = require('./src/services/streakService');
+const { startLeagueRolloverJob } = require('./src/services/leagueService');
 const { connect: connectRedis, disconnect: disconnectRedis } = require('./src/config/redis');
 require('dotenv').config();
 
@@ -29,6 +34,13 @@ const server = app.listen(PORT, async () => {
   if (isPrimaryWorker) {
     console.log('Starting background jobs (primary worker)...\n');
     startAutoUpdateJob();
+    startAttemptTimeoutJob();
+    startStaleAttemptJob();
+    startMockTestTimeoutJob();
+    startLeaderboardSyncJob();
+    startDailyRankFreezeJob();
+    startStreakAtRiskJob();
+    startLeagueRolloverJob();
   } else {
     console.log('Skipping background jobs (handled by primary worker)\n');
   }
@@ -0,0 +1,266 @@
+const {
+  ACHIEVEMENT_METRICS,
+  getAllAchievementsAdmin,
+  getAchievementById,
+  getAchievementEarnedCount,
+  createAchievement,
+  updateAchievement,
+  toggleAchievement,
+  deleteAchievement,
+  getReelCategories
+} = require('../services/achievementService');
+
+/**
+ * Read the badge fields from the form
+ * @param {Object} body - Request body
+ * @returns {Object} {data, error}
+ */
+function parseAchievementForm(body) {
+  const code = (body.code || '').trim().toLowerCase();
+  const name = (body.name || '').trim();
+
+  if (!/^[a-z0-9_]{2,50}$/.test(code)) {
+    return { data: null, error: 'Code must be 2-50 lowercase letters, digits or underscores' };
+  }
+  if (!name) {
+    return { data: null, error: 'Name is required' };
+  }
+
+  const metric = String(body.metric || '');
+  if (!ACHIEVEMENT_METRICS[metric]) {
+    return { data: null, error: 'Choose what the badge tracks' };
+  }
+
+  const reelCategory = body.reel_category ? String(body.reel_category).trim() : '';
+  if (metric === 'reels_hearted_in_category' && !reelCategory) {
+    return { data: null, error: 'Choose the reel category' };
+  }
+
+  // Category badges may leave the target blank: every active reel in the category
+  let target = null;
+  if (body.target !== undefined && String(body.target).trim() !== '') {
+    target = parseInt(body.target);
+    if (isNaN(target) || target < 1) {
+      return { data: null, error: 'Target must be at least 1' };
+    }
+  } else if (metric !== 'reels_hearted_in_category') {
+    return { data: null, error: 'Target is required' };
+  }
+
+  const xpReward = body.xp_reward !== undefined && String(body.xp_reward).trim() !== ''
+    ? parseInt(body.xp_reward)
+    : 0;
+  if (isNaN(xpReward) || xpReward < 0 || xpReward > 10000) {
+    return { data: null, error: 'XP reward must be between 0 and 10000' };
+  }
+
+  return {
+    data: {
+      code,
+      name,
+      description: body.description ? body.description.trim() : null,
+      icon_url: body.icon_url ? body.icon_url.trim() : null,
+      metric,
+      target,
+      reel_category: metric === 'reels_hearted_in_category' ? reelCategory : null,
+      xp_reward: xpReward,
+      sort_order: parseInt(body.sort_order) || 0,
+      is_active: body.is_active === 'on' || body.is_active === true
+    },
+    error: null
+  };
+}
+
+/**
+ * Render the create/edit form
+ */
+async function renderAchievementForm(req, res, { achievement, earnedCount = 0, error = null }) {
+  res.render('achievement-form', {
+    admin: req.session.adminUser,
+    achievement,
+    earnedCount,
+    metrics: ACHIEVEMENT_METRICS,
+    reelCategories: await getReelCategories(),
+    error
+  });
+}
+
+/**
+ * GET /admin/achievements
+ * Show all badge definitions
+ */
+async function showAchievements(req, res) {
+  try {
+    const achievements = await getAllAchievementsAdmin();
+
+    res.render('achievements-list', {
+      admin: req.session.adminUser,
+      achievements,
+      metrics: ACHIEVEMENT_METRICS,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+
+  } catch (err) {
+    console.error('Show achievements error:', err);
+    res.status(500).send('Error loading achievements');
+  }
+}
+
+/**
+ * GET /admin/achievements/create
+ * Show create badge form
+ */
+async function showCreateAchievement(req, res) {
+  try {
+    await renderAchievementForm(req, res, { achievement: null });
+  } catch (err) {
+    console.error('Show create achievement error:', err);
+    res.status(500).send('Error loading create form');
+  }
+}
+
+/**
+ * POST /admin/achievements/create
+ * Create badge
+ */
+async function createAchievementHandler(req, res) {
+  try {
+    const { data, error } = parseAchievementForm(req.body);
+    if (error) {
+      return renderAchievementForm(req, res, { achievement: { ...req.body, id: null }, error });
+    }
+
+    await createAchievement(data);
+
+    res.redirect('/admin/achievements?message=Achievement+created+successfully');
+
+  } catch (err) {
+    if (err.code === '23505') {
+      return renderAchievementForm(req, res, { achievement: { ...req.body, id: null }, error: 'Another achievement already uses this code' });
+    }
+    console.error('Create achievement error:', err);
+    res.status(500).send('Error creating achievement: ' + err.message);
+  }
+}
+
+/**
+ * GET /admin/achievements/:id/edit
+ * Show edit badge form
+ */
+async function showEditAchievement(req, res) {
+  try {
+    const achievement = await getAchievementById(parseInt(req.params.id));
+
+    if (!achievement) {
+      return res.redirect('/admin/achievements?error=Achievement+not+found');
+    }
+
+    await renderAchievementForm(req, res, {
+      achievement,
+      earnedCount: await getAchievementEarnedCount(achievement.id)
+    });
+
+  } catch (err) {
+    console.error('Show edit achievement error:', err);
+    res.status(500).send('Error loading achievement');
+  }
+}
+
+/**
+ * POST /admin/achievements/:id/update
+ * Update badge
+ * Users who already earned it keep it (and its XP) whatever the new target
+ */
+async function updateAchievementHandler(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+    const achievement = await getAchievementById(id);
+
+    if (!achievement) {
+      return res.redirect('/admin/achievements?error=Achievement+not+found');
+    }
+
+    const earnedCount = await getAchievementEarnedCount(id);
+    const { data, error } = parseAchievementForm(req.body);
+    if (error) {
+      return renderAchievementForm(req, res, { achievement: { ...req.body, id }, earnedCount, error });
+    }
+
+    await updateAchievement(id, data);
+
+    res.redirect('/admin/achievements?message=Achievement+updated+successfully');
+
+  } catch (err) {
+    if (err.code === '23505') {
+      return renderAchievementForm(req, res, {
+        achievement: { ...req.body, id: parseInt(req.params.id) },
+        error: 'Another achievement already uses this code'
+      });
+    }
+    console.error('Update achievement error:', err);
+    res.status(500).send('Error updating achievement: ' + err.message);
+  }
+}
+
+/**
+ * POST /admin/achievements/:id/toggle
+ * Toggle badge active status
+ */
+async function toggleAchievementHandler(req, res) {
+  try {
+    const achievement = await toggleAchievement(parseInt(req.params.id));
+
+    if (!achievement) {
+      return res.status(404).json({ success: false, error: 'Achievement not found' });
+    }
+
+    res.json({
+      success: true,
+      is_active: achievement.is_active,
+      message: `Achievement ${achievement.is_active ? 'activated' : 'deactivated'}`
+    });
+
+  } catch (err) {
+    console.error('Toggle achievement error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /admin/achievements/:id/delete
+ * Delete badge (only while nobody has earned it)
+ */
+async function deleteAchievementHandler(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (await getAchievementEarnedCount(id) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Users have earned this achievement, so it cannot be deleted. Deactivate it instead.'
+      });
+    }
+
+    const deleted = await deleteAchievement(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Achievement not found' });
+    }
+
+    res.json({ success: true, message: 'Achievement deleted successfully' });
+
+  } catch (err) {
+    console.error('Delete achievement error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+module.exports = {
+  showAchievements,
+  showCreateAchievement,
+  createAchievementHandler,
+  showEditAchievement,
+  updateAchievementHandler,
+  toggleAchievementHandler,
+  deleteAchievementHandler
+};
@@ -6,8 +6,12 @@ const { Readable } = require('stream');
 const { uploadFile } = require('../services/uploadService');
 const { updateOnlineConfig, getOnlineConfig } = require('../services/onlineUsersService');
 const { parseCSV, getQuestionColumns, mapRowsToDatabase, validateMappedRows } = require('../services/csvService');
+const { getLevelDefaults } = require('../services/levelsService');
+const { recordXPTransaction, getXPReconciliation } = require('../services/xpLedgerService');
+const { getActiveXPRules, getXPRuleHistory, saveXPRules } = require('../services/xpRulesService');
 const whatsappOtpService = require('../services/whatsappOtpService');
 const { encrypt, decrypt, isUsingDefaultKey } = require('../utils/encryption');
+const { normalizeDistrict, normalizeState } = require('../utils/location');
 
 // Multer setup
 const upload = multer({ storage: multer.memoryStorage() });
@@ -367,12 +371,18 @@ async function showConfig(req, res) {
     // Get WhatsApp OTP service status
     const whatsappStatus = whatsappOtpService.getStatus();
 
+    const xpRules = await getActiveXPRules();
+    const xpRuleHistory = await getXPRuleHistory();
+
     res.render('config', {
       admin: req.session.adminUser,
       appConfig: appConfigResult.rows[0],
       onlineConfig: onlineConfig,
       whatsappStatus: whatsappStatus,
-      message: null
+      xpRules,
+      xpRuleHistory,
+      message: req.query.message || null,
+      error: req.query.error || null
     });
 
   } catch (err) {
@@ -401,9 +411,47 @@ async function updateConfig(req, res) {
       active_minutes_threshold,
       event_webhook_enabled,
       event_webhook_url,
-      event_webhook_events
+      event_webhook_events,
+      legacy_answer_key_enabled,
+      questions_per_level,
+      unlock_accuracy_percent,
+      max_level,
+      practice_questions_per_session,
+      practice_xp_per_correct,
+      practice_daily_xp_cap,
+      stale_attempt_idle_minutes,
+      anti_cheat_enabled,
+      anti_cheat_flag_threshold,
+      anti_cheat_min_answer_seconds,
+      anti_cheat_withhold_xp,
+      anti_cheat_exclude_leaderboard,
+      anti_cheat_queue_review,
+      streak_freeze_earn_days,
+      streak_freeze_max,
+      streak_repair_hours,
+      streak_repair_xp_cost,
+      streak_milestones,
+      streak_at_risk_hour,
+      daily_missions_count,
+      league_group_size,
+      league_promote_count,
+      league_demote_count,
+      lifeline_mode,
+      lifelines_per_quiz,
+      lifeline_wallet_daily_refill,
+      referral_lifeline_reward
     } = req.body;
 
+    const powerUps = parsePowerUpsForm(req.body);
+    if (powerUps.error) {
+      return res.redirect('/admin/config?error=' + encodeURIComponent(powerUps.error) + '#power-ups');
+    }
+
+    const milestones = parseStreakMilestones(streak_milestones);
+    if (milestones.error) {
+      return res.redirect('/admin/config?error=' + encodeURIComponent(milestones.error) + '#streaks');
+    }
+
     // Normalize event_webhook_events to array
     let eventsArray = [];
     if (event_webhook_events) {
@@ -422,6 +470,35 @@ async function updateConfig(req, res) {
         event_webhook_enabled = $7,
         event_webhook_url = $8,
         event_webhook_events = $9,
+        legacy_answer_key_enabled = $10,
+        questions_per_level = $11,
+        unlock_accuracy_percent = $12,
+        max_level = $13,
+        practice_questions_per_session = $14,
+        practice_xp_per_correct = $15,
+        practice_daily_xp_cap = $16,
+        stale_attempt_idle_minutes = $17,
+        anti_cheat_enabled = $18,
+        anti_cheat_flag_threshold = $19,
+        anti_cheat_min_answer_seconds = $20,
+        anti_cheat_withhold_xp = $21,
+        anti_cheat_exclude_leaderboard = $22,
+        anti_cheat_queue_review = $23,
+        streak_freeze_earn_days = $24,
+        streak_freeze_max = $25,
+        streak_repair_hours = $26,
+        streak_repair_xp_cost = $27,
+        streak_milestones = $28,
+        streak_at_risk_hour = $29,
+        daily_missions_count = $30,
+        league_group_size = $31,
+        league_promote_count = $32,
+        league_demote_count = $33,
+        lifeline_mode = $34,
+        lifelines_per_quiz = $35,
+        lifeline_wallet_daily_refill = $36,
+        referral_lifeline_reward = $37,
+        power_ups = $38,
         updated_at = NOW()
       WHERE id = 1
     `, [
@@ -433,7 +510,36 @@ async function updateConfig(req, res) {
       whatsapp_n8n_enabled === 'on',
       event_webhook_enabled === 'on',
       event_webhook_url || null,
-      eventsArray
+      eventsArray,
+      legacy_answer_key_enabled === 'on',
+      parseInt(questions_per_level) || 10,
+      isNaN(parseFloat(unlock_accuracy_percent)) ? 30 : parseFloat(unlock_accuracy_percent),
+      parseInt(max_level) || 100,
+      parseInt(practice_questions_per_session) || 10,
+      isNaN(parseInt(practice_xp_per_correct)) ? 1 : parseInt(practice_xp_per_correct),
+      isNaN(parseInt(practice_daily_xp_cap)) ? 20 : parseInt(practice_daily_xp_cap),
+      Math.min(10080, Math.max(10, parseInt(stale_attempt_idle_minutes) || 60)),
+      anti_cheat_enabled === 'on',
+      isNaN(parseInt(anti_cheat_flag_threshold)) ? 50 : Math.min(100, Math.max(0, parseInt(anti_cheat_flag_threshold))),
+      isNaN(parseFloat(anti_cheat_min_answer_seconds)) ? 2 : Math.min(30, Math.max(0, parseFloat(anti_cheat_min_answer_seconds))),
+      anti_cheat_withhold_xp === 'on',
+      anti_cheat_exclude_leaderboard === 'on',
+      anti_cheat_queue_review === 'on',
+      isNaN(parseInt(streak_freeze_earn_days)) ? 7 : Math.max(0, parseInt(streak_freeze_earn_days)),
+      isNaN(parseInt(streak_freeze_max)) ? 2 : Math.min(10, Math.max(0, parseInt(streak_freeze_max))),
+      isNaN(parseInt(streak_repair_hours)) ? 48 : Math.min(168, Math.max(0, parseInt(streak_repair_hours))),
+      isNaN(parseInt(streak_repair_xp_cost)) ? 50 : Math.max(0, parseInt(streak_repair_xp_cost)),
+      JSON.stringify(milestones.data),
+      isNaN(parseInt(streak_at_risk_hour)) ? 19 : Math.min(23, Math.max(0, parseInt(streak_at_risk_hour))),
+      Math.min(10, Math.max(1, parseInt(daily_missions_count) || 3)),
+      Math.min(100, Math.max(5, parseInt(league_group_size) || 30)),
+      isNaN(parseInt(league_promote_count)) ? 5 : Math.min(50, Math.max(0, parseInt(league_promote_count))),
+      isNaN(parseInt(league_demote_count)) ? 5 : Math.min(50, Math.max(0, parseInt(league_demote_count))),
+      lifeline_mode === 'wallet' ? 'wallet' : 'per_attempt',
+      Math.min(10, Math.max(1, parseInt(lifelines_per_quiz) || 3)),
+      isNaN(parseInt(lifeline_wallet_daily_refill)) ? 5 : Math.min(50, Math.max(0, parseInt(lifeline_wallet_daily_refill))),
+      isNaN(parseInt(referral_lifeline_reward)) ? 3 : Math.min(50, Math.max(0, parseInt(referral_lifeline_reward))),
+      JSON.stringify(powerUps.data)
     ]);
 
     // Clear event webhook config cache
@@ -471,12 +577,18 @@ async function updateConfig(req, res) {
     // Get WhatsApp OTP service status
     const whatsappStatus = whatsappOtpService.getStatus();
 
+    const xpRules = await getActiveXPRules();
+    const xpRuleHistory = await getXPRuleHistory();
+
     res.render('config', {
       admin: req.session.adminUser,
       appConfig: appConfigResult.rows[0],
       onlineConfig: onlineConfig,
       whatsappStatus: whatsappStatus,
-      message: 'Configuration updated successfully!'
+      xpRules,
+      xpRuleHistory,
+      message: 'Configuration updated successfully!',
+      error: null
     });
 
   } catch (err) {
@@ -485,6 +597,205 @@ async function updateConfig(req, res) {
   }
 }
 
+/**
+ * Read streak milestones from the config form
+ * One "days: rewards" per line, rewards comma-separated, e.g. "7: 25 XP, 1 freeze, 2 lifelines"
+ * @param {string} text - Textarea value
+ * @returns {Object} {data, error} with data sorted by days
+ */
+function parseStreakMilestones(text) {
+  const milestones = [];
+
+  for (const line of String(text || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+    const match = line.match(/^(\d+)\s*:\s*(.+)$/);
+    const milestone = { days: match ? parseInt(match[1]) : NaN, xp: 0, freezes: 0, lifelines: 0 };
+
+    for (const reward of match ? match[2].split(',').map(r => r.trim()).filter(Boolean) : []) {
+      const rewardMatch = reward.match(/^(\d+)\s*(xp|freezes?|lifelines?)$/i);
+      if (!rewardMatch) {
+        milestone.days = NaN;
+        break;
+      }
+      const unit = rewardMatch[2].toLowerCase();
+      const key = unit === 'xp' ? 'xp' : (unit.startsWith('freeze') ? 'freezes' : 'lifelines');
+      milestone[key] += parseInt(rewardMatch[1]);
+    }
+
+    if (isNaN(milestone.days) || milestone.days < 2 || (milestone.xp === 0 && milestone.freezes === 0 && milestone.lifelines === 0)) {
+      return { data: null, error: `Invalid streak milestone line "${line}" (use e.g. "7: 25 XP, 1 freeze, 2 lifelines")` };
+    }
+    if (milestones.some(m => m.days === milestone.days)) {
+      return { data: null, error: `Streak milestone for ${milestone.days} days is listed twice` };
+    }
+    if (milestone.xp > 10000 || milestone.freezes > 10 || milestone.lifelines > 50) {
+      return { data: null, error: `Streak milestone "${line}" is too large (max 10000 XP, 10 freezes and 50 lifelines)` };
+    }
+    milestones.push(milestone);
+  }
+
+  milestones.sort((a, b) => a.days - b.days);
+  return { data: milestones, error: null };
+}
+
+/**
+ * Read power-up limits and costs from the config form
+ * Fields are power_up_<type>_<setting>, e.g. power_up_skip_xp_cost
+ * @param {Object} body - Request body
+ * @returns {Object} {data, error} shaped like app_config.power_ups
+ */
+function parsePowerUpsForm(body) {
+  const labels = { fifty_fifty: '50-50', skip: 'Skip', extra_time: 'Extra time' };
+  const powerUps = {};
+
+  for (const [type, label] of Object.entries(labels)) {
+    const field = name => body[`power_up_${type}_${name}`];
+    const settings = {
+      per_attempt: parseInt(field('per_attempt')),
+      video: field('video') === 'on',
+      xp_cost: parseInt(field('xp_cost')),
+      lifeline_cost: parseInt(field('lifeline_cost'))
+    };
+
+    if (isNaN(settings.per_attempt) || settings.per_attempt < 0 || settings.per_attempt > 10) {
+      return { data: null, error: `${label}: uses per attempt must be from 0 to 10` };
+    }
+    if (isNaN(settings.xp_cost) || settings.xp_cost < 0 || settings.xp_cost > 10000) {
+      return { data: null, error: `${label}: XP cost must be from 0 to 10000` };
+    }
+    if (isNaN(settings.lifeline_cost) || settings.lifeline_cost < 0 || settings.lifeline_cost > 50) {
+      return { data: null, error: `${label}: lifeline cost must be from 0 to 50` };
+    }
+    if (settings.per_attempt > 0 && !settings.video && settings.xp_cost === 0 && settings.lifeline_cost === 0) {
+      return { data: null, error: `${label}: allow a video, an XP cost or a lifeline cost (or set uses to 0 to turn it off)` };
+    }
+
+    if (type === 'extra_time') {
+      settings.seconds = parseInt(field('seconds'));
+      if (isNaN(settings.seconds) || settings.seconds < 5 || settings.seconds > 300) {
+        return { data: null, error: `${label}: seconds added must be from 5 to 300` };
+      }
+    }
+
+    powerUps[type] = settings;
+  }
+
+  return { data: powerUps, error: null };
+}
+
+/**
+ * Read XP rules from the config form
+ * Level multipliers are one "from-to: multiplier" per line; events are one
+ * "name | multiplier | start | end" per line with IST times (YYYY-MM-DD HH:MM)
+ * @param {Object} body - Request body
+ * @returns {Object} {data, error}
+ */
+function parseXPRulesForm(body) {
+  const perCorrect = String(body.per_correct_by_attempt || '')
+    .split(',')
+    .map(v => v.trim())
+    .filter(v => v !== '')
+    .map(Number);
+  if (perCorrect.length === 0 || perCorrect.some(v => !Number.isInteger(v) || v < 0 || v > 1000)) {
+    return { data: null, error: 'XP per correct answer must be whole numbers from 0 to 1000, separated by commas' };
+  }
+
+  const speedMaxSeconds = parseFloat(body.speed_bonus_max_seconds);
+  const speedXP = parseInt(body.speed_bonus_xp);
+  if (isNaN(speedMaxSeconds) || speedMaxSeconds <= 0 || isNaN(speedXP) || speedXP < 0) {
+    return { data: null, error: 'Speed bonus needs a positive time limit and XP of 0 or more' };
+  }
+
+  const comboEvery = parseInt(body.combo_bonus_every);
+  const comboXP = parseInt(body.combo_bonus_xp);
+  if (isNaN(comboEvery) || comboEvery < 2 || isNaN(comboXP) || comboXP < 0) {
+    return { data: null, error: 'Combo bonus needs a streak length of at least 2 and XP of 0 or more' };
+  }
+
+  const levelMultipliers = [];
+  for (const line of String(body.level_multipliers || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+    const match = line.match(/^(\d+)\s*(?:-\s*(\d+))?\s*:\s*([\d.]+)$/);
+    const multiplier = match ? parseFloat(match[3]) : NaN;
+    if (!match || isNaN(multiplier) || multiplier < 0 || multiplier > 10) {
+      return { data: null, error: `Invalid level multiplier line "${line}" (use e.g. "11-20: 1.5")` };
+    }
+    const fromLevel = parseInt(match[1]);
+    const toLevel = match[2] ? parseInt(match[2]) : fromLevel;
+    if (toLevel < fromLevel) {
+      return { data: null, error: `Invalid level range "${line}"` };
+    }
+    levelMultipliers.push({ from_level: fromLevel, to_level: toLevel, multiplier });
+  }
+
+  const videoMultiplier = parseFloat(body.video_multiplier);
+  if (isNaN(videoMultiplier) || videoMultiplier < 1 || videoMultiplier > 10) {
+    return { data: null, error: 'Video multiplier must be between 1 and 10' };
+  }
+
+  const referralBonusXP = parseInt(body.referral_bonus_xp);
+  if (isNaN(referralBonusXP) || referralBonusXP < 0) {
+    return { data: null, error: 'Referral bonus must be 0 or more' };
+  }
+
+  const optionalCap = value => (String(value || '').trim() === '' ? null : parseInt(value));
+  const maxPerAttempt = optionalCap(body.max_xp_per_attempt);
+  const dailyCap = optionalCap(body.daily_level_xp_cap);
+  if ((maxPerAttempt !== null && (isNaN(maxPerAttempt) || maxPerAttempt < 0)) ||
+      (dailyCap !== null && (isNaN(dailyCap) || dailyCap < 0))) {
+    return { data: null, error: 'Caps must be 0 or more (leave blank for no cap)' };
+  }
+
+  const events = [];
+  for (const line of String(body.events || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+    const parts = line.split('|').map(p => p.trim());
+    const toIST = value => (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}$/.test(value || '') ? value.replace(' ', 'T') : null);
+    const multiplier = parseFloat(parts[1]);
+    const startsAt = toIST(parts[2]);
+    const endsAt = toIST(parts[3]);
+    if (parts.length !== 4 || !parts[0] || isNaN(multiplier) || multiplier < 1 || multiplier > 10 || !startsAt || !endsAt || endsAt <= startsAt) {
+      return { data: null, error: `Invalid event line "${line}" (use "Double XP Weekend | 2 | 2025-11-22 00:00 | 2025-11-24 00:00")` };
+    }
+    events.push({ name: parts[0].slice(0, 100), multiplier, starts_at: startsAt, ends_at: endsAt });
+  }
+
+  return {
+    data: {
+      per_correct_by_attempt: perCorrect,
+      speed_bonus: { enabled: body.speed_bonus_enabled === 'on', max_seconds: speedMaxSeconds, xp_per_answer: speedXP },
+      combo_bonus: { enabled: body.combo_bonus_enabled === 'on', every: comboEvery, xp: comboXP },
+      level_multipliers: levelMultipliers,
+      video_multiplier: videoMultiplier,
+      referral_bonus_xp: referralBonusXP,
+      max_xp_per_attempt: maxPerAttempt,
+      daily_level_xp_cap: dailyCap,
+      events
+    },
+    error: null
+  };
+}
+
+/**
+ * POST /admin/config/xp-rules
+ * Save XP rules as a new version
+ */
+async function updateXPRules(req, res) {
+  try {
+    const { data, error } = parseXPRulesForm(req.body);
+
+    if (error) {
+      return res.redirect('/admin/config?error=' + encodeURIComponent(error) + '#xp-rules');
+    }
+
+    const note = req.body.note ? String(req.body.note).trim().slice(0, 255) : null;
+    const version = await saveXPRules(data, req.session.adminUser.email, note || null);
+
+    res.redirect('/admin/config?message=' + encodeURIComponent(`XP rules saved as version ${version}`) + '#xp-rules');
+
+  } catch (err) {
+    console.error('Update XP rules error:', err);
+    res.status(500).send('Error saving XP rules');
+  }
+}
+
 /**
  * POST /admin/config/test-webhook
  * Test event webhook connectivity
@@ -781,17 +1092,46 @@ async function updateUser(req, res) {
       total_ads_watched
     } = req.body;
 
-    await pool.query(`
-      UPDATE users_profile SET
-        name = $1,
-        district = $2,
-        state = $3,
-        xp_total = $4,
-        current_level = $5,
-        total_ads_watched = $6,
-        updated_at = NOW()
-      WHERE phone = $7
-    `, [name, district, state, parseInt(xp_total), parseInt(current_level), parseInt(total_ads_watched), phone]);
+    const newXPTotal = parseInt(xp_total);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const currentResult = await client.query(
+        'SELECT xp_total FROM users_profile WHERE phone = $1 FOR UPDATE',
+        [phone]
+      );
+
+      await client.query(`
+        UPDATE users_profile SET
+          name = $1,
+          district = $2,
+          state = $3,
+          xp_total = $4,
+          current_level = $5,
+          total_ads_watched = $6,
+          updated_at = NOW()
+        WHERE phone = $7
+      `, [name, normalizeDistrict(district), normalizeState(state), newXPTotal, parseInt(current_level), parseInt(total_ads_watched), phone]);
+
+      // Record manual XP edits in the ledger (xp_total only; daily totals are untouched)
+      if (currentResult.rows.length > 0 && newXPTotal !== currentResult.rows[0].xp_total) {
+        await recordXPTransaction(client, {
+          phone,
+          amount: newXPTotal - currentResult.rows[0].xp_total,
+          source: 'admin_adjustment',
+          note: req.session.adminUser.email
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
 
     const result = await pool.query('SELECT * FROM users_profile WHERE phone = $1', [phone]);
 
@@ -887,7 +1227,8 @@ async function bulkInsertQuestions(req, res) {
     const mappedRows = mapRowsToDatabase(csvData.rows, mapping);
 
     // Validate
-    const validation = validateMappedRows(mappedRows);
+    const { max_level: maxLevel } = await getLevelDefaults();
+    const validation = validateMappedRows(mappedRows, maxLevel);
 
     if (!validation.valid) {
       return res.render('question-csv-mapping', {
@@ -909,13 +1250,12 @@ async function bulkInsertQuestions(req, res) {
       await client.query(`
         INSERT INTO questions (
           level, question_order, question_text,
-          option_1, option_2, option_3, option_4,
+          option_1, option_2, option_3, option_4, correct_option,
           explanation_text, subject, topic, difficulty, medium
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-        ON CONFLICT (level, question_order, medium) DO NOTHING
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       `, [
         row.level, row.question_order, row.question_text,
-        row.option_1, row.option_2, row.option_3, row.option_4,
+        row.option_1, row.option_2, row.option_3, row.option_4, row.correct_option,
         row.explanation_text, row.subject, row.topic, row.difficulty, row.medium || 'english'
       ]);
       insertedCount++;
@@ -984,10 +1324,9 @@ async function createQuestion(req, res) {
       });
     }
 
-    // Add @ to correct option
-    const options = [option_1, option_2, option_3, option_4];
-    const correctIndex = parseInt(correct_option) - 1;
-    options[correctIndex] = '@' + options[correctIndex];
+    // Options are stored clean - the answer key lives in correct_option
+    const options = [option_1, option_2, option_3, option_4].map(opt => opt.replace(/^@/, ''));
+    const correctOption = parseInt(correct_option);
 
     // Use null for empty question_text (for image-only questions)
     const finalQuestionText = hasQuestionText ? question_text.trim() : null;
@@ -995,12 +1334,12 @@ async function createQuestion(req, res) {
     await pool.query(`
       INSERT INTO questions (
         level, question_order, question_text, question_image_url,
-        option_1, option_2, option_3, option_4,
+        option_1, option_2, option_3, option_4, correct_option,
         explanation_text, explanation_url, subject, topic, difficulty, medium
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
     `, [
       level, question_order, finalQuestionText, questionImageUrl,
-      options[0], options[1], options[2], options[3],
+      options[0], options[1], options[2], options[3], correctOption,
       explanation_text, explanationUrl, subject, topic, difficulty, medium || 'english'
     ]);
 
@@ -1157,27 +1496,19 @@ async function updateQuestion(req, res) {
       }
     }
 
-    // Add @ to correct option
-    const options = [option_1, option_2, option_3, option_4];
-    const correctIndex = parseInt(correct_option) - 1;
-
-    // Remove @ from all first
-    options.forEach((opt, i) => {
-      options[i] = opt.replace(/^@/, '');
-    });
-
-    // Add @ to correct one
-    options[correctIndex] = '@' + options[correctIndex];
+    // Options are stored clean - the answer key lives in correct_option
+    const options = [option_1, option_2, option_3, option_4].map(opt => opt.replace(/^@/, ''));
+    const correctOption = parseInt(correct_option);
 
     await pool.query(`
       UPDATE questions SET
         level = $1, question_order = $2, question_text = $3, question_image_url = $4,
-        option_1 = $5, option_2 = $6, option_3 = $7, option_4 = $8,
-        explanation_text = $9, explanation_url = $10, subject = $11, topic = $12, difficulty = $13, medium = $14
-      WHERE sl = $15
+        option_1 = $5, option_2 = $6, option_3 = $7, option_4 = $8, correct_option = $9,
+        explanation_text = $10, explanation_url = $11, subject = $12, topic = $13, difficulty = $14, medium = $15
+      WHERE sl = $16
     `, [
       level, question_order, question_text, questionImageUrl,
-      options[0], options[1], options[2], options[3],
+      options[0], options[1], options[2], options[3], correctOption,
       explanation_text, explanationUrl, subject, topic, difficulty, medium || 'english', id
     ]);
 
@@ -1460,8 +1791,9 @@ async function duplicateVideo(req, res) {
 
     // Validate level
     const targetLevel = parseInt(level);
-    if (isNaN(targetLevel) || targetLevel < 1 || targetLevel > 100) {
-      return res.status(400).json({ success: false, error: 'Level must be between 1 and 100' });
+    const { max_level: maxLevel } = await getLevelDefaults();
+    if (isNaN(targetLevel) || targetLevel < 1 || targetLevel > maxLevel) {
+      return res.status(400).json({ success: false, error: `Level must be between 1 and ${maxLevel}` });
     }
 
     // Insert duplicate with same video_url but new level/category
@@ -1526,8 +1858,9 @@ async function uploadSingleVideo(req, res) {
 
     // Validate level
     const videoLevel = parseInt(level) || 1;
-    if (videoLevel < 1 || videoLevel > 100) {
-      return res.status(400).json({ success: false, error: 'Level must be between 1 and 100' });
+    const { max_level: maxLevel } = await getLevelDefaults();
+    if (videoLevel < 1 || videoLevel > maxLevel) {
+      return res.status(400).json({ success: false, error: `Level must be between 1 and ${maxLevel}` });
     }
 
     // Upload to MinIO
@@ -1586,6 +1919,9 @@ async function showAnalytics(req, res) {
         level,
         COUNT(*) as total_attempts,
         SUM(CASE WHEN completion_status = 'completed' THEN 1 ELSE 0 END) as completions,
+        SUM(CASE WHEN completion_status = 'in_progress' THEN 1 ELSE 0 END) as in_progress,
+        SUM(CASE WHEN completion_status = 'abandoned' THEN 1 ELSE 0 END) as abandoned,
+        SUM(CASE WHEN completion_status = 'expired' THEN 1 ELSE 0 END) as expired,
         ROUND(AVG(accuracy_percentage), 2) as avg_accuracy,
         ROUND(AVG(CASE WHEN video_watched THEN 1.0 ELSE 0.0 END) * 100, 2) as video_watch_rate
       FROM level_attempts
@@ -1593,9 +1929,47 @@ async function showAnalytics(req, res) {
       ORDER BY level ASC
     `);
 
+    // Completion by the difficulty mix each attempt actually got
+    // (only attempts with a stored question set; unset difficulty counts as medium)
+    const mixResult = await pool.query(`
+      WITH attempt_mix AS (
+        SELECT
+          la.id,
+          la.level,
+          la.completion_status,
+          la.accuracy_percentage,
+          la.difficulty_profile,
+          COUNT(*) FILTER (WHERE LOWER(TRIM(q.difficulty)) = 'easy') as easy_count,
+          COUNT(*) FILTER (WHERE LOWER(TRIM(q.difficulty)) = 'hard') as hard_count,
+          COUNT(*) as question_count
+        FROM level_attempts la
+        JOIN level_attempt_questions laq ON laq.attempt_id = la.id
+        JOIN questions q ON q.sl = laq.question_id
+        GROUP BY la.id
+      )
+      SELECT
+        level,
+        CASE
+          WHEN easy_count * 2 > question_count THEN 'Mostly easy'
+          WHEN hard_count * 2 > question_count THEN 'Mostly hard'
+          ELSE 'Mixed'
+        END as mix,
+        COUNT(*) as total_attempts,
+        SUM(CASE WHEN difficulty_profile IS NOT NULL THEN 1 ELSE 0 END) as adaptive_attempts,
+        SUM(CASE WHEN completion_status = 'completed' THEN 1 ELSE 0 END) as completions,
+        ROUND(AVG(accuracy_percentage), 2) as avg_accuracy,
+        ROUND(AVG(easy_count::numeric / question_count) * 100, 1) as easy_share,
+        ROUND(AVG((question_count - easy_count - hard_count)::numeric / question_count) * 100, 1) as medium_share,
+        ROUND(AVG(hard_count::numeric / question_count) * 100, 1) as hard_share
+      FROM attempt_mix
+      GROUP BY level, mix
+      ORDER BY level ASC, mix ASC
+    `);
+
     res.render('level-analytics', {
       admin: req.session.adminUser,
-      analytics: result.rows
+      analytics: result.rows,
+      difficultyMix: mixResult.rows
     });
 
   } catch (err) {
@@ -1604,6 +1978,30 @@ async function showAnalytics(req, res) {
   }
 }
 
+// ========================================
+// XP LEDGER
+// ========================================
+
+/**
+ * GET /admin/xp-reconciliation
+ * Users whose xp_total or daily XP disagrees with the XP ledger
+ */
+async function showXPReconciliation(req, res) {
+  try {
+    const report = await getXPReconciliation();
+
+    res.render('xp-reconciliation', {
+      admin: req.session.adminUser,
+      totalMismatches: report.total_mismatches,
+      dailyMismatches: report.daily_mismatches
+    });
+
+  } catch (err) {
+    console.error('XP reconciliation error:', err);
+    res.status(500).send('Error loading XP reconciliation');
+  }
+}
+
 module.exports = {
   showLogin,
   processLogin,
@@ -1612,6 +2010,7 @@ module.exports = {
   showOTPViewer,
   showConfig,
   updateConfig,
+  updateXPRules,
   testEventWebhook,
   showWhatsAppConfig,
   updateWhatsAppConfig,
@@ -1642,6 +2041,8 @@ module.exports = {
   uploadSingleVideo,
   // Analytics
   showAnalytics,
+  // XP ledger
+  showXPReconciliation,
   // DB Stats
   getDbStats,
   upload
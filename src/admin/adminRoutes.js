@@ -8,6 +8,7 @@ const {
   showOTPViewer,
   showConfig,
   updateConfig,
+  updateXPRules,
   testEventWebhook,
   showWhatsAppConfig,
   updateWhatsAppConfig,
@@ -38,6 +39,8 @@ const {
   uploadSingleVideo,
   // Analytics
   showAnalytics,
+  // XP ledger
+  showXPReconciliation,
   // DB Stats
   getDbStats,
   upload
@@ -65,6 +68,39 @@ const {
   deleteLevelHandler,
   toggleLevelStatus
 } = require('./levelsAdminController');
+const {
+  showMockTests,
+  showCreateMockTest,
+  createMockTestHandler,
+  showEditMockTest,
+  updateMockTestHandler,
+  toggleMockTest,
+  deleteMockTestHandler,
+  addSectionHandler,
+  deleteSectionHandler
+} = require('./mockTestsAdminController');
+const {
+  showFlags,
+  reviewFlagHandler
+} = require('./antiCheatAdminController');
+const {
+  showAchievements,
+  showCreateAchievement,
+  createAchievementHandler,
+  showEditAchievement,
+  updateAchievementHandler,
+  toggleAchievementHandler,
+  deleteAchievementHandler
+} = require('./achievementsAdminController');
+const {
+  showMissions,
+  showCreateMission,
+  createMissionHandler,
+  showEditMission,
+  updateMissionHandler,
+  toggleMissionHandler,
+  deleteMissionHandler
+} = require('./missionsAdminController');
 const {
   deleteUser,
   purgeUser,
@@ -96,6 +132,7 @@ router.get('/otp-viewer', showOTPViewer);
 // Configuration
 router.get('/config', showConfig);
 router.post('/config/update', updateConfig);
+router.post('/config/xp-rules', updateXPRules);
 router.post('/config/test-webhook', testEventWebhook);
 
 // Cache Management
@@ -168,6 +205,9 @@ router.delete('/videos/:id', deleteVideo);
 // Analytics
 router.get('/analytics', showAnalytics);
 
+// XP Ledger Reconciliation
+router.get('/xp-reconciliation', showXPReconciliation);
+
 // DB Stats (for PM2 cluster monitoring)
 router.get('/db-stats', getDbStats);
 
@@ -192,6 +232,39 @@ router.post('/levels/:levelNumber/update', updateLevelHandler);
 router.post('/levels/:levelNumber/delete', deleteLevelHandler);
 router.post('/levels/:levelNumber/toggle', toggleLevelStatus);
 
+// Mock Tests Management
+router.get('/mock-tests', showMockTests);
+router.get('/mock-tests/create', showCreateMockTest);
+router.post('/mock-tests/create', createMockTestHandler);
+router.get('/mock-tests/:id/edit', showEditMockTest);
+router.post('/mock-tests/:id/update', updateMockTestHandler);
+router.post('/mock-tests/:id/toggle', toggleMockTest);
+router.post('/mock-tests/:id/delete', deleteMockTestHandler);
+router.post('/mock-tests/:id/sections', addSectionHandler);
+router.post('/mock-tests/:id/sections/:sectionId/delete', deleteSectionHandler);
+
+// Achievements Management
+router.get('/achievements', showAchievements);
+router.get('/achievements/create', showCreateAchievement);
+router.post('/achievements/create', createAchievementHandler);
+router.get('/achievements/:id/edit', showEditAchievement);
+router.post('/achievements/:id/update', updateAchievementHandler);
+router.post('/achievements/:id/toggle', toggleAchievementHandler);
+router.post('/achievements/:id/delete', deleteAchievementHandler);
+
+// Daily Missions Management
+router.get('/missions', showMissions);
+router.get('/missions/create', showCreateMission);
+router.post('/missions/create', createMissionHandler);
+router.get('/missions/:id/edit', showEditMission);
+router.post('/missions/:id/update', updateMissionHandler);
+router.post('/missions/:id/toggle', toggleMissionHandler);
+router.post('/missions/:id/delete', deleteMissionHandler);
+
+// Anti-Cheat Review
+router.get('/anti-cheat', showFlags);
+router.post('/anti-cheat/flags/:id/review', reviewFlagHandler);
+
 // System Reset (Database Management)
 router.get('/system/reset', showResetPage);
 router.post('/system/reset', performReset);
@@ -0,0 +1,72 @@
+const { getFlagsForReview, reviewFlag } = require('../services/antiCheatService');
+
+const FLAG_STATUSES = ['pending_review', 'auto_flagged', 'confirmed', 'cleared', 'all'];
+const PAGE_SIZE = 50;
+
+/**
+ * GET /admin/anti-cheat
+ * Show flagged attempts, filtered by status (default: waiting for review)
+ */
+async function showFlags(req, res) {
+  try {
+    const status = FLAG_STATUSES.includes(req.query.status) ? req.query.status : 'pending_review';
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+
+    const { flags, counts } = await getFlagsForReview(status, PAGE_SIZE, (page - 1) * PAGE_SIZE);
+
+    res.render('anti-cheat-review', {
+      admin: req.session.adminUser,
+      flags,
+      counts,
+      status,
+      page,
+      pageSize: PAGE_SIZE
+    });
+
+  } catch (err) {
+    console.error('Show anti-cheat flags error:', err);
+    res.status(500).send('Error loading anti-cheat flags');
+  }
+}
+
+/**
+ * POST /admin/anti-cheat/flags/:id/review
+ * Clear (release withheld XP, lift leaderboard exclusion) or confirm a flag
+ */
+async function reviewFlagHandler(req, res) {
+  try {
+    const flagId = parseInt(req.params.id);
+    const { decision } = req.body;
+    const note = req.body.note ? String(req.body.note).trim().slice(0, 1000) : null;
+
+    if (!['clear', 'confirm'].includes(decision)) {
+      return res.status(400).json({ success: false, error: 'Decision must be clear or confirm' });
+    }
+
+    const result = await reviewFlag(flagId, decision, req.session.adminUser.email, note || null);
+
+    res.json({
+      success: true,
+      status: result.status,
+      xp_released: result.xp_released,
+      message: result.status === 'cleared'
+        ? `Flag cleared${result.xp_released > 0 ? `, ${result.xp_released} XP released` : ''}`
+        : 'Flag confirmed'
+    });
+
+  } catch (err) {
+    if (err.code === 'FLAG_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    if (err.code === 'FLAG_ALREADY_CLEARED') {
+      return res.status(409).json({ success: false, error: err.message });
+    }
+    console.error('Review flag error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+module.exports = {
+  showFlags,
+  reviewFlagHandler
+};
@@ -1,6 +1,7 @@
 const pool = require('../config/database');
 const {
   getAllLevelsAdmin,
+  getLevelDefaults,
   getLevelByNumber,
   createLevel,
   updateLevel,
@@ -8,6 +9,36 @@ const {
   getLevelsVersion
 } = require('../services/levelsService');
 
+/**
+ * Read the optional per-level overrides from the form
+ * Blank fields are stored as NULL so the level follows the global default
+ * @param {Object} body - Request body
+ * @returns {Object} {questions_per_level, unlock_accuracy_percent, error}
+ */
+function parseLevelOverrides(body) {
+  const overrides = { questions_per_level: null, unlock_accuracy_percent: null, error: null };
+
+  if (body.questions_per_level !== undefined && String(body.questions_per_level).trim() !== '') {
+    const questions = parseInt(body.questions_per_level);
+    if (isNaN(questions) || questions < 1 || questions > 100) {
+      overrides.error = 'Questions per attempt must be between 1 and 100';
+      return overrides;
+    }
+    overrides.questions_per_level = questions;
+  }
+
+  if (body.unlock_accuracy_percent !== undefined && String(body.unlock_accuracy_percent).trim() !== '') {
+    const accuracy = parseFloat(body.unlock_accuracy_percent);
+    if (isNaN(accuracy) || accuracy < 0 || accuracy > 100) {
+      overrides.error = 'Unlock accuracy must be between 0 and 100';
+      return overrides;
+    }
+    overrides.unlock_accuracy_percent = accuracy;
+  }
+
+  return overrides;
+}
+
 /**
  * GET /admin/levels
  * Show all quiz levels
@@ -41,10 +72,11 @@ async function showCreateLevel(req, res) {
     // Get existing level numbers to suggest next available
     const result = await pool.query('SELECT level_number FROM quiz_levels ORDER BY level_number ASC');
     const existingLevels = result.rows.map(r => r.level_number);
+    const defaults = await getLevelDefaults();
 
     // Find first gap or next number
     let suggestedLevel = 1;
-    for (let i = 1; i <= 100; i++) {
+    for (let i = 1; i <= defaults.max_level; i++) {
       if (!existingLevels.includes(i)) {
         suggestedLevel = i;
         break;
@@ -55,6 +87,7 @@ async function showCreateLevel(req, res) {
       admin: req.session.adminUser,
       suggestedLevel,
       existingLevels,
+      defaults,
       message: null,
       error: null
     });
@@ -72,16 +105,30 @@ async function showCreateLevel(req, res) {
 async function createLevelHandler(req, res) {
   try {
     const { level_number, title, subtitle, duration_seconds, is_active } = req.body;
+    const defaults = await getLevelDefaults();
 
     // Validate level number
     const levelNum = parseInt(level_number);
-    if (isNaN(levelNum) || levelNum < 1 || levelNum > 100) {
+    if (isNaN(levelNum) || levelNum < 1 || levelNum > defaults.max_level) {
+      return res.render('level-create', {
+        admin: req.session.adminUser,
+        suggestedLevel: level_number,
+        existingLevels: [],
+        defaults,
+        message: null,
+        error: `Level number must be between 1 and ${defaults.max_level} (raise Max Level in config for more)`
+      });
+    }
+
+    const overrides = parseLevelOverrides(req.body);
+    if (overrides.error) {
       return res.render('level-create', {
         admin: req.session.adminUser,
         suggestedLevel: level_number,
         existingLevels: [],
+        defaults,
         message: null,
-        error: 'Level number must be between 1 and 100'
+        error: overrides.error
       });
     }
 
@@ -92,6 +139,7 @@ async function createLevelHandler(req, res) {
         admin: req.session.adminUser,
         suggestedLevel: level_number,
         existingLevels: [],
+        defaults,
         message: null,
         error: `Level ${levelNum} already exists`
       });
@@ -102,7 +150,10 @@ async function createLevelHandler(req, res) {
       title: title.trim(),
       subtitle: subtitle ? subtitle.trim() : null,
       duration_seconds: parseInt(duration_seconds) || 300,
-      is_active: is_active === 'on' || is_active === true
+      is_active: is_active === 'on' || is_active === true,
+      questions_per_level: overrides.questions_per_level,
+      unlock_accuracy_percent: overrides.unlock_accuracy_percent,
+      adaptive_difficulty: req.body.adaptive_difficulty === 'on'
     });
 
     res.redirect('/admin/levels?message=Level+created+successfully');
@@ -113,6 +164,7 @@ async function createLevelHandler(req, res) {
       admin: req.session.adminUser,
       suggestedLevel: req.body.level_number,
       existingLevels: [],
+      defaults: await getLevelDefaults(),
       message: null,
       error: 'Error creating level: ' + err.message
     });
@@ -135,6 +187,7 @@ async function showEditLevel(req, res) {
     res.render('level-edit', {
       admin: req.session.adminUser,
       level,
+      defaults: await getLevelDefaults(),
       message: null,
       error: null
     });
@@ -159,11 +212,25 @@ async function updateLevelHandler(req, res) {
       return res.redirect('/admin/levels?error=Level+not+found');
     }
 
+    const overrides = parseLevelOverrides(req.body);
+    if (overrides.error) {
+      return res.render('level-edit', {
+        admin: req.session.adminUser,
+        level,
+        defaults: await getLevelDefaults(),
+        message: null,
+        error: overrides.error
+      });
+    }
+
     await updateLevel(levelNumber, {
       title: title.trim(),
       subtitle: subtitle ? subtitle.trim() : null,
       duration_seconds: parseInt(duration_seconds) || 300,
-      is_active: is_active === 'on' || is_active === true
+      is_active: is_active === 'on' || is_active === true,
+      questions_per_level: overrides.questions_per_level,
+      unlock_accuracy_percent: overrides.unlock_accuracy_percent,
+      adaptive_difficulty: req.body.adaptive_difficulty === 'on'
     });
 
     res.redirect('/admin/levels?message=Level+updated+successfully');
@@ -174,6 +241,7 @@ async function updateLevelHandler(req, res) {
     res.render('level-edit', {
       admin: req.session.adminUser,
       level,
+      defaults: await getLevelDefaults(),
       message: null,
       error: 'Error updating level: ' + err.message
     });
@@ -218,7 +286,10 @@ async function toggleLevelStatus(req, res) {
       title: level.title,
       subtitle: level.subtitle,
       duration_seconds: level.duration_seconds,
-      is_active: !level.is_active
+      is_active: !level.is_active,
+      questions_per_level: level.questions_per_level,
+      unlock_accuracy_percent: level.unlock_accuracy_percent,
+      adaptive_difficulty: level.adaptive_difficulty
     });
 
     res.json({
@@ -0,0 +1,260 @@
+const {
+  MISSION_METRICS,
+  getAllTemplatesAdmin,
+  getTemplateById,
+  getTemplateAssignedCount,
+  createTemplate,
+  updateTemplate,
+  toggleTemplate,
+  deleteTemplate
+} = require('../services/missionService');
+
+/**
+ * Read the mission template fields from the form
+ * @param {Object} body - Request body
+ * @returns {Object} {data, error}
+ */
+function parseMissionForm(body) {
+  const code = (body.code || '').trim().toLowerCase();
+  const title = (body.title || '').trim();
+
+  if (!/^[a-z0-9_]{2,50}$/.test(code)) {
+    return { data: null, error: 'Code must be 2-50 lowercase letters, digits or underscores' };
+  }
+  if (!title) {
+    return { data: null, error: 'Title is required' };
+  }
+
+  const metric = String(body.metric || '');
+  if (!MISSION_METRICS[metric]) {
+    return { data: null, error: 'Choose what the mission tracks' };
+  }
+
+  // Played today is all there is to a streak mission
+  const target = metric === 'streak_kept' ? 1 : parseInt(body.target);
+  if (isNaN(target) || target < 1 || target > 100000) {
+    return { data: null, error: 'Target must be between 1 and 100000' };
+  }
+
+  const xpReward = body.xp_reward !== undefined && String(body.xp_reward).trim() !== ''
+    ? parseInt(body.xp_reward)
+    : 0;
+  if (isNaN(xpReward) || xpReward < 0 || xpReward > 10000) {
+    return { data: null, error: 'XP reward must be between 0 and 10000' };
+  }
+
+  const lifelineReward = body.lifeline_reward !== undefined && String(body.lifeline_reward).trim() !== ''
+    ? parseInt(body.lifeline_reward)
+    : 0;
+  if (isNaN(lifelineReward) || lifelineReward < 0 || lifelineReward > 50) {
+    return { data: null, error: 'Lifeline reward must be between 0 and 50' };
+  }
+
+  return {
+    data: {
+      code,
+      title,
+      description: body.description ? body.description.trim() : null,
+      metric,
+      target,
+      xp_reward: xpReward,
+      lifeline_reward: lifelineReward,
+      sort_order: parseInt(body.sort_order) || 0,
+      is_active: body.is_active === 'on' || body.is_active === true
+    },
+    error: null
+  };
+}
+
+/**
+ * Render the create/edit form
+ */
+function renderMissionForm(req, res, { mission, assignedCount = 0, error = null }) {
+  res.render('mission-form', {
+    admin: req.session.adminUser,
+    mission,
+    assignedCount,
+    metrics: MISSION_METRICS,
+    error
+  });
+}
+
+/**
+ * GET /admin/missions
+ * Show all mission templates
+ */
+async function showMissions(req, res) {
+  try {
+    const missions = await getAllTemplatesAdmin();
+
+    res.render('missions-list', {
+      admin: req.session.adminUser,
+      missions,
+      metrics: MISSION_METRICS,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+
+  } catch (err) {
+    console.error('Show missions error:', err);
+    res.status(500).send('Error loading missions');
+  }
+}
+
+/**
+ * GET /admin/missions/create
+ * Show create mission form
+ */
+async function showCreateMission(req, res) {
+  try {
+    renderMissionForm(req, res, { mission: null });
+  } catch (err) {
+    console.error('Show create mission error:', err);
+    res.status(500).send('Error loading create form');
+  }
+}
+
+/**
+ * POST /admin/missions/create
+ * Create mission template
+ */
+async function createMissionHandler(req, res) {
+  try {
+    const { data, error } = parseMissionForm(req.body);
+    if (error) {
+      return renderMissionForm(req, res, { mission: { ...req.body, id: null }, error });
+    }
+
+    await createTemplate(data);
+
+    res.redirect('/admin/missions?message=Mission+created+successfully');
+
+  } catch (err) {
+    if (err.code === '23505') {
+      return renderMissionForm(req, res, { mission: { ...req.body, id: null }, error: 'Another mission already uses this code' });
+    }
+    console.error('Create mission error:', err);
+    res.status(500).send('Error creating mission: ' + err.message);
+  }
+}
+
+/**
+ * GET /admin/missions/:id/edit
+ * Show edit mission form
+ */
+async function showEditMission(req, res) {
+  try {
+    const mission = await getTemplateById(parseInt(req.params.id));
+
+    if (!mission) {
+      return res.redirect('/admin/missions?error=Mission+not+found');
+    }
+
+    renderMissionForm(req, res, {
+      mission,
+      assignedCount: await getTemplateAssignedCount(mission.id)
+    });
+
+  } catch (err) {
+    console.error('Show edit mission error:', err);
+    res.status(500).send('Error loading mission');
+  }
+}
+
+/**
+ * POST /admin/missions/:id/update
+ * Update mission template
+ * Missions already handed out keep the target and reward they were given with
+ */
+async function updateMissionHandler(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+    const mission = await getTemplateById(id);
+
+    if (!mission) {
+      return res.redirect('/admin/missions?error=Mission+not+found');
+    }
+
+    const assignedCount = await getTemplateAssignedCount(id);
+    const { data, error } = parseMissionForm(req.body);
+    if (error) {
+      return renderMissionForm(req, res, { mission: { ...req.body, id }, assignedCount, error });
+    }
+
+    await updateTemplate(id, data);
+
+    res.redirect('/admin/missions?message=Mission+updated+successfully');
+
+  } catch (err) {
+    if (err.code === '23505') {
+      return renderMissionForm(req, res, {
+        mission: { ...req.body, id: parseInt(req.params.id) },
+        error: 'Another mission already uses this code'
+      });
+    }
+    console.error('Update mission error:', err);
+    res.status(500).send('Error updating mission: ' + err.message);
+  }
+}
+
+/**
+ * POST /admin/missions/:id/toggle
+ * Toggle mission template active status
+ */
+async function toggleMissionHandler(req, res) {
+  try {
+    const mission = await toggleTemplate(parseInt(req.params.id));
+
+    if (!mission) {
+      return res.status(404).json({ success: false, error: 'Mission not found' });
+    }
+
+    res.json({
+      success: true,
+      is_active: mission.is_active,
+      message: `Mission ${mission.is_active ? 'activated' : 'deactivated'}`
+    });
+
+  } catch (err) {
+    console.error('Toggle mission error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /admin/missions/:id/delete
+ * Delete mission template (only while it has never been handed out)
+ */
+async function deleteMissionHandler(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (await getTemplateAssignedCount(id) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'This mission has been given to users, so it cannot be deleted. Deactivate it instead.'
+      });
+    }
+
+    const deleted = await deleteTemplate(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Mission not found' });
+    }
+
+    res.json({ success: true, message: 'Mission deleted successfully' });
+
+  } catch (err) {
+    console.error('Delete mission error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+module.exports = {
+  showMissions,
+  showCreateMission,
+  createMissionHandler,
+  showEditMission,
+  updateMissionHandler,
+  toggleMissionHandler,
+  deleteMissionHandler
+};
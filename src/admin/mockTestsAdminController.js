@@ -0,0 +1,387 @@
+const {
+  getAllMockTestsAdmin,
+  getMockTestById,
+  getMockTestAttemptCount,
+  createMockTest,
+  updateMockTest,
+  deleteMockTest,
+  addMockTestSection,
+  deleteMockTestSection,
+  getQuestionSubjects,
+  checkMockTestQuestionPool
+} = require('../services/mockTestService');
+
+const SECTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Read the paper fields from the form
+ * @param {Object} body - Request body
+ * @returns {Object} {data, error}
+ */
+function parseMockTestForm(body) {
+  const title = (body.title || '').trim();
+  if (!title) {
+    return { data: null, error: 'Title is required' };
+  }
+
+  const marksPerCorrect = parseFloat(body.marks_per_correct);
+  if (isNaN(marksPerCorrect) || marksPerCorrect <= 0 || marksPerCorrect > 100) {
+    return { data: null, error: 'Marks per correct answer must be greater than 0 and at most 100' };
+  }
+
+  const negativeMarkingEnabled = body.negative_marking_enabled === 'on';
+  const negativeMarks = body.negative_marks_per_wrong !== undefined && String(body.negative_marks_per_wrong).trim() !== ''
+    ? parseFloat(body.negative_marks_per_wrong)
+    : 0.25;
+  if (isNaN(negativeMarks) || negativeMarks < 0 || negativeMarks > marksPerCorrect) {
+    return { data: null, error: 'Negative marks per wrong answer must be between 0 and the marks per correct answer' };
+  }
+
+  return {
+    data: {
+      title,
+      description: body.description ? body.description.trim() : null,
+      marks_per_correct: marksPerCorrect,
+      negative_marking_enabled: negativeMarkingEnabled,
+      negative_marks_per_wrong: negativeMarks,
+      is_active: body.is_active === 'on' || body.is_active === true
+    },
+    error: null
+  };
+}
+
+/**
+ * Read the section fields from the form
+ * @param {Object} body - Request body
+ * @returns {Object} {data, error}
+ */
+function parseSectionForm(body) {
+  const title = (body.section_title || '').trim();
+  const subject = (body.subject || '').trim();
+
+  if (!title || !subject) {
+    return { data: null, error: 'Section title and subject are required' };
+  }
+
+  const difficulty = body.difficulty ? String(body.difficulty).trim() : '';
+  if (difficulty && !SECTION_DIFFICULTIES.includes(difficulty)) {
+    return { data: null, error: 'Difficulty must be easy, medium or hard' };
+  }
+
+  const questionCount = parseInt(body.question_count);
+  if (isNaN(questionCount) || questionCount < 1 || questionCount > 100) {
+    return { data: null, error: 'Questions per section must be between 1 and 100' };
+  }
+
+  const durationMinutes = parseFloat(body.duration_minutes);
+  const durationSeconds = Math.round(durationMinutes * 60);
+  if (isNaN(durationSeconds) || durationSeconds < 60 || durationSeconds > 7200) {
+    return { data: null, error: 'Section time must be between 1 and 120 minutes' };
+  }
+
+  return {
+    data: {
+      title,
+      subject,
+      topic: body.topic && body.topic.trim() ? body.topic.trim() : null,
+      difficulty: difficulty || null,
+      question_count: questionCount,
+      duration_seconds: durationSeconds
+    },
+    error: null
+  };
+}
+
+/**
+ * Render the create/edit form
+ */
+async function renderMockTestForm(req, res, { test, attemptCount = 0, error = null, message = null }) {
+  res.render('mock-test-form', {
+    admin: req.session.adminUser,
+    test,
+    attemptCount,
+    subjects: test && test.id ? await getQuestionSubjects() : [],
+    message,
+    error
+  });
+}
+
+/**
+ * GET /admin/mock-tests
+ * Show all mock test papers
+ */
+async function showMockTests(req, res) {
+  try {
+    const tests = await getAllMockTestsAdmin();
+
+    res.render('mock-tests-list', {
+      admin: req.session.adminUser,
+      tests,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+
+  } catch (err) {
+    console.error('Show mock tests error:', err);
+    res.status(500).send('Error loading mock tests');
+  }
+}
+
+/**
+ * GET /admin/mock-tests/create
+ * Show create paper form
+ */
+async function showCreateMockTest(req, res) {
+  try {
+    await renderMockTestForm(req, res, { test: null });
+  } catch (err) {
+    console.error('Show create mock test error:', err);
+    res.status(500).send('Error loading create form');
+  }
+}
+
+/**
+ * POST /admin/mock-tests/create
+ * Create paper, then continue to its edit page to add sections
+ */
+async function createMockTestHandler(req, res) {
+  try {
+    const { data, error } = parseMockTestForm(req.body);
+    if (error) {
+      return renderMockTestForm(req, res, { test: null, error });
+    }
+
+    const test = await createMockTest(data);
+
+    res.redirect(`/admin/mock-tests/${test.id}/edit?message=Mock+test+created.+Add+its+sections+below`);
+
+  } catch (err) {
+    console.error('Create mock test error:', err);
+    res.status(500).send('Error creating mock test: ' + err.message);
+  }
+}
+
+/**
+ * GET /admin/mock-tests/:id/edit
+ * Show edit paper form with its sections
+ */
+async function showEditMockTest(req, res) {
+  try {
+    const test = await getMockTestById(parseInt(req.params.id));
+
+    if (!test) {
+      return res.redirect('/admin/mock-tests?error=Mock+test+not+found');
+    }
+
+    await renderMockTestForm(req, res, {
+      test,
+      attemptCount: await getMockTestAttemptCount(test.id),
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+
+  } catch (err) {
+    console.error('Show edit mock test error:', err);
+    res.status(500).send('Error loading mock test');
+  }
+}
+
+/**
+ * POST /admin/mock-tests/:id/update
+ * Update paper details
+ * Scoring is locked once the paper has attempts
+ */
+async function updateMockTestHandler(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+    const test = await getMockTestById(id);
+
+    if (!test) {
+      return res.redirect('/admin/mock-tests?error=Mock+test+not+found');
+    }
+
+    const attemptCount = await getMockTestAttemptCount(id);
+    const { data, error } = parseMockTestForm(req.body);
+    if (error) {
+      return renderMockTestForm(req, res, { test, attemptCount, error });
+    }
+
+    const scoringChanged =
+      parseFloat(test.marks_per_correct) !== data.marks_per_correct ||
+      test.negative_marking_enabled !== data.negative_marking_enabled ||
+      parseFloat(test.negative_marks_per_wrong) !== data.negative_marks_per_wrong;
+
+    if (attemptCount > 0 && scoringChanged) {
+      return renderMockTestForm(req, res, {
+        test,
+        attemptCount,
+        error: 'Scoring cannot be changed after students have taken this paper. Create a new paper instead.'
+      });
+    }
+
+    if (data.is_active) {
+      const poolError = await checkMockTestQuestionPool(test.sections);
+      if (poolError) {
+        return renderMockTestForm(req, res, { test, attemptCount, error: poolError });
+      }
+    }
+
+    await updateMockTest(id, data);
+
+    res.redirect('/admin/mock-tests?message=Mock+test+updated+successfully');
+
+  } catch (err) {
+    console.error('Update mock test error:', err);
+    res.status(500).send('Error updating mock test: ' + err.message);
+  }
+}
+
+/**
+ * POST /admin/mock-tests/:id/toggle
+ * Toggle paper active status
+ */
+async function toggleMockTest(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+    const test = await getMockTestById(id);
+
+    if (!test) {
+      return res.status(404).json({ success: false, error: 'Mock test not found' });
+    }
+
+    if (!test.is_active && test.sections.length === 0) {
+      return res.status(400).json({ success: false, error: 'Add at least one section before activating' });
+    }
+
+    if (!test.is_active) {
+      const poolError = await checkMockTestQuestionPool(test.sections);
+      if (poolError) {
+        return res.status(400).json({ success: false, error: poolError });
+      }
+    }
+
+    await updateMockTest(id, {
+      title: test.title,
+      description: test.description,
+      marks_per_correct: test.marks_per_correct,
+      negative_marking_enabled: test.negative_marking_enabled,
+      negative_marks_per_wrong: test.negative_marks_per_wrong,
+      is_active: !test.is_active
+    });
+
+    res.json({
+      success: true,
+      is_active: !test.is_active,
+      message: `Mock test ${!test.is_active ? 'activated' : 'deactivated'}`
+    });
+
+  } catch (err) {
+    console.error('Toggle mock test error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /admin/mock-tests/:id/delete
+ * Delete paper (only while nobody has taken it)
+ */
+async function deleteMockTestHandler(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (await getMockTestAttemptCount(id) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'This paper has attempts and cannot be deleted. Deactivate it instead.'
+      });
+    }
+
+    const deleted = await deleteMockTest(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Mock test not found' });
+    }
+
+    res.json({ success: true, message: 'Mock test deleted successfully' });
+
+  } catch (err) {
+    console.error('Delete mock test error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * POST /admin/mock-tests/:id/sections
+ * Add a section at the end of the paper
+ */
+async function addSectionHandler(req, res) {
+  const id = parseInt(req.params.id);
+
+  try {
+    const test = await getMockTestById(id);
+    if (!test) {
+      return res.redirect('/admin/mock-tests?error=Mock+test+not+found');
+    }
+
+    if (await getMockTestAttemptCount(id) > 0) {
+      return res.redirect(`/admin/mock-tests/${id}/edit?error=Sections+cannot+be+changed+after+students+have+taken+this+paper`);
+    }
+
+    const { data, error } = parseSectionForm(req.body);
+    if (error) {
+      return res.redirect(`/admin/mock-tests/${id}/edit?error=${encodeURIComponent(error)}`);
+    }
+
+    const poolError = await checkMockTestQuestionPool([...test.sections, data]);
+    if (poolError) {
+      return res.redirect(`/admin/mock-tests/${id}/edit?error=${encodeURIComponent(poolError)}`);
+    }
+
+    await addMockTestSection(id, data);
+
+    res.redirect(`/admin/mock-tests/${id}/edit?message=Section+added`);
+
+  } catch (err) {
+    console.error('Add mock test section error:', err);
+    res.redirect(`/admin/mock-tests/${id}/edit?error=${encodeURIComponent('Error adding section: ' + err.message)}`);
+  }
+}
+
+/**
+ * POST /admin/mock-tests/:id/sections/:sectionId/delete
+ * Delete a section
+ */
+async function deleteSectionHandler(req, res) {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (await getMockTestAttemptCount(id) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Sections cannot be changed after students have taken this paper'
+      });
+    }
+
+    const deleted = await deleteMockTestSection(id, parseInt(req.params.sectionId));
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Section not found' });
+    }
+
+    res.json({ success: true, message: 'Section deleted successfully' });
+
+  } catch (err) {
+    console.error('Delete mock test section error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+module.exports = {
+  showMockTests,
+  showCreateMockTest,
+  createMockTestHandler,
+  showEditMockTest,
+  updateMockTestHandler,
+  toggleMockTest,
+  deleteMockTestHandler,
+  addSectionHandler,
+  deleteSectionHandler
+};
@@ -1,5 +1,7 @@
 const pool = require('../config/database');
 const { SQL_IST_NOW } = require('../utils/timezone');
+const { recordXPReset } = require('../services/xpLedgerService');
+const { requestLeaderboardRebuild } = require('../services/leaderboardCacheService');
 
 /**
  * GET /admin/system/reset
@@ -90,8 +92,13 @@ async function performReset(req, res) {
           await client.query('DELETE FROM lifeline_videos_watched');
           await client.query('DELETE FROM video_watch_log');
           await client.query('DELETE FROM question_responses');
+          await client.query('DELETE FROM practice_sessions');
+          await client.query('DELETE FROM mistake_deck');
+          await client.query('DELETE FROM mock_test_attempts');
           await client.query('DELETE FROM level_attempts');
           await client.query('DELETE FROM daily_xp_summary');
+          await client.query('DELETE FROM daily_rank_freezes');
+          await client.query('DELETE FROM xp_transactions');
           await client.query('DELETE FROM streak_tracking');
           await client.query('DELETE FROM referral_tracking');
           await client.query('DELETE FROM otp_logs');
@@ -111,19 +118,38 @@ async function performReset(req, res) {
           await client.query('DELETE FROM question_responses');
           await client.query('DELETE FROM lifeline_videos_watched');
           await client.query('DELETE FROM video_watch_log');
+          await client.query('DELETE FROM practice_sessions');
+          await client.query('DELETE FROM mistake_deck');
+          await client.query('DELETE FROM mock_test_attempts');
           const attemptsResult = await client.query('DELETE FROM level_attempts');
           results.level_attempts = attemptsResult.rowCount;
-          // Reset user progress in profile
+          // Reset user progress in profile, reversing every balance in the XP ledger
+          await recordXPReset(client, null, req.session.adminUser.email);
           await client.query(`
             UPDATE users_profile
             SET xp_total = 0, current_level = 1, total_ads_watched = 0, videos_watched = 0, updated_at = ${SQL_IST_NOW}
           `);
+          // Reset earned badges
+          await client.query('DELETE FROM user_achievements');
+          // Reset streak freezes and repairs
+          await client.query('DELETE FROM streak_freeze_history');
+          await client.query('DELETE FROM streak_repairs');
+          await client.query('DELETE FROM streak_milestone_rewards');
+          // Reset daily missions
+          await client.query('DELETE FROM user_daily_missions');
+          // Reset weekly leagues
+          await client.query('DELETE FROM leagues');
+          // Reset lifeline wallets
+          await client.query('DELETE FROM lifeline_transactions');
+          await client.query('DELETE FROM lifeline_wallets');
           // Reset daily XP
           await client.query('DELETE FROM daily_xp_summary');
+          await client.query('DELETE FROM daily_rank_freezes');
           // Reset streaks
           await client.query(`
             UPDATE streak_tracking
-            SET current_streak = 0, longest_streak = 0, last_activity_date = NULL, updated_at = ${SQL_IST_NOW}
+            SET current_streak = 0, longest_streak = 0, last_activity_date = NULL,
+              freezes_available = 0, repair_streak = NULL, repair_expires_at = NULL, updated_at = ${SQL_IST_NOW}
           `);
           results.quiz_progress = 'All quiz progress reset';
           break;
@@ -158,6 +184,7 @@ async function performReset(req, res) {
 
         case 'daily_xp':
           const dailyXpResult = await client.query('DELETE FROM daily_xp_summary');
+          await client.query('DELETE FROM daily_rank_freezes');
           results.daily_xp = dailyXpResult.rowCount;
           break;
 
@@ -173,6 +200,8 @@ async function performReset(req, res) {
       }
     }
 
+    await requestLeaderboardRebuild(client);
+
     await client.query('COMMIT');
 
     res.json({
@@ -216,8 +245,14 @@ async function resetAllData(req, res) {
     await client.query('DELETE FROM lifeline_videos_watched');
     await client.query('DELETE FROM video_watch_log');
     await client.query('DELETE FROM question_responses');
+    await client.query('DELETE FROM practice_sessions');
+    await client.query('DELETE FROM mistake_deck');
+    await client.query('DELETE FROM mock_test_attempts');
+    await client.query('DELETE FROM mock_tests');
     await client.query('DELETE FROM level_attempts');
     await client.query('DELETE FROM daily_xp_summary');
+    await client.query('DELETE FROM daily_rank_freezes');
+    await client.query('DELETE FROM xp_transactions');
     await client.query('DELETE FROM streak_tracking');
     await client.query('DELETE FROM referral_tracking');
     await client.query('DELETE FROM otp_logs');
@@ -229,6 +264,8 @@ async function resetAllData(req, res) {
     // Reset version counters
     await client.query('UPDATE levels_version SET version = 1, last_updated_at = CURRENT_TIMESTAMP WHERE id = 1');
 
+    await requestLeaderboardRebuild(client);
+
     await client.query('COMMIT');
 
     res.json({
@@ -1,5 +1,7 @@
 const pool = require('../config/database');
 const { SQL_IST_NOW } = require('../utils/timezone');
+const { recordXPReset } = require('../services/xpLedgerService');
+const { requestLeaderboardRebuild } = require('../services/leaderboardCacheService');
 
 /**
  * POST /admin/users/:phone/delete
@@ -32,6 +34,8 @@ async function deleteUser(req, res) {
       WHERE phone = $2
     `, [deletedPhone, phone]);
 
+    await requestLeaderboardRebuild(client);
+
     await client.query('COMMIT');
 
     res.json({
@@ -100,8 +104,16 @@ async function purgeUser(req, res) {
     // 5. Delete level attempts
     await client.query('DELETE FROM level_attempts WHERE phone = $1', [phone]);
 
-    // 6. Delete daily XP summary
+    // 5b. Delete practice sessions (question rows cascade) and the mistake deck
+    await client.query('DELETE FROM practice_sessions WHERE phone = $1', [phone]);
+    await client.query('DELETE FROM mistake_deck WHERE phone = $1', [phone]);
+
+    // 5c. Delete mock test attempts (sections and questions cascade)
+    await client.query('DELETE FROM mock_test_attempts WHERE phone = $1', [phone]);
+
+    // 6. Delete daily XP summary and XP ledger
     await client.query('DELETE FROM daily_xp_summary WHERE phone = $1', [phone]);
+    await client.query('DELETE FROM xp_transactions WHERE phone = $1', [phone]);
 
     // 7. Delete streak tracking
     await client.query('DELETE FROM streak_tracking WHERE phone = $1', [phone]);
@@ -115,6 +127,8 @@ async function purgeUser(req, res) {
     // 10. Finally, delete user profile
     await client.query('DELETE FROM users_profile WHERE phone = $1', [phone]);
 
+    await requestLeaderboardRebuild(client);
+
     await client.query('COMMIT');
 
     res.json({
@@ -181,17 +195,42 @@ async function resetUserProgress(req, res) {
     // 5. Delete level attempts
     await client.query('DELETE FROM level_attempts WHERE phone = $1', [phone]);
 
+    // 5b. Delete practice sessions (question rows cascade) and the mistake deck
+    await client.query('DELETE FROM practice_sessions WHERE phone = $1', [phone]);
+    await client.query('DELETE FROM mistake_deck WHERE phone = $1', [phone]);
+
+    // 5c. Delete mock test attempts (sections and questions cascade)
+    await client.query('DELETE FROM mock_test_attempts WHERE phone = $1', [phone]);
+
     // 6. Delete daily XP summary
     await client.query('DELETE FROM daily_xp_summary WHERE phone = $1', [phone]);
 
     // 7. Reset streak tracking
     await client.query(`
       UPDATE streak_tracking
-      SET current_streak = 0, longest_streak = 0, last_activity_date = NULL, updated_at = ${SQL_IST_NOW}
+      SET current_streak = 0, longest_streak = 0, last_activity_date = NULL,
+          freezes_available = 0, repair_streak = NULL, repair_expires_at = NULL, updated_at = ${SQL_IST_NOW}
       WHERE phone = $1
     `, [phone]);
 
-    // 8. Reset user profile stats (keep personal info)
+    // 7b. Delete earned badges (they can be earned again)
+    await client.query('DELETE FROM user_achievements WHERE phone = $1', [phone]);
+
+    // 7c. Delete streak freeze, repair and milestone history
+    await client.query('DELETE FROM streak_freeze_history WHERE phone = $1', [phone]);
+    await client.query('DELETE FROM streak_repairs WHERE phone = $1', [phone]);
+    await client.query('DELETE FROM streak_milestone_rewards WHERE phone = $1', [phone]);
+
+    // 7d. Delete daily missions and league history (back to the lowest tier)
+    await client.query('DELETE FROM user_daily_missions WHERE phone = $1', [phone]);
+    await client.query('DELETE FROM league_members WHERE phone = $1', [phone]);
+
+    // 7e. Delete the lifeline wallet and its ledger
+    await client.query('DELETE FROM lifeline_transactions WHERE phone = $1', [phone]);
+    await client.query('DELETE FROM lifeline_wallets WHERE phone = $1', [phone]);
+
+    // 8. Reset user profile stats (keep personal info), reversing the balance in the XP ledger
+    await recordXPReset(client, phone, req.session.adminUser.email);
     await client.query(`
       UPDATE users_profile
       SET xp_total = 0, current_level = 1, total_ads_watched = 0, videos_watched = 0, updated_at = ${SQL_IST_NOW}
@@ -262,7 +301,11 @@ async function bulkUserAction(req, res) {
         await client.query('DELETE FROM video_watch_log WHERE phone = $1', [phone]);
         await client.query('DELETE FROM question_responses WHERE phone = $1', [phone]);
         await client.query('DELETE FROM level_attempts WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM practice_sessions WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM mistake_deck WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM mock_test_attempts WHERE phone = $1', [phone]);
         await client.query('DELETE FROM daily_xp_summary WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM xp_transactions WHERE phone = $1', [phone]);
         await client.query('DELETE FROM streak_tracking WHERE phone = $1', [phone]);
         await client.query('DELETE FROM referral_tracking WHERE referrer_phone = $1 OR referee_phone = $1', [phone]);
         await client.query('DELETE FROM otp_logs WHERE phone = $1', [phone]);
@@ -274,12 +317,25 @@ async function bulkUserAction(req, res) {
         await client.query('DELETE FROM video_watch_log WHERE phone = $1', [phone]);
         await client.query('DELETE FROM question_responses WHERE phone = $1', [phone]);
         await client.query('DELETE FROM level_attempts WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM practice_sessions WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM mistake_deck WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM mock_test_attempts WHERE phone = $1', [phone]);
         await client.query('DELETE FROM daily_xp_summary WHERE phone = $1', [phone]);
         await client.query(`
           UPDATE streak_tracking
-          SET current_streak = 0, longest_streak = 0, last_activity_date = NULL, updated_at = ${SQL_IST_NOW}
+          SET current_streak = 0, longest_streak = 0, last_activity_date = NULL,
+              freezes_available = 0, repair_streak = NULL, repair_expires_at = NULL, updated_at = ${SQL_IST_NOW}
           WHERE phone = $1
         `, [phone]);
+        await client.query('DELETE FROM user_achievements WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM streak_freeze_history WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM streak_repairs WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM streak_milestone_rewards WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM user_daily_missions WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM league_members WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM lifeline_transactions WHERE phone = $1', [phone]);
+        await client.query('DELETE FROM lifeline_wallets WHERE phone = $1', [phone]);
+        await recordXPReset(client, phone, req.session.adminUser.email);
         await client.query(`
           UPDATE users_profile
           SET xp_total = 0, current_level = 1, total_ads_watched = 0, videos_watched = 0, updated_at = ${SQL_IST_NOW}
@@ -298,6 +354,8 @@ async function bulkUserAction(req, res) {
       processedCount++;
     }
 
+    await requestLeaderboardRebuild(client);
+
     await client.query('COMMIT');
 
     res.json({
@@ -1,9 +1,10 @@
 const pool = require('../config/database');
 const { generateToken } = require('../config/jwt');
 const { sendOTP, verifyOTP } = require('../services/otpService');
-const { generateReferralCode, processReferral } = require('../services/referralService');
+const { generateReferralCode, processReferral, checkReferrerAchievements } = require('../services/referralService');
 const { updateStreak } = require('../services/streakService');
 const { SQL_IST_NOW, SQL_IST_DATE, SQL_IST_TIME } = require('../utils/timezone');
+const { normalizeDistrict, normalizeState } = require('../utils/location');
 
 /**
  * POST /api/v1/auth/send-otp
@@ -61,7 +62,7 @@ async function verifyOTPHandler(req, res, next) {
       await client.query(`
         INSERT INTO users_profile (phone, name, district, state, medium, referral_code, referred_by, xp_total, current_level, date_joined, time_joined, created_at, updated_at)
         VALUES ($1, $2, $3, $4, $5, $6, $7, 0, 1, ${SQL_IST_DATE}, ${SQL_IST_TIME}, ${SQL_IST_NOW}, ${SQL_IST_NOW})
-      `, [phone, name || null, district || null, state || null, validMedium, newReferralCode, referral_code || null]);
+      `, [phone, name || null, normalizeDistrict(district), normalizeState(state), validMedium, newReferralCode, referral_code || null]);
 
       // Create streak record with IST timestamps
       await client.query(`
@@ -114,6 +115,11 @@ async function verifyOTPHandler(req, res, next) {
         .catch(err => console.error('Webhook error (non-critical):', err.message));
     }
 
+    // Referral badges for the referrer, now that the referral is committed
+    if (referralBonus.applied) {
+      checkReferrerAchievements(referralBonus.referrer_phone);
+    }
+
     // Generate JWT token
     const token = generateToken(phone);
 
@@ -196,7 +202,10 @@ async function validateTokenHandler(req, res, next) {
         profile_image_url: user.profile_image_url
       },
       streak_updated: streakUpdate.updated,
-      current_streak: streakUpdate.current_streak
+      current_streak: streakUpdate.current_streak,
+      streak_freezes_used: streakUpdate.freezes_used || 0,
+      streak_repair_available: streakUpdate.repair_available || false,
+      streak_milestones_reached: streakUpdate.milestones_reached || []
     });
 
   } catch (err) {
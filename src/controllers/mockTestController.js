@@ -0,0 +1,209 @@
+const { getActiveMockTests } = require('../services/mockTestService');
+const {
+  startMockTest,
+  getMockAttempt,
+  answerMockQuestion,
+  nextMockSection,
+  submitMockTest,
+  getMockTestResult,
+  getMockAttemptHistory
+} = require('../services/mockAttemptService');
+const { updateStreak } = require('../services/streakService');
+
+/**
+ * GET /api/v1/mock-tests
+ * List available mock test papers with the user's attempt summary
+ */
+async function listMockTests(req, res, next) {
+  try {
+    const { phone } = req.user;
+
+    const mockTests = await getActiveMockTests(phone);
+
+    res.json({
+      success: true,
+      mock_tests: mockTests
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/mock-tests/:id/start
+ * Start a mock test (or resume the attempt already in progress)
+ */
+async function startTest(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const mockTestId = parseInt(req.params.id);
+
+    const attempt = await startMockTest(phone, mockTestId);
+
+    // Taking a mock test counts as daily activity for the streak (non-blocking)
+    updateStreak(phone).catch(err => {
+      console.error('Streak update error (non-critical):', err);
+    });
+
+    res.json({
+      success: true,
+      ...attempt
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/mock-tests/attempts/:attemptId
+ * Get current state of an attempt (resume after app restart)
+ */
+async function getAttempt(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const attemptId = parseInt(req.params.attemptId);
+
+    const attempt = await getMockAttempt(phone, attemptId);
+
+    res.json({
+      success: true,
+      ...attempt
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/mock-tests/answer
+ * Save or change an answer in the current section
+ */
+async function answerTestQuestion(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const { attempt_id, question_id, user_answer } = req.body;
+
+    const progress = await answerMockQuestion(phone, {
+      attemptId: attempt_id,
+      questionId: question_id,
+      userAnswer: user_answer
+    });
+
+    res.json({
+      success: true,
+      saved: true,
+      ...progress
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/mock-tests/attempts/:attemptId/next-section
+ * Finish the current section early and move to the next
+ */
+async function nextSection(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const attemptId = parseInt(req.params.attemptId);
+
+    const result = await nextMockSection(phone, attemptId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/mock-tests/attempts/:attemptId/submit
+ * Submit the whole test and get the result
+ */
+async function submitTest(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const attemptId = parseInt(req.params.attemptId);
+
+    const result = await submitMockTest(phone, attemptId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/mock-tests/attempts/:attemptId/result
+ * Get score, per-section breakdown, percentile and answer review
+ */
+async function getResult(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const attemptId = parseInt(req.params.attemptId);
+
+    const result = await getMockTestResult(phone, attemptId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/mock-tests/attempts
+ * Get user's mock test attempts (newest first)
+ */
+async function getHistory(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Validate pagination
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_LIMIT',
+        message: 'Limit must be between 1 and 100'
+      });
+    }
+
+    const attempts = await getMockAttemptHistory(phone, limit, offset);
+
+    res.json({
+      success: true,
+      attempts
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listMockTests,
+  startTest,
+  getAttempt,
+  answerTestQuestion,
+  nextSection,
+  submitTest,
+  getResult,
+  getHistory
+};
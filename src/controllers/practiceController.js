@@ -0,0 +1,171 @@
+const {
+  getPracticeTopics,
+  startPracticeSession,
+  startMistakeReplay,
+  answerPracticeQuestion,
+  getPracticeHistory
+} = require('../services/practiceService');
+const { getMistakeDeck } = require('../services/mistakeService');
+const { updateStreak } = require('../services/streakService');
+
+/**
+ * GET /api/v1/practice/topics
+ * List subjects and topics available for practice (unlocked levels only)
+ */
+async function getTopics(req, res, next) {
+  try {
+    const { phone } = req.user;
+
+    const subjects = await getPracticeTopics(phone);
+
+    res.json({
+      success: true,
+      subjects
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/practice/start
+ * Start a practice session for a topic
+ * Practice does not count as a level attempt and never changes current_level
+ */
+async function startPractice(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const { topic, subject } = req.body;
+
+    const session = await startPracticeSession(phone, { topic, subject: subject || null });
+
+    // Practicing counts as daily activity for the streak (non-blocking)
+    updateStreak(phone).catch(err => {
+      console.error('Streak update error (non-critical):', err);
+    });
+
+    res.json({
+      success: true,
+      ...session
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/practice/mistakes
+ * Get the user's mistake deck grouped by subject and topic
+ */
+async function getMistakes(req, res, next) {
+  try {
+    const { phone } = req.user;
+
+    const deck = await getMistakeDeck(phone);
+
+    res.json({
+      success: true,
+      ...deck
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/practice/mistakes/replay
+ * Start a practice session from mistakes that are due for review
+ */
+async function replayMistakes(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const { subject, topic } = req.body;
+
+    const session = await startMistakeReplay(phone, {
+      subject: subject || null,
+      topic: topic || null
+    });
+
+    // Practicing counts as daily activity for the streak (non-blocking)
+    updateStreak(phone).catch(err => {
+      console.error('Streak update error (non-critical):', err);
+    });
+
+    res.json({
+      success: true,
+      ...session
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/practice/answer
+ * Submit answer for a practice question (topic practice or mistake replay)
+ */
+async function answerPractice(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const { session_id, question_id, user_answer, time_taken_seconds } = req.body;
+
+    const result = await answerPracticeQuestion(phone, {
+      sessionId: session_id,
+      questionId: question_id,
+      userAnswer: user_answer,
+      timeTakenSeconds: time_taken_seconds || null
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/practice/history
+ * Get user's practice sessions (newest first) with totals
+ */
+async function getHistory(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Validate pagination
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_LIMIT',
+        message: 'Limit must be between 1 and 100'
+      });
+    }
+
+    const history = await getPracticeHistory(phone, limit, offset);
+
+    res.json({
+      success: true,
+      ...history
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getTopics,
+  startPractice,
+  getMistakes,
+  replayMistakes,
+  answerPractice,
+  getHistory
+};
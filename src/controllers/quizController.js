@@ -1,9 +1,25 @@
 const pool = require('../config/database');
-const { calculateBaseXP, calculateAccuracy, addXPToUser } = require('../services/xpService');
-const { deductLifeline, getLifelineStatus } = require('../services/lifelineService');
+const { getLifelineConfig, deductLifeline, getLifelineStatus, getWalletBalance } = require('../services/lifelineService');
 const { updateStreak } = require('../services/streakService');
 const { SQL_IST_NOW, SQL_IST_DATE, SQL_IST_TIME } = require('../utils/timezone');
 const { getCachedQuestions, setCachedQuestions } = require('../services/cacheService');
+const { chooseDifficultyProfile, pickQuestionsByDifficulty } = require('../services/difficultyService');
+const { recordMistake } = require('../services/mistakeService');
+const { checkAchievements, notifyAchievementsEarned } = require('../services/achievementService');
+const { addDailyActivity } = require('../services/xpService');
+const { getActiveXPRules, xpPerCorrect, currentMultiplier } = require('../services/xpRulesService');
+const {
+  DEADLINE_GRACE_SECONDS,
+  getLevelSettings,
+  drawQuestionSet,
+  saveQuestionSet,
+  getAttemptQuestion,
+  completeAttempt,
+  notifyAttemptCompleted,
+  formatQuizResult,
+  formatQuestionForClient
+} = require('../services/levelAttemptService');
+const { getPowerUpConfig, formatPowerUps, usePowerUp } = require('../services/powerUpService');
 
 /**
  * GET /api/v1/user/level-history
@@ -19,7 +35,8 @@ async function getLevelHistory(req, res, next) {
         COUNT(*) as attempts,
         MAX(accuracy_percentage) as best_accuracy,
         SUM(xp_earned_final) as total_xp_from_level,
-        MAX(CASE WHEN video_watched = TRUE THEN 1 ELSE 0 END) as video_watched
+        MAX(CASE WHEN video_watched = TRUE THEN 1 ELSE 0 END) as video_watched,
+        SUM(fifty_fifty_used + skips_used + extra_time_used) as power_ups_used
       FROM level_attempts
       WHERE phone = $1
       GROUP BY level
@@ -58,6 +75,15 @@ async function startLevel(req, res, next) {
     const currentLevel = userResult.rows[0].current_level;
     const userMedium = userResult.rows[0].medium || 'english';
 
+    const levelSettings = await getLevelSettings(level);
+
+    if (level > levelSettings.max_level) {
+      throw {
+        code: 'INVALID_LEVEL',
+        message: `Level ${level} does not exist. The last level is ${levelSettings.max_level}`
+      };
+    }
+
     if (level > currentLevel) {
       throw {
         code: 'LEVEL_LOCKED',
@@ -66,13 +92,14 @@ async function startLevel(req, res, next) {
       };
     }
 
-    // Check if this is first attempt (exclude abandoned attempts)
+    // Check if this is first attempt (exclude abandoned and expired attempts)
     const attemptCountResult = await pool.query(
-      'SELECT COUNT(*) as count FROM level_attempts WHERE phone = $1 AND level = $2 AND completion_status != $3',
-      [phone, level, 'abandoned']
+      "SELECT COUNT(*) as count FROM level_attempts WHERE phone = $1 AND level = $2 AND completion_status NOT IN ('abandoned', 'expired')",
+      [phone, level]
     );
 
-    const isFirstAttempt = parseInt(attemptCountResult.rows[0].count) === 0;
+    const attemptNumber = parseInt(attemptCountResult.rows[0].count) + 1;
+    const isFirstAttempt = attemptNumber === 1;
 
     // Try to get questions from cache first
     let questionRows = await getCachedQuestions(level, userMedium);
@@ -84,9 +111,9 @@ async function startLevel(req, res, next) {
         SELECT
           sl, level, question_order,
           question_text, question_image_url,
-          option_1, option_2, option_3, option_4,
+          option_1, option_2, option_3, option_4, correct_option,
           explanation_text, explanation_url,
-          subject, topic, medium
+          subject, topic, difficulty, medium
         FROM questions
         WHERE level = $1 AND (medium = $2 OR medium = 'both')
         ORDER BY question_order ASC
@@ -98,9 +125,9 @@ async function startLevel(req, res, next) {
           SELECT
             sl, level, question_order,
             question_text, question_image_url,
-            option_1, option_2, option_3, option_4,
+            option_1, option_2, option_3, option_4, correct_option,
             explanation_text, explanation_url,
-            subject, topic, medium
+            subject, topic, difficulty, medium
           FROM questions
           WHERE level = $1 AND (medium = 'english' OR medium = 'both')
           ORDER BY question_order ASC
@@ -113,9 +140,9 @@ async function startLevel(req, res, next) {
           SELECT
             sl, level, question_order,
             question_text, question_image_url,
-            option_1, option_2, option_3, option_4,
+            option_1, option_2, option_3, option_4, correct_option,
             explanation_text, explanation_url,
-            subject, topic, medium
+            subject, topic, difficulty, medium
           FROM questions
           WHERE level = $1
           ORDER BY question_order ASC
@@ -135,23 +162,66 @@ async function startLevel(req, res, next) {
       throw { code: 'QUESTIONS_NOT_FOUND', message: 'No questions found for this level' };
     }
 
-    // Create level attempt record with IST timestamps
-    const attemptResult = await pool.query(`
-      INSERT INTO level_attempts (
-        phone, level, is_first_attempt, lifelines_remaining, completion_status,
-        attempt_date, attempt_time, created_at, updated_at
-      ) VALUES (
-        $1, $2, $3, 3, 'in_progress',
-        ${SQL_IST_DATE}, ${SQL_IST_TIME}, ${SQL_IST_NOW}, ${SQL_IST_NOW}
-      ) RETURNING id
-    `, [phone, level, isFirstAttempt]);
+    // Older app builds read the answer from an @ prefix - only send it while legacy mode is on
+    const configResult = await pool.query('SELECT legacy_answer_key_enabled FROM app_config WHERE id = 1');
+    const includeAnswerKey = configResult.rows[0]?.legacy_answer_key_enabled === true;
+
+    // Attempts start with the configured lifelines; wallet mode adds the account-level wallet
+    const lifelineConfig = await getLifelineConfig();
+
+    // Server-side deadline for this attempt, from the level's time limit
+    const durationSeconds = levelSettings.duration_seconds;
+
+    // Adaptive levels pick easier or harder questions based on the student's recent accuracy
+    let difficultyProfile = null;
+    let candidateRows = questionRows;
+
+    if (levelSettings.adaptive_difficulty) {
+      difficultyProfile = await chooseDifficultyProfile(phone);
+      candidateRows = pickQuestionsByDifficulty(questionRows, levelSettings.questions_per_level, difficultyProfile);
+    }
 
-    const attemptId = attemptResult.rows[0].id;
+    // Random subset of the level's pool, in random order with shuffled options
+    const questionSet = drawQuestionSet(candidateRows, levelSettings.questions_per_level);
+
+    // Create level attempt and its question set with IST timestamps
+    const client = await pool.connect();
+    let attemptId;
+
+    try {
+      await client.query('BEGIN');
+
+      const attemptResult = await client.query(`
+        INSERT INTO level_attempts (
+          phone, level, is_first_attempt, attempt_number, lifelines_remaining, completion_status,
+          total_questions, difficulty_profile, expires_at,
+          attempt_date, attempt_time, created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, $8, 'in_progress',
+          $5, $6, ${SQL_IST_NOW} + make_interval(secs => $7),
+          ${SQL_IST_DATE}, ${SQL_IST_TIME}, ${SQL_IST_NOW}, ${SQL_IST_NOW}
+        ) RETURNING id
+      `, [
+        phone, level, isFirstAttempt, attemptNumber, questionSet.length, difficultyProfile, durationSeconds,
+        lifelineConfig.lifelines_per_quiz
+      ]);
+
+      attemptId = attemptResult.rows[0].id;
+
+      await saveQuestionSet(client, attemptId, questionSet);
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
 
-    // Update user's streak (indicates active engagement)
-    // This runs in background - don't fail the request if it errors
-    updateStreak(phone).catch(err => {
+    // Update user's streak (indicates active engagement) - don't fail the request if it errors
+    const streakUpdate = await updateStreak(phone).catch(err => {
       console.error('Streak update error (non-critical):', err);
+      return null;
     });
 
     // Send webhook event (non-blocking)
@@ -159,26 +229,39 @@ async function startLevel(req, res, next) {
     eventWebhook.onQuizStarted(phone, level, attemptId, isFirstAttempt)
       .catch(err => console.error('Webhook error (non-critical):', err.message));
 
-    // Format questions for response (with @ symbol intact)
-    const questions = questionRows.map(q => ({
-      sl: q.sl,
-      question_order: q.question_order,
-      question_text: q.question_text,
-      question_image_url: q.question_image_url,
-      options: [q.option_1, q.option_2, q.option_3, q.option_4],
-      explanation_text: q.explanation_text,
-      explanation_url: q.explanation_url,
-      subject: q.subject,
-      topic: q.topic
+    const questions = questionSet.map(item => formatQuestionForClient(item.question, {
+      position: item.position,
+      optionOrder: item.optionOrder,
+      includeAnswerKey
     }));
 
+    // XP shown up front; the final amount is worked out under the rules active at completion
+    const { rules: xpRules } = await getActiveXPRules();
+
+    const walletBalance = lifelineConfig.lifeline_mode === 'wallet' ? await getWalletBalance(phone) : null;
+    const powerUpConfig = await getPowerUpConfig();
+
     res.json({
       success: true,
       attempt_id: attemptId,
       level,
       is_first_attempt: isFirstAttempt,
-      xp_per_correct: isFirstAttempt ? 5 : 1,
-      lifelines_remaining: 3,
+      attempt_number: attemptNumber,
+      xp_per_correct: xpPerCorrect(xpRules, attemptNumber),
+      xp_multiplier: currentMultiplier(xpRules, level),
+      lifelines_remaining: lifelineConfig.lifelines_per_quiz,
+      lifeline_mode: lifelineConfig.lifeline_mode,
+      lifeline_wallet_balance: walletBalance,
+      power_ups: formatPowerUps(powerUpConfig, null, lifelineConfig.lifeline_mode),
+      duration_seconds: durationSeconds,
+      total_questions: questionSet.length,
+      streak: streakUpdate && {
+        current: streakUpdate.current_streak,
+        broken: streakUpdate.streak_broken || false,
+        freezes_used: streakUpdate.freezes_used || 0,
+        repair_available: streakUpdate.repair_available || false,
+        milestones_reached: streakUpdate.milestones_reached || []
+      },
       questions
     });
 
@@ -200,9 +283,62 @@ async function answerQuestion(req, res, next) {
 
     await client.query('BEGIN');
 
+    // Lock the attempt so concurrent answers and the timeout job are serialized
+    const lockResult = await client.query(`
+      SELECT
+        id, phone, level, completion_status, timed_out, total_questions,
+        EXISTS (
+          SELECT 1 FROM level_attempt_questions laq WHERE laq.attempt_id = level_attempts.id
+        ) AS has_question_set,
+        expires_at + INTERVAL '${DEADLINE_GRACE_SECONDS} seconds' < ${SQL_IST_NOW} AS is_expired
+      FROM level_attempts
+      WHERE id = $1
+      FOR UPDATE
+    `, [attempt_id]);
+
+    if (lockResult.rows.length === 0) {
+      throw { code: 'ATTEMPT_NOT_FOUND', message: 'Level attempt not found' };
+    }
+
+    const lockedAttempt = lockResult.rows[0];
+
+    if (lockedAttempt.phone !== phone) {
+      throw { code: 'ATTEMPT_NOT_OWNED', message: 'This level attempt belongs to another user' };
+    }
+
+    if (lockedAttempt.timed_out) {
+      throw { code: 'TIME_EXPIRED', message: 'Time is up for this level attempt' };
+    }
+
+    // Deadline passed but the timeout job hasn't run yet - complete it now
+    if (lockedAttempt.completion_status === 'in_progress' && lockedAttempt.is_expired) {
+      const timeoutResult = await completeAttempt(client, attempt_id, { timedOut: true });
+      await client.query('COMMIT');
+
+      notifyAttemptCompleted(timeoutResult);
+
+      throw {
+        code: 'TIME_EXPIRED',
+        message: 'Time is up for this level attempt. The answer was not recorded.',
+        details: { quiz_result: formatQuizResult(timeoutResult) }
+      };
+    }
+
+    if (lockedAttempt.completion_status === 'completed') {
+      throw { code: 'ATTEMPT_ALREADY_COMPLETED', message: 'This level attempt is already completed' };
+    }
+
+    if (lockedAttempt.completion_status === 'abandoned') {
+      throw { code: 'ATTEMPT_ABANDONED', message: 'This level attempt was abandoned. Start the level again.' };
+    }
+
+    if (lockedAttempt.completion_status === 'expired') {
+      throw { code: 'ATTEMPT_EXPIRED', message: 'This level attempt expired after being left idle. Start the level again.' };
+    }
+
     // Get question details
     const questionResult = await client.query(
-      'SELECT sl, level, option_1, option_2, option_3, option_4, explanation_text, explanation_url FROM questions WHERE sl = $1',
+      'SELECT sl, level, correct_option, explanation_text, explanation_url FROM questions WHERE sl = $1',
       [question_id]
     );
 
@@ -211,11 +347,54 @@ async function answerQuestion(req, res, next) {
     }
 
     const question = questionResult.rows[0];
-    const options = [question.option_1, question.option_2, question.option_3, question.option_4];
 
-    // Find correct answer (option with @ prefix)
-    const correctIndex = options.findIndex(opt => opt.startsWith('@')) + 1; // 1-indexed
-    const isCorrect = (user_answer === correctIndex);
+    // Options were shuffled for this attempt; attempts started before question
+    // sets were stored show options in stored order
+    let optionOrder = [1, 2, 3, 4];
+
+    if (lockedAttempt.has_question_set) {
+      const attemptQuestion = await getAttemptQuestion(client, attempt_id, question_id);
+
+      if (!attemptQuestion) {
+        throw {
+          code: 'QUESTION_NOT_IN_ATTEMPT',
+          message: `Question ${question_id} is not part of this level attempt`
+        };
+      }
+
+      optionOrder = attemptQuestion.option_order;
+    } else if (question.level !== lockedAttempt.level) {
+      throw {
+        code: 'QUESTION_NOT_IN_LEVEL',
+        message: `Question ${question_id} is not part of level ${lockedAttempt.level}`
+      };
+    }
+
+    const alreadyAnswered = await client.query(
+      'SELECT 1 FROM question_responses WHERE attempt_id = $1 AND question_id = $2',
+      [attempt_id, question_id]
+    );
+
+    if (alreadyAnswered.rows.length > 0) {
+      throw { code: 'QUESTION_ALREADY_ANSWERED', message: 'This question has already been answered in this attempt' };
+    }
+
+    // user_answer and correct_answer are positions as shown to the user (1-indexed);
+    // question_responses stores the stored option number so stats are comparable across attempts
+    const chosenOption = optionOrder[user_answer - 1];
+
+    // Options taken away by 50-50 are no longer on screen
+    const removedResult = await client.query(`
+      SELECT removed_options FROM attempt_power_ups
+      WHERE attempt_id = $1 AND question_id = $2 AND power_up = 'fifty_fifty'
+    `, [attempt_id, question_id]);
+
+    if (removedResult.rows.length > 0 && removedResult.rows[0].removed_options.includes(chosenOption)) {
+      throw { code: 'INVALID_ANSWER', message: 'This option was removed by 50-50' };
+    }
+
+    const correctIndex = optionOrder.indexOf(question.correct_option) + 1;
+    const isCorrect = (chosenOption === question.correct_option);
 
     // Insert answer record with IST timestamp
     await client.query(`
@@ -225,7 +404,14 @@ async function answerQuestion(req, res, next) {
       ) VALUES (
         $1, $2, $3, $4, $5, $6, $7, ${SQL_IST_NOW}, ${SQL_IST_NOW}
       )
-    `, [attempt_id, phone, question_id, question.level, user_answer, isCorrect, time_taken_seconds || null]);
+    `, [attempt_id, phone, question_id, question.level, chosenOption, isCorrect, time_taken_seconds || null]);
+
+    await addDailyActivity(phone, { questions: 1 }, client);
+
+    // Wrong answers feed the user's mistake review deck
+    if (!isCorrect) {
+      await recordMistake(client, phone, question_id);
+    }
 
     // Update attempt progress with IST timestamp
     await client.query(`
@@ -251,88 +437,37 @@ async function answerQuestion(req, res, next) {
     }
 
     // Get updated attempt progress
-    const attemptResult = await client.query(
-      'SELECT questions_attempted, correct_answers, accuracy_percentage, lifelines_remaining FROM level_attempts WHERE id = $1',
-      [attempt_id]
-    );
+    const attemptResult = await client.query(`
+      SELECT
+        questions_attempted, total_questions, correct_answers, accuracy_percentage, lifelines_remaining,
+        CASE WHEN expires_at IS NOT NULL
+          THEN GREATEST(0, CEIL(EXTRACT(EPOCH FROM (expires_at - ${SQL_IST_NOW}))))::int
+        END AS time_remaining_seconds
+      FROM level_attempts
+      WHERE id = $1
+    `, [attempt_id]);
 
     const attempt = attemptResult.rows[0];
 
-    // Initialize quiz completion response data
-    let quizCompleted = false;
-    let levelUnlocked = false;
-    let newCurrentLevel = null;
-    let baseXP = 0;
-    let completedLevel = null; // Store level for webhook after commit
-
-    // Auto-complete quiz when all 10 questions answered
-    if (attempt.questions_attempted === 10) {
-      quizCompleted = true;
-
-      // Get attempt details for XP calculation
-      const attemptDetails = await client.query(
-        'SELECT is_first_attempt, level, accuracy_percentage FROM level_attempts WHERE id = $1',
-        [attempt_id]
-      );
-
-      const attemptData = attemptDetails.rows[0];
-      completedLevel = attemptData.level; // Store for webhook use after commit
-      baseXP = calculateBaseXP(attempt.correct_answers, attemptData.is_first_attempt);
-
-      // Mark level as completed and store base XP with IST timestamp
-      await client.query(`
-        UPDATE level_attempts
-        SET xp_earned_base = $1, completion_status = 'completed', updated_at = ${SQL_IST_NOW}
-        WHERE id = $2
-      `, [baseXP, attempt_id]);
-
-      // Add base XP to user's total and daily summary
-      await addXPToUser(phone, baseXP, client);
-
-      // Check level unlock (30% accuracy required)
-      if (attempt.accuracy_percentage >= 30) {
-        const nextLevel = attemptData.level + 1;
-
-        if (nextLevel <= 100) {
-          const userResult = await client.query(
-            'SELECT current_level FROM users_profile WHERE phone = $1',
-            [phone]
-          );
-
-          const currentLevel = userResult.rows[0].current_level;
-
-          if (nextLevel > currentLevel) {
-            await client.query(
-              `UPDATE users_profile SET current_level = $1, updated_at = ${SQL_IST_NOW} WHERE phone = $2`,
-              [nextLevel, phone]
-            );
-
-            levelUnlocked = true;
-            newCurrentLevel = nextLevel;
-          }
-        }
-      }
+    // Auto-complete quiz when every question in the attempt is answered
+    let completionResult = null;
+    if (attempt.questions_attempted === attempt.total_questions) {
+      completionResult = await completeAttempt(client, attempt_id);
     }
 
+    // Badges for correct answers and completed levels
+    const achievementMetrics = completionResult
+      ? ['correct_answers', 'levels_completed', 'perfect_levels', 'total_xp']
+      : (isCorrect ? ['correct_answers'] : []);
+    const achievementsEarned = await checkAchievements(phone, achievementMetrics, client);
+
     await client.query('COMMIT');
 
-    // Send webhook events for quiz completion (non-blocking)
-    if (quizCompleted) {
-      const eventWebhook = require('../services/eventWebhookService');
-
-      // Quiz completed event
-      eventWebhook.onQuizCompleted(
-        phone, completedLevel, attempt_id,
-        parseFloat(attempt.accuracy_percentage), baseXP, attempt.correct_answers,
-        levelUnlocked, newCurrentLevel
-      ).catch(err => console.error('Webhook error (non-critical):', err.message));
-
-      // Level unlocked event (separate event for easier n8n handling)
-      if (levelUnlocked) {
-        eventWebhook.onLevelUnlocked(phone, completedLevel, newCurrentLevel)
-          .catch(err => console.error('Webhook error (non-critical):', err.message));
-      }
+    // Send webhook events for quiz completion and badges (non-blocking)
+    if (completionResult) {
+      notifyAttemptCompleted(completionResult);
     }
+    notifyAchievementsEarned(phone, achievementsEarned);
 
     // Build response
     const response = {
@@ -343,29 +478,25 @@ async function answerQuestion(req, res, next) {
       explanation_url: question.explanation_url,
       progress: {
         questions_attempted: attempt.questions_attempted,
+        total_questions: attempt.total_questions,
         correct_answers: attempt.correct_answers,
         accuracy_so_far: parseFloat(attempt.accuracy_percentage)
       },
       lifelines: {
         remaining: lifelineStatus.lifelines_remaining,
         can_continue: lifelineStatus.can_continue,
-        can_watch_video_to_restore: lifelineStatus.can_watch_video && lifelineStatus.lifelines_remaining === 0
-      }
+        can_watch_video_to_restore: lifelineStatus.can_watch_video && lifelineStatus.lifelines_remaining === 0,
+        from_wallet: lifelineStatus.from_wallet || false,
+        wallet_balance: lifelineStatus.from_wallet !== undefined ? lifelineStatus.wallet_balance : null
+      },
+      time_remaining_seconds: attempt.time_remaining_seconds,
+      achievements_earned: achievementsEarned
     };
 
     // Add quiz completion details if quiz is completed
-    if (quizCompleted) {
+    if (completionResult) {
       response.quiz_completed = true;
-      response.quiz_result = {
-        base_xp_earned: baseXP,
-        potential_bonus_xp: baseXP, // Same as base (doubles XP)
-        level_unlocked: levelUnlocked,
-        ...(levelUnlocked && { new_current_level: newCurrentLevel }),
-        can_watch_video_to_double_xp: true,
-        message: levelUnlocked
-          ? `Level completed! Watch video to double your ${baseXP} XP.`
-          : `Quiz completed with ${attempt.accuracy_percentage}% accuracy. Watch video to double your ${baseXP} XP.`
-      };
+      response.quiz_result = formatQuizResult(completionResult);
     }
 
     res.json(response);
@@ -378,6 +509,31 @@ async function answerQuestion(req, res, next) {
   }
 }
 
+/**
+ * POST /api/v1/question/power-up
+ * Use a 50-50, skip or extra-time power-up during a level attempt
+ */
+async function usePowerUpHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const { attempt_id, question_id, type, payment, video_id, watch_duration_seconds } = req.body;
+
+    const result = await usePowerUp(phone, {
+      attemptId: attempt_id,
+      questionId: question_id,
+      type,
+      payment,
+      videoId: video_id,
+      watchDuration: watch_duration_seconds
+    });
+
+    res.json(result);
+
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * POST /api/v1/level/abandon
  * Mark level as abandoned
@@ -391,8 +547,9 @@ async function abandonLevel(req, res, next) {
       UPDATE level_attempts
       SET
         completion_status = 'abandoned',
+        end_reason = 'user_abandoned',
         updated_at = ${SQL_IST_NOW}
-      WHERE id = $1 AND phone = $2
+      WHERE id = $1 AND phone = $2 AND completion_status = 'in_progress'
     `, [attempt_id, phone]);
 
     res.json({
@@ -409,5 +566,6 @@ module.exports = {
   getLevelHistory,
   startLevel,
   answerQuestion,
+  usePowerUpHandler,
   abandonLevel
 };
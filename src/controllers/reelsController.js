@@ -141,12 +141,13 @@ async function reelWatched(req, res, next) {
       });
     }
 
-    await markReelWatched(phone, reel_id, duration);
+    const result = await markReelWatched(phone, reel_id, duration);
 
     res.json({
       success: true,
       message: 'Reel marked as watched',
-      watch_duration_seconds: duration
+      watch_duration_seconds: duration,
+      achievements_earned: result.achievements_earned
     });
 
   } catch (err) {
@@ -179,7 +180,8 @@ async function heartReel(req, res, next) {
       is_hearted: result.is_hearted,
       new_heart_count: result.total_hearts,
       total_hearts: result.total_hearts, // Keep for backward compatibility
-      message: result.is_hearted ? 'Reel hearted' : 'Heart removed'
+      message: result.is_hearted ? 'Reel hearted' : 'Heart removed',
+      achievements_earned: result.achievements_earned
     });
 
   } catch (err) {
@@ -1,89 +1,168 @@
 const pool = require('../config/database');
-const { getStreak } = require('../services/streakService');
+const { getStreak, repairStreak, getFreezeHistory } = require('../services/streakService');
 const { getOnlineCount } = require('../services/onlineUsersService');
+const { getResumeState } = require('../services/levelAttemptService');
+const {
+  getDailyLeaderboard,
+  getPeriodLeaderboard,
+  getAllTimeLeaderboard,
+  getTopDistricts,
+  getBestDailyRank
+} = require('../services/leaderboardService');
+const { getCurrentLeague, getLeagueHistory } = require('../services/leagueService');
 
 /**
  * GET /api/v1/leaderboard/daily?date=YYYY-MM-DD
- * Get daily leaderboard
+ * Get daily leaderboard (national, or scoped with ?scope=district|state or ?state=...&district=...)
  */
-async function getDailyLeaderboard(req, res, next) {
+async function getDailyLeaderboardHandler(req, res, next) {
   try {
     const { phone } = req.user;
-    const { date } = req.query;
-    const targetDate = date || new Date().toISOString().split('T')[0];
+    const { date, scope, district, state } = req.query;
 
-    // Get top 50 for the date
-    const top50Result = await pool.query(`
-      SELECT
-        d.phone, u.name, u.district, u.state,
-        u.xp_total, u.profile_image_url,
-        d.total_xp_today, d.daily_rank
-      FROM daily_xp_summary d
-      JOIN users_profile u ON d.phone = u.phone
-      WHERE d.date = $1
-      ORDER BY d.total_xp_today DESC
-      LIMIT 50
-    `, [targetDate]);
-
-    // Get user's own stats for the date
-    const userStatsResult = await pool.query(`
-      SELECT total_xp_today
-      FROM daily_xp_summary
-      WHERE phone = $1 AND date = $2
-    `, [phone, targetDate]);
-
-    let userStats = {
-      rank: null,
-      name: null,
-      district: null,
-      state: null,
-      total_xp: 0,
-      image_url: null,
-      today_xp: 0
-    };
-
-    if (userStatsResult.rows.length > 0) {
-      const userXP = userStatsResult.rows[0].total_xp_today;
-
-      // Calculate user's rank
-      const rankResult = await pool.query(`
-        SELECT COUNT(*) + 1 as rank
-        FROM daily_xp_summary
-        WHERE date = $1 AND total_xp_today > $2
-      `, [targetDate, userXP]);
-
-      const userProfileResult = await pool.query(
-        'SELECT name, district, state, xp_total, profile_image_url FROM users_profile WHERE phone = $1',
-        [phone]
-      );
-
-      const profile = userProfileResult.rows[0];
-      userStats = {
-        rank: parseInt(rankResult.rows[0].rank),
-        name: profile.name,
-        district: profile.district,
-        state: profile.state,
-        total_xp: profile.xp_total,
-        image_url: profile.profile_image_url,
-        today_xp: userXP
-      };
+    const leaderboard = await getDailyLeaderboard(phone, { date, scope, district, state });
+
+    res.json({
+      success: true,
+      ...leaderboard
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/leaderboard/weekly?date=YYYY-MM-DD or ?period=YYYY-Www
+ * Get weekly leaderboard (IST Monday to Sunday; current week by default)
+ */
+async function getWeeklyLeaderboard(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const { date, period, scope, district, state } = req.query;
+
+    const leaderboard = await getPeriodLeaderboard(phone, 'weekly', { date, key: period, scope, district, state });
+
+    res.json({
+      success: true,
+      ...leaderboard
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/leaderboard/monthly?date=YYYY-MM-DD or ?period=YYYY-MM
+ * Get monthly leaderboard (IST calendar month; current month by default)
+ */
+async function getMonthlyLeaderboard(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const { date, period, scope, district, state } = req.query;
+
+    const leaderboard = await getPeriodLeaderboard(phone, 'monthly', { date, key: period, scope, district, state });
+
+    res.json({
+      success: true,
+      ...leaderboard
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/leaderboard/all-time
+ * Get all-time leaderboard on total XP
+ */
+async function getAllTimeLeaderboardHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const { scope, district, state } = req.query;
+
+    const leaderboard = await getAllTimeLeaderboard(phone, { scope, district, state });
+
+    res.json({
+      success: true,
+      ...leaderboard
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/leaderboard/:period/districts
+ * Rank districts by XP for a leaderboard period (daily, weekly, monthly, all-time),
+ * optionally within the caller's state (?scope=state) or any state (?state=...)
+ */
+function getTopDistrictsHandler(period) {
+  return async (req, res, next) => {
+    try {
+      const { phone } = req.user;
+      const { date, period: key, scope, state } = req.query;
+
+      const ranking = await getTopDistricts(phone, period, { date, key, scope, state });
+
+      res.json({
+        success: true,
+        ...ranking
+      });
+
+    } catch (err) {
+      next(err);
     }
+  };
+}
 
-    const leaderboard = top50Result.rows.map((row, index) => ({
-      rank: index + 1,
-      name: row.name,
-      district: row.district,
-      state: row.state,
-      total_xp: row.xp_total,
-      image_url: row.profile_image_url,
-      today_xp: row.total_xp_today
-    }));
+/**
+ * GET /api/v1/leagues/current
+ * Get the caller's league group for this IST week with its standings
+ */
+async function getCurrentLeagueHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+
+    const league = await getCurrentLeague(phone);
 
     res.json({
       success: true,
-      date: targetDate,
-      user_stats: userStats,
-      top_50: leaderboard
+      ...league
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/leagues/history?limit=20&offset=0
+ * Get the caller's finished league weeks, newest first
+ */
+async function getLeagueHistoryHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Validate pagination params
+    if (limit < 1 || limit > 100) {
+      throw { code: 'INVALID_LIMIT', message: 'Limit must be between 1 and 100' };
+    }
+
+    if (offset < 0) {
+      throw { code: 'INVALID_OFFSET', message: 'Offset must be 0 or greater' };
+    }
+
+    const result = await getLeagueHistory(phone, limit, offset);
+
+    res.json({
+      success: true,
+      ...result
     });
 
   } catch (err) {
@@ -100,7 +179,9 @@ async function getDailyXP(req, res, next) {
     const { phone } = req.user;
 
     const result = await pool.query(`
-      SELECT date, total_xp_today, levels_completed_today
+      SELECT
+        date, total_xp_today, levels_completed_today,
+        questions_attempted_today, videos_watched_today, daily_rank
       FROM daily_xp_summary
       WHERE phone = $1
       ORDER BY date DESC
@@ -112,7 +193,10 @@ async function getDailyXP(req, res, next) {
       xp_history: result.rows.map(row => ({
         date: row.date,
         xp: row.total_xp_today,
-        levels: row.levels_completed_today
+        levels: row.levels_completed_today,
+        questions: row.questions_attempted_today,
+        videos: row.videos_watched_today,
+        rank: row.daily_rank // Final national rank, set once the day is over
       }))
     });
 
@@ -123,7 +207,7 @@ async function getDailyXP(req, res, next) {
 
 /**
  * GET /api/v1/user/streak
- * Get current and longest streak
+ * Get current and longest streak, streak freezes and any open repair offer
  */
 async function getUserStreak(req, res, next) {
   try {
@@ -137,6 +221,8 @@ async function getUserStreak(req, res, next) {
         current: streak.current,
         longest: streak.longest,
         last_active: streak.last_active,
+        freezes: streak.freezes,
+        repair: streak.repair,
         message: `${streak.current} days streak! 🔥`
       }
     });
@@ -146,6 +232,59 @@ async function getUserStreak(req, res, next) {
   }
 }
 
+/**
+ * POST /api/v1/user/streak/repair
+ * Restore a broken streak while the repair offer is open, by watching a video or spending XP
+ */
+async function repairStreakHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const { method, video_id, watch_duration_seconds } = req.body;
+
+    const result = await repairStreak(phone, {
+      method,
+      videoId: video_id,
+      watchDuration: watch_duration_seconds
+    });
+
+    res.json(result);
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/user/streak/freezes?limit=50&offset=0
+ * Get streak freezes earned and used, newest first
+ */
+async function getFreezeHistoryHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Validate pagination params
+    if (limit < 1 || limit > 100) {
+      throw { code: 'INVALID_LIMIT', message: 'Limit must be between 1 and 100' };
+    }
+
+    if (offset < 0) {
+      throw { code: 'INVALID_OFFSET', message: 'Offset must be 0 or greater' };
+    }
+
+    const result = await getFreezeHistory(phone, limit, offset);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * GET /api/v1/user/stats
  * Get comprehensive user statistics
@@ -185,6 +324,8 @@ async function getUserStats(req, res, next) {
       [phone]
     );
 
+    const bestDailyRank = await getBestDailyRank(phone);
+
     res.json({
       success: true,
       stats: {
@@ -194,7 +335,8 @@ async function getUserStats(req, res, next) {
         questions_attempted: parseInt(stats.questions_attempted) || 0,
         correct_answers: parseInt(stats.correct_answers) || 0,
         overall_accuracy: overallAccuracy,
-        videos_watched: parseInt(videosResult.rows[0].count) || 0
+        videos_watched: parseInt(videosResult.rows[0].count) || 0,
+        best_daily_rank: bestDailyRank
       }
     });
 
@@ -248,43 +390,30 @@ async function getOnlineCountHandler(req, res, next) {
 
 /**
  * GET /api/v1/level/resume
- * Check if user has incomplete level to resume
+ * Check if user has incomplete level to resume, with its question set and answers so far
  */
 async function resumeLevel(req, res, next) {
   try {
     const { phone } = req.user;
 
-    // Find most recent incomplete attempt
-    const result = await pool.query(`
-      SELECT
-        id, level, questions_attempted, lifelines_remaining
-      FROM level_attempts
-      WHERE phone = $1
-      AND completion_status = 'in_progress'
-      AND questions_attempted < 10
-      ORDER BY created_at DESC
-      LIMIT 1
-    `, [phone]);
+    // Same answer key mode as /level/start so legacy builds can rebuild the screen
+    const configResult = await pool.query('SELECT legacy_answer_key_enabled FROM app_config WHERE id = 1');
+    const includeAnswerKey = configResult.rows[0]?.legacy_answer_key_enabled === true;
 
-    if (result.rows.length === 0) {
+    // Most recent incomplete attempt that still has time left
+    const resumeData = await getResumeState(phone, { includeAnswerKey });
+
+    if (!resumeData) {
       return res.json({
         success: true,
         has_incomplete_level: false
       });
     }
 
-    const attempt = result.rows[0];
-
     res.json({
       success: true,
       has_incomplete_level: true,
-      resume_data: {
-        attempt_id: attempt.id,
-        level: attempt.level,
-        questions_attempted: attempt.questions_attempted,
-        questions_remaining: 10 - attempt.questions_attempted,
-        lifelines_remaining: attempt.lifelines_remaining
-      }
+      resume_data: resumeData
     });
 
   } catch (err) {
@@ -293,9 +422,17 @@ async function resumeLevel(req, res, next) {
 }
 
 module.exports = {
-  getDailyLeaderboard,
+  getDailyLeaderboardHandler,
+  getWeeklyLeaderboard,
+  getMonthlyLeaderboard,
+  getAllTimeLeaderboardHandler,
+  getTopDistrictsHandler,
+  getCurrentLeagueHandler,
+  getLeagueHistoryHandler,
   getDailyXP,
   getUserStreak,
+  repairStreakHandler,
+  getFreezeHistoryHandler,
   getUserStats,
   checkVersion,
   getOnlineCountHandler,
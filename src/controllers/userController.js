@@ -3,7 +3,12 @@ const multer = require('multer');
 const { uploadFile } = require('../services/uploadService');
 const { getStreak } = require('../services/streakService');
 const { getReferralStats, getReferredUsers } = require('../services/referralService');
+const { getXPHistory } = require('../services/xpLedgerService');
+const { getUserAchievements } = require('../services/achievementService');
+const { getTodayMissions, claimMission } = require('../services/missionService');
+const { getLifelineInventory } = require('../services/lifelineService');
 const { getISTDate, SQL_IST_NOW } = require('../utils/timezone');
+const { normalizeDistrict, normalizeState } = require('../utils/location');
 
 // Multer setup for memory storage
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } }); // 10MB limit
@@ -100,13 +105,13 @@ async function updateProfile(req, res, next) {
 
     if (district !== undefined) {
       updates.push(`district = $${paramCount}`);
-      values.push(district);
+      values.push(normalizeDistrict(district));
       paramCount++;
     }
 
     if (state !== undefined) {
       updates.push(`state = $${paramCount}`);
-      values.push(state);
+      values.push(normalizeState(state));
       paramCount++;
     }
 
@@ -211,10 +216,137 @@ async function getReferredUsersHandler(req, res, next) {
   }
 }
 
+/**
+ * GET /api/v1/user/xp-history?limit=50&offset=0
+ * Get the user's XP ledger, newest first
+ */
+async function getXPHistoryHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Validate pagination params
+    if (limit < 1 || limit > 100) {
+      throw { code: 'INVALID_LIMIT', message: 'Limit must be between 1 and 100' };
+    }
+
+    if (offset < 0) {
+      throw { code: 'INVALID_OFFSET', message: 'Offset must be 0 or greater' };
+    }
+
+    const result = await getXPHistory(phone, limit, offset);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/user/achievements
+ * Get earned badges and locked badges with progress
+ */
+async function getAchievementsHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+
+    const achievements = await getUserAchievements(phone);
+
+    res.json({
+      success: true,
+      ...achievements
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/user/missions
+ * Get today's missions with progress
+ */
+async function getMissionsHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+
+    const missions = await getTodayMissions(phone);
+
+    res.json({
+      success: true,
+      ...missions
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/v1/user/missions/:id/claim
+ * Claim a completed mission's XP and lifeline rewards
+ */
+async function claimMissionHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+
+    const result = await claimMission(phone, parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/v1/user/lifelines?limit=20&offset=0
+ * Get the lifeline wallet and its ledger, newest first
+ */
+async function getLifelinesHandler(req, res, next) {
+  try {
+    const { phone } = req.user;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Validate pagination params
+    if (limit < 1 || limit > 100) {
+      throw { code: 'INVALID_LIMIT', message: 'Limit must be between 1 and 100' };
+    }
+
+    if (offset < 0) {
+      throw { code: 'INVALID_OFFSET', message: 'Offset must be 0 or greater' };
+    }
+
+    const result = await getLifelineInventory(phone, limit, offset);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (err) {
+    next(err);
+  }
+}
+
 module.exports = {
   getProfile,
   updateProfile,
   getReferralStatsHandler,
   getReferredUsersHandler,
+  getXPHistoryHandler,
+  getAchievementsHandler,
+  getMissionsHandler,
+  claimMissionHandler,
+  getLifelinesHandler,
   upload // Export multer middleware
 };
@@ -1,6 +1,9 @@
 const pool = require('../config/database');
 const { addXPToUser } = require('../services/xpService');
 const { restoreLifelines } = require('../services/lifelineService');
+const { getWithholdingFlag, withholdXP } = require('../services/antiCheatService');
+const { recordXPTransaction } = require('../services/xpLedgerService');
+const { getXPRulesVersion, getDailyCapRemaining, videoBonusXP } = require('../services/xpRulesService');
 const { getISTDate, SQL_IST_NOW } = require('../utils/timezone');
 
 /**
@@ -62,7 +65,7 @@ async function completeVideo(req, res, next) {
     // Fetch attempt details
     const attemptResult = await client.query(`
       SELECT
-        phone, level, xp_earned_base, is_first_attempt,
+        phone, level, xp_earned_base, is_first_attempt, xp_rule_version,
         accuracy_percentage, video_watched, correct_answers, completion_status
       FROM level_attempts
       WHERE id = $1
@@ -107,9 +110,14 @@ async function completeVideo(req, res, next) {
       };
     }
 
-    // Calculate bonus XP (base XP already added on quiz completion)
+    // Calculate bonus XP (base XP already added on quiz completion) under the rules the attempt was scored with
+    const xpRules = await getXPRulesVersion(attempt.xp_rule_version, client);
     const baseXP = attempt.xp_earned_base;
-    const bonusXP = baseXP; // Equal to base (doubles the XP)
+    const dailyCapRemaining = await getDailyCapRemaining(client, phone, xpRules.rules);
+    const bonusXP = Math.min(
+      videoBonusXP(xpRules.rules, baseXP),
+      dailyCapRemaining !== null ? dailyCapRemaining : Infinity
+    );
     const finalXP = baseXP + bonusXP;
 
     // Update level_attempts with final XP and mark video as watched
@@ -135,6 +143,14 @@ async function completeVideo(req, res, next) {
       )
     `, [phone, attempt_id, attempt.level, video_id, video.video_url, watch_duration_seconds, bonusXP]);
 
+    // Attempts flagged by anti-cheat hold the bonus too, until an admin clears the flag
+    const withholdingFlag = await getWithholdingFlag(client, attempt_id);
+    const creditedBonusXP = withholdingFlag ? 0 : bonusXP;
+
+    if (withholdingFlag) {
+      await withholdXP(client, withholdingFlag.id, bonusXP);
+    }
+
     // Update user's total XP (only bonus XP - base was already added on quiz completion)
     await client.query(`
       UPDATE users_profile
@@ -143,7 +159,7 @@ async function completeVideo(req, res, next) {
         total_ads_watched = total_ads_watched + 1,
         updated_at = ${SQL_IST_NOW}
       WHERE phone = $2
-    `, [bonusXP, phone]);
+    `, [creditedBonusXP, phone]);
 
     // Update daily XP summary (only bonus XP and videos watched) with IST date
     const today = getISTDate();
@@ -155,7 +171,18 @@ async function completeVideo(req, res, next) {
         total_xp_today = daily_xp_summary.total_xp_today + $3,
         videos_watched_today = daily_xp_summary.videos_watched_today + 1,
         updated_at = ${SQL_IST_NOW}
-    `, [phone, today, bonusXP]);
+    `, [phone, today, creditedBonusXP]);
+
+    if (creditedBonusXP > 0) {
+      await recordXPTransaction(client, {
+        phone,
+        amount: creditedBonusXP,
+        source: 'video_bonus',
+        referenceId: attempt_id,
+        xpDate: today,
+        ruleVersion: xpRules.version
+      });
+    }
 
     // Get user's new total XP
     const userResult = await client.query(
@@ -181,13 +208,23 @@ async function completeVideo(req, res, next) {
     eventWebhook.onBonusXPClaimed(phone, attempt.level, attempt_id, baseXP, bonusXP, finalXP, newTotalXP)
       .catch(err => console.error('Webhook error (non-critical):', err.message));
 
+    let bonusMessage;
+    if (bonusXP === 0 && baseXP > 0) {
+      bonusMessage = 'Daily XP limit reached - no bonus XP this time.';
+    } else if (bonusXP === baseXP) {
+      bonusMessage = 'XP doubled!';
+    } else {
+      bonusMessage = `+${bonusXP} bonus XP!`;
+    }
+
     res.json({
       success: true,
       xp_details: {
         base_xp: baseXP,
         bonus_xp: bonusXP,
         final_xp: finalXP,
-        message: 'XP doubled!'
+        ...(withholdingFlag && { xp_on_hold: true }),
+        message: withholdingFlag && bonusXP > 0 ? `${bonusMessage} It is on hold while this attempt is reviewed.` : bonusMessage
       },
       user_progress: {
         new_total_xp: newTotalXP,
@@ -89,11 +89,23 @@ function getStatusCodeFromError(errorCode) {
     INVALID_REFERRAL_CODE: 400,
     INVALID_LEVEL: 400,
     INVALID_ANSWER: 400,
+    INVALID_PERIOD: 400,
+    INVALID_LIMIT: 400,
+    INVALID_OFFSET: 400,
+    LOCATION_NOT_SET: 400,
     LEVEL_LOCKED: 400,
     VIDEO_ALREADY_WATCHED: 400,
     INSUFFICIENT_WATCH_TIME: 400,
+    INSUFFICIENT_XP: 400,
+    INSUFFICIENT_LIFELINES: 400,
+    POWER_UP_NOT_AVAILABLE: 400,
     MAX_ATTEMPTS_EXCEEDED: 400,
     OTP_ALREADY_USED: 400,
+    QUESTION_NOT_IN_LEVEL: 400,
+    QUESTION_NOT_IN_ATTEMPT: 400,
+    QUESTION_NOT_IN_SESSION: 400,
+    QUESTION_NOT_IN_SECTION: 400,
+    MISSION_NOT_COMPLETE: 400,
 
     // 401 errors
     UNAUTHORIZED: 401,
@@ -101,18 +113,48 @@ function getStatusCodeFromError(errorCode) {
     TOKEN_EXPIRED: 401,
     INVALID_CREDENTIALS: 401,
 
+    // 403 errors
+    ATTEMPT_NOT_OWNED: 403,
+    PRACTICE_SESSION_NOT_OWNED: 403,
+    MOCK_ATTEMPT_NOT_OWNED: 403,
+
     // 404 errors
     NOT_FOUND: 404,
     USER_NOT_FOUND: 404,
     QUESTIONS_NOT_FOUND: 404,
     VIDEO_NOT_FOUND: 404,
     ATTEMPT_NOT_FOUND: 404,
+    QUESTION_NOT_FOUND: 404,
+    PRACTICE_SESSION_NOT_FOUND: 404,
+    NO_PRACTICE_QUESTIONS: 404,
+    NO_MISTAKES_DUE: 404,
+    MOCK_TEST_NOT_FOUND: 404,
+    MOCK_ATTEMPT_NOT_FOUND: 404,
+    NO_MOCK_QUESTIONS: 404,
+    NO_STREAK_REPAIR: 404,
+    MISSION_NOT_FOUND: 404,
+
+    // 409 errors
+    QUESTION_ALREADY_ANSWERED: 409,
+    ATTEMPT_ALREADY_COMPLETED: 409,
+    ATTEMPT_ABANDONED: 409,
+    ATTEMPT_EXPIRED: 409,
+    PRACTICE_SESSION_CLOSED: 409,
+    MOCK_TEST_COMPLETED: 409,
+    MOCK_TEST_NOT_COMPLETED: 409,
+    SECTION_CLOSED: 409,
+    MISSION_ALREADY_CLAIMED: 409,
+    POWER_UP_LIMIT_REACHED: 409,
+    POWER_UP_ALREADY_USED: 409,
 
     // 429 errors
     RATE_LIMIT_EXCEEDED: 429,
 
     // 410 errors
     OTP_EXPIRED: 410,
+    TIME_EXPIRED: 410,
+    STREAK_REPAIR_EXPIRED: 410,
+    MISSION_EXPIRED: 410,
 
     // 422 errors
     INVALID_OTP: 422,
@@ -69,8 +69,8 @@ const validationRules = {
   // Level start
   startLevel: [
     body('level')
-      .isInt({ min: 1, max: 100 })
-      .withMessage('Level must be between 1 and 100'),
+      .isInt({ min: 1 })
+      .withMessage('Level must be a positive number'),
     validate
   ],
 
@@ -92,6 +92,118 @@ const validationRules = {
     validate
   ],
 
+  // Use power-up
+  usePowerUp: [
+    body('attempt_id')
+      .isInt({ min: 1 })
+      .withMessage('Valid attempt_id required'),
+    body('type')
+      .isIn(['fifty_fifty', 'skip', 'extra_time'])
+      .withMessage('Type must be fifty_fifty, skip or extra_time'),
+    body('question_id')
+      .if(body('type').not().equals('extra_time'))
+      .isInt({ min: 1 })
+      .withMessage('Valid question_id required'),
+    body('payment')
+      .isIn(['video', 'xp', 'lifelines'])
+      .withMessage('Payment must be video, xp or lifelines'),
+    body('video_id')
+      .if(body('payment').equals('video'))
+      .isInt({ min: 1 })
+      .withMessage('Valid video_id required'),
+    body('watch_duration_seconds')
+      .if(body('payment').equals('video'))
+      .isInt({ min: 1 })
+      .withMessage('Watch duration must be at least 1 second'),
+    validate
+  ],
+
+  // Practice start
+  startPractice: [
+    body('topic')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Topic is required'),
+    body('subject')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Subject must be at most 50 characters'),
+    validate
+  ],
+
+  // Mistake replay
+  replayMistakes: [
+    body('subject')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Subject must be at most 50 characters'),
+    body('topic')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Topic must be at most 100 characters'),
+    validate
+  ],
+
+  // Practice answer
+  answerPractice: [
+    body('session_id')
+      .isInt({ min: 1 })
+      .withMessage('Valid session_id required'),
+    body('question_id')
+      .isInt({ min: 1 })
+      .withMessage('Valid question_id required'),
+    body('user_answer')
+      .isInt({ min: 1, max: 4 })
+      .withMessage('Answer must be between 1 and 4'),
+    body('time_taken_seconds')
+      .optional()
+      .isInt({ min: 0, max: 120 })
+      .withMessage('Time taken must be between 0 and 120 seconds'),
+    validate
+  ],
+
+  // Mock test answer (can be changed while the section is open)
+  answerMockQuestion: [
+    body('attempt_id')
+      .isInt({ min: 1 })
+      .withMessage('Valid attempt_id required'),
+    body('question_id')
+      .isInt({ min: 1 })
+      .withMessage('Valid question_id required'),
+    body('user_answer')
+      .isInt({ min: 1, max: 4 })
+      .withMessage('Answer must be between 1 and 4'),
+    validate
+  ],
+
+  mockTestParam: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid mock test id required'),
+    validate
+  ],
+
+  mockAttemptParam: [
+    param('attemptId')
+      .isInt({ min: 1 })
+      .withMessage('Valid attempt id required'),
+    validate
+  ],
+
+  missionParam: [
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('Valid mission id required'),
+    validate
+  ],
+
   // Video complete
   completeVideo: [
     body('attempt_id')
@@ -120,11 +232,27 @@ const validationRules = {
     validate
   ],
 
+  // Repair a broken streak
+  repairStreak: [
+    body('method')
+      .isIn(['video', 'xp'])
+      .withMessage('Method must be video or xp'),
+    body('video_id')
+      .if(body('method').equals('video'))
+      .isInt({ min: 1 })
+      .withMessage('Valid video_id required'),
+    body('watch_duration_seconds')
+      .if(body('method').equals('video'))
+      .isInt({ min: 1 })
+      .withMessage('Watch duration must be at least 1 second'),
+    validate
+  ],
+
   // Query params validations
   levelQuery: [
     query('level')
-      .isInt({ min: 1, max: 100 })
-      .withMessage('Level must be between 1 and 100'),
+      .isInt({ min: 1 })
+      .withMessage('Level must be a positive number'),
     validate
   ],
 
@@ -134,6 +262,48 @@ const validationRules = {
       .matches(/^\d{4}-\d{2}-\d{2}$/)
       .withMessage('Date must be in YYYY-MM-DD format'),
     validate
+  ],
+
+  leaderboardScope: [
+    query('scope')
+      .optional()
+      .isIn(['district', 'state'])
+      .withMessage('Scope must be "district" or "state"'),
+    query('district')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('District must be 2-100 characters'),
+    query('state')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('State must be 2-100 characters'),
+    validate
+  ],
+
+  weekQuery: [
+    query('date')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+    query('period')
+      .optional()
+      .matches(/^\d{4}-W\d{2}$/)
+      .withMessage('Period must be an ISO week in YYYY-Www format'),
+    validate
+  ],
+
+  monthQuery: [
+    query('date')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+    query('period')
+      .optional()
+      .matches(/^\d{4}-\d{2}$/)
+      .withMessage('Period must be a month in YYYY-MM format'),
+    validate
   ]
 };
 
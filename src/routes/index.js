@@ -9,6 +9,8 @@ const videoRoutes = require('./videoRoutes');
 const statsRoutes = require('./statsRoutes');
 const reelsRoutes = require('./reelsRoutes');
 const levelsRoutes = require('./levelsRoutes');
+const practiceRoutes = require('./practiceRoutes');
+const mockTestRoutes = require('./mockTestRoutes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -18,6 +20,8 @@ router.use('/', quizRoutes); // Includes /level/* and /question/*
 router.use('/video', videoRoutes);
 router.use('/', statsRoutes); // Includes /leaderboard/*, /app/*
 router.use('/reels', reelsRoutes); // Video reels feature
+router.use('/practice', practiceRoutes); // Subject/topic practice outside level progression
+router.use('/mock-tests', mockTestRoutes); // Sectioned JNVST mock test papers
 
 // Health check
 router.get('/health', (req, res) => {
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listMockTests,
+  startTest,
+  getAttempt,
+  answerTestQuestion,
+  nextSection,
+  submitTest,
+  getResult,
+  getHistory
+} = require('../controllers/mockTestController');
+const validationRules = require('../middleware/validation');
+const authenticateJWT = require('../middleware/auth');
+
+// All mock test routes require authentication
+router.use(authenticateJWT);
+
+// List available mock test papers
+router.get('/', listMockTests);
+
+// Get user's mock test attempts
+router.get('/attempts', getHistory);
+
+// Get current state of an attempt (resume)
+router.get('/attempts/:attemptId', validationRules.mockAttemptParam, getAttempt);
+
+// Get result with per-section breakdown, percentile and answer review
+router.get('/attempts/:attemptId/result', validationRules.mockAttemptParam, getResult);
+
+// Finish the current section early
+router.post('/attempts/:attemptId/next-section', validationRules.mockAttemptParam, nextSection);
+
+// Submit the whole test
+router.post('/attempts/:attemptId/submit', validationRules.mockAttemptParam, submitTest);
+
+// Save or change an answer in the current section
+router.post('/answer', validationRules.answerMockQuestion, answerTestQuestion);
+
+// Start (or resume) a mock test
+router.post('/:id/start', validationRules.mockTestParam, startTest);
+
+module.exports = router;
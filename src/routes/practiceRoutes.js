@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTopics,
+  startPractice,
+  getMistakes,
+  replayMistakes,
+  answerPractice,
+  getHistory
+} = require('../controllers/practiceController');
+const validationRules = require('../middleware/validation');
+const authenticateJWT = require('../middleware/auth');
+
+// All practice routes require authentication
+router.use(authenticateJWT);
+
+// List subjects and topics available for practice
+router.get('/topics', getTopics);
+
+// Get user's practice history
+router.get('/history', getHistory);
+
+// Start a practice session for a topic
+router.post('/start', validationRules.startPractice, startPractice);
+
+// Get mistake review deck (wrong answers grouped by subject and topic)
+router.get('/mistakes', getMistakes);
+
+// Start a replay of mistakes due for review
+router.post('/mistakes/replay', validationRules.replayMistakes, replayMistakes);
+
+// Submit answer for a practice question (topic practice or mistake replay)
+router.post('/answer', validationRules.answerPractice, answerPractice);
+
+module.exports = router;
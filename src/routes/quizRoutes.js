@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { getLevelHistory, startLevel, answerQuestion, abandonLevel } = require('../controllers/quizController');
+const { getLevelHistory, startLevel, answerQuestion, usePowerUpHandler, abandonLevel } = require('../controllers/quizController');
 const validationRules = require('../middleware/validation');
 const authenticateJWT = require('../middleware/auth');
 
@@ -16,6 +16,9 @@ router.post('/level/start', validationRules.startLevel, startLevel);
 // POST /api/v1/question/answer
 router.post('/question/answer', validationRules.answerQuestion, answerQuestion);
 
+// POST /api/v1/question/power-up
+router.post('/question/power-up', validationRules.usePowerUp, usePowerUpHandler);
+
 // POST /api/v1/level/abandon
 router.post('/level/abandon', abandonLevel);
 
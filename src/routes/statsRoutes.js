@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const {
-  getDailyLeaderboard,
+  getDailyLeaderboardHandler,
+  getWeeklyLeaderboard,
+  getMonthlyLeaderboard,
+  getAllTimeLeaderboardHandler,
+  getTopDistrictsHandler,
+  getCurrentLeagueHandler,
+  getLeagueHistoryHandler,
   getDailyXP,
   getUserStreak,
+  repairStreakHandler,
+  getFreezeHistoryHandler,
   getUserStats,
   checkVersion,
   getOnlineCountHandler,
@@ -13,11 +21,27 @@ const validationRules = require('../middleware/validation');
 const authenticateJWT = require('../middleware/auth');
 
 // Leaderboard - requires auth
-router.get('/leaderboard/daily', authenticateJWT, validationRules.dateQuery, getDailyLeaderboard);
+// ?scope=district|state (caller's own) or ?state=...&district=... narrows any period
+router.get('/leaderboard/daily', authenticateJWT, validationRules.dateQuery, validationRules.leaderboardScope, getDailyLeaderboardHandler);
+router.get('/leaderboard/weekly', authenticateJWT, validationRules.weekQuery, validationRules.leaderboardScope, getWeeklyLeaderboard);
+router.get('/leaderboard/monthly', authenticateJWT, validationRules.monthQuery, validationRules.leaderboardScope, getMonthlyLeaderboard);
+router.get('/leaderboard/all-time', authenticateJWT, validationRules.leaderboardScope, getAllTimeLeaderboardHandler);
+
+// Top districts for each period
+router.get('/leaderboard/daily/districts', authenticateJWT, validationRules.dateQuery, validationRules.leaderboardScope, getTopDistrictsHandler('daily'));
+router.get('/leaderboard/weekly/districts', authenticateJWT, validationRules.weekQuery, validationRules.leaderboardScope, getTopDistrictsHandler('weekly'));
+router.get('/leaderboard/monthly/districts', authenticateJWT, validationRules.monthQuery, validationRules.leaderboardScope, getTopDistrictsHandler('monthly'));
+router.get('/leaderboard/all-time/districts', authenticateJWT, validationRules.leaderboardScope, getTopDistrictsHandler('all_time'));
+
+// Weekly leagues - requires auth
+router.get('/leagues/current', authenticateJWT, getCurrentLeagueHandler);
+router.get('/leagues/history', authenticateJWT, getLeagueHistoryHandler);
 
 // User stats - requires auth
 router.get('/user/daily-xp', authenticateJWT, getDailyXP);
 router.get('/user/streak', authenticateJWT, getUserStreak);
+router.get('/user/streak/freezes', authenticateJWT, getFreezeHistoryHandler);
+router.post('/user/streak/repair', authenticateJWT, validationRules.repairStreak, repairStreakHandler);
 router.get('/user/stats', authenticateJWT, getUserStats);
 
 // Level resume - requires auth
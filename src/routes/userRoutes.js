@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { getProfile, updateProfile, getReferralStatsHandler, getReferredUsersHandler, upload } = require('../controllers/userController');
+const { getProfile, updateProfile, getReferralStatsHandler, getReferredUsersHandler, getXPHistoryHandler, getAchievementsHandler, getMissionsHandler, claimMissionHandler, getLifelinesHandler, upload } = require('../controllers/userController');
 const validationRules = require('../middleware/validation');
 const authenticateJWT = require('../middleware/auth');
 
@@ -19,4 +19,19 @@ router.get('/referral-stats', getReferralStatsHandler);
 // GET /api/v1/user/referred-users
 router.get('/referred-users', getReferredUsersHandler);
 
+// GET /api/v1/user/xp-history
+router.get('/xp-history', getXPHistoryHandler);
+
+// GET /api/v1/user/achievements
+router.get('/achievements', getAchievementsHandler);
+
+// GET /api/v1/user/missions
+router.get('/missions', getMissionsHandler);
+
+// POST /api/v1/user/missions/:id/claim
+router.post('/missions/:id/claim', validationRules.missionParam, claimMissionHandler);
+
+// GET /api/v1/user/lifelines
+router.get('/lifelines', getLifelinesHandler);
+
 module.exports = router;
@@ -0,0 +1,430 @@
+const pool = require('../config/database');
+const { addXPToUser } = require('./xpService');
+const { SQL_IST_NOW } = require('../utils/timezone');
+
+/**
+ * Achievement Service
+ * Badges are earned when a user's running total for a metric reaches the badge's target.
+ * Totals are read from the existing tables (attempts, answers, streaks, referrals, reels), so
+ * a badge missed by one event is picked up the next time its metric is checked.
+ */
+
+// Metrics a badge can track (admin form labels)
+const ACHIEVEMENT_METRICS = {
+  levels_completed: 'Levels completed',
+  perfect_levels: 'Levels completed with every answer correct',
+  correct_answers: 'Correct answers in levels',
+  streak_days: 'Longest daily streak (days)',
+  referrals: 'Friends referred',
+  total_xp: 'Total XP',
+  reels_watched: 'Reels watched',
+  reels_hearted_in_category: 'Reels hearted in a category'
+};
+
+// Running total for a user, per metric ($1 = phone)
+const METRIC_SQL = {
+  levels_completed: `
+    SELECT COUNT(DISTINCT level)::int AS value FROM level_attempts
+    WHERE phone = $1 AND completion_status = 'completed'
+  `,
+  perfect_levels: `
+    SELECT COUNT(DISTINCT level)::int AS value FROM level_attempts
+    WHERE phone = $1 AND completion_status = 'completed' AND total_questions > 0 AND correct_answers = total_questions
+  `,
+  correct_answers: 'SELECT COUNT(*)::int AS value FROM question_responses WHERE phone = $1 AND is_correct = TRUE',
+  streak_days: 'SELECT COALESCE(MAX(longest_streak), 0)::int AS value FROM streak_tracking WHERE phone = $1',
+  referrals: 'SELECT COUNT(*)::int AS value FROM referral_tracking WHERE referrer_phone = $1',
+  total_xp: 'SELECT COALESCE(MAX(xp_total), 0)::int AS value FROM users_profile WHERE phone = $1',
+  reels_watched: `SELECT COUNT(*)::int AS value FROM user_reel_progress WHERE phone = $1 AND status = 'watched'`
+};
+
+/**
+ * Read a user's running totals for some metrics
+ * @param {Object} db - Database client or pool
+ * @param {string} phone - User's phone number
+ * @param {Array<string>} metrics - Metric names
+ * @returns {Promise<Object>} { metric: value }; reels_hearted_in_category is { category: { hearted, total } }
+ */
+async function getMetricValues(db, phone, metrics) {
+  const values = {};
+
+  for (const metric of metrics) {
+    if (metric === 'reels_hearted_in_category') {
+      const result = await db.query(`
+        SELECT
+          r.category,
+          COUNT(*)::int AS total,
+          (COUNT(*) FILTER (WHERE p.is_hearted = TRUE))::int AS hearted
+        FROM reels r
+        LEFT JOIN user_reel_progress p ON p.reel_id = r.id AND p.phone = $1
+        WHERE r.is_active = TRUE
+        GROUP BY r.category
+      `, [phone]);
+      values[metric] = Object.fromEntries(result.rows.map(row => [row.category, row]));
+    } else {
+      const result = await db.query(METRIC_SQL[metric], [phone]);
+      values[metric] = result.rows[0].value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Progress toward a badge
+ * Category badges without a target need every active reel in the category hearted
+ * @param {Object} achievement - Achievement row
+ * @param {Object} values - From getMetricValues
+ * @returns {Object} { current, target } (target 0 if the category has no reels)
+ */
+function measureProgress(achievement, values) {
+  if (achievement.metric === 'reels_hearted_in_category') {
+    const category = values.reels_hearted_in_category[achievement.reel_category] || { hearted: 0, total: 0 };
+    return { current: category.hearted, target: achievement.target || category.total };
+  }
+
+  return { current: values[achievement.metric], target: achievement.target };
+}
+
+/**
+ * Public fields of a badge
+ * @param {Object} achievement - Achievement row
+ * @returns {Object} Badge
+ */
+function formatAchievement(achievement) {
+  return {
+    id: achievement.id,
+    code: achievement.code,
+    name: achievement.name,
+    description: achievement.description,
+    icon_url: achievement.icon_url,
+    xp_reward: achievement.xp_reward
+  };
+}
+
+/**
+ * Award the active badges on some metrics that the user has reached
+ * @param {Object} db - Database client (inside a transaction)
+ * @param {string} phone - User's phone number
+ * @param {Array<string>} metrics - Metric names
+ * @returns {Promise<Array>} Newly earned badges
+ */
+async function awardReachedAchievements(db, phone, metrics) {
+  if (metrics.length === 0) {
+    return [];
+  }
+
+  const pendingResult = await db.query(`
+    SELECT a.* FROM achievements a
+    WHERE a.is_active = TRUE
+      AND a.metric = ANY($2)
+      AND NOT EXISTS (
+        SELECT 1 FROM user_achievements ua WHERE ua.achievement_id = a.id AND ua.phone = $1
+      )
+    ORDER BY a.sort_order, a.id
+  `, [phone, metrics]);
+
+  if (pendingResult.rows.length === 0) {
+    return [];
+  }
+
+  const values = await getMetricValues(db, phone, [...new Set(pendingResult.rows.map(a => a.metric))]);
+  const earned = [];
+
+  for (const achievement of pendingResult.rows) {
+    const { current, target } = measureProgress(achievement, values);
+    if (target === 0 || current < target) {
+      continue;
+    }
+
+    // Another request may have awarded it first
+    const insertResult = await db.query(`
+      INSERT INTO user_achievements (phone, achievement_id, xp_awarded, earned_at)
+      VALUES ($1, $2, $3, ${SQL_IST_NOW})
+      ON CONFLICT (phone, achievement_id) DO NOTHING
+      RETURNING earned_at
+    `, [phone, achievement.id, achievement.xp_reward]);
+
+    if (insertResult.rows.length === 0) {
+      continue;
+    }
+
+    if (achievement.xp_reward > 0) {
+      await addXPToUser(phone, achievement.xp_reward, db, { source: 'achievement', referenceId: achievement.id });
+    }
+
+    earned.push({
+      ...formatAchievement(achievement),
+      earned_at: insertResult.rows[0].earned_at,
+      xp_awarded: achievement.xp_reward
+    });
+  }
+
+  return earned;
+}
+
+/**
+ * Check badges after an event that moved some metrics
+ * XP rewards count toward total_xp badges, so those are checked again after any reward
+ * @param {string} phone - User's phone number
+ * @param {Array<string>} metrics - Metrics the event may have moved
+ * @param {Object} client - Database client (inside the event's transaction); without one the check
+ *   runs in its own transaction and sends the webhook events itself
+ * @returns {Promise<Array>} Newly earned badges (with a client, pass them to notifyAchievementsEarned after COMMIT)
+ */
+async function checkAchievements(phone, metrics, client = null) {
+  if (client) {
+    return awardAllReached(client, phone, metrics);
+  }
+
+  const ownClient = await pool.connect();
+  let earned;
+
+  try {
+    await ownClient.query('BEGIN');
+    earned = await awardAllReached(ownClient, phone, metrics);
+    await ownClient.query('COMMIT');
+  } catch (err) {
+    await ownClient.query('ROLLBACK');
+    throw err;
+  } finally {
+    ownClient.release();
+  }
+
+  notifyAchievementsEarned(phone, earned);
+  return earned;
+}
+
+/**
+ * Award reached badges, then total_xp badges until XP rewards stop unlocking more
+ * @param {Object} db - Database client (inside a transaction)
+ * @param {string} phone - User's phone number
+ * @param {Array<string>} metrics - Metric names
+ * @returns {Promise<Array>} Newly earned badges
+ */
+async function awardAllReached(db, phone, metrics) {
+  const earned = await awardReachedAchievements(db, phone, metrics.filter(metric => metric !== 'total_xp'));
+
+  let checkXP = metrics.includes('total_xp') || earned.some(badge => badge.xp_awarded > 0);
+  while (checkXP) {
+    const xpBadges = await awardReachedAchievements(db, phone, ['total_xp']);
+    earned.push(...xpBadges);
+    checkXP = xpBadges.some(badge => badge.xp_awarded > 0);
+  }
+
+  return earned;
+}
+
+/**
+ * Send webhook events for newly earned badges (non-blocking)
+ * @param {string} phone - User's phone number
+ * @param {Array} earned - From checkAchievements
+ */
+function notifyAchievementsEarned(phone, earned) {
+  if (!earned || earned.length === 0) return;
+
+  const eventWebhook = require('./eventWebhookService');
+  for (const badge of earned) {
+    eventWebhook.onAchievementEarned(phone, badge)
+      .catch(err => console.error('Webhook error (non-critical):', err.message));
+  }
+}
+
+/**
+ * Get a user's earned badges and the locked ones with progress
+ * Inactive badges are only listed once earned
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object>} { summary, earned, locked }
+ */
+async function getUserAchievements(phone) {
+  const result = await pool.query(`
+    SELECT a.*, ua.earned_at, ua.xp_awarded
+    FROM achievements a
+    LEFT JOIN user_achievements ua ON ua.achievement_id = a.id AND ua.phone = $1
+    WHERE a.is_active = TRUE OR ua.id IS NOT NULL
+    ORDER BY a.sort_order, a.id
+  `, [phone]);
+
+  const lockedRows = result.rows.filter(row => !row.earned_at);
+  const values = await getMetricValues(pool, phone, [...new Set(lockedRows.map(row => row.metric))]);
+
+  const earned = result.rows
+    .filter(row => row.earned_at)
+    .map(row => ({ ...formatAchievement(row), earned_at: row.earned_at, xp_awarded: row.xp_awarded }))
+    .sort((a, b) => b.earned_at - a.earned_at);
+
+  const locked = lockedRows.map(row => {
+    const { current, target } = measureProgress(row, values);
+    return {
+      ...formatAchievement(row),
+      progress: {
+        current: Math.min(current, target),
+        target,
+        percent: target > 0 ? Math.min(100, Math.floor((current / target) * 100)) : 0
+      }
+    };
+  });
+
+  return {
+    summary: { earned: earned.length, total: earned.length + locked.length },
+    earned,
+    locked
+  };
+}
+
+// ========================================
+// ADMIN
+// ========================================
+
+/**
+ * Get all badge definitions with how many users earned each (admin)
+ * @returns {Promise<Array>} Achievements
+ */
+async function getAllAchievementsAdmin() {
+  const result = await pool.query(`
+    SELECT a.*, (SELECT COUNT(*) FROM user_achievements ua WHERE ua.achievement_id = a.id) as earned_count
+    FROM achievements a
+    ORDER BY a.sort_order, a.id
+  `);
+  return result.rows;
+}
+
+/**
+ * Get a badge definition
+ * @param {number} id - Achievement ID
+ * @returns {Promise<Object|null>} Achievement or null
+ */
+async function getAchievementById(id) {
+  const result = await pool.query('SELECT * FROM achievements WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Count users who earned a badge
+ * @param {number} id - Achievement ID
+ * @returns {Promise<number>} Number of users
+ */
+async function getAchievementEarnedCount(id) {
+  const result = await pool.query(
+    'SELECT COUNT(*) as count FROM user_achievements WHERE achievement_id = $1',
+    [id]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Create a badge definition
+ * @param {Object} data - { code, name, description, icon_url, metric, target, reel_category, xp_reward, sort_order, is_active }
+ * @returns {Promise<Object>} Created achievement
+ */
+async function createAchievement(data) {
+  const result = await pool.query(`
+    INSERT INTO achievements (
+      code, name, description, icon_url, metric, target, reel_category,
+      xp_reward, sort_order, is_active, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, ${SQL_IST_NOW}, ${SQL_IST_NOW})
+    RETURNING *
+  `, [
+    data.code,
+    data.name,
+    data.description,
+    data.icon_url,
+    data.metric,
+    data.target,
+    data.reel_category,
+    data.xp_reward,
+    data.sort_order,
+    data.is_active
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Update a badge definition
+ * Badges already earned stay earned when the target changes
+ * @param {number} id - Achievement ID
+ * @param {Object} data - Same fields as createAchievement
+ * @returns {Promise<Object|null>} Updated achievement
+ */
+async function updateAchievement(id, data) {
+  const result = await pool.query(`
+    UPDATE achievements SET
+      code = $1,
+      name = $2,
+      description = $3,
+      icon_url = $4,
+      metric = $5,
+      target = $6,
+      reel_category = $7,
+      xp_reward = $8,
+      sort_order = $9,
+      is_active = $10,
+      updated_at = ${SQL_IST_NOW}
+    WHERE id = $11
+    RETURNING *
+  `, [
+    data.code,
+    data.name,
+    data.description,
+    data.icon_url,
+    data.metric,
+    data.target,
+    data.reel_category,
+    data.xp_reward,
+    data.sort_order,
+    data.is_active,
+    id
+  ]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Turn a badge on or off
+ * @param {number} id - Achievement ID
+ * @returns {Promise<Object|null>} Updated achievement
+ */
+async function toggleAchievement(id) {
+  const result = await pool.query(`
+    UPDATE achievements SET is_active = NOT is_active, updated_at = ${SQL_IST_NOW}
+    WHERE id = $1
+    RETURNING *
+  `, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a badge definition (only while nobody has earned it)
+ * @param {number} id - Achievement ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteAchievement(id) {
+  const result = await pool.query('DELETE FROM achievements WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Reel categories in use (for the admin form)
+ * @returns {Promise<Array<string>>} Category names
+ */
+async function getReelCategories() {
+  const result = await pool.query(
+    'SELECT DISTINCT category FROM reels WHERE category IS NOT NULL ORDER BY category'
+  );
+  return result.rows.map(row => row.category);
+}
+
+module.exports = {
+  ACHIEVEMENT_METRICS,
+  checkAchievements,
+  notifyAchievementsEarned,
+  getUserAchievements,
+  // Admin
+  getAllAchievementsAdmin,
+  getAchievementById,
+  getAchievementEarnedCount,
+  createAchievement,
+  updateAchievement,
+  toggleAchievement,
+  deleteAchievement,
+  getReelCategories
+};
@@ -0,0 +1,395 @@
+const pool = require('../config/database');
+const { addXPToUser } = require('./xpService');
+const { getISTDate, SQL_IST_NOW } = require('../utils/timezone');
+const { requestLeaderboardRebuild } = require('./leaderboardCacheService');
+
+// Fallbacks when app_config has no row
+const DEFAULT_FLAG_THRESHOLD = 50;
+const DEFAULT_MIN_ANSWER_SECONDS = 2;
+
+// Weight of each signal in the 0-100 suspicion score
+const SPEED_WEIGHT = 50;
+const PATTERN_WEIGHT = 20;
+const RARITY_WEIGHT = 30;
+
+// Speed only counts once enough questions are answered, so one quick tap before quitting
+// or timing out can't reach the flag threshold on its own
+const MIN_ANSWERS_FOR_SPEED = 5;
+
+// Answer pattern only counts once enough questions are answered to tell it from chance
+const MIN_ANSWERS_FOR_PATTERN = 5;
+
+// A question's correct rate is only trusted after this many answers from other attempts
+const MIN_RESPONSES_FOR_RATE = 20;
+const MIN_RATED_QUESTIONS = 3;
+
+// Flags in these states still apply their actions
+const ACTIVE_FLAG_STATUSES = ['pending_review', 'auto_flagged', 'confirmed'];
+
+/**
+ * SQL condition that keeps users out of a leaderboard for a day on which they have an
+ * active flag with leaderboard exclusion
+ * @param {string} phoneColumn - Column holding the user's phone (e.g. 'd.phone')
+ * @param {string|null} dateColumn - Column or parameter holding the IST leaderboard date (e.g. 'd.date');
+ *   null for the all-time leaderboard, where an active flag on any day excludes the user
+ * @returns {string} SQL boolean expression
+ */
+function sqlNotExcludedFromLeaderboard(phoneColumn, dateColumn = null) {
+  return `NOT EXISTS (
+    SELECT 1 FROM attempt_flags af
+    WHERE af.phone = ${phoneColumn}
+      ${dateColumn ? `AND af.attempt_date = ${dateColumn}` : ''}
+      AND af.exclude_from_leaderboard = TRUE
+      AND af.status IN ('pending_review', 'auto_flagged', 'confirmed')
+  )`;
+}
+
+/**
+ * Get anti-cheat settings
+ * @param {Object} client - Database client (for transactions)
+ * @returns {Promise<Object>} Settings
+ */
+async function getAntiCheatConfig(client = null) {
+  const db = client || pool;
+
+  const result = await db.query(`
+    SELECT
+      anti_cheat_enabled, anti_cheat_flag_threshold, anti_cheat_min_answer_seconds,
+      anti_cheat_withhold_xp, anti_cheat_exclude_leaderboard, anti_cheat_queue_review
+    FROM app_config WHERE id = 1
+  `);
+
+  const row = result.rows[0] || {};
+
+  return {
+    enabled: row.anti_cheat_enabled !== false,
+    flag_threshold: row.anti_cheat_flag_threshold != null
+      ? parseFloat(row.anti_cheat_flag_threshold)
+      : DEFAULT_FLAG_THRESHOLD,
+    min_answer_seconds: row.anti_cheat_min_answer_seconds != null
+      ? parseFloat(row.anti_cheat_min_answer_seconds)
+      : DEFAULT_MIN_ANSWER_SECONDS,
+    withhold_xp: row.anti_cheat_withhold_xp === true,
+    exclude_leaderboard: row.anti_cheat_exclude_leaderboard !== false,
+    queue_review: row.anti_cheat_queue_review !== false
+  };
+}
+
+/**
+ * Clamp a value to 0..1
+ * @param {number} value - Value
+ * @returns {number} Clamped value
+ */
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Score how likely an attempt was played by a bot or from shared answers
+ *
+ * - speed: share of answers faster than the minimum plausible time. Uses the gap between
+ *   answers as seen by the server, and the app-reported time when it is lower
+ * - pattern: the same on-screen option picked for most answers (options are shuffled
+ *   per attempt, so an honest player's picks spread across positions)
+ * - rarity: more correct answers on hard questions than their correct rate across other
+ *   attempts predicts
+ *
+ * @param {Object} client - Database client (inside the completing transaction)
+ * @param {number} attemptId - Level attempt ID
+ * @param {Object} config - From getAntiCheatConfig
+ * @returns {Promise<Object>} { score (0-100), signals }
+ */
+async function scoreAttempt(client, attemptId, config) {
+  const responsesResult = await client.query(`
+    SELECT
+      qr.question_id, qr.user_answer, qr.is_correct, qr.time_taken_seconds,
+      EXTRACT(EPOCH FROM (
+        qr.answered_at - LAG(qr.answered_at, 1, la.created_at) OVER (ORDER BY qr.answered_at, qr.id)
+      )) AS server_gap_seconds,
+      laq.option_order
+    FROM question_responses qr
+    JOIN level_attempts la ON la.id = qr.attempt_id
+    LEFT JOIN level_attempt_questions laq ON laq.attempt_id = qr.attempt_id AND laq.question_id = qr.question_id
+    WHERE qr.attempt_id = $1
+    ORDER BY qr.answered_at ASC, qr.id ASC
+  `, [attemptId]);
+
+  const responses = responsesResult.rows;
+  const answered = responses.length;
+
+  if (answered === 0) {
+    return { score: 0, signals: { answered: 0 } };
+  }
+
+  // Speed
+  const answerSeconds = responses.map(row => {
+    const serverGap = row.server_gap_seconds != null ? parseFloat(row.server_gap_seconds) : null;
+    const reported = row.time_taken_seconds;
+    if (serverGap == null) return reported;
+    if (reported == null) return serverGap;
+    return Math.min(serverGap, reported);
+  });
+  const fastAnswers = answerSeconds.filter(s => s != null && s < config.min_answer_seconds).length;
+  const sortedSeconds = answerSeconds.filter(s => s != null).sort((a, b) => a - b);
+  const medianSeconds = sortedSeconds.length > 0
+    ? sortedSeconds[Math.floor(sortedSeconds.length / 2)]
+    : null;
+  const speed = answered >= MIN_ANSWERS_FOR_SPEED ? fastAnswers / answered : 0;
+
+  // Pattern (position on screen; attempts without a stored set showed options in stored order)
+  const positionCounts = [0, 0, 0, 0];
+  for (const row of responses) {
+    const shown = row.option_order ? row.option_order.indexOf(row.user_answer) + 1 : row.user_answer;
+    if (shown >= 1 && shown <= 4) positionCounts[shown - 1]++;
+  }
+  const samePositionRatio = Math.max(...positionCounts) / answered;
+  const pattern = answered >= MIN_ANSWERS_FOR_PATTERN
+    ? clamp01((samePositionRatio - 0.5) / 0.5)
+    : 0;
+
+  // Rarity
+  const ratesResult = await client.query(`
+    SELECT
+      question_id,
+      COUNT(*) as responses,
+      AVG(CASE WHEN is_correct THEN 1.0 ELSE 0.0 END) as correct_rate
+    FROM question_responses
+    WHERE question_id = ANY($1::int[]) AND attempt_id <> $2
+    GROUP BY question_id
+    HAVING COUNT(*) >= $3
+  `, [responses.map(row => row.question_id), attemptId, MIN_RESPONSES_FOR_RATE]);
+
+  const rates = new Map(ratesResult.rows.map(row => [row.question_id, parseFloat(row.correct_rate)]));
+  let rated = 0;
+  let expectedCorrect = 0;
+  let actualCorrect = 0;
+
+  for (const row of responses) {
+    if (!rates.has(row.question_id)) continue;
+    rated++;
+    expectedCorrect += rates.get(row.question_id);
+    if (row.is_correct) actualCorrect++;
+  }
+
+  const excessRatio = rated > 0 ? (actualCorrect - expectedCorrect) / rated : 0;
+  const rarity = rated >= MIN_RATED_QUESTIONS ? clamp01(excessRatio / 0.5) : 0;
+
+  const score = Math.round(Math.min(100, speed * SPEED_WEIGHT + pattern * PATTERN_WEIGHT + rarity * RARITY_WEIGHT));
+
+  return {
+    score,
+    signals: {
+      answered,
+      fast_answers: fastAnswers,
+      min_answer_seconds: config.min_answer_seconds,
+      median_answer_seconds: medianSeconds != null ? parseFloat(medianSeconds.toFixed(2)) : null,
+      same_position_ratio: parseFloat(samePositionRatio.toFixed(2)),
+      rated_questions: rated,
+      expected_correct: parseFloat(expectedCorrect.toFixed(2)),
+      actual_correct: actualCorrect,
+      speed_points: Math.round(speed * SPEED_WEIGHT),
+      pattern_points: Math.round(pattern * PATTERN_WEIGHT),
+      rarity_points: Math.round(rarity * RARITY_WEIGHT)
+    }
+  };
+}
+
+/**
+ * Score a completing attempt and flag it when the score reaches the threshold
+ * Must run inside the completing transaction, before any XP is credited
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} attemptId - Level attempt ID
+ * @param {Object} attempt - { phone, level }
+ * @returns {Promise<Object>} { score, flagged, withhold_xp, exclude_from_leaderboard }
+ */
+async function evaluateAttempt(client, attemptId, attempt) {
+  const config = await getAntiCheatConfig(client);
+
+  if (!config.enabled) {
+    return { score: null, flagged: false, withhold_xp: false, exclude_from_leaderboard: false };
+  }
+
+  const { score, signals } = await scoreAttempt(client, attemptId, config);
+
+  await client.query(
+    'UPDATE level_attempts SET suspicion_score = $1 WHERE id = $2',
+    [score, attemptId]
+  );
+
+  if (score < config.flag_threshold) {
+    return { score, flagged: false, withhold_xp: false, exclude_from_leaderboard: false };
+  }
+
+  await client.query(`
+    INSERT INTO attempt_flags (
+      attempt_id, phone, level, attempt_date, suspicion_score, signals,
+      status, withhold_xp, exclude_from_leaderboard, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, ${SQL_IST_NOW}, ${SQL_IST_NOW})
+    ON CONFLICT (attempt_id) DO NOTHING
+  `, [
+    attemptId,
+    attempt.phone,
+    attempt.level,
+    getISTDate(),
+    score,
+    JSON.stringify(signals),
+    config.queue_review ? 'pending_review' : 'auto_flagged',
+    config.withhold_xp,
+    config.exclude_leaderboard
+  ]);
+
+  if (config.exclude_leaderboard) {
+    await requestLeaderboardRebuild(client);
+  }
+
+  return {
+    score,
+    flagged: true,
+    withhold_xp: config.withhold_xp,
+    exclude_from_leaderboard: config.exclude_leaderboard
+  };
+}
+
+/**
+ * Get the active flag that withholds XP for an attempt, locked for update
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} attemptId - Level attempt ID
+ * @returns {Promise<Object|null>} Flag row, or null if the attempt's XP is not withheld
+ */
+async function getWithholdingFlag(client, attemptId) {
+  const result = await client.query(`
+    SELECT id, xp_withheld FROM attempt_flags
+    WHERE attempt_id = $1 AND withhold_xp = TRUE AND status = ANY($2::text[])
+    FOR UPDATE
+  `, [attemptId, ACTIVE_FLAG_STATUSES]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Hold back XP for a flagged attempt instead of crediting it
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} flagId - Flag ID
+ * @param {number} xp - XP to hold back
+ */
+async function withholdXP(client, flagId, xp) {
+  await client.query(`
+    UPDATE attempt_flags
+    SET xp_withheld = xp_withheld + $1, updated_at = ${SQL_IST_NOW}
+    WHERE id = $2
+  `, [xp, flagId]);
+}
+
+/**
+ * Get flags for the admin review page
+ * @param {string} status - Flag status, or 'all'
+ * @param {number} limit - Max flags
+ * @param {number} offset - Flags to skip
+ * @returns {Promise<Object>} { flags, counts }
+ */
+async function getFlagsForReview(status, limit = 50, offset = 0) {
+  const flagsResult = await pool.query(`
+    SELECT
+      af.*,
+      u.name, u.district, u.state,
+      la.correct_answers, la.questions_attempted, la.total_questions, la.accuracy_percentage
+    FROM attempt_flags af
+    JOIN users_profile u ON u.phone = af.phone
+    JOIN level_attempts la ON la.id = af.attempt_id
+    WHERE ($1 = 'all' OR af.status = $1)
+    ORDER BY af.suspicion_score DESC, af.created_at DESC
+    LIMIT $2 OFFSET $3
+  `, [status, limit, offset]);
+
+  const countsResult = await pool.query(
+    'SELECT status, COUNT(*) as count FROM attempt_flags GROUP BY status'
+  );
+
+  const counts = { pending_review: 0, auto_flagged: 0, confirmed: 0, cleared: 0 };
+  for (const row of countsResult.rows) {
+    counts[row.status] = parseInt(row.count);
+  }
+
+  return { flags: flagsResult.rows, counts };
+}
+
+/**
+ * Clear or confirm a flag
+ * Clearing lifts the leaderboard exclusion and credits any withheld XP (to today's
+ * daily summary). Confirming keeps the XP withheld and the exclusion in place.
+ * @param {number} flagId - Flag ID
+ * @param {string} decision - 'clear' or 'confirm'
+ * @param {string} adminEmail - Reviewing admin
+ * @param {string|null} note - Optional review note
+ * @returns {Promise<Object>} { status, xp_released }
+ */
+async function reviewFlag(flagId, decision, adminEmail, note = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const flagResult = await client.query(`
+      SELECT af.*, la.xp_rule_version
+      FROM attempt_flags af
+      JOIN level_attempts la ON la.id = af.attempt_id
+      WHERE af.id = $1
+      FOR UPDATE OF af
+    `, [flagId]);
+
+    if (flagResult.rows.length === 0) {
+      throw { code: 'FLAG_NOT_FOUND', message: 'Flag not found' };
+    }
+
+    const flag = flagResult.rows[0];
+
+    if (flag.status === 'cleared') {
+      throw { code: 'FLAG_ALREADY_CLEARED', message: 'This flag was already cleared' };
+    }
+
+    const newStatus = decision === 'clear' ? 'cleared' : 'confirmed';
+    let xpReleased = 0;
+
+    if (newStatus === 'cleared' && flag.withhold_xp && flag.xp_withheld > 0) {
+      xpReleased = flag.xp_withheld;
+      await addXPToUser(flag.phone, xpReleased, client, {
+        source: 'anti_cheat_release',
+        referenceId: flag.id,
+        ruleVersion: flag.xp_rule_version
+      });
+    }
+
+    await client.query(`
+      UPDATE attempt_flags
+      SET status = $1, review_note = $2, reviewed_by = $3, reviewed_at = ${SQL_IST_NOW}, updated_at = ${SQL_IST_NOW}
+      WHERE id = $4
+    `, [newStatus, note, adminEmail, flagId]);
+
+    // The user's XP counts on the leaderboards again
+    if (newStatus === 'cleared' && flag.exclude_from_leaderboard) {
+      await requestLeaderboardRebuild(client);
+      // Re-freeze the day's final ranks with the user back in them
+      await client.query('DELETE FROM daily_rank_freezes WHERE date = $1', [flag.attempt_date]);
+    }
+
+    await client.query('COMMIT');
+
+    return { status: newStatus, xp_released: xpReleased };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  sqlNotExcludedFromLeaderboard,
+  getAntiCheatConfig,
+  scoreAttempt,
+  evaluateAttempt,
+  getWithholdingFlag,
+  withholdXP,
+  getFlagsForReview,
+  reviewFlag
+};
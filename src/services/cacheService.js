@@ -19,8 +19,10 @@ const TTL = {
 };
 
 // Key prefixes
+// Questions are versioned: v2 rows carry correct_option and options without the @ marker,
+// v3 adds difficulty, so payloads cached before those changes are never served
 const KEYS = {
-  QUESTIONS: 'questions:level:',
+  QUESTIONS: 'questions:v3:level:',
   REELS: 'reels:active',
   APP_CONFIG: 'app:config'
 };
@@ -31,7 +33,7 @@ const KEYS = {
 
 /**
  * Get cached questions for a level and medium
- * @param {number} level - Level number (1-100)
+ * @param {number} level - Level number
  * @param {string} medium - Language medium ('hindi', 'english', 'both')
  * @returns {Promise<array|null>} Cached questions or null if not cached
  */
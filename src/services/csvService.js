@@ -36,15 +36,15 @@ async function parseCSV(fileBuffer) {
  */
 function getQuestionColumns() {
   return [
-    { value: 'level', label: 'Level (1-100)', required: true },
-    { value: 'question_order', label: 'Question Order (1-10)', required: true },
+    { value: 'level', label: 'Level', required: true },
+    { value: 'question_order', label: 'Question Order (position in level pool)', required: true },
     { value: 'question_text', label: 'Question Text', required: false },
     { value: 'question_image_url', label: 'Question Image URL', required: false },
     { value: 'option_1', label: 'Option 1', required: true },
     { value: 'option_2', label: 'Option 2', required: true },
     { value: 'option_3', label: 'Option 3', required: true },
     { value: 'option_4', label: 'Option 4', required: true },
-    { value: 'correct_answer', label: 'Correct Answer (1-4)', required: true },
+    { value: 'correct_answer', label: 'Correct Answer (1-4, or mark option with @)', required: true },
     { value: 'explanation_text', label: 'Explanation Text', required: false },
     { value: 'explanation_url', label: 'Explanation Image URL', required: false },
     { value: 'subject', label: 'Subject', required: false },
@@ -73,14 +73,26 @@ function mapRowsToDatabase(rows, mapping) {
       }
     });
 
-    // Add @ symbol to correct answer option
+    // Resolve correct option: explicit "Correct Answer" column wins, else the single option marked with @
+    const markedOptions = [1, 2, 3, 4].filter(i =>
+      mappedRow[`option_${i}`] && mappedRow[`option_${i}`].trim().startsWith('@')
+    );
+
+    mappedRow.correct_option = null;
     if (mappedRow.correct_answer) {
       const correctIndex = parseInt(mappedRow.correct_answer);
       if (correctIndex >= 1 && correctIndex <= 4) {
-        const optionKey = `option_${correctIndex}`;
-        if (mappedRow[optionKey] && !mappedRow[optionKey].startsWith('@')) {
-          mappedRow[optionKey] = '@' + mappedRow[optionKey];
-        }
+        mappedRow.correct_option = correctIndex;
+      }
+    } else if (markedOptions.length === 1) {
+      mappedRow.correct_option = markedOptions[0];
+    }
+    delete mappedRow.correct_answer;
+
+    // Options are stored without the @ marker
+    for (let i = 1; i <= 4; i++) {
+      if (mappedRow[`option_${i}`]) {
+        mappedRow[`option_${i}`] = mappedRow[`option_${i}`].trim().replace(/^@/, '');
       }
     }
 
@@ -101,9 +113,10 @@ function mapRowsToDatabase(rows, mapping) {
 /**
  * Validate mapped rows
  * @param {Array} mappedRows - Rows after mapping
+ * @param {number} maxLevel - Highest level allowed (app_config.max_level)
  * @returns {Object} { valid: boolean, errors: [] }
  */
-function validateMappedRows(mappedRows) {
+function validateMappedRows(mappedRows, maxLevel = 100) {
   const errors = [];
 
   mappedRows.forEach((row, index) => {
@@ -112,14 +125,14 @@ function validateMappedRows(mappedRows) {
     // Required fields
     if (!row.level) {
       errors.push(`Row ${rowNum}: Missing level`);
-    } else if (row.level < 1 || row.level > 100) {
-      errors.push(`Row ${rowNum}: Level must be between 1-100`);
+    } else if (row.level < 1 || row.level > maxLevel) {
+      errors.push(`Row ${rowNum}: Level must be between 1-${maxLevel}`);
     }
 
     if (!row.question_order) {
       errors.push(`Row ${rowNum}: Missing question_order`);
-    } else if (row.question_order < 1 || row.question_order > 10) {
-      errors.push(`Row ${rowNum}: Question order must be between 1-10`);
+    } else if (row.question_order < 1) {
+      errors.push(`Row ${rowNum}: Question order must be 1 or more`);
     }
 
     // Question text OR question image is required (not both mandatory)
@@ -133,15 +146,9 @@ function validateMappedRows(mappedRows) {
       }
     }
 
-    // Check exactly one option has @ symbol
-    const optionsWithAt = [1, 2, 3, 4].filter(i =>
-      row[`option_${i}`] && row[`option_${i}`].startsWith('@')
-    );
-
-    if (optionsWithAt.length === 0) {
-      errors.push(`Row ${rowNum}: No correct answer marked with @`);
-    } else if (optionsWithAt.length > 1) {
-      errors.push(`Row ${rowNum}: Multiple correct answers marked with @`);
+    // Correct option must resolve to exactly one of the four options
+    if (!row.correct_option) {
+      errors.push(`Row ${rowNum}: Missing or ambiguous correct answer (use a Correct Answer column 1-4, or mark exactly one option with @)`);
     }
   });
 
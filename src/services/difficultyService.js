@@ -0,0 +1,111 @@
+const pool = require('../config/database');
+const { shuffle } = require('./levelAttemptService');
+
+// Number of most recent answers used to judge how the student is doing
+const RECENT_RESPONSES_WINDOW = 30;
+
+// Below this many answers there is not enough history - use the balanced mix
+const MIN_RESPONSES_FOR_ADAPTIVE = 10;
+
+// Share of easy / medium / hard questions drawn for each profile
+const DIFFICULTY_MIXES = {
+  easier: { easy: 0.6, medium: 0.3, hard: 0.1 },
+  balanced: { easy: 0.3, medium: 0.4, hard: 0.3 },
+  harder: { easy: 0.1, medium: 0.3, hard: 0.6 }
+};
+
+/**
+ * Normalize a question's difficulty value
+ * Questions without a (recognised) difficulty are treated as medium
+ * @param {string|null} difficulty - questions.difficulty
+ * @returns {string} 'easy', 'medium' or 'hard'
+ */
+function normalizeDifficulty(difficulty) {
+  const value = (difficulty || '').trim().toLowerCase();
+  return ['easy', 'medium', 'hard'].includes(value) ? value : 'medium';
+}
+
+/**
+ * Get the user's accuracy over their most recent answers
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object>} { answered, accuracy }
+ */
+async function getRecentAccuracy(phone) {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) as answered,
+      COALESCE(SUM(CASE WHEN is_correct THEN 1 ELSE 0 END), 0) as correct
+    FROM (
+      SELECT is_correct
+      FROM question_responses
+      WHERE phone = $1
+      ORDER BY answered_at DESC
+      LIMIT $2
+    ) recent
+  `, [phone, RECENT_RESPONSES_WINDOW]);
+
+  const answered = parseInt(result.rows[0].answered);
+  const correct = parseInt(result.rows[0].correct);
+
+  return {
+    answered,
+    accuracy: answered > 0 ? (correct / answered) * 100 : 0
+  };
+}
+
+/**
+ * Pick the difficulty profile for a user's next adaptive attempt
+ * @param {string} phone - User's phone number
+ * @returns {Promise<string>} 'easier', 'balanced' or 'harder'
+ */
+async function chooseDifficultyProfile(phone) {
+  const { answered, accuracy } = await getRecentAccuracy(phone);
+
+  if (answered < MIN_RESPONSES_FOR_ADAPTIVE) return 'balanced';
+  if (accuracy < 50) return 'easier';
+  if (accuracy >= 80) return 'harder';
+  return 'balanced';
+}
+
+/**
+ * Pick questions from a level's pool to match a difficulty profile
+ * If a difficulty bucket runs short, the gap is filled from the rest of the pool
+ * @param {Array} questionPool - Question rows (already filtered by medium)
+ * @param {number} count - Number of questions needed
+ * @param {string} profile - 'easier', 'balanced' or 'harder'
+ * @returns {Array} Selected question rows (unordered)
+ */
+function pickQuestionsByDifficulty(questionPool, count, profile) {
+  const mix = DIFFICULTY_MIXES[profile] || DIFFICULTY_MIXES.balanced;
+  const buckets = { easy: [], medium: [], hard: [] };
+
+  shuffle([...questionPool]).forEach(q => buckets[normalizeDifficulty(q.difficulty)].push(q));
+
+  const easyTarget = Math.round(count * mix.easy);
+  const hardTarget = Math.round(count * mix.hard);
+  const targets = {
+    easy: easyTarget,
+    hard: hardTarget,
+    medium: Math.max(0, count - easyTarget - hardTarget)
+  };
+
+  const picked = [];
+  for (const difficulty of ['easy', 'medium', 'hard']) {
+    picked.push(...buckets[difficulty].splice(0, targets[difficulty]));
+  }
+
+  if (picked.length < count) {
+    const leftover = shuffle([...buckets.easy, ...buckets.medium, ...buckets.hard]);
+    picked.push(...leftover.slice(0, count - picked.length));
+  }
+
+  return picked;
+}
+
+module.exports = {
+  DIFFICULTY_MIXES,
+  normalizeDifficulty,
+  getRecentAccuracy,
+  chooseDifficultyProfile,
+  pickQuestionsByDifficulty
+};
@@ -13,7 +13,13 @@ const EVENT_TYPES = {
   QUIZ_COMPLETED: 'quiz_completed',
   BONUS_XP_CLAIMED: 'bonus_xp_claimed',
   USER_REGISTERED: 'user_registered',
-  LEVEL_UNLOCKED: 'level_unlocked'
+  LEVEL_UNLOCKED: 'level_unlocked',
+  ACHIEVEMENT_EARNED: 'achievement_earned',
+  STREAK_MILESTONE: 'streak_milestone',
+  STREAK_BROKEN: 'streak_broken',
+  STREAK_AT_RISK: 'streak_at_risk',
+  LEAGUE_PROMOTED: 'league_promoted',
+  LEAGUE_DEMOTED: 'league_demoted'
 };
 
 // Cache for webhook config (refreshed every 5 minutes)
@@ -255,6 +261,131 @@ async function onLevelUnlocked(phone, oldLevel, newLevel, userName = null) {
   });
 }
 
+/**
+ * Achievement Earned Event
+ * Triggered when user earns a badge
+ */
+async function onAchievementEarned(phone, achievement, userName = null) {
+  // Auto-fetch name if not provided
+  const name = userName || await getUserName(phone);
+
+  return sendEvent(EVENT_TYPES.ACHIEVEMENT_EARNED, {
+    user: {
+      phone,
+      name
+    },
+    achievement: {
+      id: achievement.id,
+      code: achievement.code,
+      name: achievement.name,
+      xp_awarded: achievement.xp_awarded
+    }
+  });
+}
+
+/**
+ * Streak Milestone Event
+ * Triggered when user's streak reaches a milestone for the first time
+ */
+async function onStreakMilestone(phone, milestone, currentStreak, userName = null) {
+  // Auto-fetch name if not provided
+  const name = userName || await getUserName(phone);
+
+  return sendEvent(EVENT_TYPES.STREAK_MILESTONE, {
+    user: {
+      phone,
+      name
+    },
+    streak: {
+      current: currentStreak,
+      milestone_days: milestone.days
+    },
+    reward: {
+      xp_awarded: milestone.xp_awarded,
+      freezes_awarded: milestone.freezes_awarded,
+      lifelines_awarded: milestone.lifelines_awarded
+    }
+  });
+}
+
+/**
+ * Streak Broken Event
+ * Triggered when user returns after missing more days than their freezes cover
+ */
+async function onStreakBroken(phone, lostStreak, repairExpiresAt = null, userName = null) {
+  // Auto-fetch name if not provided
+  const name = userName || await getUserName(phone);
+
+  return sendEvent(EVENT_TYPES.STREAK_BROKEN, {
+    user: {
+      phone,
+      name
+    },
+    streak: {
+      lost_streak: lostStreak,
+      repair_available: repairExpiresAt !== null,
+      repair_expires_at: repairExpiresAt
+    }
+  });
+}
+
+/**
+ * Streak At Risk Event
+ * Triggered by the evening job for users who haven't played today
+ */
+async function onStreakAtRisk(phone, currentStreak, freezesAvailable, freezeWillCover, userName = null) {
+  // Auto-fetch name if not provided
+  const name = userName || await getUserName(phone);
+
+  return sendEvent(EVENT_TYPES.STREAK_AT_RISK, {
+    user: {
+      phone,
+      name
+    },
+    streak: {
+      current: currentStreak,
+      freezes_available: freezesAvailable,
+      freeze_will_cover: freezeWillCover
+    }
+  });
+}
+
+/**
+ * League Promoted Event
+ * Triggered when a week ends with the user in their group's promotion zone
+ * @param {Object} league - { week, rank, week_xp, from_tier, to_tier }
+ */
+async function onLeaguePromoted(phone, league, userName = null) {
+  // Auto-fetch name if not provided
+  const name = userName || await getUserName(phone);
+
+  return sendEvent(EVENT_TYPES.LEAGUE_PROMOTED, {
+    user: {
+      phone,
+      name
+    },
+    league
+  });
+}
+
+/**
+ * League Demoted Event
+ * Triggered when a week ends with the user in their group's demotion zone
+ * @param {Object} league - { week, rank, week_xp, from_tier, to_tier }
+ */
+async function onLeagueDemoted(phone, league, userName = null) {
+  // Auto-fetch name if not provided
+  const name = userName || await getUserName(phone);
+
+  return sendEvent(EVENT_TYPES.LEAGUE_DEMOTED, {
+    user: {
+      phone,
+      name
+    },
+    league
+  });
+}
+
 /**
  * Test webhook connectivity
  * Used by admin panel to verify webhook is working
@@ -317,6 +448,36 @@ function getAvailableEvents() {
       id: EVENT_TYPES.LEVEL_UNLOCKED,
       name: 'Level Unlocked',
       description: 'Triggered when a user unlocks a new level'
+    },
+    {
+      id: EVENT_TYPES.ACHIEVEMENT_EARNED,
+      name: 'Achievement Earned',
+      description: 'Triggered when a user earns a badge'
+    },
+    {
+      id: EVENT_TYPES.STREAK_MILESTONE,
+      name: 'Streak Milestone',
+      description: 'Triggered when a user\'s streak reaches a milestone for the first time'
+    },
+    {
+      id: EVENT_TYPES.STREAK_BROKEN,
+      name: 'Streak Broken',
+      description: 'Triggered when a user returns after losing their streak'
+    },
+    {
+      id: EVENT_TYPES.STREAK_AT_RISK,
+      name: 'Streak At Risk',
+      description: 'Triggered in the evening for users who have not played today'
+    },
+    {
+      id: EVENT_TYPES.LEAGUE_PROMOTED,
+      name: 'League Promoted',
+      description: 'Triggered when a user finishes the week in the promotion zone of their league'
+    },
+    {
+      id: EVENT_TYPES.LEAGUE_DEMOTED,
+      name: 'League Demoted',
+      description: 'Triggered when a user finishes the week in the demotion zone of their league'
     }
   ];
 }
@@ -332,6 +493,12 @@ module.exports = {
   onBonusXPClaimed,
   onUserRegistered,
   onLevelUnlocked,
+  onAchievementEarned,
+  onStreakMilestone,
+  onStreakBroken,
+  onStreakAtRisk,
+  onLeaguePromoted,
+  onLeagueDemoted,
   // Admin helpers
   testWebhook,
   getAvailableEvents
@@ -0,0 +1,264 @@
+const { redis, isReady } = require('../config/redis');
+
+/**
+ * Leaderboard Cache Service
+ *
+ * Holds national leaderboard scores in Redis sorted sets (member = phone, score = XP):
+ * - leaderboard:v1:daily:YYYY-MM-DD
+ * - leaderboard:v1:weekly:YYYY-Www
+ * - leaderboard:v1:monthly:YYYY-MM
+ * - leaderboard:v1:all_time
+ *
+ * A ranking is only read while its ready marker exists. The marker is set when the ranking is
+ * rebuilt from Postgres and removed when it may be stale, so a missing or half-built set is
+ * never served.
+ *
+ * Graceful degradation: If Redis is unavailable, reads return null (caller ranks in Postgres)
+ * and writes are skipped (the next rebuild catches up).
+ */
+
+// Postgres NOTIFY channel the XP write path announces changes on (delivered only on commit)
+const LEADERBOARD_CHANNEL = 'leaderboard_changes';
+
+// How long rankings for past periods stay in Redis (in seconds); older periods are ranked in Postgres
+const TTL = {
+  daily: 3 * 24 * 60 * 60,     // 3 days
+  weekly: 15 * 24 * 60 * 60,   // 15 days
+  monthly: 40 * 24 * 60 * 60,  // 40 days
+  all_time: null
+};
+
+const KEYS = {
+  RANKING: 'leaderboard:v1:',
+  READY: 'leaderboard:v1:ready:'
+};
+
+// Members per ZADD while rebuilding
+const REBUILD_CHUNK = 1000;
+
+/**
+ * Ranking name for a period
+ * @param {string} period - 'daily', 'weekly', 'monthly' or 'all_time'
+ * @param {string|null} key - Date, week or month key (null for all_time)
+ * @returns {string} Ranking name (e.g. 'weekly:2026-W07')
+ */
+function rankingName(period, key = null) {
+  return period === 'all_time' ? 'all_time' : `${period}:${key}`;
+}
+
+/**
+ * Announce an XP change to the leaderboard sync (primary worker)
+ * Postgres only delivers the notification if the surrounding transaction commits
+ * @param {Object} client - Database client (inside the transaction that changed XP)
+ * @param {Object} change - { phone, amount, xpDate } or { rebuild: true } when rankings must be rebuilt
+ */
+async function notifyLeaderboardChange(client, change) {
+  await client.query('SELECT pg_notify($1, $2)', [LEADERBOARD_CHANNEL, JSON.stringify(change)]);
+}
+
+/**
+ * Ask for every ranking to be rebuilt (after resets, deletions or anti-cheat exclusion changes)
+ * @param {Object} client - Database client (inside the transaction making the change)
+ */
+async function requestLeaderboardRebuild(client) {
+  await notifyLeaderboardChange(client, { rebuild: true });
+}
+
+/**
+ * Check whether a ranking can be served from Redis
+ * @param {string} name - Ranking name
+ * @returns {Promise<boolean>} True if built and not invalidated
+ */
+async function isRankingReady(name) {
+  if (!isReady()) return false;
+
+  try {
+    return (await redis.exists(`${KEYS.READY}${name}`)) === 1;
+  } catch (err) {
+    console.error('[Leaderboard] Error checking ranking:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Get the top of a ranking plus the caller and their neighbours
+ * Ranks are competition ranks (equal XP shares a rank), found with ZCOUNT in O(log N)
+ * @param {string} name - Ranking name
+ * @param {string} phone - Caller's phone number
+ * @param {number} topLimit - Entries from the top
+ * @param {number} neighbourRange - Entries above and below the caller
+ * @returns {Promise<Object|null>} { top, caller, neighbours } with { phone, score, rank } entries,
+ *   or null if the ranking is not ready (caller ranks in Postgres)
+ */
+async function getCachedRanking(name, phone, topLimit, neighbourRange) {
+  if (!(await isRankingReady(name))) return null;
+
+  try {
+    const key = `${KEYS.RANKING}${name}`;
+
+    const [topResult, positionResult] = await redis
+      .multi()
+      .zrevrangebyscore(key, '+inf', '(0', 'WITHSCORES', 'LIMIT', 0, topLimit)
+      .zrevrank(key, phone)
+      .exec();
+
+    const top = toEntries(topResult[1]);
+    const position = positionResult[1];
+
+    // Ranks inside the top list follow from the order itself
+    top.forEach((entry, i) => {
+      entry.rank = i > 0 && entry.score === top[i - 1].score ? top[i - 1].rank : i + 1;
+    });
+
+    let neighbours = [];
+    if (position !== null) {
+      neighbours = toEntries(await redis.zrevrange(
+        key, Math.max(0, position - neighbourRange), position + neighbourRange, 'WITHSCORES'
+      )).filter(entry => entry.score > 0);
+
+      const scores = [...new Set(neighbours.map(entry => entry.score))];
+      const pipeline = redis.pipeline();
+      scores.forEach(score => pipeline.zcount(key, `(${score}`, '+inf'));
+      const counts = await pipeline.exec();
+
+      const rankByScore = new Map(scores.map((score, i) => [score, counts[i][1] + 1]));
+      neighbours.forEach(entry => {
+        entry.rank = rankByScore.get(entry.score);
+      });
+    }
+
+    return {
+      top,
+      caller: neighbours.find(entry => entry.phone === phone) || null,
+      neighbours
+    };
+
+  } catch (err) {
+    console.error('[Leaderboard] Error reading ranking:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Turn a WITHSCORES reply into entries
+ * @param {Array} reply - [member, score, member, score, ...]
+ * @returns {Array} [{ phone, score }]
+ */
+function toEntries(reply) {
+  const entries = [];
+  for (let i = 0; i < reply.length; i += 2) {
+    entries.push({ phone: reply[i], score: parseInt(reply[i + 1]) });
+  }
+  return entries;
+}
+
+/**
+ * Add XP to the rankings it counts toward; rankings that are not ready are skipped
+ * (their rebuild reads the XP from Postgres)
+ * @param {string} phone - User's phone number
+ * @param {number} amount - XP change (may be negative)
+ * @param {Array<string>} names - Ranking names
+ * @returns {Promise<boolean>} False if the change could not be applied
+ */
+async function incrementCachedScores(phone, amount, names) {
+  if (!isReady()) return false;
+
+  try {
+    const readyFlags = await redis.mget(names.map(name => `${KEYS.READY}${name}`));
+    const pipeline = redis.pipeline();
+
+    names.forEach((name, i) => {
+      if (readyFlags[i]) {
+        pipeline.zincrby(`${KEYS.RANKING}${name}`, amount, phone);
+      }
+    });
+
+    const results = await pipeline.exec();
+    if (results.some(([err]) => err)) {
+      throw results.find(([err]) => err)[0];
+    }
+    return true;
+
+  } catch (err) {
+    console.error('[Leaderboard] Error updating scores:', err.message);
+    // The rankings may now be missing this change
+    await invalidateCachedRankings(names);
+    return false;
+  }
+}
+
+/**
+ * Replace a ranking with scores computed in Postgres and mark it ready
+ * @param {string} name - Ranking name
+ * @param {string} period - 'daily', 'weekly', 'monthly' or 'all_time' (for the TTL)
+ * @param {Array} rows - [{ phone, period_xp }]
+ * @returns {Promise<boolean>} True if stored
+ */
+async function replaceCachedRanking(name, period, rows) {
+  if (!isReady()) return false;
+
+  try {
+    const key = `${KEYS.RANKING}${name}`;
+    const buildKey = `${key}:building`;
+    const transaction = redis.multi().del(buildKey);
+
+    for (let i = 0; i < rows.length; i += REBUILD_CHUNK) {
+      const args = [];
+      rows.slice(i, i + REBUILD_CHUNK).forEach(row => args.push(row.period_xp, row.phone));
+      transaction.zadd(buildKey, ...args);
+    }
+
+    if (rows.length > 0) {
+      transaction.rename(buildKey, key);
+    } else {
+      transaction.del(key);
+    }
+
+    if (TTL[period]) {
+      transaction.expire(key, TTL[period]);
+      transaction.set(`${KEYS.READY}${name}`, Date.now(), 'EX', TTL[period]);
+    } else {
+      transaction.set(`${KEYS.READY}${name}`, Date.now());
+    }
+
+    await transaction.exec();
+    return true;
+
+  } catch (err) {
+    console.error('[Leaderboard] Error rebuilding ranking:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Stop serving rankings from Redis until they are rebuilt
+ * @param {Array<string>|null} names - Ranking names, or null for all of them
+ */
+async function invalidateCachedRankings(names = null) {
+  if (!isReady()) return;
+
+  try {
+    const readyKeys = names
+      ? names.map(name => `${KEYS.READY}${name}`)
+      : await redis.keys(`${KEYS.READY}*`);
+
+    if (readyKeys.length > 0) {
+      await redis.del(...readyKeys);
+    }
+
+  } catch (err) {
+    console.error('[Leaderboard] Error invalidating rankings:', err.message);
+  }
+}
+
+module.exports = {
+  LEADERBOARD_CHANNEL,
+  rankingName,
+  notifyLeaderboardChange,
+  requestLeaderboardRebuild,
+  isRankingReady,
+  getCachedRanking,
+  incrementCachedScores,
+  replaceCachedRanking,
+  invalidateCachedRankings
+};
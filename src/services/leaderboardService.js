@@ -0,0 +1,767 @@
+const pool = require('../config/database');
+const { getISTDate, getISTWeekRange, getISTMonthRange, SQL_IST_NOW } = require('../utils/timezone');
+const { normalizeDistrict, normalizeState } = require('../utils/location');
+const { sqlNotExcludedFromLeaderboard } = require('./antiCheatService');
+const {
+  LEADERBOARD_CHANNEL,
+  rankingName,
+  getCachedRanking,
+  incrementCachedScores,
+  replaceCachedRanking,
+  invalidateCachedRankings,
+  isRankingReady
+} = require('./leaderboardCacheService');
+const { redis, isReady } = require('../config/redis');
+
+// Entries returned from the top of a leaderboard
+const TOP_LIMIT = 50;
+
+// Users shown above and below the caller
+const NEIGHBOUR_RANGE = 2;
+
+/**
+ * Resolve which day, week or month a leaderboard request is for
+ * @param {string} period - 'daily', 'weekly' or 'monthly'
+ * @param {Object} options - { date, key } where date is any YYYY-MM-DD day in the period and
+ *   key is the week or month itself ('2026-W07' or '2026-02'); key wins when both are given
+ * @returns {Object} { start, end, key }
+ */
+function resolvePeriodRange(period, { date = null, key = null } = {}) {
+  if (date) {
+    // Date rolls impossible days over (2026-02-30 becomes 2026-03-02), so it must round-trip
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+      throw { code: 'INVALID_PERIOD', message: `${date} is not a valid date` };
+    }
+  }
+
+  if (period === 'daily') {
+    const day = date || getISTDate();
+    return { start: day, end: day, key: day };
+  }
+
+  if (period === 'weekly') {
+    if (key) {
+      const [year, week] = key.split('-W').map(Number);
+      // 4 January is always in ISO week 1
+      const weekOne = getISTWeekRange(`${year}-01-04`);
+      const start = new Date(`${weekOne.start}T00:00:00Z`);
+      start.setUTCDate(start.getUTCDate() + (week - 1) * 7);
+      const range = getISTWeekRange(start.toISOString().split('T')[0]);
+
+      if (week < 1 || range.key !== key) {
+        throw { code: 'INVALID_PERIOD', message: `${key} is not a valid ISO week` };
+      }
+      return range;
+    }
+    return getISTWeekRange(date || getISTDate());
+  }
+
+  if (key) {
+    const month = parseInt(key.split('-')[1]);
+    if (month < 1 || month > 12) {
+      throw { code: 'INVALID_PERIOD', message: `${key} is not a valid month` };
+    }
+    return getISTMonthRange(`${key}-01`);
+  }
+  return getISTMonthRange(date || getISTDate());
+}
+
+/**
+ * Resolve which users a leaderboard covers
+ * @param {string} phone - Caller's phone number
+ * @param {Object} options - { scope, district, state }: scope 'district' or 'state' uses the caller's
+ *   own location; otherwise a given state (optionally with a district in it) is used as is
+ * @returns {Promise<Object|null>} { type, state, district } or null for the national leaderboard
+ */
+async function resolveScope(phone, { scope = null, district = null, state = null } = {}) {
+  if (scope === 'district' || scope === 'state') {
+    const result = await pool.query('SELECT district, state FROM users_profile WHERE phone = $1', [phone]);
+    const profile = result.rows[0] || {};
+
+    if (!profile.state || (scope === 'district' && !profile.district)) {
+      throw {
+        code: 'LOCATION_NOT_SET',
+        message: `Add your ${scope} to your profile to see the ${scope} leaderboard`
+      };
+    }
+
+    return scope === 'district'
+      ? { type: 'district', state: profile.state, district: profile.district }
+      : { type: 'state', state: profile.state, district: null };
+  }
+
+  // A district name alone is ambiguous (several states share district names)
+  if (district && !state) {
+    throw { code: 'INVALID_INPUT', message: 'state is required with district' };
+  }
+
+  if (state) {
+    return district
+      ? { type: 'district', state: normalizeState(state), district: normalizeDistrict(district) }
+      : { type: 'state', state: normalizeState(state), district: null };
+  }
+
+  return null;
+}
+
+/**
+ * SQL for each user's XP in a period, with their location
+ * Daily, weekly and monthly totals add up daily_xp_summary over the period, leaving out days on which
+ * anti-cheat excluded the user; all-time uses xp_total and leaves out users with any active exclusion
+ * @param {string} period - 'daily', 'weekly', 'monthly' or 'all_time'
+ * @param {Object} range - { start, end } IST dates (ignored for all_time)
+ * @param {Object|null} scope - { state, district } from resolveScope
+ * @param {Array} params - Query parameters; the ones this SQL uses are appended
+ * @returns {string} SQL selecting phone, state, district, period_xp
+ */
+function buildTotalsSQL(period, range, scope, params) {
+  const filters = [];
+
+  if (scope && scope.state) {
+    params.push(scope.state);
+    filters.push(`AND u.state = $${params.length}`);
+  }
+  if (scope && scope.district) {
+    params.push(scope.district);
+    filters.push(`AND u.district = $${params.length}`);
+  }
+
+  if (period === 'all_time') {
+    return `
+      SELECT u.phone, u.state, u.district, u.xp_total AS period_xp
+      FROM users_profile u
+      WHERE u.xp_total > 0
+        AND ${sqlNotExcludedFromLeaderboard('u.phone')}
+        ${filters.join(' ')}
+    `;
+  }
+
+  params.push(range.start, range.end);
+  return `
+    SELECT d.phone, u.state, u.district, SUM(d.total_xp_today)::int AS period_xp
+    FROM daily_xp_summary d
+    JOIN users_profile u ON u.phone = d.phone
+    WHERE d.date BETWEEN $${params.length - 1} AND $${params.length}
+      AND ${sqlNotExcludedFromLeaderboard('d.phone', 'd.date')}
+      ${filters.join(' ')}
+    GROUP BY d.phone, u.state, u.district
+    HAVING SUM(d.total_xp_today) > 0
+  `;
+}
+
+/**
+ * Rank users in Postgres
+ * @param {string} phone - Caller's phone number
+ * @param {string} period - 'daily', 'weekly', 'monthly' or 'all_time'
+ * @param {Object} range - { start, end } IST dates (ignored for all_time)
+ * @param {Object|null} scope - { state, district } from resolveScope
+ * @returns {Promise<Object>} { top, caller, neighbours } with { phone, score, rank } entries
+ */
+async function getSQLRanking(phone, period, range, scope) {
+  const params = [phone];
+  const totalsSQL = buildTotalsSQL(period, range, scope, params);
+
+  const result = await pool.query(`
+    WITH totals AS (${totalsSQL}),
+    ranked AS (
+      SELECT
+        phone, period_xp,
+        RANK() OVER (ORDER BY period_xp DESC) AS rank,
+        ROW_NUMBER() OVER (ORDER BY period_xp DESC, phone) AS position
+      FROM totals
+    ),
+    caller AS (
+      SELECT position FROM ranked WHERE phone = $1
+    )
+    SELECT
+      r.phone, r.period_xp, r.rank,
+      r.position <= ${TOP_LIMIT} AS in_top,
+      r.position BETWEEN c.position - ${NEIGHBOUR_RANGE} AND c.position + ${NEIGHBOUR_RANGE} AS is_neighbour
+    FROM ranked r
+    LEFT JOIN caller c ON TRUE
+    WHERE r.position <= ${TOP_LIMIT}
+       OR r.position BETWEEN c.position - ${NEIGHBOUR_RANGE} AND c.position + ${NEIGHBOUR_RANGE}
+    ORDER BY r.position
+  `, params);
+
+  const entries = result.rows.map(row => ({
+    phone: row.phone,
+    score: row.period_xp,
+    rank: parseInt(row.rank),
+    in_top: row.in_top,
+    is_neighbour: row.is_neighbour
+  }));
+
+  return {
+    top: entries.filter(entry => entry.in_top),
+    caller: entries.find(entry => entry.phone === phone) || null,
+    neighbours: entries.filter(entry => entry.is_neighbour)
+  };
+}
+
+/**
+ * Read a past day's national ranking from the ranks frozen into daily_xp_summary.daily_rank
+ * @param {string} phone - Caller's phone number
+ * @param {string} date - IST date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} { top, caller, neighbours } with { phone, score, rank } entries,
+ *   or null if the day has not been frozen yet
+ */
+async function getFrozenDailyRanking(phone, date) {
+  const freezeResult = await pool.query('SELECT 1 FROM daily_rank_freezes WHERE date = $1', [date]);
+  if (freezeResult.rows.length === 0) {
+    return null;
+  }
+
+  const toEntry = row => ({ phone: row.phone, score: row.total_xp_today, rank: row.daily_rank });
+
+  const topResult = await pool.query(`
+    SELECT phone, total_xp_today, daily_rank
+    FROM daily_xp_summary
+    WHERE date = $1 AND daily_rank IS NOT NULL
+    ORDER BY daily_rank, phone
+    LIMIT ${TOP_LIMIT}
+  `, [date]);
+
+  // Same order as the top list, so neighbours line up with it
+  const neighboursResult = await pool.query(`
+    WITH caller AS (
+      SELECT phone, daily_rank FROM daily_xp_summary
+      WHERE date = $1 AND phone = $2 AND daily_rank IS NOT NULL
+    )
+    (SELECT d.phone, d.total_xp_today, d.daily_rank
+     FROM daily_xp_summary d, caller c
+     WHERE d.date = $1 AND d.daily_rank IS NOT NULL AND (d.daily_rank, d.phone) < (c.daily_rank, c.phone)
+     ORDER BY d.daily_rank DESC, d.phone DESC
+     LIMIT ${NEIGHBOUR_RANGE})
+    UNION ALL
+    (SELECT d.phone, d.total_xp_today, d.daily_rank
+     FROM daily_xp_summary d, caller c
+     WHERE d.date = $1 AND d.daily_rank IS NOT NULL AND (d.daily_rank, d.phone) >= (c.daily_rank, c.phone)
+     ORDER BY d.daily_rank, d.phone
+     LIMIT ${NEIGHBOUR_RANGE + 1})
+  `, [date, phone]);
+
+  const neighbours = neighboursResult.rows
+    .map(toEntry)
+    .sort((a, b) => a.rank - b.rank || (a.phone < b.phone ? -1 : 1));
+
+  return {
+    top: topResult.rows.map(toEntry),
+    caller: neighbours.find(entry => entry.phone === phone) || null,
+    neighbours
+  };
+}
+
+/**
+ * Rank users on a leaderboard and return the top entries plus the caller and their neighbours
+ * Past days are read from their frozen ranks; national rankings are read from the Redis sorted
+ * sets when they are ready; scoped rankings, other past periods and any time Redis is down are
+ * ranked in Postgres
+ * @param {string} phone - Caller's phone number
+ * @param {string} period - 'daily', 'weekly', 'monthly' or 'all_time'
+ * @param {Object} range - { start, end, key } IST period (null for all_time)
+ * @param {Object|null} scope - { state, district } from resolveScope
+ * @param {string} xpField - Name of the period XP field in entries
+ * @returns {Promise<Object>} { user_stats, neighbours, top_50 }
+ */
+async function getRankedLeaderboard(phone, period, range, scope, xpField) {
+  let ranking = null;
+  if (!scope && period === 'daily' && range.start < getISTDate()) {
+    ranking = await getFrozenDailyRanking(phone, range.start);
+  }
+  if (!ranking && !scope) {
+    ranking = await getCachedRanking(rankingName(period, range && range.key), phone, TOP_LIMIT, NEIGHBOUR_RANGE);
+  }
+  if (!ranking) {
+    ranking = await getSQLRanking(phone, period, range, scope);
+  }
+
+  const phones = [...new Set([phone, ...ranking.top.map(e => e.phone), ...ranking.neighbours.map(e => e.phone)])];
+  const profilesResult = await pool.query(
+    'SELECT phone, name, district, state, xp_total, profile_image_url FROM users_profile WHERE phone = ANY($1)',
+    [phones]
+  );
+  const profiles = new Map(profilesResult.rows.map(row => [row.phone, row]));
+
+  const toEntry = ({ phone: entryPhone, rank, score }) => {
+    const profile = profiles.get(entryPhone) || {};
+    return {
+      rank,
+      name: profile.name || null,
+      district: profile.district || null,
+      state: profile.state || null,
+      total_xp: profile.xp_total || 0,
+      image_url: profile.profile_image_url || null,
+      [xpField]: score
+    };
+  };
+
+  // Unranked callers (no XP in the period, outside the scope, or excluded by anti-cheat) get a null rank
+  const userStats = toEntry(ranking.caller || { phone, rank: null, score: 0 });
+
+  // Users deleted since the ranking was built are left out
+  return {
+    user_stats: userStats,
+    neighbours: ranking.neighbours
+      .filter(entry => profiles.has(entry.phone))
+      .map(entry => ({ ...toEntry(entry), is_current_user: entry.phone === phone })),
+    top_50: ranking.top.filter(entry => profiles.has(entry.phone)).map(toEntry)
+  };
+}
+
+/**
+ * Get the daily leaderboard
+ * @param {string} phone - Caller's phone number
+ * @param {Object} options - { date, scope, district, state } (see resolveScope)
+ * @returns {Promise<Object>} { date, scope, user_stats, neighbours, top_50 }
+ */
+async function getDailyLeaderboard(phone, { date = null, ...location } = {}) {
+  const range = resolvePeriodRange('daily', { date });
+  const scope = await resolveScope(phone, location);
+  const leaderboard = await getRankedLeaderboard(phone, 'daily', range, scope, 'today_xp');
+
+  return {
+    date: range.start,
+    scope,
+    ...leaderboard
+  };
+}
+
+/**
+ * Get the weekly or monthly leaderboard
+ * @param {string} phone - Caller's phone number
+ * @param {string} period - 'weekly' or 'monthly'
+ * @param {Object} options - { date, key } (see resolvePeriodRange) and { scope, district, state }
+ * @returns {Promise<Object>} { period, period_key, start_date, end_date, scope, user_stats, neighbours, top_50 }
+ */
+async function getPeriodLeaderboard(phone, period, { date = null, key = null, ...location } = {}) {
+  const range = resolvePeriodRange(period, { date, key });
+  const scope = await resolveScope(phone, location);
+  const leaderboard = await getRankedLeaderboard(phone, period, range, scope, 'period_xp');
+
+  return {
+    period,
+    period_key: range.key,
+    start_date: range.start,
+    end_date: range.end,
+    scope,
+    ...leaderboard
+  };
+}
+
+/**
+ * Get the all-time leaderboard on xp_total
+ * @param {string} phone - Caller's phone number
+ * @param {Object} options - { scope, district, state } (see resolveScope)
+ * @returns {Promise<Object>} { period, scope, user_stats, neighbours, top_50 }
+ */
+async function getAllTimeLeaderboard(phone, location = {}) {
+  const scope = await resolveScope(phone, location);
+  const leaderboard = await getRankedLeaderboard(phone, 'all_time', null, scope, 'period_xp');
+
+  return {
+    period: 'all_time',
+    scope,
+    ...leaderboard
+  };
+}
+
+/**
+ * Rank districts by the XP their users earned in a period
+ * Users without both a district and a state are left out
+ * @param {string} phone - Caller's phone number
+ * @param {string} period - 'daily', 'weekly', 'monthly' or 'all_time'
+ * @param {Object} options - { date, key } (see resolvePeriodRange) and { scope: 'state' } or { state }
+ *   to rank the districts of the caller's or a given state
+ * @returns {Promise<Object>} { period, period_key, start_date, end_date, state, user_district, top_districts }
+ */
+async function getTopDistricts(phone, period, { date = null, key = null, scope: scopeType = null, state = null } = {}) {
+  const range = period === 'all_time' ? null : resolvePeriodRange(period, { date, key });
+
+  const callerResult = await pool.query('SELECT district, state FROM users_profile WHERE phone = $1', [phone]);
+  const caller = callerResult.rows[0] || {};
+
+  let scope = null;
+  if (scopeType === 'state') {
+    if (!caller.state) {
+      throw { code: 'LOCATION_NOT_SET', message: 'Add your state to your profile to see the state leaderboard' };
+    }
+    scope = { state: caller.state, district: null };
+  } else if (state) {
+    scope = { state: normalizeState(state), district: null };
+  }
+
+  const params = [caller.state || null, caller.district || null];
+  const totalsSQL = buildTotalsSQL(period, range, scope, params);
+
+  const result = await pool.query(`
+    WITH totals AS (${totalsSQL}),
+    districts AS (
+      SELECT state, district, SUM(period_xp)::int AS total_xp, COUNT(*)::int AS active_users
+      FROM totals
+      WHERE state IS NOT NULL AND district IS NOT NULL
+      GROUP BY state, district
+    ),
+    ranked AS (
+      SELECT
+        state, district, total_xp, active_users,
+        RANK() OVER (ORDER BY total_xp DESC) AS rank,
+        ROW_NUMBER() OVER (ORDER BY total_xp DESC, state, district) AS position
+      FROM districts
+    )
+    SELECT *, (state = $1 AND district = $2) IS TRUE AS is_user_district
+    FROM ranked
+    WHERE position <= ${TOP_LIMIT} OR (state = $1 AND district = $2)
+    ORDER BY position
+  `, params);
+
+  const toEntry = row => ({
+    rank: parseInt(row.rank),
+    district: row.district,
+    state: row.state,
+    total_xp: row.total_xp,
+    active_users: row.active_users,
+    average_xp: Math.round(row.total_xp / row.active_users)
+  });
+
+  const userDistrict = result.rows.find(row => row.is_user_district);
+
+  return {
+    period,
+    ...(range && { period_key: range.key, start_date: range.start, end_date: range.end }),
+    state: scope ? scope.state : null,
+    user_district: userDistrict ? toEntry(userDistrict) : null,
+    top_districts: result.rows.filter(row => parseInt(row.position) <= TOP_LIMIT).map(toEntry)
+  };
+}
+
+/**
+ * Get a user's best frozen daily rank (national)
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object|null>} { rank, date } (earliest day with that rank), or null if never ranked
+ */
+async function getBestDailyRank(phone) {
+  const result = await pool.query(`
+    SELECT daily_rank, date
+    FROM daily_xp_summary
+    WHERE phone = $1 AND daily_rank IS NOT NULL
+    ORDER BY daily_rank, date
+    LIMIT 1
+  `, [phone]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return { rank: result.rows[0].daily_rank, date: result.rows[0].date };
+}
+
+// ========================================
+// DAILY RANK FREEZE (primary worker)
+// ========================================
+
+// How often finished days are checked for freezing
+const FREEZE_JOB_INTERVAL_MS = 10 * 60 * 1000;
+
+// Days frozen per run (spreads out the backfill after the migration)
+const FREEZE_DAYS_PER_RUN = 31;
+
+/**
+ * Store a finished day's final national ranks in daily_xp_summary.daily_rank
+ * Ranked like the live daily leaderboard: XP above zero, anti-cheat exclusions left out (null rank)
+ * @param {string} date - IST date (YYYY-MM-DD)
+ * @returns {Promise<number>} Users ranked
+ */
+async function freezeDailyRanks(date) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE daily_xp_summary SET daily_rank = NULL WHERE date = $1 AND daily_rank IS NOT NULL',
+      [date]
+    );
+
+    const result = await client.query(`
+      WITH ranked AS (
+        SELECT x.id, RANK() OVER (ORDER BY x.total_xp_today DESC) AS rank
+        FROM daily_xp_summary x
+        WHERE x.date = $1
+          AND x.total_xp_today > 0
+          AND ${sqlNotExcludedFromLeaderboard('x.phone', 'x.date')}
+      )
+      UPDATE daily_xp_summary d
+      SET daily_rank = r.rank
+      FROM ranked r
+      WHERE d.id = r.id
+    `, [date]);
+
+    await client.query(`
+      INSERT INTO daily_rank_freezes (date, ranked_users, frozen_at)
+      VALUES ($1, $2, ${SQL_IST_NOW})
+      ON CONFLICT (date) DO UPDATE SET ranked_users = $2, frozen_at = ${SQL_IST_NOW}
+    `, [date, result.rowCount]);
+
+    await client.query('COMMIT');
+    return result.rowCount;
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Freeze every finished day that has XP but no frozen ranks yet (oldest first)
+ * @returns {Promise<number>} Days frozen
+ */
+async function freezePendingDailyRanks() {
+  const pendingResult = await pool.query(`
+    SELECT d.date::text AS date
+    FROM daily_xp_summary d
+    WHERE d.date < $1
+      AND NOT EXISTS (SELECT 1 FROM daily_rank_freezes f WHERE f.date = d.date)
+    GROUP BY d.date
+    ORDER BY d.date
+    LIMIT ${FREEZE_DAYS_PER_RUN}
+  `, [getISTDate()]);
+
+  for (const row of pendingResult.rows) {
+    await freezeDailyRanks(row.date);
+  }
+
+  return pendingResult.rows.length;
+}
+
+/**
+ * Start freezing each day's final ranks after IST midnight
+ * Days are re-frozen when an anti-cheat flag excluding a user from them is cleared
+ * @returns {Object} Interval timer
+ */
+function startDailyRankFreezeJob() {
+  const run = async () => {
+    try {
+      const count = await freezePendingDailyRanks();
+      if (count > 0) {
+        console.log(`✓ Froze daily ranks for ${count} day(s)`);
+      }
+    } catch (err) {
+      console.error('Daily rank freeze job error:', err);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, FREEZE_JOB_INTERVAL_MS);
+
+  console.log('✓ Daily rank freeze job started (every 10 minutes)');
+  return timer;
+}
+
+// ========================================
+// REDIS SYNC (primary worker)
+// ========================================
+
+// How often rankings missing from Redis are rebuilt
+const SYNC_JOB_INTERVAL_MS = 5 * 60 * 1000;
+
+// Every Nth run rebuilds all current rankings, correcting any drift from missed changes
+const FULL_REBUILD_EVERY_RUNS = 12; // hourly
+
+// Wait before retrying a lost LISTEN connection
+const LISTEN_RETRY_MS = 5000;
+
+// Changes and rebuilds run one at a time, in order
+let syncQueue = Promise.resolve();
+let rebuildTimer = null;
+
+/**
+ * Queue a sync task behind the ones already running
+ * @param {Function} task - Async task
+ */
+function enqueueSync(task) {
+  syncQueue = syncQueue.then(task).catch(err => {
+    console.error('Leaderboard sync error:', err);
+  });
+}
+
+/**
+ * Rebuild the current day, week, month and all-time rankings in Redis from Postgres
+ * @param {Object} options - { onlyMissing } to skip rankings that are already ready
+ * @returns {Promise<number>} Rankings rebuilt
+ */
+async function rebuildLeaderboardCache({ onlyMissing = false } = {}) {
+  if (!isReady()) return 0;
+
+  const today = getISTDate();
+  const periods = [
+    { period: 'daily', range: resolvePeriodRange('daily', { date: today }) },
+    { period: 'weekly', range: getISTWeekRange(today) },
+    { period: 'monthly', range: getISTMonthRange(today) },
+    { period: 'all_time', range: null }
+  ];
+
+  let rebuilt = 0;
+
+  for (const { period, range } of periods) {
+    const name = rankingName(period, range && range.key);
+
+    if (onlyMissing && await isRankingReady(name)) {
+      continue;
+    }
+
+    const params = [];
+    const result = await pool.query(buildTotalsSQL(period, range, null, params), params);
+
+    if (await replaceCachedRanking(name, period, result.rows)) {
+      rebuilt++;
+    }
+  }
+
+  return rebuilt;
+}
+
+/**
+ * Rebuild invalidated rankings shortly, once for a burst of requests
+ */
+function scheduleRebuild() {
+  if (rebuildTimer) return;
+
+  rebuildTimer = setTimeout(() => {
+    rebuildTimer = null;
+    enqueueSync(() => rebuildLeaderboardCache({ onlyMissing: true }));
+  }, 5000);
+}
+
+/**
+ * Apply a change announced by the XP write path to the Redis rankings
+ * XP is left out of the rankings the user is excluded from by anti-cheat, as in the SQL ranking
+ * @param {Object} change - { phone, amount, xpDate } or { rebuild: true }
+ */
+async function applyLeaderboardChange(change) {
+  if (change.rebuild) {
+    await invalidateCachedRankings();
+    scheduleRebuild();
+    return;
+  }
+
+  const { phone, amount, xpDate } = change;
+
+  const exclusionResult = await pool.query(`
+    SELECT
+      NOT ${sqlNotExcludedFromLeaderboard('$1::varchar', '$2::date')} AS excluded_on_day,
+      NOT ${sqlNotExcludedFromLeaderboard('$1::varchar')} AS excluded_any_day
+  `, [phone, xpDate]);
+  const exclusion = exclusionResult.rows[0];
+
+  const names = [];
+  if (!exclusion.excluded_any_day) {
+    names.push(rankingName('all_time'));
+  }
+  // XP with no date only changed xp_total (admin edits)
+  if (xpDate && !exclusion.excluded_on_day) {
+    names.push(
+      rankingName('daily', xpDate),
+      rankingName('weekly', getISTWeekRange(xpDate).key),
+      rankingName('monthly', getISTMonthRange(xpDate).key)
+    );
+  }
+
+  if (!(await incrementCachedScores(phone, amount, names))) {
+    scheduleRebuild();
+  }
+}
+
+/**
+ * Listen for leaderboard changes on a dedicated connection
+ * Changes sent while the connection is down are lost, so rankings are rebuilt after reconnecting
+ */
+async function listenForLeaderboardChanges() {
+  let client = null;
+  let retrying = false;
+
+  const retry = (err) => {
+    if (retrying) return;
+    retrying = true;
+    console.error('Leaderboard listener error:', err.message);
+
+    if (client) {
+      client.removeAllListeners('notification');
+      client.release(true);
+    }
+
+    setTimeout(async () => {
+      await listenForLeaderboardChanges();
+      enqueueSync(async () => {
+        await invalidateCachedRankings();
+        await rebuildLeaderboardCache({ onlyMissing: true });
+      });
+    }, LISTEN_RETRY_MS);
+  };
+
+  try {
+    client = await pool.connect();
+    client.on('notification', (msg) => {
+      if (msg.channel === LEADERBOARD_CHANNEL) {
+        enqueueSync(() => applyLeaderboardChange(JSON.parse(msg.payload)));
+      }
+    });
+    client.on('error', retry);
+    await client.query(`LISTEN ${LEADERBOARD_CHANNEL}`);
+  } catch (err) {
+    retry(err);
+  }
+}
+
+/**
+ * Start keeping the Redis leaderboards in sync
+ * Listens for XP changes, rebuilds everything at startup and after Redis reconnects,
+ * rebuilds missing rankings (new day/week/month, invalidations) every 5 minutes and
+ * all current rankings every hour
+ * @returns {Object} Interval timer
+ */
+function startLeaderboardSyncJob() {
+  listenForLeaderboardChanges();
+
+  // Changes were skipped while Redis was away
+  redis.on('ready', () => {
+    enqueueSync(async () => {
+      await invalidateCachedRankings();
+      await rebuildLeaderboardCache({ onlyMissing: true });
+    });
+  });
+
+  let runs = 0;
+  const run = () => {
+    const full = runs % FULL_REBUILD_EVERY_RUNS === 0;
+    runs++;
+
+    enqueueSync(async () => {
+      const count = await rebuildLeaderboardCache({ onlyMissing: !full });
+      if (count > 0) {
+        console.log(`✓ Rebuilt ${count} leaderboard ranking(s) in Redis`);
+      }
+    });
+  };
+
+  run();
+  const timer = setInterval(run, SYNC_JOB_INTERVAL_MS);
+
+  console.log('✓ Leaderboard sync job started (every 5 minutes)');
+  return timer;
+}
+
+module.exports = {
+  getDailyLeaderboard,
+  getPeriodLeaderboard,
+  getAllTimeLeaderboard,
+  getTopDistricts,
+  getBestDailyRank,
+  freezeDailyRanks,
+  startDailyRankFreezeJob,
+  rebuildLeaderboardCache,
+  startLeaderboardSyncJob
+};
@@ -0,0 +1,615 @@
+const pool = require('../config/database');
+const { getISTDate, getISTWeekRange, SQL_IST_NOW } = require('../utils/timezone');
+const { sqlNotExcludedFromLeaderboard } = require('./antiCheatService');
+
+/**
+ * League Service
+ * Users compete on weekly XP (IST Monday to Sunday) in groups of about 30 within a tier.
+ * Users who played last week are grouped with others of similar XP when the week rolls over;
+ * anyone else joins the open group closest to their activity once they earn XP that week.
+ * When the week ends the top finishers move up a tier and the bottom ones move down.
+ */
+
+// Tier names, lowest first (tier 1 = Bronze)
+const LEAGUE_TIERS = ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'];
+
+// Fallbacks when app_config has no row
+const DEFAULT_LEAGUE_CONFIG = {
+  league_group_size: 30,
+  league_promote_count: 5,
+  league_demote_count: 5
+};
+
+/**
+ * Get league settings from app_config
+ * @param {Object} client - Database client (for transactions)
+ * @returns {Promise<Object>} { league_group_size, league_promote_count, league_demote_count }
+ */
+async function getLeagueConfig(client = null) {
+  const db = client || pool;
+
+  const result = await db.query(`
+    SELECT league_group_size, league_promote_count, league_demote_count
+    FROM app_config WHERE id = 1
+  `);
+
+  return result.rows[0] || DEFAULT_LEAGUE_CONFIG;
+}
+
+/**
+ * Name and level of a tier
+ * @param {number} tier - Tier level (1 = lowest)
+ * @returns {Object} { level, name }
+ */
+function formatTier(tier) {
+  return { level: tier, name: LEAGUE_TIERS[tier - 1] };
+}
+
+/**
+ * Start date of the IST week before a week
+ * @param {string} weekStart - Monday (YYYY-MM-DD)
+ * @returns {string} Previous Monday (YYYY-MM-DD)
+ */
+function previousWeekStart(weekStart) {
+  const monday = new Date(`${weekStart}T00:00:00Z`);
+  monday.setUTCDate(monday.getUTCDate() - 7);
+  return monday.toISOString().split('T')[0];
+}
+
+/**
+ * Where a finishing rank puts a member
+ * Only users with XP that week can be promoted; in small groups promotion wins over relegation
+ * @param {number} rank - Rank in the group (1 = top)
+ * @param {number} groupSize - Members in the group
+ * @param {number} tier - Group's tier
+ * @param {number} weekXP - Member's XP that week
+ * @param {Object} config - From getLeagueConfig
+ * @returns {string} 'promotion', 'demotion' or 'safe'
+ */
+function getZone(rank, groupSize, tier, weekXP, config) {
+  if (tier < LEAGUE_TIERS.length && rank <= config.league_promote_count && weekXP > 0) {
+    return 'promotion';
+  }
+  if (tier > 1 && rank > groupSize - config.league_demote_count && rank > config.league_promote_count) {
+    return 'demotion';
+  }
+  return 'safe';
+}
+
+/**
+ * Rank a group's members by XP in the group's week (anti-cheat excluded days left out)
+ * Ties go to whoever joined first
+ * @param {Object} db - Database client or pool
+ * @param {number} leagueId - League ID
+ * @returns {Promise<Array>} Members with rank and week_xp, best first
+ */
+async function getRankedMembers(db, leagueId) {
+  const result = await db.query(`
+    SELECT
+      m.id, m.phone, u.name, u.district, u.state, u.profile_image_url,
+      COALESCE(x.week_xp, 0)::int AS week_xp,
+      ROW_NUMBER() OVER (ORDER BY COALESCE(x.week_xp, 0) DESC, m.joined_at, m.id)::int AS rank
+    FROM league_members m
+    JOIN leagues l ON l.id = m.league_id
+    JOIN users_profile u ON u.phone = m.phone
+    LEFT JOIN LATERAL (
+      SELECT SUM(d.total_xp_today) AS week_xp
+      FROM daily_xp_summary d
+      WHERE d.phone = m.phone
+        AND d.date BETWEEN l.week_start AND l.week_start + 6
+        AND ${sqlNotExcludedFromLeaderboard('d.phone', 'd.date')}
+    ) x ON TRUE
+    WHERE m.league_id = $1
+    ORDER BY rank
+  `, [leagueId]);
+
+  return result.rows;
+}
+
+/**
+ * Tier a user plays at in a week: where their latest earlier league left them, or the lowest tier
+ * @param {Object} db - Database client or pool
+ * @param {string} phone - User's phone number
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @returns {Promise<number>} Tier level
+ */
+async function getTierForWeek(db, phone, weekStart) {
+  const result = await db.query(`
+    SELECT l.tier, m.next_tier
+    FROM league_members m
+    JOIN leagues l ON l.id = m.league_id
+    WHERE m.phone = $1 AND m.week_start < $2
+    ORDER BY m.week_start DESC
+    LIMIT 1
+  `, [phone, weekStart]);
+
+  if (result.rows.length === 0) {
+    return 1;
+  }
+  return result.rows[0].next_tier || result.rows[0].tier;
+}
+
+// ========================================
+// PLACEMENT
+// ========================================
+
+/**
+ * Create the next group for a tier and week
+ * Two requests creating a group at once share it
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+ * @param {number} tier - Tier level
+ * @returns {Promise<number>} League ID
+ */
+async function createLeague(client, weekStart, tier) {
+  const result = await client.query(`
+    INSERT INTO leagues (week_start, tier, group_number, created_at)
+    SELECT $1, $2, COALESCE(MAX(group_number), 0) + 1, ${SQL_IST_NOW}
+    FROM leagues WHERE week_start = $1 AND tier = $2
+    ON CONFLICT (week_start, tier, group_number) DO UPDATE SET tier = EXCLUDED.tier
+    RETURNING id
+  `, [weekStart, tier]);
+  return result.rows[0].id;
+}
+
+/**
+ * Put a user in this week's open group closest to their activity (last week's XP)
+ * Opens a new group when every group in the tier is full
+ * @param {string} phone - User's phone number
+ * @param {Object} week - { start, end } IST week
+ * @param {Object} config - From getLeagueConfig
+ * @returns {Promise<boolean>} True if the user was placed now
+ */
+async function joinLeague(phone, week, config) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialise joins for this user
+    await client.query('SELECT phone FROM users_profile WHERE phone = $1 FOR UPDATE', [phone]);
+
+    const existing = await client.query(
+      'SELECT 1 FROM league_members WHERE phone = $1 AND week_start = $2',
+      [phone, week.start]
+    );
+    if (existing.rows.length > 0) {
+      await client.query('COMMIT');
+      return false;
+    }
+
+    const tier = await getTierForWeek(client, phone, week.start);
+    const scoreResult = await client.query(`
+      SELECT COALESCE(SUM(total_xp_today), 0)::int AS score
+      FROM daily_xp_summary
+      WHERE phone = $1 AND date BETWEEN $2::date - 7 AND $2::date - 1
+    `, [phone, week.start]);
+    const score = scoreResult.rows[0].score;
+
+    const openResult = await client.query(`
+      SELECT l.id
+      FROM leagues l
+      LEFT JOIN league_members m ON m.league_id = l.id
+      WHERE l.week_start = $1 AND l.tier = $2 AND l.finalized_at IS NULL
+      GROUP BY l.id, l.group_number
+      HAVING COUNT(m.id) < $3
+      ORDER BY ABS(COALESCE(AVG(m.activity_score), 0) - $4), l.group_number
+      LIMIT 1
+    `, [week.start, tier, config.league_group_size, score]);
+
+    const leagueId = openResult.rows.length > 0
+      ? openResult.rows[0].id
+      : await createLeague(client, week.start, tier);
+
+    await client.query(`
+      INSERT INTO league_members (league_id, phone, week_start, activity_score, joined_at)
+      VALUES ($1, $2, $3, $4, ${SQL_IST_NOW})
+    `, [leagueId, phone, week.start, score]);
+
+    await client.query('COMMIT');
+    return true;
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Group last week's players (those who earned XP) for this week
+ * Within each tier users are sorted by last week's XP and split into evenly sized groups
+ * @param {Object} week - { start, end } IST week
+ * @param {Object} config - From getLeagueConfig
+ * @returns {Promise<number>} Users placed
+ */
+async function placeReturningUsers(week, config) {
+  const returningResult = await pool.query(`
+    SELECT m.phone, COALESCE(m.next_tier, l.tier) AS tier, m.final_xp AS score
+    FROM league_members m
+    JOIN leagues l ON l.id = m.league_id
+    WHERE m.week_start = $1
+      AND l.finalized_at IS NOT NULL
+      AND m.final_xp > 0
+      AND NOT EXISTS (
+        SELECT 1 FROM league_members c WHERE c.phone = m.phone AND c.week_start = $2
+      )
+    ORDER BY tier, score DESC, m.phone
+  `, [previousWeekStart(week.start), week.start]);
+
+  const byTier = new Map();
+  for (const row of returningResult.rows) {
+    if (!byTier.has(row.tier)) byTier.set(row.tier, []);
+    byTier.get(row.tier).push(row);
+  }
+
+  let placed = 0;
+
+  for (const [tier, users] of byTier) {
+    const groupCount = Math.ceil(users.length / config.league_group_size);
+    const perGroup = Math.ceil(users.length / groupCount);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (let i = 0; i < users.length; i += perGroup) {
+        const leagueId = await createLeague(client, week.start, tier);
+
+        for (const user of users.slice(i, i + perGroup)) {
+          // A user may have joined on their own since the list was read
+          const insertResult = await client.query(`
+            INSERT INTO league_members (league_id, phone, week_start, activity_score, joined_at)
+            VALUES ($1, $2, $3, $4, ${SQL_IST_NOW})
+            ON CONFLICT (phone, week_start) DO NOTHING
+          `, [leagueId, user.phone, week.start, user.score]);
+          placed += insertResult.rowCount;
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  return placed;
+}
+
+// Users without a group placed per job run
+const JOIN_BATCH_SIZE = 500;
+
+/**
+ * Place users who earned XP this week but are not in a group yet
+ * @param {Object} week - { start, end } IST week
+ * @param {Object} config - From getLeagueConfig
+ * @returns {Promise<number>} Users placed
+ */
+async function placeActiveUsers(week, config) {
+  const activeResult = await pool.query(`
+    SELECT d.phone
+    FROM daily_xp_summary d
+    WHERE d.date BETWEEN $1 AND $2
+      AND NOT EXISTS (
+        SELECT 1 FROM league_members m WHERE m.phone = d.phone AND m.week_start = $1
+      )
+    GROUP BY d.phone
+    HAVING SUM(d.total_xp_today) > 0
+    LIMIT $3
+  `, [week.start, week.end, JOIN_BATCH_SIZE]);
+
+  let placed = 0;
+  for (const row of activeResult.rows) {
+    if (await joinLeague(row.phone, week, config)) {
+      placed++;
+    }
+  }
+
+  return placed;
+}
+
+// ========================================
+// WEEK ROLLOVER
+// ========================================
+
+/**
+ * Record a finished group's final ranks and who moves up or down
+ * @param {number} leagueId - League ID
+ * @returns {Promise<Array>} Members who moved: [{ phone, tier, new_tier, rank, week_xp, week_start }]
+ *   (pass them to notifyLeagueResults); empty if the group was already finalized
+ */
+async function finalizeLeague(leagueId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const leagueResult = await client.query(
+      'SELECT id, tier, week_start::text AS week_start FROM leagues WHERE id = $1 AND finalized_at IS NULL FOR UPDATE',
+      [leagueId]
+    );
+    if (leagueResult.rows.length === 0) {
+      await client.query('COMMIT');
+      return [];
+    }
+
+    const league = leagueResult.rows[0];
+    const config = await getLeagueConfig(client);
+    const members = await getRankedMembers(client, leagueId);
+    const moved = [];
+
+    for (const member of members) {
+      const zone = getZone(member.rank, members.length, league.tier, member.week_xp, config);
+      const newTier = zone === 'promotion' ? league.tier + 1 : zone === 'demotion' ? league.tier - 1 : league.tier;
+      const result = zone === 'promotion' ? 'promoted' : zone === 'demotion' ? 'demoted' : 'stayed';
+
+      await client.query(`
+        UPDATE league_members
+        SET final_xp = $2, final_rank = $3, result = $4, next_tier = $5
+        WHERE id = $1
+      `, [member.id, member.week_xp, member.rank, result, newTier]);
+
+      if (result !== 'stayed') {
+        moved.push({
+          phone: member.phone,
+          tier: league.tier,
+          new_tier: newTier,
+          rank: member.rank,
+          week_xp: member.week_xp,
+          week_start: league.week_start
+        });
+      }
+    }
+
+    await client.query(`UPDATE leagues SET finalized_at = ${SQL_IST_NOW} WHERE id = $1`, [leagueId]);
+
+    await client.query('COMMIT');
+    return moved;
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Send league_promoted / league_demoted webhook events, one at a time
+ * @param {Array} moved - From finalizeLeague
+ */
+async function notifyLeagueResults(moved) {
+  if (!moved || moved.length === 0) return;
+
+  const eventWebhook = require('./eventWebhookService');
+  for (const member of moved) {
+    const league = {
+      week: getISTWeekRange(member.week_start).key,
+      rank: member.rank,
+      week_xp: member.week_xp,
+      from_tier: formatTier(member.tier),
+      to_tier: formatTier(member.new_tier)
+    };
+
+    const send = member.new_tier > member.tier ? eventWebhook.onLeaguePromoted : eventWebhook.onLeagueDemoted;
+    await send(member.phone, league)
+      .catch(err => console.error('Webhook error (non-critical):', err.message));
+  }
+}
+
+/**
+ * Finalize every group from earlier weeks that is still open (oldest first)
+ * @param {string} weekStart - Monday of the current IST week
+ * @returns {Promise<number>} Groups finalized
+ */
+async function finalizePendingLeagues(weekStart) {
+  const pendingResult = await pool.query(`
+    SELECT id FROM leagues
+    WHERE week_start < $1 AND finalized_at IS NULL
+    ORDER BY week_start, id
+  `, [weekStart]);
+
+  for (const row of pendingResult.rows) {
+    await notifyLeagueResults(await finalizeLeague(row.id));
+  }
+
+  return pendingResult.rows.length;
+}
+
+/**
+ * Roll leagues over to the current IST week: close last week's groups, regroup their players,
+ * then place anyone else who has earned XP this week
+ * Safe to run repeatedly; only unfinished work is done
+ * @returns {Promise<Object>} { finalized, regrouped, joined }
+ */
+async function runLeagueRollover() {
+  const week = getISTWeekRange(getISTDate());
+  const config = await getLeagueConfig();
+
+  const finalized = await finalizePendingLeagues(week.start);
+  const regrouped = await placeReturningUsers(week, config);
+  const joined = await placeActiveUsers(week, config);
+
+  return { finalized, regrouped, joined };
+}
+
+// How often the rollover runs (the first run after IST Monday 00:00 closes the week)
+const ROLLOVER_JOB_INTERVAL_MS = 10 * 60 * 1000;
+
+let rolloverRunning = false;
+
+/**
+ * Start the weekly league rollover job
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+function startLeagueRolloverJob() {
+  const run = async () => {
+    if (rolloverRunning) return;
+    rolloverRunning = true;
+
+    try {
+      const { finalized, regrouped, joined } = await runLeagueRollover();
+      if (finalized + regrouped + joined > 0) {
+        console.log(`✓ Leagues: ${finalized} group(s) finalized, ${regrouped} user(s) regrouped, ${joined} user(s) joined`);
+      }
+    } catch (err) {
+      console.error('League rollover job error:', err);
+    } finally {
+      rolloverRunning = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, ROLLOVER_JOB_INTERVAL_MS);
+
+  console.log('✓ League rollover job started (every 10 minutes)');
+  return timer;
+}
+
+// ========================================
+// USER
+// ========================================
+
+/**
+ * Get the user's league for the current IST week with the group's standings
+ * A user with XP this week who isn't in a group yet is placed now
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object>} { week, joined, tier, league, promotion_count, demotion_count, user_stats, standings }
+ */
+async function getCurrentLeague(phone) {
+  const week = getISTWeekRange(getISTDate());
+  const config = await getLeagueConfig();
+
+  const findMembership = () => pool.query(`
+    SELECT l.id, l.tier, l.group_number
+    FROM league_members m
+    JOIN leagues l ON l.id = m.league_id
+    WHERE m.phone = $1 AND m.week_start = $2
+  `, [phone, week.start]);
+
+  let membership = await findMembership();
+
+  if (membership.rows.length === 0) {
+    // Close the user's last group first if the job hasn't yet, so they start at the right tier
+    const pendingResult = await pool.query(`
+      SELECT m.league_id FROM league_members m
+      JOIN leagues l ON l.id = m.league_id
+      WHERE m.phone = $1 AND m.week_start < $2 AND l.finalized_at IS NULL
+    `, [phone, week.start]);
+    for (const row of pendingResult.rows) {
+      const moved = await finalizeLeague(row.league_id);
+      notifyLeagueResults(moved).catch(err => console.error('Webhook error (non-critical):', err.message));
+    }
+
+    const xpResult = await pool.query(`
+      SELECT COALESCE(SUM(total_xp_today), 0)::int AS week_xp
+      FROM daily_xp_summary
+      WHERE phone = $1 AND date BETWEEN $2 AND $3
+    `, [phone, week.start, week.end]);
+
+    if (xpResult.rows[0].week_xp > 0) {
+      await joinLeague(phone, week, config);
+      membership = await findMembership();
+    }
+  }
+
+  if (membership.rows.length === 0) {
+    return {
+      week,
+      joined: false,
+      tier: formatTier(await getTierForWeek(pool, phone, week.start)),
+      league: null,
+      promotion_count: config.league_promote_count,
+      demotion_count: config.league_demote_count,
+      user_stats: null,
+      standings: []
+    };
+  }
+
+  const league = membership.rows[0];
+  const members = await getRankedMembers(pool, league.id);
+
+  const standings = members.map(member => ({
+    rank: member.rank,
+    name: member.name || null,
+    district: member.district || null,
+    state: member.state || null,
+    image_url: member.profile_image_url || null,
+    week_xp: member.week_xp,
+    zone: getZone(member.rank, members.length, league.tier, member.week_xp, config),
+    is_current_user: member.phone === phone
+  }));
+
+  return {
+    week,
+    joined: true,
+    tier: formatTier(league.tier),
+    league: {
+      id: league.id,
+      group_number: league.group_number,
+      size: members.length
+    },
+    promotion_count: league.tier < LEAGUE_TIERS.length ? config.league_promote_count : 0,
+    demotion_count: league.tier > 1 ? config.league_demote_count : 0,
+    user_stats: standings.find(entry => entry.is_current_user) || null,
+    standings
+  };
+}
+
+/**
+ * Get the user's finished weeks, newest first
+ * @param {string} phone - User's phone number
+ * @param {number} limit - Max records
+ * @param {number} offset - Pagination offset
+ * @returns {Promise<Object>} { history, pagination }
+ */
+async function getLeagueHistory(phone, limit = 20, offset = 0) {
+  const result = await pool.query(`
+    SELECT
+      m.week_start::text AS week_start, l.tier, m.final_rank, m.final_xp, m.result, m.next_tier,
+      (SELECT COUNT(*) FROM league_members g WHERE g.league_id = l.id)::int AS group_size,
+      COUNT(*) OVER() AS total
+    FROM league_members m
+    JOIN leagues l ON l.id = m.league_id
+    WHERE m.phone = $1 AND l.finalized_at IS NOT NULL
+    ORDER BY m.week_start DESC
+    LIMIT $2 OFFSET $3
+  `, [phone, limit, offset]);
+
+  const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+
+  return {
+    history: result.rows.map(row => {
+      const week = getISTWeekRange(row.week_start);
+      return {
+        week: week.key,
+        start: week.start,
+        end: week.end,
+        tier: formatTier(row.tier),
+        rank: row.final_rank,
+        group_size: row.group_size,
+        week_xp: row.final_xp,
+        result: row.result,
+        new_tier: formatTier(row.next_tier)
+      };
+    }),
+    pagination: {
+      limit,
+      offset,
+      has_more: (offset + limit) < total
+    }
+  };
+}
+
+module.exports = {
+  LEAGUE_TIERS,
+  getLeagueConfig,
+  getCurrentLeague,
+  getLeagueHistory,
+  runLeagueRollover,
+  startLeagueRolloverJob
+};
@@ -0,0 +1,588 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { calculateAccuracy, addXPToUser, addDailyActivity } = require('./xpService');
+const { getActiveXPRules, calculateAttemptXP, videoBonusXP, xpPerCorrect } = require('./xpRulesService');
+const { evaluateAttempt, getWithholdingFlag, withholdXP } = require('./antiCheatService');
+const { getLifelineConfig } = require('./lifelineService');
+const { SQL_IST_NOW } = require('../utils/timezone');
+
+// Fallbacks when app_config has no row; per-level values live in quiz_levels
+const DEFAULT_QUESTIONS_PER_LEVEL = 10;
+const DEFAULT_UNLOCK_ACCURACY_PERCENT = 30;
+const DEFAULT_MAX_LEVEL = 100;
+
+// Used when a level has no row in quiz_levels
+const DEFAULT_DURATION_SECONDS = 300;
+
+// Allowance for network latency on the last answer before the deadline
+const DEADLINE_GRACE_SECONDS = 5;
+
+// How often the background job closes attempts whose time has run out
+const TIMEOUT_JOB_INTERVAL_MS = 60 * 1000;
+
+// Idle age after which an unfinished attempt is expired, when app_config has no row
+const DEFAULT_STALE_ATTEMPT_IDLE_MINUTES = 60;
+
+// How often the background job expires idle attempts
+const STALE_JOB_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Get the play settings for a level
+ * Per-level values from quiz_levels override the global defaults in app_config
+ * @param {number} level - Level number
+ * @param {Object} client - Database client (for transactions)
+ * @returns {Promise<Object>} { duration_seconds, questions_per_level, unlock_accuracy_percent, adaptive_difficulty, max_level }
+ */
+async function getLevelSettings(level, client = null) {
+  const db = client || pool;
+
+  const result = await db.query(`
+    SELECT
+      ql.duration_seconds,
+      COALESCE(ql.questions_per_level, c.questions_per_level) AS questions_per_level,
+      COALESCE(ql.unlock_accuracy_percent, c.unlock_accuracy_percent) AS unlock_accuracy_percent,
+      COALESCE(ql.adaptive_difficulty, FALSE) AS adaptive_difficulty,
+      c.max_level
+    FROM app_config c
+    LEFT JOIN quiz_levels ql ON ql.level_number = $1
+    WHERE c.id = 1
+  `, [level]);
+
+  const row = result.rows[0] || {};
+
+  return {
+    duration_seconds: row.duration_seconds || DEFAULT_DURATION_SECONDS,
+    questions_per_level: row.questions_per_level || DEFAULT_QUESTIONS_PER_LEVEL,
+    unlock_accuracy_percent: row.unlock_accuracy_percent != null
+      ? parseFloat(row.unlock_accuracy_percent)
+      : DEFAULT_UNLOCK_ACCURACY_PERCENT,
+    adaptive_difficulty: row.adaptive_difficulty === true,
+    max_level: row.max_level || DEFAULT_MAX_LEVEL
+  };
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items - Array to shuffle
+ * @returns {Array} The same array, shuffled
+ */
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Draw a random question set for a new attempt
+ * Picks up to `count` questions from the pool in random order and shuffles each question's options
+ * @param {Array} questionPool - Question rows available for the level and medium
+ * @param {number} count - Number of questions to draw
+ * @returns {Array<{question: Object, position: number, optionOrder: number[]}>} Drawn set;
+ *   optionOrder[i] is the stored option number (1-4) shown at position i + 1
+ */
+function drawQuestionSet(questionPool, count) {
+  return shuffle([...questionPool])
+    .slice(0, count)
+    .map((question, index) => ({
+      question,
+      position: index + 1,
+      optionOrder: shuffle([1, 2, 3, 4])
+    }));
+}
+
+/**
+ * Build the client payload for a question
+ * Correctness is only revealed by answerQuestion, so the answer key and the
+ * explanation (which usually states the answer) are left out by default
+ * @param {Object} q - Question row (options stored without @ marker)
+ * @param {Object} options
+ * @param {number} options.position - Position of the question in this attempt or practice session (1-based)
+ * @param {number[]} options.optionOrder - Stored option number shown at each position
+ * @param {boolean} options.includeAnswerKey - Legacy mode: mark correct option with @ and include explanation
+ * @returns {Object} Question for response
+ */
+function formatQuestionForClient(q, { position, optionOrder, includeAnswerKey = false }) {
+  const options = optionOrder.map(n => q[`option_${n}`]);
+
+  const question = {
+    sl: q.sl,
+    question_order: position,
+    question_text: q.question_text,
+    question_image_url: q.question_image_url,
+    options,
+    subject: q.subject,
+    topic: q.topic
+  };
+
+  if (includeAnswerKey) {
+    question.options = options.map((opt, i) => (optionOrder[i] === q.correct_option ? '@' + opt : opt));
+    question.explanation_text = q.explanation_text;
+    question.explanation_url = q.explanation_url;
+  }
+
+  return question;
+}
+
+/**
+ * Store the drawn question set with the attempt
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} attemptId - Level attempt ID
+ * @param {Array} questionSet - Result from drawQuestionSet
+ */
+async function saveQuestionSet(client, attemptId, questionSet) {
+  for (const item of questionSet) {
+    await client.query(`
+      INSERT INTO level_attempt_questions (attempt_id, position, question_id, option_order)
+      VALUES ($1, $2, $3, $4)
+    `, [attemptId, item.position, item.question.sl, item.optionOrder]);
+  }
+}
+
+/**
+ * Get a question's position and option order within an attempt
+ * @param {Object} client - Database client
+ * @param {number} attemptId - Level attempt ID
+ * @param {number} questionId - Question ID (sl)
+ * @returns {Promise<Object|null>} { position, option_order } or null if not in the attempt
+ */
+async function getAttemptQuestion(client, attemptId, questionId) {
+  const result = await client.query(
+    'SELECT position, option_order FROM level_attempt_questions WHERE attempt_id = $1 AND question_id = $2',
+    [attemptId, questionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Complete a level attempt: work out its XP under the active XP rules, store it, credit the user
+ * (unless anti-cheat holds it) and unlock the next level
+ * Must run inside the caller's transaction with the attempt row locked
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} attemptId - Level attempt ID
+ * @param {Object} options
+ * @param {boolean} options.timedOut - Attempt ended because the deadline passed
+ * @returns {Promise<Object>} Completion result
+ */
+async function completeAttempt(client, attemptId, { timedOut = false } = {}) {
+  const attemptResult = await client.query(`
+    SELECT id, phone, level, is_first_attempt, attempt_number, questions_attempted, total_questions, correct_answers,
+           fifty_fifty_used, skips_used, extra_time_used
+    FROM level_attempts WHERE id = $1
+  `, [attemptId]);
+
+  const attempt = attemptResult.rows[0];
+
+  // Unanswered questions count as wrong, so letting the clock run out
+  // after a few correct answers cannot be used to unlock a level
+  const accuracy = calculateAccuracy(
+    attempt.correct_answers,
+    Math.max(attempt.questions_attempted, attempt.total_questions)
+  );
+  const xpRules = await getActiveXPRules(client);
+  const { xp: baseXP, breakdown } = await calculateAttemptXP(client, attempt, xpRules);
+
+  // Mark level as completed and store base XP (and the rules that produced it) with IST timestamp
+  await client.query(`
+    UPDATE level_attempts
+    SET
+      xp_earned_base = $1,
+      accuracy_percentage = $2,
+      completion_status = 'completed',
+      timed_out = $3,
+      xp_rule_version = $4,
+      xp_breakdown = $5,
+      updated_at = ${SQL_IST_NOW}
+    WHERE id = $6
+  `, [baseXP, accuracy, timedOut, xpRules.version, JSON.stringify(breakdown), attemptId]);
+
+  await addDailyActivity(attempt.phone, { levels: 1 }, client);
+
+  // Score for implausibly fast or patterned play before any XP is credited
+  const review = await evaluateAttempt(client, attemptId, attempt);
+  const withholdingFlag = review.withhold_xp ? await getWithholdingFlag(client, attemptId) : null;
+
+  if (withholdingFlag) {
+    // Held on the flag until an admin clears it
+    await withholdXP(client, withholdingFlag.id, baseXP);
+  } else {
+    // Add base XP to user's total and daily summary
+    await addXPToUser(attempt.phone, baseXP, client, {
+      source: 'level_complete',
+      referenceId: attemptId,
+      ruleVersion: xpRules.version
+    });
+  }
+
+  // Check level unlock against the level's configured accuracy threshold
+  const settings = await getLevelSettings(attempt.level, client);
+  let levelUnlocked = false;
+  let newCurrentLevel = null;
+
+  if (accuracy >= settings.unlock_accuracy_percent) {
+    const nextLevel = attempt.level + 1;
+
+    if (nextLevel <= settings.max_level) {
+      const userResult = await client.query(
+        'SELECT current_level FROM users_profile WHERE phone = $1',
+        [attempt.phone]
+      );
+
+      const currentLevel = userResult.rows[0].current_level;
+
+      if (nextLevel > currentLevel) {
+        await client.query(
+          `UPDATE users_profile SET current_level = $1, updated_at = ${SQL_IST_NOW} WHERE phone = $2`,
+          [nextLevel, attempt.phone]
+        );
+
+        levelUnlocked = true;
+        newCurrentLevel = nextLevel;
+      }
+    }
+  }
+
+  return {
+    attempt_id: attemptId,
+    phone: attempt.phone,
+    level: attempt.level,
+    questions_attempted: attempt.questions_attempted,
+    correct_answers: attempt.correct_answers,
+    accuracy,
+    base_xp: baseXP,
+    potential_bonus_xp: videoBonusXP(xpRules.rules, baseXP),
+    xp_breakdown: breakdown,
+    level_unlocked: levelUnlocked,
+    new_current_level: newCurrentLevel,
+    timed_out: timedOut,
+    power_ups_used: {
+      fifty_fifty: attempt.fifty_fifty_used,
+      skip: attempt.skips_used,
+      extra_time: attempt.extra_time_used
+    },
+    flagged: review.flagged,
+    xp_withheld: withholdingFlag !== null
+  };
+}
+
+/**
+ * Send quiz completion webhooks (non-blocking)
+ * Call after the completing transaction has been committed
+ * @param {Object} result - Result from completeAttempt
+ */
+function notifyAttemptCompleted(result) {
+  const eventWebhook = require('./eventWebhookService');
+
+  // Quiz completed event
+  eventWebhook.onQuizCompleted(
+    result.phone, result.level, result.attempt_id,
+    result.accuracy, result.base_xp, result.correct_answers,
+    result.level_unlocked, result.new_current_level
+  ).catch(err => console.error('Webhook error (non-critical):', err.message));
+
+  // Level unlocked event (separate event for easier n8n handling)
+  if (result.level_unlocked) {
+    eventWebhook.onLevelUnlocked(result.phone, result.level, result.new_current_level)
+      .catch(err => console.error('Webhook error (non-critical):', err.message));
+  }
+}
+
+/**
+ * Build the quiz_result block returned to the app when an attempt completes
+ * @param {Object} result - Result from completeAttempt
+ * @returns {Object} Quiz result for response
+ */
+function formatQuizResult(result) {
+  const baseXP = result.base_xp;
+  const bonusXP = result.potential_bonus_xp;
+  const videoPrompt = bonusXP === baseXP
+    ? `Watch video to double your ${baseXP} XP.`
+    : `Watch video to earn ${bonusXP} bonus XP.`;
+
+  let message;
+  if (result.xp_withheld) {
+    message = `Quiz completed with ${result.accuracy}% accuracy. Your ${baseXP} XP is on hold while this attempt is reviewed.`;
+  } else if (result.level_unlocked) {
+    message = `Level completed! ${videoPrompt}`;
+  } else if (result.timed_out) {
+    message = `Time's up! You scored ${result.accuracy}% accuracy. ${videoPrompt}`;
+  } else {
+    message = `Quiz completed with ${result.accuracy}% accuracy. ${videoPrompt}`;
+  }
+
+  return {
+    base_xp_earned: baseXP,
+    potential_bonus_xp: bonusXP, // Before the daily XP cap, if one is set
+    xp_breakdown: result.xp_breakdown,
+    accuracy: result.accuracy,
+    timed_out: result.timed_out,
+    power_ups_used: result.power_ups_used,
+    level_unlocked: result.level_unlocked,
+    ...(result.level_unlocked && { new_current_level: result.new_current_level }),
+    ...(result.xp_withheld && { xp_on_hold: true }),
+    can_watch_video_to_double_xp: true,
+    message
+  };
+}
+
+/**
+ * Get the user's most recent unfinished attempt with everything needed to rebuild the quiz screen
+ * Returns the stored question set in its original order (and so in the medium it was drawn in),
+ * with the option shown at each position, the answer already given to each question,
+ * options removed by 50-50, remaining lifelines, power-ups and remaining time
+ * @param {string} phone - User's phone number
+ * @param {Object} options
+ * @param {boolean} options.includeAnswerKey - Legacy mode: mark correct option with @ and include explanation
+ * @returns {Promise<Object|null>} Resume data, or null if there is nothing to resume
+ */
+async function getResumeState(phone, { includeAnswerKey = false } = {}) {
+  // Required here because powerUpService builds on this module
+  const { getPowerUpConfig, formatPowerUps, getRemovedOptions } = require('./powerUpService');
+
+  const attemptResult = await pool.query(`
+    SELECT
+      id, level, is_first_attempt, attempt_number, questions_attempted, total_questions, correct_answers,
+      lifelines_remaining, lifeline_videos_watched, fifty_fifty_used, skips_used, extra_time_used,
+      CASE WHEN expires_at IS NOT NULL
+        THEN GREATEST(0, CEIL(EXTRACT(EPOCH FROM (expires_at - ${SQL_IST_NOW}))))::int
+      END AS time_remaining_seconds
+    FROM level_attempts
+    WHERE phone = $1
+    AND completion_status = 'in_progress'
+    AND questions_attempted < total_questions
+    AND (expires_at IS NULL OR expires_at > ${SQL_IST_NOW})
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [phone]);
+
+  if (attemptResult.rows.length === 0) {
+    return null;
+  }
+
+  const attempt = attemptResult.rows[0];
+
+  const questionsResult = await pool.query(`
+    SELECT
+      laq.position, laq.option_order,
+      q.sl, q.question_text, q.question_image_url,
+      q.option_1, q.option_2, q.option_3, q.option_4, q.correct_option,
+      q.explanation_text, q.explanation_url, q.subject, q.topic,
+      qr.user_answer, qr.is_correct
+    FROM level_attempt_questions laq
+    JOIN questions q ON q.sl = laq.question_id
+    LEFT JOIN question_responses qr ON qr.attempt_id = laq.attempt_id AND qr.question_id = laq.question_id
+    WHERE laq.attempt_id = $1
+    ORDER BY laq.position ASC
+  `, [attempt.id]);
+
+  const removedOptions = await getRemovedOptions(pool, attempt.id);
+
+  // Attempts started before question sets were stored cannot be rebuilt
+  const questions = questionsResult.rows.length > 0
+    ? questionsResult.rows.map(row => {
+      const question = formatQuestionForClient(row, {
+        position: row.position,
+        optionOrder: row.option_order,
+        includeAnswerKey
+      });
+
+      // Answers are stored as option numbers; report the position the user tapped
+      const answered = row.user_answer != null;
+      question.answered = answered;
+      question.selected_answer = answered ? row.option_order.indexOf(row.user_answer) + 1 : null;
+
+      // Positions taken away by 50-50
+      const removed = removedOptions.get(row.sl);
+      question.removed_options = removed
+        ? removed.map(n => row.option_order.indexOf(n) + 1).sort((a, b) => a - b)
+        : [];
+
+      // Already revealed by /question/answer for these questions
+      if (answered) {
+        question.is_correct = row.is_correct;
+        question.correct_answer = row.option_order.indexOf(row.correct_option) + 1;
+        question.explanation_text = row.explanation_text;
+        question.explanation_url = row.explanation_url;
+      }
+
+      return question;
+    })
+    : null;
+
+  const nextQuestion = questions ? questions.find(q => !q.answered) : null;
+  // Attempts started before XP rules only know whether they were the first
+  const attemptNumber = attempt.attempt_number || (attempt.is_first_attempt ? 1 : 2);
+  const { rules: xpRules } = await getActiveXPRules();
+  const lifelineConfig = await getLifelineConfig();
+
+  return {
+    attempt_id: attempt.id,
+    level: attempt.level,
+    is_first_attempt: attempt.is_first_attempt,
+    attempt_number: attemptNumber,
+    xp_per_correct: xpPerCorrect(xpRules, attemptNumber),
+    questions_attempted: attempt.questions_attempted,
+    total_questions: attempt.total_questions,
+    questions_remaining: attempt.total_questions - attempt.questions_attempted,
+    correct_answers: attempt.correct_answers,
+    lifelines_remaining: attempt.lifelines_remaining,
+    lifeline_videos_watched: attempt.lifeline_videos_watched,
+    can_watch_video_to_restore: attempt.lifelines_remaining === 0,
+    power_ups: formatPowerUps(await getPowerUpConfig(), attempt, lifelineConfig.lifeline_mode),
+    time_remaining_seconds: attempt.time_remaining_seconds,
+    next_question_order: nextQuestion ? nextQuestion.question_order : null,
+    questions
+  };
+}
+
+/**
+ * Complete every in-progress attempt whose deadline has passed
+ * Each attempt is closed in its own transaction; rows locked by an
+ * in-flight answer are skipped and picked up on the next run
+ * @returns {Promise<number>} Number of attempts completed
+ */
+async function completeTimedOutAttempts() {
+  const dueResult = await pool.query(`
+    SELECT id
+    FROM level_attempts
+    WHERE completion_status = 'in_progress'
+      AND expires_at IS NOT NULL
+      AND expires_at + INTERVAL '${DEADLINE_GRACE_SECONDS} seconds' < ${SQL_IST_NOW}
+    ORDER BY expires_at ASC
+    LIMIT 500
+  `);
+
+  let completed = 0;
+
+  for (const row of dueResult.rows) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const lockResult = await client.query(`
+        SELECT id FROM level_attempts
+        WHERE id = $1 AND completion_status = 'in_progress'
+        FOR UPDATE SKIP LOCKED
+      `, [row.id]);
+
+      if (lockResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+
+      const result = await completeAttempt(client, row.id, { timedOut: true });
+
+      await client.query('COMMIT');
+
+      notifyAttemptCompleted(result);
+      completed++;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(`Failed to complete timed out attempt ${row.id}:`, err.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  return completed;
+}
+
+/**
+ * Start background job that completes attempts once their time runs out
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+function startAttemptTimeoutJob() {
+  const timer = setInterval(async () => {
+    try {
+      const count = await completeTimedOutAttempts();
+      if (count > 0) {
+        console.log(`✓ Completed ${count} timed out level attempt(s)`);
+      }
+    } catch (err) {
+      console.error('Attempt timeout job error:', err);
+    }
+  }, TIMEOUT_JOB_INTERVAL_MS);
+
+  console.log('✓ Level attempt timeout job started (every 1 minute)');
+  return timer;
+}
+
+/**
+ * Expire in-progress attempts that nobody has touched for the configured idle age
+ * (app_config.stale_attempt_idle_minutes), so they stop showing up in resume and analytics.
+ * Attempts whose deadline is still ahead stay resumable, and attempts past their deadline
+ * are normally completed (and scored) by the timeout job first; this closes attempts
+ * without a deadline and any the timeout job could not close within the idle age.
+ * @returns {Promise<number>} Number of attempts expired
+ */
+async function expireStaleAttempts() {
+  const configResult = await pool.query('SELECT stale_attempt_idle_minutes FROM app_config WHERE id = 1');
+  const idleMinutes = configResult.rows[0]?.stale_attempt_idle_minutes || DEFAULT_STALE_ATTEMPT_IDLE_MINUTES;
+
+  // Rows locked by an in-flight answer are skipped and picked up on the next run
+  const result = await pool.query(`
+    UPDATE level_attempts
+    SET
+      completion_status = 'expired',
+      end_reason = 'idle_timeout',
+      updated_at = ${SQL_IST_NOW}
+    WHERE id IN (
+      SELECT id
+      FROM level_attempts
+      WHERE completion_status = 'in_progress'
+        AND updated_at < ${SQL_IST_NOW} - make_interval(mins => $1)
+        AND (expires_at IS NULL OR expires_at < ${SQL_IST_NOW} - make_interval(mins => $1))
+      ORDER BY id ASC
+      LIMIT 1000
+      FOR UPDATE SKIP LOCKED
+    )
+  `, [idleMinutes]);
+
+  return result.rowCount;
+}
+
+/**
+ * Start background job that expires idle in-progress attempts
+ * Must only run on the primary worker (see server.js)
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+function startStaleAttemptJob() {
+  const run = async () => {
+    try {
+      const count = await expireStaleAttempts();
+      if (count > 0) {
+        console.log(`✓ Expired ${count} idle level attempt(s)`);
+      }
+    } catch (err) {
+      console.error('Stale attempt job error:', err);
+    }
+  };
+
+  // Clear any backlog at startup, then on every interval
+  run();
+  const timer = setInterval(run, STALE_JOB_INTERVAL_MS);
+
+  console.log('✓ Stale attempt expiry job started (every 10 minutes)');
+  return timer;
+}
+
+module.exports = {
+  DEADLINE_GRACE_SECONDS,
+  getLevelSettings,
+  shuffle,
+  drawQuestionSet,
+  formatQuestionForClient,
+  saveQuestionSet,
+  getAttemptQuestion,
+  completeAttempt,
+  notifyAttemptCompleted,
+  formatQuizResult,
+  getResumeState,
+  completeTimedOutAttempts,
+  startAttemptTimeoutJob,
+  expireStaleAttempts,
+  startStaleAttemptJob
+};
@@ -99,19 +99,46 @@ async function getAllLevelsAdmin() {
   return result.rows;
 }
 
+/**
+ * Get global level defaults from app_config
+ * Levels without their own questions_per_level / unlock_accuracy_percent use these
+ * @returns {Promise<Object>} {questions_per_level, unlock_accuracy_percent, max_level}
+ */
+async function getLevelDefaults() {
+  const result = await pool.query(
+    'SELECT questions_per_level, unlock_accuracy_percent, max_level FROM app_config WHERE id = 1'
+  );
+  const row = result.rows[0] || {};
+
+  return {
+    questions_per_level: row.questions_per_level || 10,
+    unlock_accuracy_percent: row.unlock_accuracy_percent != null ? parseFloat(row.unlock_accuracy_percent) : 30,
+    max_level: row.max_level || 100
+  };
+}
+
 /**
  * Create new level
- * @param {Object} data - Level data
+ * @param {Object} data - Level data (questions_per_level / unlock_accuracy_percent null = use default)
  * @returns {Promise<Object>} Created level
  */
 async function createLevel(data) {
-  const { level_number, title, subtitle, duration_seconds, is_active = true } = data;
+  const {
+    level_number, title, subtitle, duration_seconds, is_active = true,
+    questions_per_level = null, unlock_accuracy_percent = null, adaptive_difficulty = false
+  } = data;
 
   const result = await pool.query(`
-    INSERT INTO quiz_levels (level_number, title, subtitle, duration_seconds, is_active, created_at, updated_at)
-    VALUES ($1, $2, $3, $4, $5, ${SQL_IST_NOW}, ${SQL_IST_NOW})
+    INSERT INTO quiz_levels (
+      level_number, title, subtitle, duration_seconds, is_active,
+      questions_per_level, unlock_accuracy_percent, adaptive_difficulty, created_at, updated_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, ${SQL_IST_NOW}, ${SQL_IST_NOW})
     RETURNING *
-  `, [level_number, title, subtitle, duration_seconds, is_active]);
+  `, [
+    level_number, title, subtitle, duration_seconds, is_active,
+    questions_per_level, unlock_accuracy_percent, adaptive_difficulty
+  ]);
 
   return result.rows[0];
 }
@@ -123,14 +150,23 @@ async function createLevel(data) {
  * @returns {Promise<Object>}
  */
 async function updateLevel(levelNumber, data) {
-  const { title, subtitle, duration_seconds, is_active } = data;
+  const {
+    title, subtitle, duration_seconds, is_active,
+    questions_per_level = null, unlock_accuracy_percent = null, adaptive_difficulty = false
+  } = data;
 
   const result = await pool.query(`
     UPDATE quiz_levels
-    SET title = $2, subtitle = $3, duration_seconds = $4, is_active = $5, updated_at = ${SQL_IST_NOW}
+    SET
+      title = $2, subtitle = $3, duration_seconds = $4, is_active = $5,
+      questions_per_level = $6, unlock_accuracy_percent = $7, adaptive_difficulty = $8,
+      updated_at = ${SQL_IST_NOW}
     WHERE level_number = $1
     RETURNING *
-  `, [levelNumber, title, subtitle, duration_seconds, is_active]);
+  `, [
+    levelNumber, title, subtitle, duration_seconds, is_active,
+    questions_per_level, unlock_accuracy_percent, adaptive_difficulty
+  ]);
 
   return result.rows[0];
 }
@@ -155,6 +191,7 @@ module.exports = {
   checkLevelsChange,
   getLevelByNumber,
   getAllLevelsAdmin,
+  getLevelDefaults,
   createLevel,
   updateLevel,
   deleteLevel
@@ -1,5 +1,30 @@
 const pool = require('../config/database');
-const { SQL_IST_NOW } = require('../utils/timezone');
+const { getISTDate, SQL_IST_NOW } = require('../utils/timezone');
+const { addDailyActivity } = require('./xpService');
+
+// Fallbacks when app_config has no row
+const DEFAULT_LIFELINE_CONFIG = {
+  lifeline_mode: 'per_attempt',
+  lifelines_per_quiz: 3,
+  lifeline_wallet_daily_refill: 5,
+  referral_lifeline_reward: 3
+};
+
+/**
+ * Get lifeline settings from app_config
+ * @param {Object} client - Database client (optional, for transaction reuse)
+ * @returns {Promise<Object>} { lifeline_mode, lifelines_per_quiz, lifeline_wallet_daily_refill, referral_lifeline_reward }
+ */
+async function getLifelineConfig(client = null) {
+  const db = client || pool;
+
+  const result = await db.query(`
+    SELECT lifeline_mode, lifelines_per_quiz, lifeline_wallet_daily_refill, referral_lifeline_reward
+    FROM app_config WHERE id = 1
+  `);
+
+  return result.rows[0] || DEFAULT_LIFELINE_CONFIG;
+}
 
 /**
  * Initialize lifelines for a level attempt
@@ -21,23 +46,39 @@ async function initializeLifelines(attemptId, lifelineCount = 3) {
 
 /**
  * Deduct lifeline when user answers incorrectly
+ * In wallet mode the lifeline comes out of the user's wallet while it has any,
+ * so the attempt keeps its own lifelines
  * @param {number} attemptId - Level attempt ID
  * @param {Object} client - Database client (optional, for transaction reuse)
- * @returns {Promise<Object>} Updated lifeline status
+ * @returns {Promise<Object>} Updated lifeline status, with from_wallet and wallet_balance (null in per-attempt mode)
  */
 async function deductLifeline(attemptId, client = null) {
   const dbClient = client || pool;
 
   try {
+    const config = await getLifelineConfig(dbClient);
+    let walletDraw = null;
+
+    if (config.lifeline_mode === 'wallet') {
+      const attemptResult = await dbClient.query('SELECT phone FROM level_attempts WHERE id = $1', [attemptId]);
+      if (attemptResult.rows.length === 0) {
+        throw new Error('Attempt not found');
+      }
+      walletDraw = await drawWalletLifeline(dbClient, attemptResult.rows[0].phone, attemptId, config);
+    }
+
+    const fromWallet = walletDraw !== null && walletDraw.drawn;
+
     const result = await dbClient.query(`
       UPDATE level_attempts
       SET
-        lifelines_remaining = GREATEST(lifelines_remaining - 1, 0),
+        lifelines_remaining = CASE WHEN $2 THEN lifelines_remaining ELSE GREATEST(lifelines_remaining - 1, 0) END,
         lifelines_used = lifelines_used + 1,
+        wallet_lifelines_used = wallet_lifelines_used + CASE WHEN $2 THEN 1 ELSE 0 END,
         updated_at = ${SQL_IST_NOW}
       WHERE id = $1
       RETURNING lifelines_remaining, lifelines_used
-    `, [attemptId]);
+    `, [attemptId, fromWallet]);
 
     if (result.rows.length === 0) {
       throw new Error('Attempt not found');
@@ -49,7 +90,9 @@ async function deductLifeline(attemptId, client = null) {
       lifelines_remaining,
       lifelines_used,
       can_continue: lifelines_remaining >= 0,
-      can_watch_video: lifelines_remaining === 0
+      can_watch_video: lifelines_remaining === 0,
+      from_wallet: fromWallet,
+      wallet_balance: walletDraw !== null ? walletDraw.balance : null
     };
   } catch (err) {
     console.error('Deduct lifeline error:', err);
@@ -124,8 +167,7 @@ async function restoreLifelines(attemptId, phone, videoId, videoUrl, watchDurati
     const { level } = attemptResult.rows[0];
 
     // Get app config for lifeline count
-    const configResult = await client.query('SELECT lifelines_per_quiz FROM app_config WHERE id = 1');
-    const lifelineCount = configResult.rows[0]?.lifelines_per_quiz || 3;
+    const { lifelines_per_quiz: lifelineCount } = await getLifelineConfig(client);
 
     // Restore lifelines with IST timestamp
     await client.query(`
@@ -148,6 +190,8 @@ async function restoreLifelines(attemptId, phone, videoId, videoUrl, watchDurati
       )
     `, [phone, attemptId, level, videoId, videoUrl, watchDuration, lifelineCount]);
 
+    await addDailyActivity(phone, { videos: 1 }, client);
+
     await client.query('COMMIT');
 
     return {
@@ -167,9 +211,234 @@ async function restoreLifelines(attemptId, phone, videoId, videoUrl, watchDurati
   }
 }
 
+// ========================================
+// LIFELINE WALLET
+// ========================================
+
+/**
+ * Lock a user's wallet row, creating it if needed, and apply today's top-up
+ * The daily refill only applies in wallet mode and never lowers a bigger balance
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string} phone - User's phone number
+ * @param {Object} config - From getLifelineConfig
+ * @returns {Promise<number>} Balance after any top-up
+ */
+async function lockWallet(client, phone, config) {
+  await client.query(`
+    INSERT INTO lifeline_wallets (phone, balance, created_at, updated_at)
+    VALUES ($1, 0, ${SQL_IST_NOW}, ${SQL_IST_NOW})
+    ON CONFLICT (phone) DO NOTHING
+  `, [phone]);
+
+  const walletResult = await client.query(
+    'SELECT balance, last_refill_date::text AS last_refill_date FROM lifeline_wallets WHERE phone = $1 FOR UPDATE',
+    [phone]
+  );
+  let { balance } = walletResult.rows[0];
+  const today = getISTDate();
+
+  if (config.lifeline_mode === 'wallet' && walletResult.rows[0].last_refill_date !== today) {
+    const topUp = Math.max(0, config.lifeline_wallet_daily_refill - balance);
+    balance += topUp;
+
+    await client.query(`
+      UPDATE lifeline_wallets SET balance = $1, last_refill_date = $2, updated_at = ${SQL_IST_NOW}
+      WHERE phone = $3
+    `, [balance, today, phone]);
+
+    if (topUp > 0) {
+      await recordWalletTransaction(client, phone, topUp, balance, 'daily_refill', null);
+    }
+  }
+
+  return balance;
+}
+
+/**
+ * Append a wallet change to the lifeline ledger
+ * @param {Object} client - Database client
+ * @param {string} phone - User's phone number
+ * @param {number} change - Lifelines added (positive) or used (negative)
+ * @param {number} balanceAfter - Wallet balance after the change
+ * @param {string} source - 'daily_refill' | 'wrong_answer' | 'mission' | 'streak_milestone' | 'referral' | 'power_up'
+ * @param {number|null} referenceId - Row the change came from
+ */
+async function recordWalletTransaction(client, phone, change, balanceAfter, source, referenceId) {
+  await client.query(`
+    INSERT INTO lifeline_transactions (phone, change, balance_after, source, reference_id, created_at)
+    VALUES ($1, $2, $3, $4, $5, ${SQL_IST_NOW})
+  `, [phone, change, balanceAfter, source, referenceId]);
+}
+
+/**
+ * Use one wallet lifeline for a wrong answer, if the wallet has any
+ * @param {Object} client - Database client (inside the answer transaction)
+ * @param {string} phone - User's phone number
+ * @param {number} attemptId - Level attempt ID
+ * @param {Object} config - From getLifelineConfig
+ * @returns {Promise<Object>} { drawn, balance }
+ */
+async function drawWalletLifeline(client, phone, attemptId, config) {
+  const balance = await lockWallet(client, phone, config);
+  if (balance === 0) {
+    return { drawn: false, balance };
+  }
+
+  await client.query(`
+    UPDATE lifeline_wallets SET balance = balance - 1, updated_at = ${SQL_IST_NOW}
+    WHERE phone = $1
+  `, [phone]);
+  await recordWalletTransaction(client, phone, -1, balance - 1, 'wrong_answer', attemptId);
+
+  return { drawn: true, balance: balance - 1 };
+}
+
+/**
+ * Add earned lifelines to a user's wallet
+ * Rewards are only given in wallet mode
+ * @param {Object} client - Database client (inside the transaction granting the reward)
+ * @param {string} phone - User's phone number
+ * @param {number} amount - Lifelines to add
+ * @param {string} source - 'mission' | 'streak_milestone' | 'referral'
+ * @param {number} referenceId - Row the reward came from
+ * @returns {Promise<number>} Lifelines added (0 in per-attempt mode)
+ */
+async function addWalletLifelines(client, phone, amount, source, referenceId) {
+  if (amount <= 0) return 0;
+
+  const config = await getLifelineConfig(client);
+  if (config.lifeline_mode !== 'wallet') return 0;
+
+  const balance = await lockWallet(client, phone, config) + amount;
+
+  await client.query(`
+    UPDATE lifeline_wallets SET balance = $1, updated_at = ${SQL_IST_NOW}
+    WHERE phone = $2
+  `, [balance, phone]);
+  await recordWalletTransaction(client, phone, amount, balance, source, referenceId);
+
+  return amount;
+}
+
+/**
+ * Spend wallet lifelines on something other than a wrong answer (e.g. a power-up)
+ * @param {Object} client - Database client (inside the transaction doing the spending)
+ * @param {string} phone - User's phone number
+ * @param {number} amount - Lifelines to spend
+ * @param {string} source - 'power_up'
+ * @param {number} referenceId - Row the lifelines were spent on
+ * @returns {Promise<number>} Balance after spending
+ */
+async function spendWalletLifelines(client, phone, amount, source, referenceId) {
+  const config = await getLifelineConfig(client);
+  if (config.lifeline_mode !== 'wallet') {
+    throw { code: 'INVALID_INPUT', message: 'Lifelines can only be spent in wallet mode' };
+  }
+
+  const balance = await lockWallet(client, phone, config);
+  if (balance < amount) {
+    throw {
+      code: 'INSUFFICIENT_LIFELINES',
+      message: `Not enough lifelines. Need ${amount}, have ${balance}`,
+      lifelines_required: amount,
+      lifelines_available: balance
+    };
+  }
+
+  await client.query(`
+    UPDATE lifeline_wallets SET balance = balance - $1, updated_at = ${SQL_IST_NOW}
+    WHERE phone = $2
+  `, [amount, phone]);
+  await recordWalletTransaction(client, phone, -amount, balance - amount, source, referenceId);
+
+  return balance - amount;
+}
+
+/**
+ * Get a user's wallet balance, applying today's top-up (wallet mode)
+ * @param {string} phone - User's phone number
+ * @returns {Promise<number>} Balance
+ */
+async function getWalletBalance(phone) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const balance = await lockWallet(client, phone, await getLifelineConfig(client));
+    await client.query('COMMIT');
+    return balance;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a user's lifeline inventory with the wallet ledger, newest first
+ * @param {string} phone - User's phone number
+ * @param {number} limit - Transactions per page
+ * @param {number} offset - Pagination offset
+ * @returns {Promise<Object>} { mode, lifelines_per_quiz, wallet: { balance, daily_refill }, transactions, pagination }
+ */
+async function getLifelineInventory(phone, limit = 20, offset = 0) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const config = await getLifelineConfig(client);
+    const balance = await lockWallet(client, phone, config);
+
+    const transactionsResult = await client.query(`
+      SELECT id, change, balance_after, source, reference_id, created_at
+      FROM lifeline_transactions
+      WHERE phone = $1
+      ORDER BY id DESC
+      LIMIT $2 OFFSET $3
+    `, [phone, limit, offset]);
+
+    const countResult = await client.query(
+      'SELECT COUNT(*) as total FROM lifeline_transactions WHERE phone = $1',
+      [phone]
+    );
+
+    await client.query('COMMIT');
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      mode: config.lifeline_mode,
+      lifelines_per_quiz: config.lifelines_per_quiz,
+      wallet: {
+        balance,
+        daily_refill: config.lifeline_wallet_daily_refill
+      },
+      transactions: transactionsResult.rows,
+      pagination: {
+        limit,
+        offset,
+        has_more: (offset + limit) < total
+      }
+    };
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
+  getLifelineConfig,
   initializeLifelines,
   deductLifeline,
   getLifelineStatus,
-  restoreLifelines
+  restoreLifelines,
+  addWalletLifelines,
+  spendWalletLifelines,
+  getWalletBalance,
+  getLifelineInventory
 };
@@ -0,0 +1,437 @@
+const pool = require('../config/database');
+const { addXPToUser } = require('./xpService');
+const { checkAchievements, notifyAchievementsEarned } = require('./achievementService');
+const { addWalletLifelines } = require('./lifelineService');
+const { getISTDate, SQL_IST_NOW } = require('../utils/timezone');
+
+/**
+ * Mission Service
+ * Each user is handed a rotating set of active mission templates per IST day, the first time
+ * they look. Progress is counted from the existing tables (daily summary, answers, attempts,
+ * reels, streaks) for that day, and a completed mission is claimed for its XP reward and any
+ * lifelines for the lifeline wallet.
+ */
+
+const DEFAULT_MISSIONS_COUNT = 3;
+
+// Metrics a mission can track (admin form labels)
+const MISSION_METRICS = {
+  questions_answered: 'Questions answered',
+  correct_answers: 'Correct answers',
+  levels_completed: 'Levels completed',
+  perfect_levels: 'Levels completed with every answer correct',
+  reels_watched: 'Reels watched',
+  videos_watched: 'Videos watched',
+  xp_earned: 'XP earned',
+  streak_kept: 'Streak kept (played today)'
+};
+
+// Count for one IST day, per metric ($1 = phone, $2 = date)
+const METRIC_SQL = {
+  questions_answered: `
+    SELECT COALESCE(MAX(questions_attempted_today), 0)::int AS value FROM daily_xp_summary
+    WHERE phone = $1 AND date = $2
+  `,
+  correct_answers: `
+    SELECT COUNT(*)::int AS value FROM question_responses
+    WHERE phone = $1 AND is_correct = TRUE AND answered_at::date = $2
+  `,
+  levels_completed: `
+    SELECT COALESCE(MAX(levels_completed_today), 0)::int AS value FROM daily_xp_summary
+    WHERE phone = $1 AND date = $2
+  `,
+  // Counted on the day the attempt started
+  perfect_levels: `
+    SELECT COUNT(*)::int AS value FROM level_attempts
+    WHERE phone = $1 AND attempt_date = $2 AND completion_status = 'completed'
+      AND total_questions > 0 AND correct_answers = total_questions
+  `,
+  reels_watched: `
+    SELECT COUNT(*)::int AS value FROM user_reel_progress
+    WHERE phone = $1 AND status = 'watched' AND watched_at::date = $2
+  `,
+  videos_watched: `
+    SELECT COALESCE(MAX(videos_watched_today), 0)::int AS value FROM daily_xp_summary
+    WHERE phone = $1 AND date = $2
+  `,
+  xp_earned: `
+    SELECT COALESCE(MAX(total_xp_today), 0)::int AS value FROM daily_xp_summary
+    WHERE phone = $1 AND date = $2
+  `,
+  streak_kept: `
+    SELECT COUNT(*)::int AS value FROM streak_tracking
+    WHERE phone = $1 AND last_activity_date = $2
+  `
+};
+
+/**
+ * Get how many missions each user gets per day
+ * @param {Object} client - Database client (optional)
+ * @returns {Promise<number>} Missions per day
+ */
+async function getMissionsCount(client = null) {
+  const db = client || pool;
+  const result = await db.query('SELECT daily_missions_count FROM app_config WHERE id = 1');
+  return result.rows.length > 0 ? result.rows[0].daily_missions_count : DEFAULT_MISSIONS_COUNT;
+}
+
+/**
+ * Read a user's counts for some metrics on one day
+ * @param {Object} db - Database client or pool
+ * @param {string} phone - User's phone number
+ * @param {string} date - IST date (YYYY-MM-DD)
+ * @param {Array<string>} metrics - Metric names
+ * @returns {Promise<Object>} { metric: value }
+ */
+async function getMetricValues(db, phone, date, metrics) {
+  const values = {};
+
+  for (const metric of metrics) {
+    const result = await db.query(METRIC_SQL[metric], [phone, date]);
+    values[metric] = result.rows[0].value;
+  }
+
+  return values;
+}
+
+/**
+ * Hand out today's missions if the user has none yet
+ * Templates from yesterday's set are only reused when there aren't enough others
+ * @param {string} phone - User's phone number
+ * @param {string} date - IST date (YYYY-MM-DD)
+ */
+async function assignMissions(phone, date) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialise the first look of the day for this user
+    await client.query('SELECT phone FROM users_profile WHERE phone = $1 FOR UPDATE', [phone]);
+
+    const existing = await client.query(
+      'SELECT 1 FROM user_daily_missions WHERE phone = $1 AND mission_date = $2 LIMIT 1',
+      [phone, date]
+    );
+
+    if (existing.rows.length === 0) {
+      const count = await getMissionsCount(client);
+
+      await client.query(`
+        INSERT INTO user_daily_missions (phone, mission_date, template_id, target, xp_reward, lifeline_reward, created_at)
+        SELECT $1::varchar, $2::date, t.id, t.target, t.xp_reward, t.lifeline_reward, ${SQL_IST_NOW}
+        FROM mission_templates t
+        WHERE t.is_active = TRUE
+        ORDER BY
+          EXISTS (
+            SELECT 1 FROM user_daily_missions y
+            WHERE y.phone = $1::varchar AND y.mission_date = $2::date - 1 AND y.template_id = t.id
+          ),
+          RANDOM()
+        LIMIT $3
+      `, [phone, date, count]);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Public fields of a handed-out mission, with progress
+ * @param {Object} row - user_daily_missions row joined with its template
+ * @param {Object} values - From getMetricValues
+ * @returns {Object} Mission
+ */
+function formatMission(row, values) {
+  const current = Math.min(values[row.metric], row.target);
+
+  return {
+    id: row.id,
+    code: row.code,
+    title: row.title,
+    description: row.description,
+    metric: row.metric,
+    xp_reward: row.xp_reward,
+    lifeline_reward: row.lifeline_reward,
+    progress: {
+      current,
+      target: row.target,
+      percent: Math.floor((current / row.target) * 100)
+    },
+    completed: current >= row.target,
+    claimed: row.claimed_at !== null,
+    claimed_at: row.claimed_at,
+    xp_awarded: row.xp_awarded,
+    lifelines_awarded: row.lifelines_awarded
+  };
+}
+
+/**
+ * Get today's missions with progress, handing them out on the first look of the day
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object>} { date, summary, missions }
+ */
+async function getTodayMissions(phone) {
+  const date = getISTDate();
+
+  const query = `
+    SELECT m.id, m.target, m.xp_reward, m.lifeline_reward, m.claimed_at, m.xp_awarded, m.lifelines_awarded,
+           t.code, t.title, t.description, t.metric
+    FROM user_daily_missions m
+    JOIN mission_templates t ON t.id = m.template_id
+    WHERE m.phone = $1 AND m.mission_date = $2
+    ORDER BY t.sort_order, t.id
+  `;
+
+  let result = await pool.query(query, [phone, date]);
+  if (result.rows.length === 0) {
+    await assignMissions(phone, date);
+    result = await pool.query(query, [phone, date]);
+  }
+
+  const values = await getMetricValues(pool, phone, date, [...new Set(result.rows.map(row => row.metric))]);
+  const missions = result.rows.map(row => formatMission(row, values));
+
+  return {
+    date,
+    summary: {
+      total: missions.length,
+      completed: missions.filter(mission => mission.completed).length,
+      claimed: missions.filter(mission => mission.claimed).length,
+      xp_available: missions
+        .filter(mission => mission.completed && !mission.claimed)
+        .reduce((sum, mission) => sum + mission.xp_reward, 0)
+    },
+    missions
+  };
+}
+
+/**
+ * Claim a completed mission's XP and lifeline rewards
+ * Missions can only be claimed on their own IST day
+ * @param {string} phone - User's phone number
+ * @param {number} missionId - user_daily_missions ID
+ * @returns {Promise<Object>} { mission, xp_awarded, lifelines_awarded, achievements_earned }
+ */
+async function claimMission(phone, missionId) {
+  const client = await pool.connect();
+  let result;
+
+  try {
+    await client.query('BEGIN');
+
+    const missionResult = await client.query(`
+      SELECT m.id, m.mission_date::text AS mission_date, m.target, m.xp_reward, m.lifeline_reward,
+             m.claimed_at, m.xp_awarded, m.lifelines_awarded, t.code, t.title, t.description, t.metric
+      FROM user_daily_missions m
+      JOIN mission_templates t ON t.id = m.template_id
+      WHERE m.id = $1 AND m.phone = $2
+      FOR UPDATE OF m
+    `, [missionId, phone]);
+
+    if (missionResult.rows.length === 0) {
+      throw { code: 'MISSION_NOT_FOUND', message: 'Mission not found' };
+    }
+
+    const row = missionResult.rows[0];
+
+    if (row.claimed_at) {
+      throw { code: 'MISSION_ALREADY_CLAIMED', message: 'Mission reward already claimed' };
+    }
+
+    const date = getISTDate();
+    if (row.mission_date !== date) {
+      throw { code: 'MISSION_EXPIRED', message: 'Missions can only be claimed on the day they were given' };
+    }
+
+    const values = await getMetricValues(client, phone, date, [row.metric]);
+    if (values[row.metric] < row.target) {
+      throw { code: 'MISSION_NOT_COMPLETE', message: 'Mission is not complete yet' };
+    }
+
+    // Lifelines go to the wallet (wallet mode only)
+    const lifelinesAwarded = await addWalletLifelines(client, phone, row.lifeline_reward, 'mission', row.id);
+
+    const updateResult = await client.query(`
+      UPDATE user_daily_missions SET claimed_at = ${SQL_IST_NOW}, xp_awarded = xp_reward, lifelines_awarded = $2
+      WHERE id = $1
+      RETURNING claimed_at, xp_awarded, lifelines_awarded
+    `, [row.id, lifelinesAwarded]);
+
+    let achievementsEarned = [];
+    if (row.xp_reward > 0) {
+      await addXPToUser(phone, row.xp_reward, client, { source: 'daily_mission', referenceId: row.id });
+      achievementsEarned = await checkAchievements(phone, ['total_xp'], client);
+    }
+
+    await client.query('COMMIT');
+
+    // XP from this claim counts toward xp_earned missions too
+    if (row.xp_reward > 0) {
+      values.xp_earned = (await getMetricValues(pool, phone, date, ['xp_earned'])).xp_earned;
+    }
+
+    result = {
+      mission: formatMission({ ...row, ...updateResult.rows[0] }, values),
+      xp_awarded: updateResult.rows[0].xp_awarded,
+      lifelines_awarded: updateResult.rows[0].lifelines_awarded,
+      achievements_earned: achievementsEarned
+    };
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  notifyAchievementsEarned(phone, result.achievements_earned);
+  return result;
+}
+
+// ========================================
+// ADMIN
+// ========================================
+
+/**
+ * Get all mission templates with how often each was handed out and claimed (admin)
+ * @returns {Promise<Array>} Templates
+ */
+async function getAllTemplatesAdmin() {
+  const result = await pool.query(`
+    SELECT t.*,
+      (SELECT COUNT(*) FROM user_daily_missions m WHERE m.template_id = t.id) as assigned_count,
+      (SELECT COUNT(*) FROM user_daily_missions m WHERE m.template_id = t.id AND m.claimed_at IS NOT NULL) as claimed_count
+    FROM mission_templates t
+    ORDER BY t.sort_order, t.id
+  `);
+  return result.rows;
+}
+
+/**
+ * Get a mission template
+ * @param {number} id - Template ID
+ * @returns {Promise<Object|null>} Template or null
+ */
+async function getTemplateById(id) {
+  const result = await pool.query('SELECT * FROM mission_templates WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Count missions handed out from a template
+ * @param {number} id - Template ID
+ * @returns {Promise<number>} Number of missions
+ */
+async function getTemplateAssignedCount(id) {
+  const result = await pool.query(
+    'SELECT COUNT(*) as count FROM user_daily_missions WHERE template_id = $1',
+    [id]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Create a mission template
+ * @param {Object} data - { code, title, description, metric, target, xp_reward, lifeline_reward, sort_order, is_active }
+ * @returns {Promise<Object>} Created template
+ */
+async function createTemplate(data) {
+  const result = await pool.query(`
+    INSERT INTO mission_templates (
+      code, title, description, metric, target, xp_reward, lifeline_reward, sort_order, is_active, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, ${SQL_IST_NOW}, ${SQL_IST_NOW})
+    RETURNING *
+  `, [
+    data.code,
+    data.title,
+    data.description,
+    data.metric,
+    data.target,
+    data.xp_reward,
+    data.lifeline_reward,
+    data.sort_order,
+    data.is_active
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Update a mission template
+ * Missions already handed out keep the target and reward they were given with
+ * @param {number} id - Template ID
+ * @param {Object} data - Same fields as createTemplate
+ * @returns {Promise<Object|null>} Updated template
+ */
+async function updateTemplate(id, data) {
+  const result = await pool.query(`
+    UPDATE mission_templates SET
+      code = $1,
+      title = $2,
+      description = $3,
+      metric = $4,
+      target = $5,
+      xp_reward = $6,
+      lifeline_reward = $7,
+      sort_order = $8,
+      is_active = $9,
+      updated_at = ${SQL_IST_NOW}
+    WHERE id = $10
+    RETURNING *
+  `, [
+    data.code,
+    data.title,
+    data.description,
+    data.metric,
+    data.target,
+    data.xp_reward,
+    data.lifeline_reward,
+    data.sort_order,
+    data.is_active,
+    id
+  ]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Turn a mission template on or off
+ * @param {number} id - Template ID
+ * @returns {Promise<Object|null>} Updated template
+ */
+async function toggleTemplate(id) {
+  const result = await pool.query(`
+    UPDATE mission_templates SET is_active = NOT is_active, updated_at = ${SQL_IST_NOW}
+    WHERE id = $1
+    RETURNING *
+  `, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a mission template (only while it has never been handed out)
+ * @param {number} id - Template ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteTemplate(id) {
+  const result = await pool.query('DELETE FROM mission_templates WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  MISSION_METRICS,
+  getTodayMissions,
+  claimMission,
+  // Admin
+  getAllTemplatesAdmin,
+  getTemplateById,
+  getTemplateAssignedCount,
+  createTemplate,
+  updateTemplate,
+  toggleTemplate,
+  deleteTemplate
+};
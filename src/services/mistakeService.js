@@ -0,0 +1,211 @@
+const pool = require('../config/database');
+const { SQL_IST_NOW } = require('../utils/timezone');
+
+// Days until the next review after each correct replay answer (spaced repetition).
+// A correct answer on the last interval masters the question and removes it from the deck.
+const REVIEW_INTERVALS_DAYS = [1, 3, 7, 21];
+
+// Delay before a question missed again on replay comes back
+const RETRY_AFTER_MISS_DAYS = 1;
+
+/**
+ * Add a wrongly answered question to the user's mistake deck
+ * A question already in the deck (or mastered earlier) goes back to the first review stage
+ * and is due immediately
+ * @param {Object} client - Database client (inside the answering transaction)
+ * @param {string} phone - User's phone number
+ * @param {number} questionId - Question ID (sl)
+ */
+async function recordMistake(client, phone, questionId) {
+  await client.query(`
+    INSERT INTO mistake_deck (
+      phone, question_id, times_wrong, review_stage, next_review_at, last_wrong_at, created_at, updated_at
+    ) VALUES (
+      $1, $2, 1, 0, ${SQL_IST_NOW}, ${SQL_IST_NOW}, ${SQL_IST_NOW}, ${SQL_IST_NOW}
+    )
+    ON CONFLICT (phone, question_id)
+    DO UPDATE SET
+      times_wrong = mistake_deck.times_wrong + 1,
+      review_stage = 0,
+      next_review_at = ${SQL_IST_NOW},
+      last_wrong_at = ${SQL_IST_NOW},
+      mastered_at = NULL,
+      updated_at = ${SQL_IST_NOW}
+  `, [phone, questionId]);
+}
+
+/**
+ * Apply a replay answer to a deck entry
+ * Correct: the question leaves the due deck and is scheduled at the next interval,
+ * or is mastered after the last one. Wrong: back to the first stage, due again tomorrow.
+ * @param {Object} client - Database client (inside the answering transaction)
+ * @param {string} phone - User's phone number
+ * @param {number} questionId - Question ID (sl)
+ * @param {boolean} isCorrect - Whether the replay answer was correct
+ * @returns {Promise<Object|null>} { mastered, review_stage, next_review_at } or null if not in the deck
+ */
+async function recordReviewResult(client, phone, questionId, isCorrect) {
+  const entryResult = await client.query(
+    'SELECT review_stage FROM mistake_deck WHERE phone = $1 AND question_id = $2 AND mastered_at IS NULL FOR UPDATE',
+    [phone, questionId]
+  );
+
+  if (entryResult.rows.length === 0) {
+    return null;
+  }
+
+  const stage = entryResult.rows[0].review_stage;
+
+  if (!isCorrect) {
+    const missResult = await client.query(`
+      UPDATE mistake_deck
+      SET
+        times_wrong = times_wrong + 1,
+        review_stage = 0,
+        next_review_at = ${SQL_IST_NOW} + make_interval(days => $3),
+        last_wrong_at = ${SQL_IST_NOW},
+        last_reviewed_at = ${SQL_IST_NOW},
+        updated_at = ${SQL_IST_NOW}
+      WHERE phone = $1 AND question_id = $2
+      RETURNING review_stage, next_review_at
+    `, [phone, questionId, RETRY_AFTER_MISS_DAYS]);
+
+    return { mastered: false, ...missResult.rows[0] };
+  }
+
+  if (stage >= REVIEW_INTERVALS_DAYS.length) {
+    await client.query(`
+      UPDATE mistake_deck
+      SET mastered_at = ${SQL_IST_NOW}, last_reviewed_at = ${SQL_IST_NOW}, updated_at = ${SQL_IST_NOW}
+      WHERE phone = $1 AND question_id = $2
+    `, [phone, questionId]);
+
+    return { mastered: true, review_stage: stage, next_review_at: null };
+  }
+
+  const passResult = await client.query(`
+    UPDATE mistake_deck
+    SET
+      review_stage = review_stage + 1,
+      next_review_at = ${SQL_IST_NOW} + make_interval(days => $3),
+      last_reviewed_at = ${SQL_IST_NOW},
+      updated_at = ${SQL_IST_NOW}
+    WHERE phone = $1 AND question_id = $2
+    RETURNING review_stage, next_review_at
+  `, [phone, questionId, REVIEW_INTERVALS_DAYS[stage]]);
+
+  return { mastered: false, ...passResult.rows[0] };
+}
+
+/**
+ * Get the user's mistake deck grouped by subject and topic
+ * The deck holds only questions due for review now. Questions answered correctly on replay
+ * drop out of it and are listed under scheduled until their next review; mastered ones are left out.
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object>} { total, next_review_at, subjects, scheduled }
+ */
+async function getMistakeDeck(phone) {
+  const result = await pool.query(`
+    SELECT
+      md.question_id, md.times_wrong, md.review_stage,
+      md.last_wrong_at, md.next_review_at,
+      md.next_review_at <= ${SQL_IST_NOW} AS is_due,
+      q.level, q.question_text, q.question_image_url, q.subject, q.topic, q.difficulty
+    FROM mistake_deck md
+    JOIN questions q ON q.sl = md.question_id
+    WHERE md.phone = $1 AND md.mastered_at IS NULL
+    ORDER BY q.subject ASC NULLS LAST, q.topic ASC NULLS LAST, md.next_review_at ASC
+  `, [phone]);
+
+  const subjects = [];
+  const bySubject = new Map();
+  const scheduled = [];
+  let total = 0;
+
+  for (const row of result.rows) {
+    const question = {
+      sl: row.question_id,
+      level: row.level,
+      question_text: row.question_text,
+      question_image_url: row.question_image_url,
+      difficulty: row.difficulty,
+      times_wrong: row.times_wrong,
+      review_stage: row.review_stage,
+      last_wrong_at: row.last_wrong_at,
+      next_review_at: row.next_review_at
+    };
+
+    if (!row.is_due) {
+      scheduled.push({ ...question, subject: row.subject, topic: row.topic });
+      continue;
+    }
+
+    if (!bySubject.has(row.subject)) {
+      const entry = { subject: row.subject, total: 0, topics: [], topicMap: new Map() };
+      bySubject.set(row.subject, entry);
+      subjects.push(entry);
+    }
+
+    const subjectEntry = bySubject.get(row.subject);
+
+    if (!subjectEntry.topicMap.has(row.topic)) {
+      const topicEntry = { topic: row.topic, total: 0, questions: [] };
+      subjectEntry.topicMap.set(row.topic, topicEntry);
+      subjectEntry.topics.push(topicEntry);
+    }
+
+    const topicEntry = subjectEntry.topicMap.get(row.topic);
+
+    topicEntry.questions.push(question);
+    subjectEntry.total++;
+    topicEntry.total++;
+    total++;
+  }
+
+  scheduled.sort((a, b) => a.next_review_at - b.next_review_at);
+
+  return {
+    total,
+    next_review_at: scheduled.length > 0 ? scheduled[0].next_review_at : null,
+    subjects: subjects.map(({ topicMap, ...subject }) => subject),
+    scheduled
+  };
+}
+
+/**
+ * Get questions due for review, most overdue first
+ * @param {string} phone - User's phone number
+ * @param {Object} filters
+ * @param {string} [filters.subject] - Only this subject
+ * @param {string} [filters.topic] - Only this topic
+ * @param {number} filters.limit - Max questions
+ * @returns {Promise<Array>} Question rows
+ */
+async function getDueMistakeQuestions(phone, { subject = null, topic = null, limit }) {
+  const result = await pool.query(`
+    SELECT
+      q.sl, q.level,
+      q.question_text, q.question_image_url,
+      q.option_1, q.option_2, q.option_3, q.option_4, q.correct_option,
+      q.subject, q.topic
+    FROM mistake_deck md
+    JOIN questions q ON q.sl = md.question_id
+    WHERE md.phone = $1
+      AND md.mastered_at IS NULL
+      AND md.next_review_at <= ${SQL_IST_NOW}
+      AND ($2::text IS NULL OR q.subject = $2)
+      AND ($3::text IS NULL OR q.topic = $3)
+    ORDER BY md.next_review_at ASC
+    LIMIT $4
+  `, [phone, subject, topic, limit]);
+
+  return result.rows;
+}
+
+module.exports = {
+  REVIEW_INTERVALS_DAYS,
+  recordMistake,
+  recordReviewResult,
+  getMistakeDeck,
+  getDueMistakeQuestions
+};
@@ -0,0 +1,895 @@
+const pool = require('../config/database');
+const { SQL_IST_NOW } = require('../utils/timezone');
+const { calculateAccuracy } = require('./xpService');
+const {
+  DEADLINE_GRACE_SECONDS,
+  drawQuestionSet,
+  formatQuestionForClient
+} = require('./levelAttemptService');
+const { getMockTestById } = require('./mockTestService');
+
+// How often the background job closes mock test sections whose time has run out
+const TIMEOUT_JOB_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Draw random questions for one section
+ * Uses the user's medium (or 'both'), falling back to English when that can't fill the
+ * section; questions already drawn for earlier sections of the attempt are excluded
+ * @param {Object} client - Database client
+ * @param {Object} section - mock_test_sections row
+ * @param {string} medium - User's medium
+ * @param {number[]} excludeIds - Question IDs already in the attempt
+ * @returns {Promise<Array>} Question rows
+ */
+async function drawSectionQuestions(client, section, medium, excludeIds) {
+  const sectionQuery = `
+    SELECT
+      sl, level,
+      question_text, question_image_url,
+      option_1, option_2, option_3, option_4, correct_option,
+      subject, topic
+    FROM questions
+    WHERE subject = $1
+      AND ($2::text IS NULL OR topic = $2)
+      AND ($3::text IS NULL OR LOWER(difficulty) = $3)
+      AND (medium = $4 OR medium = 'both')
+      AND sl <> ALL($5::int[])
+    ORDER BY RANDOM()
+    LIMIT $6
+  `;
+
+  let result = await client.query(sectionQuery, [
+    section.subject, section.topic, section.difficulty, medium, excludeIds, section.question_count
+  ]);
+
+  if (result.rows.length < section.question_count && medium !== 'english') {
+    const fallback = await client.query(sectionQuery, [
+      section.subject, section.topic, section.difficulty, 'english', excludeIds, section.question_count
+    ]);
+
+    if (fallback.rows.length > result.rows.length) {
+      result = fallback;
+    }
+  }
+
+  return result.rows;
+}
+
+/**
+ * Start a mock test, or return the user's attempt already in progress for it
+ * Questions for every section are drawn up front; only the first section's timer starts
+ * @param {string} phone - User's phone number
+ * @param {number} mockTestId - Mock test ID
+ * @returns {Promise<Object>} Attempt state (see getAttemptState)
+ */
+async function startMockTest(phone, mockTestId) {
+  const mockTest = await getMockTestById(mockTestId);
+
+  if (!mockTest || !mockTest.is_active || mockTest.sections.length === 0) {
+    throw { code: 'MOCK_TEST_NOT_FOUND', message: 'Mock test not found or not available' };
+  }
+
+  const userResult = await pool.query('SELECT medium FROM users_profile WHERE phone = $1', [phone]);
+
+  if (userResult.rows.length === 0) {
+    throw { code: 'USER_NOT_FOUND', message: 'User not found' };
+  }
+
+  const medium = userResult.rows[0].medium || 'english';
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize starts for this user so a double tap can't create two attempts
+    await client.query('SELECT phone FROM users_profile WHERE phone = $1 FOR UPDATE', [phone]);
+
+    const existing = await client.query(`
+      SELECT id FROM mock_test_attempts
+      WHERE phone = $1 AND mock_test_id = $2 AND status = 'in_progress'
+      ORDER BY id DESC
+      LIMIT 1
+      FOR UPDATE
+    `, [phone, mockTestId]);
+
+    if (existing.rows.length > 0) {
+      const attemptId = existing.rows[0].id;
+      await syncSectionTimers(client, attemptId);
+      const attemptState = await getAttemptState(client, attemptId);
+
+      // Still running - resume it; if its time just ran out it was completed above
+      if (attemptState.status === 'in_progress') {
+        await client.query('COMMIT');
+        return { ...attemptState, resumed: true };
+      }
+    }
+
+    // Draw every section's questions
+    const drawnSections = [];
+    const usedIds = [];
+
+    for (const section of mockTest.sections) {
+      const rows = await drawSectionQuestions(client, section, medium, usedIds);
+
+      // Every student sits the same number of questions per section, so a short draw is an error
+      if (rows.length !== section.question_count) {
+        throw {
+          code: 'NO_MOCK_QUESTIONS',
+          message: `Not enough questions available for section "${section.title}"`
+        };
+      }
+
+      rows.forEach(row => usedIds.push(row.sl));
+      drawnSections.push({ section, questionSet: drawQuestionSet(rows, rows.length) });
+    }
+
+    const totalQuestions = drawnSections.reduce((sum, d) => sum + d.questionSet.length, 0);
+    const marksPerCorrect = parseFloat(mockTest.marks_per_correct);
+    const negativeMarks = mockTest.negative_marking_enabled ? parseFloat(mockTest.negative_marks_per_wrong) : 0;
+
+    const attemptResult = await client.query(`
+      INSERT INTO mock_test_attempts (
+        mock_test_id, phone, status, current_section_order, total_questions, unanswered,
+        max_score, marks_per_correct, negative_marks_per_wrong,
+        started_at, created_at, updated_at
+      ) VALUES (
+        $1, $2, 'in_progress', 1, $3, $3,
+        $4, $5, $6,
+        ${SQL_IST_NOW}, ${SQL_IST_NOW}, ${SQL_IST_NOW}
+      ) RETURNING id
+    `, [mockTestId, phone, totalQuestions, totalQuestions * marksPerCorrect, marksPerCorrect, negativeMarks]);
+
+    const attemptId = attemptResult.rows[0].id;
+
+    for (const { section, questionSet } of drawnSections) {
+      const isFirst = section.section_order === 1;
+
+      await client.query(`
+        INSERT INTO mock_test_attempt_sections (
+          attempt_id, section_order, title, duration_seconds, total_questions, unanswered,
+          started_at, expires_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $5,
+          CASE WHEN $6 THEN ${SQL_IST_NOW} END,
+          CASE WHEN $6 THEN ${SQL_IST_NOW} + make_interval(secs => $7) END
+        )
+      `, [
+        attemptId, section.section_order, section.title, section.duration_seconds,
+        questionSet.length, isFirst, section.duration_seconds
+      ]);
+
+      for (const item of questionSet) {
+        await client.query(`
+          INSERT INTO mock_test_attempt_questions (attempt_id, section_order, position, question_id, option_order)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [attemptId, section.section_order, item.position, item.question.sl, item.optionOrder]);
+      }
+    }
+
+    const attemptState = await getAttemptState(client, attemptId);
+
+    await client.query('COMMIT');
+
+    return { ...attemptState, resumed: false };
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Lock an attempt and check it belongs to the user
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} attemptId - Mock test attempt ID
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object>} Locked attempt row
+ */
+async function lockOwnAttempt(client, attemptId, phone) {
+  const result = await client.query(
+    'SELECT id, phone, status FROM mock_test_attempts WHERE id = $1 FOR UPDATE',
+    [attemptId]
+  );
+
+  if (result.rows.length === 0) {
+    throw { code: 'MOCK_ATTEMPT_NOT_FOUND', message: 'Mock test attempt not found' };
+  }
+
+  if (result.rows[0].phone !== phone) {
+    throw { code: 'MOCK_ATTEMPT_NOT_OWNED', message: 'This mock test attempt belongs to another user' };
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Close the current section and open the next one
+ * When there is no next section the attempt is scored and completed
+ * @param {Object} client - Database client (attempt row locked)
+ * @param {number} attemptId - Mock test attempt ID
+ * @param {string} closedAt - SQL expression for when the section ended
+ *   (NOW for a manual move, the section deadline for a timeout)
+ */
+async function advanceSection(client, attemptId, closedAt) {
+  const currentResult = await client.query(`
+    SELECT current_section_order FROM mock_test_attempts WHERE id = $1
+  `, [attemptId]);
+
+  const currentOrder = currentResult.rows[0].current_section_order;
+
+  await client.query(`
+    UPDATE mock_test_attempt_sections
+    SET completed_at = ${closedAt}
+    WHERE attempt_id = $1 AND section_order = $2
+  `, [attemptId, currentOrder]);
+
+  // The next section's clock starts when the previous one ended
+  const next = await client.query(`
+    UPDATE mock_test_attempt_sections next_section
+    SET
+      started_at = prev.completed_at,
+      expires_at = prev.completed_at + make_interval(secs => next_section.duration_seconds)
+    FROM mock_test_attempt_sections prev
+    WHERE next_section.attempt_id = $1 AND next_section.section_order = $2 + 1
+      AND prev.attempt_id = $1 AND prev.section_order = $2
+    RETURNING next_section.section_order
+  `, [attemptId, currentOrder]);
+
+  if (next.rows.length === 0) {
+    await finalizeAttempt(client, attemptId);
+    return;
+  }
+
+  await client.query(`
+    UPDATE mock_test_attempts
+    SET current_section_order = $1, updated_at = ${SQL_IST_NOW}
+    WHERE id = $2
+  `, [next.rows[0].section_order, attemptId]);
+}
+
+/**
+ * Catch up on section deadlines that passed while nobody was calling the API
+ * Sections run back to back: each timed-out section hands over to the next one at its deadline
+ * @param {Object} client - Database client (attempt row locked)
+ * @param {number} attemptId - Mock test attempt ID
+ */
+async function syncSectionTimers(client, attemptId) {
+  for (;;) {
+    const result = await client.query(`
+      SELECT a.status, s.expires_at + INTERVAL '${DEADLINE_GRACE_SECONDS} seconds' < ${SQL_IST_NOW} AS is_expired
+      FROM mock_test_attempts a
+      JOIN mock_test_attempt_sections s
+        ON s.attempt_id = a.id AND s.section_order = a.current_section_order
+      WHERE a.id = $1
+    `, [attemptId]);
+
+    const row = result.rows[0];
+
+    if (!row || row.status !== 'in_progress' || !row.is_expired) {
+      return;
+    }
+
+    await advanceSection(client, attemptId, `(
+      SELECT expires_at FROM mock_test_attempt_sections
+      WHERE attempt_id = $1 AND section_order = $2
+    )`);
+  }
+}
+
+/**
+ * Score every section and complete the attempt
+ * Correct answers earn marks_per_correct, wrong answers lose negative_marks_per_wrong,
+ * unanswered questions score zero (rules are the ones snapshotted at start)
+ * @param {Object} client - Database client (attempt row locked)
+ * @param {number} attemptId - Mock test attempt ID
+ */
+async function finalizeAttempt(client, attemptId) {
+  const rulesResult = await client.query(
+    'SELECT marks_per_correct, negative_marks_per_wrong FROM mock_test_attempts WHERE id = $1',
+    [attemptId]
+  );
+
+  const marksPerCorrect = parseFloat(rulesResult.rows[0].marks_per_correct);
+  const negativeMarks = parseFloat(rulesResult.rows[0].negative_marks_per_wrong);
+
+  const sectionStats = await client.query(`
+    SELECT
+      s.section_order,
+      s.total_questions,
+      COUNT(q.question_id) FILTER (WHERE q.is_correct = TRUE) as correct,
+      COUNT(q.question_id) FILTER (WHERE q.is_correct = FALSE) as wrong
+    FROM mock_test_attempt_sections s
+    LEFT JOIN mock_test_attempt_questions q
+      ON q.attempt_id = s.attempt_id AND q.section_order = s.section_order
+    WHERE s.attempt_id = $1
+    GROUP BY s.section_order, s.total_questions
+  `, [attemptId]);
+
+  const totals = { correct: 0, wrong: 0, unanswered: 0, score: 0 };
+
+  for (const section of sectionStats.rows) {
+    const correct = parseInt(section.correct);
+    const wrong = parseInt(section.wrong);
+    const unanswered = section.total_questions - correct - wrong;
+    const score = correct * marksPerCorrect - wrong * negativeMarks;
+
+    await client.query(`
+      UPDATE mock_test_attempt_sections
+      SET
+        correct_answers = $1,
+        wrong_answers = $2,
+        unanswered = $3,
+        score = $4,
+        accuracy_percentage = $5,
+        started_at = COALESCE(started_at, ${SQL_IST_NOW}),
+        completed_at = COALESCE(completed_at, ${SQL_IST_NOW})
+      WHERE attempt_id = $6 AND section_order = $7
+    `, [correct, wrong, unanswered, score, calculateAccuracy(correct, correct + wrong), attemptId, section.section_order]);
+
+    totals.correct += correct;
+    totals.wrong += wrong;
+    totals.unanswered += unanswered;
+    totals.score += score;
+  }
+
+  await client.query(`
+    UPDATE mock_test_attempts
+    SET
+      status = 'completed',
+      correct_answers = $1,
+      wrong_answers = $2,
+      unanswered = $3,
+      score = $4,
+      accuracy_percentage = $5,
+      completed_at = ${SQL_IST_NOW},
+      updated_at = ${SQL_IST_NOW}
+    WHERE id = $6
+  `, [
+    totals.correct,
+    totals.wrong,
+    totals.unanswered,
+    totals.score,
+    calculateAccuracy(totals.correct, totals.correct + totals.wrong),
+    attemptId
+  ]);
+}
+
+/**
+ * Build the in-progress view of an attempt
+ * Includes every section's status and the current section's questions with the user's
+ * selected answers (correctness is only revealed in the result)
+ * @param {Object} client - Database client
+ * @param {number} attemptId - Mock test attempt ID
+ * @returns {Promise<Object>} Attempt state
+ */
+async function getAttemptState(client, attemptId) {
+  const attemptResult = await client.query(`
+    SELECT a.id, a.mock_test_id, a.status, a.current_section_order, a.total_questions,
+           a.marks_per_correct, a.negative_marks_per_wrong, mt.title
+    FROM mock_test_attempts a
+    JOIN mock_tests mt ON mt.id = a.mock_test_id
+    WHERE a.id = $1
+  `, [attemptId]);
+
+  const attempt = attemptResult.rows[0];
+
+  const sectionsResult = await client.query(`
+    SELECT
+      section_order, title, duration_seconds, total_questions, completed_at,
+      CASE WHEN expires_at IS NOT NULL
+        THEN GREATEST(0, CEIL(EXTRACT(EPOCH FROM (expires_at - ${SQL_IST_NOW}))))::int
+      END AS time_remaining_seconds
+    FROM mock_test_attempt_sections
+    WHERE attempt_id = $1
+    ORDER BY section_order ASC
+  `, [attemptId]);
+
+  const state = {
+    attempt_id: attempt.id,
+    mock_test_id: attempt.mock_test_id,
+    title: attempt.title,
+    status: attempt.status,
+    total_questions: attempt.total_questions,
+    marks_per_correct: parseFloat(attempt.marks_per_correct),
+    negative_marks_per_wrong: parseFloat(attempt.negative_marks_per_wrong),
+    sections: sectionsResult.rows.map(section => {
+      let status = 'upcoming';
+      if (section.completed_at) status = 'completed';
+      else if (section.section_order === attempt.current_section_order) status = 'in_progress';
+
+      return {
+        section_order: section.section_order,
+        title: section.title,
+        total_questions: section.total_questions,
+        duration_seconds: section.duration_seconds,
+        status
+      };
+    })
+  };
+
+  if (attempt.status !== 'in_progress') {
+    return state;
+  }
+
+  const current = sectionsResult.rows.find(s => s.section_order === attempt.current_section_order);
+
+  const questionsResult = await client.query(`
+    SELECT
+      q.sl, q.question_text, q.question_image_url,
+      q.option_1, q.option_2, q.option_3, q.option_4,
+      q.subject, q.topic,
+      maq.position, maq.option_order, maq.user_answer
+    FROM mock_test_attempt_questions maq
+    JOIN questions q ON q.sl = maq.question_id
+    WHERE maq.attempt_id = $1 AND maq.section_order = $2
+    ORDER BY maq.position ASC
+  `, [attemptId, attempt.current_section_order]);
+
+  state.current_section = {
+    section_order: current.section_order,
+    title: current.title,
+    total_questions: current.total_questions,
+    answered: questionsResult.rows.filter(row => row.user_answer != null).length,
+    time_remaining_seconds: current.time_remaining_seconds,
+    is_last_section: current.section_order === sectionsResult.rows.length,
+    questions: questionsResult.rows.map(row => ({
+      ...formatQuestionForClient(row, { position: row.position, optionOrder: row.option_order }),
+      selected_answer: row.user_answer != null ? row.option_order.indexOf(row.user_answer) + 1 : null
+    }))
+  };
+
+  return state;
+}
+
+/**
+ * GET state of an attempt (resume)
+ * @param {string} phone - User's phone number
+ * @param {number} attemptId - Mock test attempt ID
+ * @returns {Promise<Object>} Attempt state
+ */
+async function getMockAttempt(phone, attemptId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await lockOwnAttempt(client, attemptId, phone);
+    await syncSectionTimers(client, attemptId);
+    const state = await getAttemptState(client, attemptId);
+    await client.query('COMMIT');
+    return state;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Save (or change) the answer to a question in the current section
+ * @param {string} phone - User's phone number
+ * @param {Object} params
+ * @param {number} params.attemptId - Mock test attempt ID
+ * @param {number} params.questionId - Question ID (sl)
+ * @param {number} params.userAnswer - Option position as shown to the user (1-4)
+ * @returns {Promise<Object>} { section_order, answered, total_questions, time_remaining_seconds }
+ */
+async function answerMockQuestion(phone, { attemptId, questionId, userAnswer }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await lockOwnAttempt(client, attemptId, phone);
+    await syncSectionTimers(client, attemptId);
+
+    const attemptResult = await client.query(
+      'SELECT status, current_section_order FROM mock_test_attempts WHERE id = $1',
+      [attemptId]
+    );
+    const attempt = attemptResult.rows[0];
+
+    if (attempt.status !== 'in_progress') {
+      // Timers may have just completed the attempt - keep that, reject the answer
+      await client.query('COMMIT');
+      throw { code: 'MOCK_TEST_COMPLETED', message: 'This mock test has ended. The answer was not recorded.' };
+    }
+
+    const questionResult = await client.query(`
+      SELECT maq.section_order, maq.option_order, q.correct_option
+      FROM mock_test_attempt_questions maq
+      JOIN questions q ON q.sl = maq.question_id
+      WHERE maq.attempt_id = $1 AND maq.question_id = $2
+    `, [attemptId, questionId]);
+
+    if (questionResult.rows.length === 0) {
+      throw { code: 'QUESTION_NOT_IN_ATTEMPT', message: `Question ${questionId} is not part of this mock test attempt` };
+    }
+
+    const question = questionResult.rows[0];
+
+    if (question.section_order < attempt.current_section_order) {
+      await client.query('COMMIT');
+      throw { code: 'SECTION_CLOSED', message: 'This section has ended. The answer was not recorded.' };
+    }
+
+    if (question.section_order > attempt.current_section_order) {
+      throw { code: 'QUESTION_NOT_IN_SECTION', message: 'This question belongs to a section that has not started yet' };
+    }
+
+    const chosenOption = question.option_order[userAnswer - 1];
+
+    await client.query(`
+      UPDATE mock_test_attempt_questions
+      SET user_answer = $1, is_correct = $2, answered_at = ${SQL_IST_NOW}
+      WHERE attempt_id = $3 AND question_id = $4
+    `, [chosenOption, chosenOption === question.correct_option, attemptId, questionId]);
+
+    const progressResult = await client.query(`
+      SELECT
+        s.total_questions,
+        (SELECT COUNT(*) FROM mock_test_attempt_questions q
+          WHERE q.attempt_id = s.attempt_id AND q.section_order = s.section_order AND q.user_answer IS NOT NULL) as answered,
+        GREATEST(0, CEIL(EXTRACT(EPOCH FROM (s.expires_at - ${SQL_IST_NOW}))))::int AS time_remaining_seconds
+      FROM mock_test_attempt_sections s
+      WHERE s.attempt_id = $1 AND s.section_order = $2
+    `, [attemptId, attempt.current_section_order]);
+
+    await client.query('COMMIT');
+
+    const progress = progressResult.rows[0];
+
+    return {
+      section_order: attempt.current_section_order,
+      answered: parseInt(progress.answered),
+      total_questions: progress.total_questions,
+      time_remaining_seconds: progress.time_remaining_seconds
+    };
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Finish the current section early and start the next one
+ * On the last section this submits the test
+ * @param {string} phone - User's phone number
+ * @param {number} attemptId - Mock test attempt ID
+ * @returns {Promise<Object>} Attempt state, or the result once the test is complete
+ */
+async function nextMockSection(phone, attemptId) {
+  const client = await pool.connect();
+  let completed = false;
+
+  try {
+    await client.query('BEGIN');
+
+    const attempt = await lockOwnAttempt(client, attemptId, phone);
+
+    if (attempt.status !== 'in_progress') {
+      throw { code: 'MOCK_TEST_COMPLETED', message: 'This mock test has already ended' };
+    }
+
+    await syncSectionTimers(client, attemptId);
+
+    const statusResult = await client.query('SELECT status FROM mock_test_attempts WHERE id = $1', [attemptId]);
+
+    if (statusResult.rows[0].status === 'in_progress') {
+      await advanceSection(client, attemptId, SQL_IST_NOW);
+    }
+
+    const state = await getAttemptState(client, attemptId);
+    completed = state.status === 'completed';
+
+    await client.query('COMMIT');
+
+    if (!completed) {
+      return state;
+    }
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getMockTestResult(phone, attemptId);
+}
+
+/**
+ * Submit the whole test now; sections not reached score as unanswered
+ * @param {string} phone - User's phone number
+ * @param {number} attemptId - Mock test attempt ID
+ * @returns {Promise<Object>} Result (see getMockTestResult)
+ */
+async function submitMockTest(phone, attemptId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const attempt = await lockOwnAttempt(client, attemptId, phone);
+
+    if (attempt.status === 'in_progress') {
+      await syncSectionTimers(client, attemptId);
+
+      await client.query(`
+        UPDATE mock_test_attempt_sections
+        SET completed_at = ${SQL_IST_NOW}
+        WHERE attempt_id = $1 AND completed_at IS NULL AND started_at IS NOT NULL
+      `, [attemptId]);
+
+      const statusResult = await client.query('SELECT status FROM mock_test_attempts WHERE id = $1', [attemptId]);
+
+      if (statusResult.rows[0].status === 'in_progress') {
+        await finalizeAttempt(client, attemptId);
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return getMockTestResult(phone, attemptId);
+}
+
+/**
+ * Percentile of a score against other users' first completed attempt at the same paper
+ * Ties count as half below
+ * @param {number} mockTestId - Mock test ID
+ * @param {string} phone - User's phone number (excluded from the comparison)
+ * @param {number} score - Score to rank
+ * @returns {Promise<Object>} { percentile (null if nobody else has taken it), other_takers }
+ */
+async function calculatePercentile(mockTestId, phone, score) {
+  const result = await pool.query(`
+    WITH first_attempts AS (
+      SELECT DISTINCT ON (phone) phone, score
+      FROM mock_test_attempts
+      WHERE mock_test_id = $1 AND status = 'completed' AND phone <> $2
+      ORDER BY phone, completed_at ASC
+    )
+    SELECT
+      COUNT(*) as takers,
+      COUNT(*) FILTER (WHERE score < $3) as below,
+      COUNT(*) FILTER (WHERE score = $3) as tied
+    FROM first_attempts
+  `, [mockTestId, phone, score]);
+
+  const takers = parseInt(result.rows[0].takers);
+
+  if (takers === 0) {
+    return { percentile: null, other_takers: 0 };
+  }
+
+  const below = parseInt(result.rows[0].below) + parseInt(result.rows[0].tied) / 2;
+
+  return {
+    percentile: parseFloat(((below / takers) * 100).toFixed(2)),
+    other_takers: takers
+  };
+}
+
+/**
+ * Get the result of a completed attempt: totals, per-section breakdown,
+ * percentile and a full answer review
+ * @param {string} phone - User's phone number
+ * @param {number} attemptId - Mock test attempt ID
+ * @returns {Promise<Object>} Result
+ */
+async function getMockTestResult(phone, attemptId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await lockOwnAttempt(client, attemptId, phone);
+    await syncSectionTimers(client, attemptId);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const attemptResult = await pool.query(`
+    SELECT a.*, mt.title
+    FROM mock_test_attempts a
+    JOIN mock_tests mt ON mt.id = a.mock_test_id
+    WHERE a.id = $1
+  `, [attemptId]);
+
+  const attempt = attemptResult.rows[0];
+
+  if (attempt.status !== 'completed') {
+    throw { code: 'MOCK_TEST_NOT_COMPLETED', message: 'Results are available once the mock test is submitted' };
+  }
+
+  const sectionsResult = await pool.query(`
+    SELECT section_order, title, total_questions, correct_answers, wrong_answers, unanswered,
+           score, accuracy_percentage, duration_seconds,
+           LEAST(duration_seconds, GREATEST(0, EXTRACT(EPOCH FROM (completed_at - started_at))))::int AS time_taken_seconds
+    FROM mock_test_attempt_sections
+    WHERE attempt_id = $1
+    ORDER BY section_order ASC
+  `, [attemptId]);
+
+  const reviewResult = await pool.query(`
+    SELECT
+      maq.section_order, maq.position, maq.option_order, maq.user_answer, maq.is_correct,
+      q.sl, q.question_text, q.question_image_url,
+      q.option_1, q.option_2, q.option_3, q.option_4, q.correct_option,
+      q.explanation_text, q.explanation_url, q.subject, q.topic
+    FROM mock_test_attempt_questions maq
+    JOIN questions q ON q.sl = maq.question_id
+    WHERE maq.attempt_id = $1
+    ORDER BY maq.section_order ASC, maq.position ASC
+  `, [attemptId]);
+
+  const score = parseFloat(attempt.score);
+  const { percentile, other_takers } = await calculatePercentile(attempt.mock_test_id, phone, score);
+
+  return {
+    attempt_id: attempt.id,
+    mock_test_id: attempt.mock_test_id,
+    title: attempt.title,
+    status: attempt.status,
+    score,
+    max_score: parseFloat(attempt.max_score),
+    total_questions: attempt.total_questions,
+    correct_answers: attempt.correct_answers,
+    wrong_answers: attempt.wrong_answers,
+    unanswered: attempt.unanswered,
+    accuracy: parseFloat(attempt.accuracy_percentage),
+    marks_per_correct: parseFloat(attempt.marks_per_correct),
+    negative_marks_per_wrong: parseFloat(attempt.negative_marks_per_wrong),
+    percentile,
+    other_takers,
+    started_at: attempt.started_at,
+    completed_at: attempt.completed_at,
+    sections: sectionsResult.rows.map(section => ({
+      section_order: section.section_order,
+      title: section.title,
+      total_questions: section.total_questions,
+      correct_answers: section.correct_answers,
+      wrong_answers: section.wrong_answers,
+      unanswered: section.unanswered,
+      score: parseFloat(section.score),
+      accuracy: parseFloat(section.accuracy_percentage),
+      duration_seconds: section.duration_seconds,
+      time_taken_seconds: section.time_taken_seconds
+    })),
+    review: reviewResult.rows.map(row => ({
+      section_order: row.section_order,
+      ...formatQuestionForClient(row, { position: row.position, optionOrder: row.option_order }),
+      your_answer: row.user_answer != null ? row.option_order.indexOf(row.user_answer) + 1 : null,
+      correct_answer: row.option_order.indexOf(row.correct_option) + 1,
+      is_correct: row.user_answer != null ? row.is_correct : null,
+      explanation_text: row.explanation_text,
+      explanation_url: row.explanation_url
+    }))
+  };
+}
+
+/**
+ * Get the user's mock test attempts (newest first)
+ * @param {string} phone - User's phone number
+ * @param {number} limit - Max attempts to return
+ * @param {number} offset - Attempts to skip
+ * @returns {Promise<Array>} Attempts
+ */
+async function getMockAttemptHistory(phone, limit = 20, offset = 0) {
+  const result = await pool.query(`
+    SELECT
+      a.id as attempt_id, a.mock_test_id, mt.title, a.status,
+      a.score, a.max_score, a.correct_answers, a.wrong_answers, a.unanswered,
+      a.accuracy_percentage, a.started_at, a.completed_at
+    FROM mock_test_attempts a
+    JOIN mock_tests mt ON mt.id = a.mock_test_id
+    WHERE a.phone = $1
+    ORDER BY a.started_at DESC
+    LIMIT $2 OFFSET $3
+  `, [phone, limit, offset]);
+
+  return result.rows.map(row => ({
+    ...row,
+    score: parseFloat(row.score),
+    max_score: parseFloat(row.max_score),
+    accuracy_percentage: parseFloat(row.accuracy_percentage)
+  }));
+}
+
+/**
+ * Move on every in-progress attempt whose current section has run out
+ * Each attempt is handled in its own transaction; attempts locked by a
+ * request in flight are skipped and picked up on the next run
+ * @returns {Promise<number>} Number of attempts updated
+ */
+async function advanceExpiredMockAttempts() {
+  const dueResult = await pool.query(`
+    SELECT a.id
+    FROM mock_test_attempts a
+    JOIN mock_test_attempt_sections s
+      ON s.attempt_id = a.id AND s.section_order = a.current_section_order
+    WHERE a.status = 'in_progress'
+      AND s.expires_at + INTERVAL '${DEADLINE_GRACE_SECONDS} seconds' < ${SQL_IST_NOW}
+    ORDER BY s.expires_at ASC
+    LIMIT 500
+  `);
+
+  let updated = 0;
+
+  for (const row of dueResult.rows) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const lockResult = await client.query(`
+        SELECT id FROM mock_test_attempts
+        WHERE id = $1 AND status = 'in_progress'
+        FOR UPDATE SKIP LOCKED
+      `, [row.id]);
+
+      if (lockResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+
+      await syncSectionTimers(client, row.id);
+
+      await client.query('COMMIT');
+      updated++;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(`Failed to advance mock test attempt ${row.id}:`, err.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Start background job that closes mock test sections once their time runs out
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+function startMockTestTimeoutJob() {
+  const timer = setInterval(async () => {
+    try {
+      const count = await advanceExpiredMockAttempts();
+      if (count > 0) {
+        console.log(`✓ Advanced ${count} timed out mock test attempt(s)`);
+      }
+    } catch (err) {
+      console.error('Mock test timeout job error:', err);
+    }
+  }, TIMEOUT_JOB_INTERVAL_MS);
+
+  console.log('✓ Mock test timeout job started (every 1 minute)');
+  return timer;
+}
+
+module.exports = {
+  startMockTest,
+  getMockAttempt,
+  answerMockQuestion,
+  nextMockSection,
+  submitMockTest,
+  getMockTestResult,
+  getMockAttemptHistory,
+  advanceExpiredMockAttempts,
+  startMockTestTimeoutJob
+};
@@ -0,0 +1,354 @@
+const pool = require('../config/database');
+const { SQL_IST_NOW } = require('../utils/timezone');
+
+/**
+ * Get all mock test papers with section totals and attempt counts (admin)
+ * @returns {Promise<Array>} List of papers
+ */
+async function getAllMockTestsAdmin() {
+  const result = await pool.query(`
+    SELECT
+      mt.*,
+      COALESCE(s.section_count, 0) as section_count,
+      COALESCE(s.total_questions, 0) as total_questions,
+      COALESCE(s.total_duration_seconds, 0) as total_duration_seconds,
+      (SELECT COUNT(*) FROM mock_test_attempts mta WHERE mta.mock_test_id = mt.id) as attempt_count
+    FROM mock_tests mt
+    LEFT JOIN (
+      SELECT
+        mock_test_id,
+        COUNT(*) as section_count,
+        SUM(question_count) as total_questions,
+        SUM(duration_seconds) as total_duration_seconds
+      FROM mock_test_sections
+      GROUP BY mock_test_id
+    ) s ON s.mock_test_id = mt.id
+    ORDER BY mt.id DESC
+  `);
+  return result.rows;
+}
+
+/**
+ * Get a mock test paper with its sections
+ * @param {number} id - Mock test ID
+ * @param {Object} client - Database client (for transactions)
+ * @returns {Promise<Object|null>} Paper with sections array, or null
+ */
+async function getMockTestById(id, client = null) {
+  const db = client || pool;
+
+  const testResult = await db.query('SELECT * FROM mock_tests WHERE id = $1', [id]);
+
+  if (testResult.rows.length === 0) {
+    return null;
+  }
+
+  const sectionsResult = await db.query(
+    'SELECT * FROM mock_test_sections WHERE mock_test_id = $1 ORDER BY section_order ASC',
+    [id]
+  );
+
+  return { ...testResult.rows[0], sections: sectionsResult.rows };
+}
+
+/**
+ * Count attempts for a paper
+ * Sections and scoring are locked once anyone has taken the paper so results stay comparable
+ * @param {number} id - Mock test ID
+ * @returns {Promise<number>} Number of attempts
+ */
+async function getMockTestAttemptCount(id) {
+  const result = await pool.query(
+    'SELECT COUNT(*) as count FROM mock_test_attempts WHERE mock_test_id = $1',
+    [id]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Create a mock test paper
+ * @param {Object} data - { title, description, marks_per_correct, negative_marking_enabled, negative_marks_per_wrong, is_active }
+ * @returns {Promise<Object>} Created paper
+ */
+async function createMockTest(data) {
+  const result = await pool.query(`
+    INSERT INTO mock_tests (
+      title, description, marks_per_correct, negative_marking_enabled, negative_marks_per_wrong,
+      is_active, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, ${SQL_IST_NOW}, ${SQL_IST_NOW})
+    RETURNING *
+  `, [
+    data.title,
+    data.description,
+    data.marks_per_correct,
+    data.negative_marking_enabled,
+    data.negative_marks_per_wrong,
+    data.is_active
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Update a mock test paper
+ * @param {number} id - Mock test ID
+ * @param {Object} data - Same fields as createMockTest
+ * @returns {Promise<Object|null>} Updated paper
+ */
+async function updateMockTest(id, data) {
+  const result = await pool.query(`
+    UPDATE mock_tests SET
+      title = $1,
+      description = $2,
+      marks_per_correct = $3,
+      negative_marking_enabled = $4,
+      negative_marks_per_wrong = $5,
+      is_active = $6,
+      updated_at = ${SQL_IST_NOW}
+    WHERE id = $7
+    RETURNING *
+  `, [
+    data.title,
+    data.description,
+    data.marks_per_correct,
+    data.negative_marking_enabled,
+    data.negative_marks_per_wrong,
+    data.is_active,
+    id
+  ]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a mock test paper (sections cascade)
+ * @param {number} id - Mock test ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteMockTest(id) {
+  const result = await pool.query('DELETE FROM mock_tests WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Add a section at the end of a paper
+ * @param {number} mockTestId - Mock test ID
+ * @param {Object} data - { title, subject, topic, difficulty, question_count, duration_seconds }
+ * @returns {Promise<Object>} Created section
+ */
+async function addMockTestSection(mockTestId, data) {
+  const result = await pool.query(`
+    INSERT INTO mock_test_sections (
+      mock_test_id, section_order, title, subject, topic, difficulty, question_count, duration_seconds
+    ) VALUES (
+      $1,
+      (SELECT COALESCE(MAX(section_order), 0) + 1 FROM mock_test_sections WHERE mock_test_id = $1),
+      $2, $3, $4, $5, $6, $7
+    )
+    RETURNING *
+  `, [
+    mockTestId,
+    data.title,
+    data.subject,
+    data.topic,
+    data.difficulty,
+    data.question_count,
+    data.duration_seconds
+  ]);
+
+  await pool.query(`UPDATE mock_tests SET updated_at = ${SQL_IST_NOW} WHERE id = $1`, [mockTestId]);
+
+  return result.rows[0];
+}
+
+/**
+ * Delete a section and close the gap in section numbering
+ * @param {number} mockTestId - Mock test ID
+ * @param {number} sectionId - Section ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteMockTestSection(mockTestId, sectionId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const deleted = await client.query(
+      'DELETE FROM mock_test_sections WHERE id = $1 AND mock_test_id = $2 RETURNING section_order',
+      [sectionId, mockTestId]
+    );
+
+    if (deleted.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    await client.query(`
+      UPDATE mock_test_sections
+      SET section_order = section_order - 1
+      WHERE mock_test_id = $1 AND section_order > $2
+    `, [mockTestId, deleted.rows[0].section_order]);
+
+    await client.query(`UPDATE mock_tests SET updated_at = ${SQL_IST_NOW} WHERE id = $1`, [mockTestId]);
+
+    await client.query('COMMIT');
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get distinct question subjects (for the section form)
+ * @returns {Promise<Array<string>>} Subjects
+ */
+async function getQuestionSubjects() {
+  const result = await pool.query(`
+    SELECT DISTINCT subject FROM questions
+    WHERE subject IS NOT NULL AND subject <> ''
+    ORDER BY subject ASC
+  `);
+  return result.rows.map(r => r.subject);
+}
+
+/**
+ * Check the question bank can fill every section of a paper
+ * Counts English and bilingual questions only, since that is the pool every student's draw
+ * falls back to. Sections whose filters overlap share questions, so the paper as a whole
+ * must also have enough distinct questions.
+ * @param {Array<Object>} sections - Sections { title, subject, topic, difficulty, question_count }
+ * @returns {Promise<string|null>} Why the paper can't be drawn, or null if it can
+ */
+async function checkMockTestQuestionPool(sections) {
+  if (sections.length === 0) {
+    return null;
+  }
+
+  const sectionsJson = JSON.stringify(sections.map((section, idx) => ({
+    idx,
+    subject: section.subject,
+    topic: section.topic || null,
+    difficulty: section.difficulty || null
+  })));
+
+  const poolJoin = `
+    FROM jsonb_to_recordset($1::jsonb) AS s(idx int, subject text, topic text, difficulty text)
+    LEFT JOIN questions q
+      ON q.subject = s.subject
+      AND (s.topic IS NULL OR q.topic = s.topic)
+      AND (s.difficulty IS NULL OR LOWER(q.difficulty) = s.difficulty)
+      AND q.medium IN ('english', 'both')
+  `;
+
+  const perSection = await pool.query(
+    `SELECT s.idx, COUNT(q.sl) as available ${poolJoin} GROUP BY s.idx`,
+    [sectionsJson]
+  );
+
+  for (const row of perSection.rows) {
+    const section = sections[row.idx];
+    const available = parseInt(row.available);
+
+    if (available < section.question_count) {
+      return `Section "${section.title}" needs ${section.question_count} questions but only ${available} English or bilingual questions match it`;
+    }
+  }
+
+  const distinct = await pool.query(
+    `SELECT COUNT(DISTINCT q.sl) as available ${poolJoin}`,
+    [sectionsJson]
+  );
+
+  const available = parseInt(distinct.rows[0].available);
+  const needed = sections.reduce((sum, section) => sum + section.question_count, 0);
+
+  if (available < needed) {
+    return `The sections need ${needed} different questions but only ${available} English or bilingual questions match them`;
+  }
+
+  return null;
+}
+
+/**
+ * Get active mock tests for the app, with the user's own attempt summary
+ * Papers without sections are hidden
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Array>} Papers
+ */
+async function getActiveMockTests(phone) {
+  const result = await pool.query(`
+    SELECT
+      mt.id, mt.title, mt.description,
+      mt.marks_per_correct, mt.negative_marking_enabled, mt.negative_marks_per_wrong,
+      s.section_count, s.total_questions, s.total_duration_seconds,
+      a.attempts_taken, a.best_score, a.in_progress_attempt_id
+    FROM mock_tests mt
+    JOIN (
+      SELECT
+        mock_test_id,
+        COUNT(*) as section_count,
+        SUM(question_count) as total_questions,
+        SUM(duration_seconds) as total_duration_seconds
+      FROM mock_test_sections
+      GROUP BY mock_test_id
+    ) s ON s.mock_test_id = mt.id
+    LEFT JOIN (
+      SELECT
+        mock_test_id,
+        COUNT(*) FILTER (WHERE status = 'completed') as attempts_taken,
+        MAX(score) FILTER (WHERE status = 'completed') as best_score,
+        MAX(id) FILTER (WHERE status = 'in_progress') as in_progress_attempt_id
+      FROM mock_test_attempts
+      WHERE phone = $1
+      GROUP BY mock_test_id
+    ) a ON a.mock_test_id = mt.id
+    WHERE mt.is_active = TRUE
+    ORDER BY mt.id DESC
+  `, [phone]);
+
+  const sectionsResult = await pool.query(`
+    SELECT mts.mock_test_id, mts.section_order, mts.title, mts.question_count, mts.duration_seconds
+    FROM mock_test_sections mts
+    JOIN mock_tests mt ON mt.id = mts.mock_test_id
+    WHERE mt.is_active = TRUE
+    ORDER BY mts.mock_test_id, mts.section_order ASC
+  `);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    marks_per_correct: parseFloat(row.marks_per_correct),
+    negative_marking: row.negative_marking_enabled
+      ? parseFloat(row.negative_marks_per_wrong)
+      : 0,
+    total_questions: parseInt(row.total_questions),
+    total_duration_seconds: parseInt(row.total_duration_seconds),
+    sections: sectionsResult.rows
+      .filter(section => section.mock_test_id === row.id)
+      .map(section => ({
+        section_order: section.section_order,
+        title: section.title,
+        question_count: section.question_count,
+        duration_seconds: section.duration_seconds
+      })),
+    attempts_taken: parseInt(row.attempts_taken) || 0,
+    best_score: row.best_score != null ? parseFloat(row.best_score) : null,
+    in_progress_attempt_id: row.in_progress_attempt_id || null
+  }));
+}
+
+module.exports = {
+  getAllMockTestsAdmin,
+  getMockTestById,
+  getMockTestAttemptCount,
+  createMockTest,
+  updateMockTest,
+  deleteMockTest,
+  addMockTestSection,
+  deleteMockTestSection,
+  getQuestionSubjects,
+  checkMockTestQuestionPool,
+  getActiveMockTests
+};
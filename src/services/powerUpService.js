@@ -0,0 +1,414 @@
+const pool = require('../config/database');
+const { SQL_IST_NOW } = require('../utils/timezone');
+const { addDailyActivity } = require('./xpService');
+const { recordXPTransaction } = require('./xpLedgerService');
+const { getLifelineConfig, spendWalletLifelines } = require('./lifelineService');
+const { DEADLINE_GRACE_SECONDS, shuffle, drawQuestionSet, formatQuestionForClient } = require('./levelAttemptService');
+
+// Power-ups a student can use during a level attempt
+const POWER_UP_TYPES = ['fifty_fifty', 'skip', 'extra_time'];
+
+// level_attempts column counting each power-up's uses
+const USAGE_COLUMNS = {
+  fifty_fifty: 'fifty_fifty_used',
+  skip: 'skips_used',
+  extra_time: 'extra_time_used'
+};
+
+// Fallbacks when app_config has no row
+// per_attempt 0 turns a power-up off; an xp_cost or lifeline_cost of 0 means it cannot be paid that way
+const DEFAULT_POWER_UPS = {
+  fifty_fifty: { per_attempt: 1, video: true, xp_cost: 20, lifeline_cost: 1 },
+  skip: { per_attempt: 1, video: true, xp_cost: 30, lifeline_cost: 1 },
+  extra_time: { per_attempt: 2, video: true, xp_cost: 10, lifeline_cost: 0, seconds: 30 }
+};
+
+/**
+ * Get power-up limits and costs from app_config
+ * @param {Object} client - Database client (optional, for transaction reuse)
+ * @returns {Promise<Object>} { fifty_fifty, skip, extra_time }, each { per_attempt, video, xp_cost, lifeline_cost } (+ seconds for extra_time)
+ */
+async function getPowerUpConfig(client = null) {
+  const db = client || pool;
+
+  const result = await db.query('SELECT power_ups FROM app_config WHERE id = 1');
+
+  return (result.rows[0] && result.rows[0].power_ups) || DEFAULT_POWER_UPS;
+}
+
+/**
+ * Payment methods a power-up accepts right now
+ * Lifelines are only accepted in wallet mode, where they are an inventory the user owns
+ * @param {Object} settings - One power-up's settings from getPowerUpConfig
+ * @param {string} lifelineMode - app_config.lifeline_mode
+ * @returns {string[]} Some of 'video', 'xp', 'lifelines'
+ */
+function acceptedPayments(settings, lifelineMode) {
+  const payments = [];
+  if (settings.video) payments.push('video');
+  if (settings.xp_cost > 0) payments.push('xp');
+  if (settings.lifeline_cost > 0 && lifelineMode === 'wallet') payments.push('lifelines');
+  return payments;
+}
+
+/**
+ * Build the power-up status shown to the app for an attempt
+ * @param {Object} config - From getPowerUpConfig
+ * @param {Object} usage - { fifty_fifty_used, skips_used, extra_time_used } (level_attempts row; omit for a new attempt)
+ * @param {string} lifelineMode - app_config.lifeline_mode
+ * @returns {Object} Per power-up: { limit, used, remaining, payments, xp_cost, lifeline_cost } (+ seconds for extra_time)
+ */
+function formatPowerUps(config, usage, lifelineMode) {
+  const status = {};
+
+  for (const type of POWER_UP_TYPES) {
+    const settings = config[type] || { per_attempt: 0 };
+    const used = (usage && usage[USAGE_COLUMNS[type]]) || 0;
+    const payments = acceptedPayments(settings, lifelineMode);
+
+    status[type] = {
+      limit: settings.per_attempt,
+      used,
+      remaining: payments.length > 0 ? Math.max(0, settings.per_attempt - used) : 0,
+      payments,
+      xp_cost: settings.xp_cost,
+      lifeline_cost: settings.lifeline_cost
+    };
+
+    if (type === 'extra_time') {
+      status[type].seconds = settings.seconds;
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Use a power-up on an in-progress level attempt
+ * - fifty_fifty: takes away two wrong options of an unanswered question
+ * - skip: swaps an unanswered question for another from the level's pool in the user's medium, in the same position
+ * - extra_time: moves the attempt's deadline back
+ * Each use is recorded in attempt_power_ups and counted on the attempt
+ * @param {string} phone - User's phone number
+ * @param {Object} params - { attemptId, questionId, type, payment: 'video'|'xp'|'lifelines', videoId, watchDuration }
+ * @returns {Promise<Object>} Power-up result with the updated power-up status
+ */
+async function usePowerUp(phone, { attemptId, questionId = null, type, payment, videoId = null, watchDuration = null }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the attempt so power-ups, answers and the timeout job are serialized
+    const attemptResult = await client.query(`
+      SELECT
+        id, phone, level, completion_status, timed_out, expires_at IS NOT NULL AS has_deadline,
+        fifty_fifty_used, skips_used, extra_time_used,
+        EXISTS (
+          SELECT 1 FROM level_attempt_questions laq WHERE laq.attempt_id = level_attempts.id
+        ) AS has_question_set,
+        expires_at + INTERVAL '${DEADLINE_GRACE_SECONDS} seconds' < ${SQL_IST_NOW} AS is_expired
+      FROM level_attempts
+      WHERE id = $1
+      FOR UPDATE
+    `, [attemptId]);
+
+    if (attemptResult.rows.length === 0) {
+      throw { code: 'ATTEMPT_NOT_FOUND', message: 'Level attempt not found' };
+    }
+
+    const attempt = attemptResult.rows[0];
+
+    if (attempt.phone !== phone) {
+      throw { code: 'ATTEMPT_NOT_OWNED', message: 'This level attempt belongs to another user' };
+    }
+
+    // The timeout job completes attempts whose deadline has passed
+    if (attempt.timed_out || (attempt.completion_status === 'in_progress' && attempt.is_expired)) {
+      throw { code: 'TIME_EXPIRED', message: 'Time is up for this level attempt' };
+    }
+
+    if (attempt.completion_status === 'completed') {
+      throw { code: 'ATTEMPT_ALREADY_COMPLETED', message: 'This level attempt is already completed' };
+    }
+
+    if (attempt.completion_status === 'abandoned') {
+      throw { code: 'ATTEMPT_ABANDONED', message: 'This level attempt was abandoned. Start the level again.' };
+    }
+
+    if (attempt.completion_status === 'expired') {
+      throw { code: 'ATTEMPT_EXPIRED', message: 'This level attempt expired after being left idle. Start the level again.' };
+    }
+
+    const config = await getPowerUpConfig(client);
+    const lifelineConfig = await getLifelineConfig(client);
+    const settings = config[type] || { per_attempt: 0 };
+    const payments = acceptedPayments(settings, lifelineConfig.lifeline_mode);
+
+    if (settings.per_attempt === 0 || payments.length === 0) {
+      throw { code: 'POWER_UP_NOT_AVAILABLE', message: 'This power-up is turned off' };
+    }
+
+    if (!payments.includes(payment)) {
+      throw { code: 'INVALID_INPUT', message: `This power-up can be paid with: ${payments.join(', ')}` };
+    }
+
+    if (attempt[USAGE_COLUMNS[type]] >= settings.per_attempt) {
+      throw {
+        code: 'POWER_UP_LIMIT_REACHED',
+        message: `This power-up can be used ${settings.per_attempt} time(s) per attempt`
+      };
+    }
+
+    // Work out the effect before charging so nothing is spent on a power-up that cannot apply
+    let attemptQuestion = null;
+    let removedOptions = null;
+    let replacement = null;
+
+    if (type !== 'extra_time') {
+      // Attempts started before question sets were stored have no positions to work with
+      if (!attempt.has_question_set) {
+        throw { code: 'POWER_UP_NOT_AVAILABLE', message: 'Power-ups are not available for this attempt' };
+      }
+
+      const questionResult = await client.query(`
+        SELECT laq.position, laq.option_order, q.correct_option, q.difficulty,
+               EXISTS (
+                 SELECT 1 FROM question_responses qr WHERE qr.attempt_id = laq.attempt_id AND qr.question_id = laq.question_id
+               ) AS answered
+        FROM level_attempt_questions laq
+        JOIN questions q ON q.sl = laq.question_id
+        WHERE laq.attempt_id = $1 AND laq.question_id = $2
+      `, [attemptId, questionId]);
+
+      if (questionResult.rows.length === 0) {
+        throw {
+          code: 'QUESTION_NOT_IN_ATTEMPT',
+          message: `Question ${questionId} is not part of this level attempt`
+        };
+      }
+
+      attemptQuestion = questionResult.rows[0];
+
+      if (attemptQuestion.answered) {
+        throw { code: 'QUESTION_ALREADY_ANSWERED', message: 'This question has already been answered in this attempt' };
+      }
+    }
+
+    if (type === 'fifty_fifty') {
+      const usedResult = await client.query(`
+        SELECT 1 FROM attempt_power_ups
+        WHERE attempt_id = $1 AND question_id = $2 AND power_up = 'fifty_fifty'
+      `, [attemptId, questionId]);
+
+      if (usedResult.rows.length > 0) {
+        throw { code: 'POWER_UP_ALREADY_USED', message: '50-50 has already been used on this question' };
+      }
+
+      removedOptions = shuffle([1, 2, 3, 4].filter(n => n !== attemptQuestion.correct_option)).slice(0, 2).sort((a, b) => a - b);
+    } else if (type === 'skip') {
+      const userResult = await client.query('SELECT medium FROM users_profile WHERE phone = $1', [phone]);
+      const userMedium = (userResult.rows[0] && userResult.rows[0].medium) || 'english';
+
+      // Same level, not already in this attempt and not skipped earlier in it
+      const candidatesQuery = `
+        SELECT
+          sl, level, question_order,
+          question_text, question_image_url,
+          option_1, option_2, option_3, option_4, correct_option,
+          explanation_text, explanation_url,
+          subject, topic, difficulty, medium
+        FROM questions
+        WHERE level = $1
+          AND (medium = $2 OR medium = 'both')
+          AND sl NOT IN (SELECT question_id FROM level_attempt_questions WHERE attempt_id = $3)
+          AND sl NOT IN (
+            SELECT question_id FROM attempt_power_ups WHERE attempt_id = $3 AND power_up = 'skip'
+          )
+      `;
+
+      // Same medium priority as level start: user's medium or 'both', then 'english' or 'both'
+      let candidatesResult = await client.query(candidatesQuery, [attempt.level, userMedium, attemptId]);
+
+      if (candidatesResult.rows.length === 0 && userMedium !== 'english') {
+        candidatesResult = await client.query(candidatesQuery, [attempt.level, 'english', attemptId]);
+      }
+
+      if (candidatesResult.rows.length === 0) {
+        throw { code: 'POWER_UP_NOT_AVAILABLE', message: 'There are no other questions left to skip to in this level' };
+      }
+
+      // Keep adaptive levels at the same difficulty where the pool allows
+      const sameDifficulty = candidatesResult.rows.filter(q => q.difficulty === attemptQuestion.difficulty);
+      replacement = drawQuestionSet(sameDifficulty.length > 0 ? sameDifficulty : candidatesResult.rows, 1)[0];
+    } else if (!attempt.has_deadline) {
+      throw { code: 'POWER_UP_NOT_AVAILABLE', message: 'This attempt has no time limit to extend' };
+    }
+
+    let cost = 0;
+
+    if (payment === 'video') {
+      const videoResult = await client.query(
+        'SELECT duration_seconds FROM promotional_videos WHERE id = $1 AND is_active = TRUE',
+        [videoId]
+      );
+
+      if (videoResult.rows.length === 0) {
+        throw { code: 'VIDEO_NOT_FOUND', message: 'Video not found' };
+      }
+
+      // Validate watch duration (must watch at least 80%)
+      const watchPercentage = (watchDuration / videoResult.rows[0].duration_seconds) * 100;
+      if (watchPercentage < 80) {
+        throw {
+          code: 'INSUFFICIENT_WATCH_TIME',
+          message: 'Watch at least 80% of the video to use this power-up',
+          watched_percentage: parseFloat(watchPercentage.toFixed(2)),
+          required_percentage: 80
+        };
+      }
+    } else if (payment === 'xp') {
+      const userResult = await client.query(
+        'SELECT xp_total FROM users_profile WHERE phone = $1 FOR UPDATE',
+        [phone]
+      );
+
+      if (userResult.rows.length === 0 || userResult.rows[0].xp_total < settings.xp_cost) {
+        throw { code: 'INSUFFICIENT_XP', message: `You need ${settings.xp_cost} XP to use this power-up` };
+      }
+
+      cost = settings.xp_cost;
+    } else {
+      cost = settings.lifeline_cost;
+    }
+
+    const secondsAdded = type === 'extra_time' ? settings.seconds : null;
+
+    const powerUpResult = await client.query(`
+      INSERT INTO attempt_power_ups (
+        attempt_id, phone, power_up, question_id, replacement_question_id, removed_options, seconds_added,
+        payment, cost, video_id, watch_duration_seconds, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, ${SQL_IST_NOW})
+      RETURNING id
+    `, [
+      attemptId, phone, type, type === 'extra_time' ? null : questionId,
+      replacement ? replacement.question.sl : null, removedOptions, secondsAdded,
+      payment, cost, payment === 'video' ? videoId : null, payment === 'video' ? watchDuration : null
+    ]);
+
+    const powerUpId = powerUpResult.rows[0].id;
+    let lifelineWalletBalance = null;
+
+    if (payment === 'xp') {
+      // Spent XP comes off the total only; daily and weekly XP already earned stand
+      await client.query(
+        `UPDATE users_profile SET xp_total = xp_total - $1, updated_at = ${SQL_IST_NOW} WHERE phone = $2`,
+        [cost, phone]
+      );
+      await recordXPTransaction(client, {
+        phone,
+        amount: -cost,
+        source: 'power_up',
+        referenceId: powerUpId
+      });
+    } else if (payment === 'lifelines') {
+      lifelineWalletBalance = await spendWalletLifelines(client, phone, cost, 'power_up', powerUpId);
+    } else {
+      await addDailyActivity(phone, { videos: 1 }, client);
+    }
+
+    // The replacement takes the skipped question's place; its answers are checked against the new option order
+    if (replacement) {
+      await client.query(`
+        UPDATE level_attempt_questions SET question_id = $1, option_order = $2
+        WHERE attempt_id = $3 AND position = $4
+      `, [replacement.question.sl, replacement.optionOrder, attemptId, attemptQuestion.position]);
+    }
+
+    const updateResult = await client.query(`
+      UPDATE level_attempts
+      SET
+        ${USAGE_COLUMNS[type]} = ${USAGE_COLUMNS[type]} + 1,
+        expires_at = CASE WHEN $2::int IS NULL THEN expires_at ELSE expires_at + make_interval(secs => $2::int) END,
+        updated_at = ${SQL_IST_NOW}
+      WHERE id = $1
+      RETURNING
+        fifty_fifty_used, skips_used, extra_time_used,
+        CASE WHEN expires_at IS NOT NULL
+          THEN GREATEST(0, CEIL(EXTRACT(EPOCH FROM (expires_at - ${SQL_IST_NOW}))))::int
+        END AS time_remaining_seconds
+    `, [attemptId, secondsAdded]);
+
+    // Older app builds read the answer from an @ prefix - only send it while legacy mode is on
+    let includeAnswerKey = false;
+    if (replacement) {
+      const legacyResult = await client.query('SELECT legacy_answer_key_enabled FROM app_config WHERE id = 1');
+      includeAnswerKey = legacyResult.rows[0]?.legacy_answer_key_enabled === true;
+    }
+
+    await client.query('COMMIT');
+
+    const updated = updateResult.rows[0];
+    const result = {
+      success: true,
+      power_up: type,
+      payment,
+      cost,
+      time_remaining_seconds: updated.time_remaining_seconds,
+      power_ups: formatPowerUps(config, updated, lifelineConfig.lifeline_mode)
+    };
+
+    if (type === 'fifty_fifty') {
+      // Reported as positions shown to the user (1-indexed), like correct_answer
+      result.question_id = questionId;
+      result.removed_options = removedOptions.map(n => attemptQuestion.option_order.indexOf(n) + 1).sort((a, b) => a - b);
+    } else if (type === 'skip') {
+      result.skipped_question_id = questionId;
+      result.question = formatQuestionForClient(replacement.question, {
+        position: attemptQuestion.position,
+        optionOrder: replacement.optionOrder,
+        includeAnswerKey
+      });
+    } else {
+      result.seconds_added = secondsAdded;
+    }
+
+    if (payment === 'lifelines') {
+      result.lifeline_wallet_balance = lifelineWalletBalance;
+    }
+
+    return result;
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code) throw err;
+    console.error('Use power-up error:', err);
+    throw { code: 'SERVER_ERROR', message: 'Failed to use power-up' };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the options taken away by 50-50 in an attempt
+ * @param {Object} client - Database client (or pool)
+ * @param {number} attemptId - Level attempt ID
+ * @returns {Promise<Map<number, number[]>>} Question ID → stored option numbers removed
+ */
+async function getRemovedOptions(client, attemptId) {
+  const result = await client.query(`
+    SELECT question_id, removed_options
+    FROM attempt_power_ups
+    WHERE attempt_id = $1 AND power_up = 'fifty_fifty'
+  `, [attemptId]);
+
+  return new Map(result.rows.map(row => [row.question_id, row.removed_options]));
+}
+
+module.exports = {
+  POWER_UP_TYPES,
+  getPowerUpConfig,
+  formatPowerUps,
+  usePowerUp,
+  getRemovedOptions
+};
@@ -0,0 +1,465 @@
+const pool = require('../config/database');
+const { SQL_IST_NOW, SQL_IST_DATE } = require('../utils/timezone');
+const { addXPToUser, calculateAccuracy } = require('./xpService');
+const { drawQuestionSet, formatQuestionForClient } = require('./levelAttemptService');
+const { recordMistake, recordReviewResult, getDueMistakeQuestions } = require('./mistakeService');
+
+// Fallbacks when app_config has no row
+const DEFAULT_PRACTICE_CONFIG = {
+  practice_questions_per_session: 10,
+  practice_xp_per_correct: 1,
+  practice_daily_xp_cap: 20
+};
+
+/**
+ * Get practice mode settings from app_config
+ * @param {Object} client - Database client (for transactions)
+ * @returns {Promise<Object>} { practice_questions_per_session, practice_xp_per_correct, practice_daily_xp_cap }
+ */
+async function getPracticeConfig(client = null) {
+  const db = client || pool;
+
+  const result = await db.query(`
+    SELECT practice_questions_per_session, practice_xp_per_correct, practice_daily_xp_cap
+    FROM app_config WHERE id = 1
+  `);
+
+  return result.rows[0] || DEFAULT_PRACTICE_CONFIG;
+}
+
+/**
+ * Get the user's unlocked level and medium
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Object>} { current_level, medium }
+ */
+async function getPracticeUser(phone) {
+  const result = await pool.query(
+    'SELECT current_level, medium FROM users_profile WHERE phone = $1',
+    [phone]
+  );
+
+  if (result.rows.length === 0) {
+    throw { code: 'USER_NOT_FOUND', message: 'User not found' };
+  }
+
+  return {
+    current_level: result.rows[0].current_level,
+    medium: result.rows[0].medium || 'english'
+  };
+}
+
+/**
+ * List subjects and topics the user can practice
+ * Only questions from unlocked levels (level <= current_level) in the user's medium are counted;
+ * falls back to English when nothing is available in the user's medium
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Array>} [{ subject, question_count, topics: [{ topic, question_count }] }]
+ */
+async function getPracticeTopics(phone) {
+  const user = await getPracticeUser(phone);
+
+  const topicsQuery = `
+    SELECT subject, topic, COUNT(*) as question_count
+    FROM questions
+    WHERE level <= $1
+      AND (medium = $2 OR medium = 'both')
+      AND topic IS NOT NULL AND topic <> ''
+    GROUP BY subject, topic
+    ORDER BY subject ASC NULLS LAST, topic ASC
+  `;
+
+  let result = await pool.query(topicsQuery, [user.current_level, user.medium]);
+
+  if (result.rows.length === 0 && user.medium !== 'english') {
+    result = await pool.query(topicsQuery, [user.current_level, 'english']);
+  }
+
+  const subjects = [];
+  const bySubject = new Map();
+
+  for (const row of result.rows) {
+    const count = parseInt(row.question_count);
+
+    if (!bySubject.has(row.subject)) {
+      const entry = { subject: row.subject, question_count: 0, topics: [] };
+      bySubject.set(row.subject, entry);
+      subjects.push(entry);
+    }
+
+    const entry = bySubject.get(row.subject);
+    entry.question_count += count;
+    entry.topics.push({ topic: row.topic, question_count: count });
+  }
+
+  return subjects;
+}
+
+/**
+ * Start a practice session for a topic
+ * Questions are drawn from every unlocked level; any earlier in-progress practice
+ * session is abandoned. Level progress (current_level, level_attempts) is not touched.
+ * @param {string} phone - User's phone number
+ * @param {Object} params
+ * @param {string} params.topic - Topic to practice
+ * @param {string} [params.subject] - Subject the topic belongs to (optional)
+ * @returns {Promise<Object>} Session details with questions for the client
+ */
+async function startPracticeSession(phone, { topic, subject = null }) {
+  const user = await getPracticeUser(phone);
+  const config = await getPracticeConfig();
+
+  const poolQuery = `
+    SELECT
+      sl, level,
+      question_text, question_image_url,
+      option_1, option_2, option_3, option_4, correct_option,
+      subject, topic
+    FROM questions
+    WHERE level <= $1
+      AND (medium = $2 OR medium = 'both')
+      AND topic = $3
+      AND ($4::text IS NULL OR subject = $4)
+  `;
+
+  let poolResult = await pool.query(poolQuery, [user.current_level, user.medium, topic, subject]);
+
+  if (poolResult.rows.length === 0 && user.medium !== 'english') {
+    poolResult = await pool.query(poolQuery, [user.current_level, 'english', topic, subject]);
+  }
+
+  if (poolResult.rows.length === 0) {
+    throw {
+      code: 'NO_PRACTICE_QUESTIONS',
+      message: `No unlocked questions available for topic "${topic}"`
+    };
+  }
+
+  const questionSet = drawQuestionSet(poolResult.rows, config.practice_questions_per_session);
+
+  return createPracticeSession(phone, { sessionType: 'topic', subject, topic, questionSet, config });
+}
+
+/**
+ * Start a replay of the user's mistake deck
+ * Draws questions that are due for review (most overdue first), optionally for one subject/topic.
+ * Answers go through answerPracticeQuestion and reschedule each question in the deck.
+ * @param {string} phone - User's phone number
+ * @param {Object} filters
+ * @param {string} [filters.subject] - Only this subject
+ * @param {string} [filters.topic] - Only this topic
+ * @returns {Promise<Object>} Session details with questions for the client
+ */
+async function startMistakeReplay(phone, { subject = null, topic = null } = {}) {
+  const config = await getPracticeConfig();
+
+  const dueQuestions = await getDueMistakeQuestions(phone, {
+    subject,
+    topic,
+    limit: config.practice_questions_per_session
+  });
+
+  if (dueQuestions.length === 0) {
+    throw {
+      code: 'NO_MISTAKES_DUE',
+      message: 'No mistakes are due for review right now'
+    };
+  }
+
+  const questionSet = drawQuestionSet(dueQuestions, dueQuestions.length);
+
+  return createPracticeSession(phone, { sessionType: 'mistakes', subject, topic, questionSet, config });
+}
+
+/**
+ * Create a practice session with its question set
+ * Any earlier in-progress practice session is abandoned
+ * @param {string} phone - User's phone number
+ * @param {Object} params
+ * @param {string} params.sessionType - 'topic' or 'mistakes'
+ * @param {string|null} params.subject - Subject filter
+ * @param {string|null} params.topic - Topic filter
+ * @param {Array} params.questionSet - Result from drawQuestionSet
+ * @param {Object} params.config - Result from getPracticeConfig
+ * @returns {Promise<Object>} Session details with questions for the client
+ */
+async function createPracticeSession(phone, { sessionType, subject, topic, questionSet, config }) {
+  const client = await pool.connect();
+  let sessionId;
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      UPDATE practice_sessions
+      SET status = 'abandoned', updated_at = ${SQL_IST_NOW}
+      WHERE phone = $1 AND status = 'in_progress'
+    `, [phone]);
+
+    const sessionResult = await client.query(`
+      INSERT INTO practice_sessions (
+        phone, session_type, subject, topic, total_questions, status,
+        session_date, started_at, created_at, updated_at
+      ) VALUES (
+        $1, $2, $3, $4, $5, 'in_progress',
+        ${SQL_IST_DATE}, ${SQL_IST_NOW}, ${SQL_IST_NOW}, ${SQL_IST_NOW}
+      ) RETURNING id
+    `, [phone, sessionType, subject, topic, questionSet.length]);
+
+    sessionId = sessionResult.rows[0].id;
+
+    for (const item of questionSet) {
+      await client.query(`
+        INSERT INTO practice_session_questions (session_id, position, question_id, option_order)
+        VALUES ($1, $2, $3, $4)
+      `, [sessionId, item.position, item.question.sl, item.optionOrder]);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return {
+    session_id: sessionId,
+    session_type: sessionType,
+    subject,
+    topic,
+    total_questions: questionSet.length,
+    xp_per_correct: config.practice_xp_per_correct,
+    daily_xp_cap: config.practice_daily_xp_cap,
+    questions: questionSet.map(item => formatQuestionForClient(item.question, {
+      position: item.position,
+      optionOrder: item.optionOrder
+    }))
+  };
+}
+
+/**
+ * Get practice XP the user has earned today (IST)
+ * @param {Object} client - Database client
+ * @param {string} phone - User's phone number
+ * @returns {Promise<number>} XP earned from practice today
+ */
+async function getPracticeXPToday(client, phone) {
+  const result = await client.query(`
+    SELECT COALESCE(SUM(psq.xp_earned), 0) as xp_today
+    FROM practice_session_questions psq
+    JOIN practice_sessions ps ON ps.id = psq.session_id
+    WHERE ps.phone = $1 AND psq.answered_at >= ${SQL_IST_DATE}
+  `, [phone]);
+
+  return parseInt(result.rows[0].xp_today);
+}
+
+/**
+ * Record an answer in a practice session
+ * Correct answers earn practice XP immediately, up to the daily practice cap
+ * @param {string} phone - User's phone number
+ * @param {Object} params
+ * @param {number} params.sessionId - Practice session ID
+ * @param {number} params.questionId - Question ID (sl)
+ * @param {number} params.userAnswer - Option position as shown to the user (1-4)
+ * @param {number} [params.timeTakenSeconds] - Time spent on the question
+ * @returns {Promise<Object>} Answer result
+ */
+async function answerPracticeQuestion(phone, { sessionId, questionId, userAnswer, timeTakenSeconds = null }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const sessionResult = await client.query(
+      'SELECT id, phone, session_type, status FROM practice_sessions WHERE id = $1 FOR UPDATE',
+      [sessionId]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      throw { code: 'PRACTICE_SESSION_NOT_FOUND', message: 'Practice session not found' };
+    }
+
+    const session = sessionResult.rows[0];
+
+    if (session.phone !== phone) {
+      throw { code: 'PRACTICE_SESSION_NOT_OWNED', message: 'This practice session belongs to another user' };
+    }
+
+    if (session.status !== 'in_progress') {
+      throw { code: 'PRACTICE_SESSION_CLOSED', message: `This practice session is ${session.status}` };
+    }
+
+    const questionResult = await client.query(`
+      SELECT psq.option_order, psq.answered_at, q.correct_option, q.explanation_text, q.explanation_url
+      FROM practice_session_questions psq
+      JOIN questions q ON q.sl = psq.question_id
+      WHERE psq.session_id = $1 AND psq.question_id = $2
+    `, [sessionId, questionId]);
+
+    if (questionResult.rows.length === 0) {
+      throw {
+        code: 'QUESTION_NOT_IN_SESSION',
+        message: `Question ${questionId} is not part of this practice session`
+      };
+    }
+
+    const question = questionResult.rows[0];
+
+    if (question.answered_at) {
+      throw { code: 'QUESTION_ALREADY_ANSWERED', message: 'This question has already been answered in this session' };
+    }
+
+    // Same position mapping as level attempts: the client answers by displayed position
+    const optionOrder = question.option_order;
+    const chosenOption = optionOrder[userAnswer - 1];
+    const correctIndex = optionOrder.indexOf(question.correct_option) + 1;
+    const isCorrect = (chosenOption === question.correct_option);
+
+    const config = await getPracticeConfig(client);
+    const xpToday = await getPracticeXPToday(client, phone);
+    const xpEarned = isCorrect
+      ? Math.max(0, Math.min(config.practice_xp_per_correct, config.practice_daily_xp_cap - xpToday))
+      : 0;
+
+    await client.query(`
+      UPDATE practice_session_questions
+      SET user_answer = $1, is_correct = $2, time_taken_seconds = $3, xp_earned = $4, answered_at = ${SQL_IST_NOW}
+      WHERE session_id = $5 AND question_id = $6
+    `, [chosenOption, isCorrect, timeTakenSeconds, xpEarned, sessionId, questionId]);
+
+    // Mistake replays reschedule the question in the deck; misses anywhere else add it
+    let review = null;
+    if (session.session_type === 'mistakes') {
+      review = await recordReviewResult(client, phone, questionId, isCorrect);
+    } else if (!isCorrect) {
+      await recordMistake(client, phone, questionId);
+    }
+
+    const progressResult = await client.query(`
+      UPDATE practice_sessions
+      SET
+        questions_attempted = questions_attempted + 1,
+        correct_answers = CASE WHEN $1 THEN correct_answers + 1 ELSE correct_answers END,
+        xp_earned = xp_earned + $2,
+        updated_at = ${SQL_IST_NOW}
+      WHERE id = $3
+      RETURNING questions_attempted, correct_answers, total_questions, xp_earned
+    `, [isCorrect, xpEarned, sessionId]);
+
+    const progress = progressResult.rows[0];
+    const accuracy = calculateAccuracy(progress.correct_answers, progress.questions_attempted);
+    const sessionCompleted = progress.questions_attempted === progress.total_questions;
+
+    await client.query(`
+      UPDATE practice_sessions
+      SET
+        accuracy_percentage = $1,
+        status = CASE WHEN $2 THEN 'completed' ELSE status END,
+        completed_at = CASE WHEN $2 THEN ${SQL_IST_NOW} ELSE completed_at END
+      WHERE id = $3
+    `, [accuracy, sessionCompleted, sessionId]);
+
+    if (xpEarned > 0) {
+      await addXPToUser(phone, xpEarned, client, { source: 'practice', referenceId: sessionId });
+    }
+
+    await client.query('COMMIT');
+
+    const response = {
+      is_correct: isCorrect,
+      correct_answer: correctIndex,
+      explanation_text: question.explanation_text,
+      explanation_url: question.explanation_url,
+      xp_earned: xpEarned,
+      daily_xp_cap_reached: xpToday + xpEarned >= config.practice_daily_xp_cap,
+      progress: {
+        questions_attempted: progress.questions_attempted,
+        total_questions: progress.total_questions,
+        correct_answers: progress.correct_answers,
+        accuracy_so_far: accuracy
+      },
+      session_completed: sessionCompleted
+    };
+
+    if (review) {
+      response.review = review;
+    }
+
+    if (sessionCompleted) {
+      response.session_result = {
+        accuracy,
+        correct_answers: progress.correct_answers,
+        total_questions: progress.total_questions,
+        xp_earned: progress.xp_earned
+      };
+    }
+
+    return response;
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the user's practice history (newest first) with overall totals
+ * @param {string} phone - User's phone number
+ * @param {number} limit - Max sessions to return
+ * @param {number} offset - Sessions to skip
+ * @returns {Promise<Object>} { sessions, summary }
+ */
+async function getPracticeHistory(phone, limit = 20, offset = 0) {
+  const sessionsResult = await pool.query(`
+    SELECT
+      id as session_id, session_type, subject, topic, status,
+      total_questions, questions_attempted, correct_answers,
+      accuracy_percentage, xp_earned, started_at, completed_at
+    FROM practice_sessions
+    WHERE phone = $1
+    ORDER BY started_at DESC
+    LIMIT $2 OFFSET $3
+  `, [phone, limit, offset]);
+
+  const summaryResult = await pool.query(`
+    SELECT
+      COUNT(*) as total_sessions,
+      COUNT(*) FILTER (WHERE status = 'completed') as completed_sessions,
+      COALESCE(SUM(questions_attempted), 0) as questions_attempted,
+      COALESCE(SUM(correct_answers), 0) as correct_answers,
+      COALESCE(SUM(xp_earned), 0) as xp_earned
+    FROM practice_sessions
+    WHERE phone = $1
+  `, [phone]);
+
+  const summary = summaryResult.rows[0];
+  const questionsAttempted = parseInt(summary.questions_attempted);
+  const correctAnswers = parseInt(summary.correct_answers);
+
+  return {
+    sessions: sessionsResult.rows.map(row => ({
+      ...row,
+      accuracy_percentage: parseFloat(row.accuracy_percentage)
+    })),
+    summary: {
+      total_sessions: parseInt(summary.total_sessions),
+      completed_sessions: parseInt(summary.completed_sessions),
+      questions_attempted: questionsAttempted,
+      correct_answers: correctAnswers,
+      accuracy: calculateAccuracy(correctAnswers, questionsAttempted),
+      xp_earned: parseInt(summary.xp_earned)
+    }
+  };
+}
+
+module.exports = {
+  getPracticeConfig,
+  getPracticeTopics,
+  startPracticeSession,
+  startMistakeReplay,
+  answerPracticeQuestion,
+  getPracticeHistory
+};
@@ -1,6 +1,7 @@
 const pool = require('../config/database');
 const { SQL_IST_NOW } = require('../utils/timezone');
 const { getCachedReels, setCachedReels } = require('./cacheService');
+const { checkAchievements, notifyAchievementsEarned } = require('./achievementService');
 
 /**
  * Get reels config from app_config
@@ -284,9 +285,13 @@ async function markReelWatched(phone, reelId, watchDurationSeconds) {
       `, [phone]);
     }
 
+    const achievementsEarned = alreadyWatched ? [] : await checkAchievements(phone, ['reels_watched'], client);
+
     await client.query('COMMIT');
 
-    return { success: true };
+    notifyAchievementsEarned(phone, achievementsEarned);
+
+    return { success: true, achievements_earned: achievementsEarned };
 
   } catch (err) {
     await client.query('ROLLBACK');
@@ -343,12 +348,17 @@ async function toggleHeart(phone, reelId) {
       RETURNING total_hearts
     `, [reelId, heartDelta]);
 
+    const achievementsEarned = isHearted ? await checkAchievements(phone, ['reels_hearted_in_category'], client) : [];
+
     await client.query('COMMIT');
 
+    notifyAchievementsEarned(phone, achievementsEarned);
+
     return {
       success: true,
       is_hearted: isHearted,
-      total_hearts: reelResult.rows[0]?.total_hearts || 0
+      total_hearts: reelResult.rows[0]?.total_hearts || 0,
+      achievements_earned: achievementsEarned
     };
 
   } catch (err) {
@@ -1,5 +1,9 @@
 const pool = require('../config/database');
+const { recordXPTransaction } = require('./xpLedgerService');
+const { getActiveXPRules } = require('./xpRulesService');
 const { getISTDate, SQL_IST_NOW } = require('../utils/timezone');
+const { checkAchievements } = require('./achievementService');
+const { getLifelineConfig, addWalletLifelines } = require('./lifelineService');
 
 /**
  * Generate unique 5-digit referral code
@@ -27,11 +31,21 @@ async function generateReferralCode() {
   return code;
 }
 
+/**
+ * Award the referrer's referral badges once the referral is committed (non-blocking)
+ * @param {string} referrerPhone - Referrer's phone
+ */
+function checkReferrerAchievements(referrerPhone) {
+  checkAchievements(referrerPhone, ['referrals', 'total_xp'])
+    .catch(err => console.error('Referral achievements error (non-critical):', err.message));
+}
+
 /**
  * Process referral bonus for new user and referrer
  * @param {string} newUserPhone - New user's phone
  * @param {string} referralCode - Referral code used (optional)
- * @param {Object} client - Database client (optional, for transaction reuse)
+ * @param {Object} client - Database client (optional, for transaction reuse); the caller then runs
+ *   checkReferrerAchievements after its COMMIT
  * @returns {Promise<Object>} Referral bonus details
  */
 async function processReferral(newUserPhone, referralCode, client = null) {
@@ -79,8 +93,9 @@ async function processReferral(newUserPhone, referralCode, client = null) {
       throw { code: 'ALREADY_REFERRED', message: 'You have already used a referral code' };
     }
 
-    // Get referral bonus XP from env or default to 50
-    const bonusXP = parseInt(process.env.REFERRAL_BONUS_XP) || 50;
+    // Referral bonus from the active XP rules
+    const xpRules = await getActiveXPRules(client);
+    const bonusXP = xpRules.rules.referral_bonus_xp;
 
     // Give XP to new user with IST timestamp
     await client.query(
@@ -107,20 +122,42 @@ async function processReferral(newUserPhone, referralCode, client = null) {
     }
 
     // Insert into referral_tracking table for two-way tracking with IST timestamps
-    await client.query(`
+    const trackingResult = await client.query(`
       INSERT INTO referral_tracking (
         referrer_phone, referee_phone, referral_code, xp_granted, status, referral_date, created_at, updated_at
       ) VALUES ($1, $2, $3, $4, 'active', ${SQL_IST_NOW}, ${SQL_IST_NOW}, ${SQL_IST_NOW})
+      RETURNING id
     `, [referrerPhone, newUserPhone, referralCode, bonusXP]);
 
+    // Record both bonuses in the XP ledger
+    for (const phone of [newUserPhone, referrerPhone]) {
+      await recordXPTransaction(client, {
+        phone,
+        amount: bonusXP,
+        source: 'referral',
+        referenceId: trackingResult.rows[0].id,
+        xpDate: today,
+        ruleVersion: xpRules.version
+      });
+    }
+
+    // Lifelines for both wallets (wallet mode only)
+    const { referral_lifeline_reward: referralLifelines } = await getLifelineConfig(client);
+    const bonusLifelines = await addWalletLifelines(
+      client, newUserPhone, referralLifelines, 'referral', trackingResult.rows[0].id
+    );
+    await addWalletLifelines(client, referrerPhone, referralLifelines, 'referral', trackingResult.rows[0].id);
+
     // Only commit if we're managing our own transaction
     if (useOwnClient) {
       await client.query('COMMIT');
+      checkReferrerAchievements(referrerPhone);
     }
 
     return {
       applied: true,
       bonus_xp: bonusXP,
+      bonus_lifelines: bonusLifelines,
       referrer_phone: referrerPhone,
       message: `You got ${bonusXP} XP! Your referrer also got ${bonusXP} XP!`
     };
@@ -268,6 +305,7 @@ async function getReferredUsers(phone, limit = 50, offset = 0) {
 module.exports = {
   generateReferralCode,
   processReferral,
+  checkReferrerAchievements,
   getReferralStats,
   getReferredUsers
 };
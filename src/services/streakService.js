@@ -1,110 +1,332 @@
 const pool = require('../config/database');
-const { getISTDate, getISTTimestamp, SQL_IST_NOW, SQL_IST_DATE } = require('../utils/timezone');
+const { getISTDate, getISTTimestamp, SQL_IST_NOW } = require('../utils/timezone');
+const { addXPToUser, addDailyActivity } = require('./xpService');
+const { recordXPTransaction } = require('./xpLedgerService');
+const { checkAchievements } = require('./achievementService');
+const { addWalletLifelines } = require('./lifelineService');
+
+// Fallbacks when app_config has no row
+const DEFAULT_STREAK_CONFIG = {
+  streak_freeze_earn_days: 7,
+  streak_freeze_max: 2,
+  streak_repair_hours: 48,
+  streak_repair_xp_cost: 50,
+  streak_milestones: [
+    { days: 3, xp: 10, freezes: 0 },
+    { days: 7, xp: 25, freezes: 1 },
+    { days: 30, xp: 100, freezes: 1 },
+    { days: 100, xp: 500, freezes: 2 }
+  ],
+  streak_at_risk_hour: 19
+};
+
+// Broken streaks shorter than this are not offered for repair
+const MIN_REPAIRABLE_STREAK = 2;
+
+/**
+ * Get streak freeze and repair settings from app_config
+ * @param {Object} client - Database client (for transactions)
+ * @returns {Promise<Object>} { streak_freeze_earn_days, streak_freeze_max, streak_repair_hours, streak_repair_xp_cost,
+ *   streak_milestones: [{ days, xp, freezes, lifelines }], streak_at_risk_hour }
+ */
+async function getStreakConfig(client = null) {
+  const db = client || pool;
+
+  const result = await db.query(`
+    SELECT streak_freeze_earn_days, streak_freeze_max, streak_repair_hours, streak_repair_xp_cost,
+           streak_milestones, streak_at_risk_hour
+    FROM app_config WHERE id = 1
+  `);
+
+  return result.rows[0] || DEFAULT_STREAK_CONFIG;
+}
+
+/**
+ * Grant every milestone the streak has reached that the user has not been rewarded for
+ * Each milestone rewards a user once, even if they lose the streak and reach it again
+ * @param {Object} client - Database client (inside the transaction that updated the streak)
+ * @param {string} phone - User's phone number
+ * @param {number} streakDays - Streak after the update
+ * @param {Array} milestones - app_config.streak_milestones
+ * @returns {Promise<Array>} Milestones rewarded now: [{ days, xp_awarded, freezes_awarded, lifelines_awarded }]
+ */
+async function awardStreakMilestones(client, phone, streakDays, milestones) {
+  const rewarded = [];
+
+  for (const milestone of (milestones || []).filter(m => m.days <= streakDays)) {
+    const rewardResult = await client.query(`
+      INSERT INTO streak_milestone_rewards (phone, days, xp_awarded, freezes_awarded, created_at)
+      VALUES ($1, $2, $3, $4, ${SQL_IST_NOW})
+      ON CONFLICT (phone, days) DO NOTHING
+      RETURNING id
+    `, [phone, milestone.days, milestone.xp, milestone.freezes]);
+
+    if (rewardResult.rows.length === 0) continue;
+
+    if (milestone.xp > 0) {
+      await addXPToUser(phone, milestone.xp, client, {
+        source: 'streak_milestone',
+        referenceId: rewardResult.rows[0].id
+      });
+    }
+
+    // Reward freezes are added even above streak_freeze_max
+    if (milestone.freezes > 0) {
+      await client.query(`
+        UPDATE streak_tracking
+        SET freezes_available = freezes_available + $1, updated_at = ${SQL_IST_NOW}
+        WHERE phone = $2
+      `, [milestone.freezes, phone]);
+      await client.query(`
+        INSERT INTO streak_freeze_history (phone, change, reason, streak_days, created_at)
+        VALUES ($1, $2, 'milestone', $3, ${SQL_IST_NOW})
+      `, [phone, milestone.freezes, streakDays]);
+    }
+
+    // Lifelines go to the wallet (wallet mode only)
+    const lifelinesAwarded = await addWalletLifelines(
+      client, phone, milestone.lifelines || 0, 'streak_milestone', rewardResult.rows[0].id
+    );
+    if (lifelinesAwarded > 0) {
+      await client.query(
+        'UPDATE streak_milestone_rewards SET lifelines_awarded = $1 WHERE id = $2',
+        [lifelinesAwarded, rewardResult.rows[0].id]
+      );
+    }
+
+    rewarded.push({
+      days: milestone.days,
+      xp_awarded: milestone.xp,
+      freezes_awarded: milestone.freezes,
+      lifelines_awarded: lifelinesAwarded
+    });
+  }
+
+  return rewarded;
+}
+
+/**
+ * Send the streak events for an update or repair (after commit)
+ * @param {string} phone - User's phone number
+ * @param {Object} result - updateStreak / repairStreak result
+ */
+function notifyStreakEvents(phone, result) {
+  const eventWebhook = require('./eventWebhookService');
+
+  if (result.streak_broken) {
+    eventWebhook.onStreakBroken(phone, result.lost_streak, result.repair_expires_at || null)
+      .catch(err => console.error('Webhook error (non-critical):', err.message));
+  }
+
+  for (const milestone of result.milestones_reached || []) {
+    eventWebhook.onStreakMilestone(phone, milestone, result.current_streak)
+      .catch(err => console.error('Webhook error (non-critical):', err.message));
+  }
+}
 
 /**
  * Update user's streak using IST dates
+ * Missed days are covered by the user's streak freezes when they have enough; otherwise the
+ * streak resets to 1 and the lost streak can be repaired for streak_repair_hours
  * @param {string} phone - User's phone number
  * @returns {Promise<Object>} Streak update result
  */
 async function updateStreak(phone) {
+  const client = await pool.connect();
+  let result;
+
   try {
-    // Get current streak info
-    const streakResult = await pool.query(
-      'SELECT current_streak, longest_streak, last_activity_date FROM streak_tracking WHERE phone = $1',
-      [phone]
-    );
+    await client.query('BEGIN');
+
+    const todayIST = getISTDate();
+
+    // Lock the row: several requests can report activity at once and must use a freeze only once
+    const streakResult = await client.query(`
+      SELECT current_streak, longest_streak, freezes_available, $2::date - last_activity_date as days_since
+      FROM streak_tracking
+      WHERE phone = $1
+      FOR UPDATE
+    `, [phone, todayIST]);
 
     if (streakResult.rows.length === 0) {
       // Create streak record if doesn't exist with IST date
-      const todayIST = getISTDate();
-      await pool.query(
+      await client.query(
         `INSERT INTO streak_tracking (phone, current_streak, longest_streak, last_activity_date, created_at, updated_at) VALUES ($1, 1, 1, $2, ${SQL_IST_NOW}, ${SQL_IST_NOW})`,
         [phone, todayIST]
       );
+      await client.query('COMMIT');
       return { updated: true, current_streak: 1, longest_streak: 1 };
     }
 
-    const { current_streak, longest_streak, last_activity_date } = streakResult.rows[0];
-
-    // Get today and yesterday in IST
-    const todayIST = getISTDate();
-
-    // Format last_activity_date using local date methods to avoid timezone shift
-    // toISOString() converts to UTC which can shift the date by one day
-    const lastActive = last_activity_date
-      ? `${last_activity_date.getFullYear()}-${String(last_activity_date.getMonth() + 1).padStart(2, '0')}-${String(last_activity_date.getDate()).padStart(2, '0')}`
-      : null;
+    const { current_streak, longest_streak, freezes_available, days_since } = streakResult.rows[0];
 
     // If already active today, no change
-    if (lastActive === todayIST) {
+    if (days_since === 0) {
+      await client.query('COMMIT');
       return { updated: false, current_streak, longest_streak };
     }
 
-    // Calculate yesterday's date in IST
-    const istTimestamp = getISTTimestamp();
-    const yesterday = new Date(istTimestamp);
-    yesterday.setDate(yesterday.getDate() - 1);
-    // Use local date methods instead of toISOString() to avoid timezone shift
-    const yesterdayStr = `${yesterday.getFullYear()}-${String(yesterday.getMonth() + 1).padStart(2, '0')}-${String(yesterday.getDate()).padStart(2, '0')}`;
+    const config = await getStreakConfig(client);
+    const missedDays = days_since === null ? 0 : days_since - 1;
 
-    let newStreak = current_streak;
+    let newStreak;
+    let freezesUsed = 0;
+    let streakBroken = false;
 
-    if (lastActive === yesterdayStr) {
+    if (days_since === 1) {
       // Consecutive day - increment streak
       newStreak = current_streak + 1;
+    } else if (current_streak > 0 && missedDays > 0 && freezes_available >= missedDays) {
+      // Freezes cover every missed day - the streak carries on
+      freezesUsed = missedDays;
+      newStreak = current_streak + 1;
+
+      await client.query(`
+        INSERT INTO streak_freeze_history (phone, change, reason, covered_date, streak_days, created_at)
+        SELECT $1, -1, 'used', d::date, $2, ${SQL_IST_NOW}
+        FROM generate_series($3::date - $4::integer, $3::date - 1, INTERVAL '1 day') d
+      `, [phone, current_streak, todayIST, missedDays]);
     } else {
       // Streak broken - reset to 1
       newStreak = 1;
+      streakBroken = current_streak > 0;
+    }
+
+    // Every streak_freeze_earn_days consecutive days earns a freeze, up to the cap
+    let freezesAvailable = freezes_available - freezesUsed;
+    const freezeEarned = newStreak > 1 &&
+      config.streak_freeze_earn_days > 0 &&
+      newStreak % config.streak_freeze_earn_days === 0 &&
+      freezesAvailable < config.streak_freeze_max;
+
+    if (freezeEarned) {
+      freezesAvailable += 1;
+      await client.query(`
+        INSERT INTO streak_freeze_history (phone, change, reason, streak_days, created_at)
+        VALUES ($1, 1, 'earned', $2, ${SQL_IST_NOW})
+      `, [phone, newStreak]);
     }
 
+    // A worthwhile lost streak replaces any earlier repair offer; a short one leaves it open
+    const offerRepair = streakBroken && current_streak >= MIN_REPAIRABLE_STREAK && config.streak_repair_hours > 0;
+
     const newLongest = Math.max(longest_streak, newStreak);
 
     // Update streak with IST date
-    await pool.query(`
+    const updateResult = await client.query(`
       UPDATE streak_tracking
       SET
         current_streak = $1,
         longest_streak = $2,
         last_activity_date = $3,
+        freezes_available = $4,
+        repair_streak = CASE WHEN $5::boolean THEN $6::integer ELSE repair_streak END,
+        repair_expires_at = CASE WHEN $5::boolean THEN ${SQL_IST_NOW} + $7::integer * INTERVAL '1 hour' ELSE repair_expires_at END,
         updated_at = ${SQL_IST_NOW}
-      WHERE phone = $4
-    `, [newStreak, newLongest, todayIST, phone]);
+      WHERE phone = $8
+      RETURNING repair_expires_at
+    `, [newStreak, newLongest, todayIST, freezesAvailable, offerRepair, current_streak, config.streak_repair_hours, phone]);
 
-    return {
+    const milestonesReached = streakBroken
+      ? []
+      : await awardStreakMilestones(client, phone, newStreak, config.streak_milestones);
+
+    await client.query('COMMIT');
+
+    result = {
       updated: true,
       current_streak: newStreak,
       longest_streak: newLongest,
-      streak_broken: lastActive !== yesterdayStr && current_streak > 0
+      streak_broken: streakBroken,
+      lost_streak: streakBroken ? current_streak : null,
+      freezes_used: freezesUsed,
+      freeze_earned: freezeEarned,
+      freezes_available: freezesAvailable + milestonesReached.reduce((sum, m) => sum + m.freezes_awarded, 0),
+      repair_available: offerRepair,
+      repair_expires_at: offerRepair ? updateResult.rows[0].repair_expires_at : null,
+      milestones_reached: milestonesReached
     };
 
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Update streak error:', err);
     throw err;
+  } finally {
+    client.release();
   }
+
+  notifyStreakEvents(phone, result);
+
+  // Streak badges (a failed check must not fail the activity that extended the streak)
+  result.achievements_earned = await checkAchievements(phone, ['streak_days']).catch(err => {
+    console.error('Streak achievements error (non-critical):', err.message);
+    return [];
+  });
+
+  return result;
 }
 
 /**
  * Get user's streak information
  * @param {string} phone - User's phone number
- * @returns {Promise<Object>} Streak information
+ * @returns {Promise<Object>} Streak information, with freezes, milestones and any open repair offer
  */
 async function getStreak(phone) {
   try {
-    const result = await pool.query(
-      'SELECT current_streak, longest_streak, last_activity_date FROM streak_tracking WHERE phone = $1',
+    const result = await pool.query(`
+      SELECT current_streak, longest_streak, last_activity_date, freezes_available,
+             repair_streak, repair_expires_at, repair_expires_at > ${SQL_IST_NOW} as repair_open
+      FROM streak_tracking
+      WHERE phone = $1
+    `, [phone]);
+
+    const config = await getStreakConfig();
+
+    const rewardedResult = await pool.query(
+      'SELECT days FROM streak_milestone_rewards WHERE phone = $1',
       [phone]
     );
+    const rewardedDays = new Set(rewardedResult.rows.map(row => row.days));
+    const milestones = config.streak_milestones.map(m => ({
+      days: m.days,
+      xp_reward: m.xp,
+      freezes_reward: m.freezes,
+      lifelines_reward: m.lifelines || 0,
+      rewarded: rewardedDays.has(m.days)
+    }));
 
     if (result.rows.length === 0) {
-      return { current: 0, longest: 0, last_active: null };
+      return {
+        current: 0,
+        longest: 0,
+        last_active: null,
+        freezes: { available: 0, max: config.streak_freeze_max, earn_every_days: config.streak_freeze_earn_days },
+        milestones,
+        repair: null
+      };
     }
 
-    const { current_streak, longest_streak, last_activity_date } = result.rows[0];
+    const row = result.rows[0];
 
     return {
-      current: current_streak,
-      longest: longest_streak,
-      last_active: last_activity_date
+      current: row.current_streak,
+      longest: row.longest_streak,
+      last_active: row.last_activity_date,
+      freezes: {
+        available: row.freezes_available,
+        max: config.streak_freeze_max,
+        earn_every_days: config.streak_freeze_earn_days
+      },
+      milestones,
+      repair: row.repair_streak && row.repair_open
+        ? {
+          lost_streak: row.repair_streak,
+          restores_to: row.repair_streak + row.current_streak,
+          expires_at: row.repair_expires_at,
+          methods: config.streak_repair_xp_cost > 0 ? ['video', 'xp'] : ['video'],
+          xp_cost: config.streak_repair_xp_cost > 0 ? config.streak_repair_xp_cost : null
+        }
+        : null
     };
   } catch (err) {
     console.error('Get streak error:', err);
@@ -112,7 +334,284 @@ async function getStreak(phone) {
   }
 }
 
+/**
+ * Repair a broken streak while the offer is open, by watching a video or spending XP
+ * The lost streak is joined to the days played since the break
+ * @param {string} phone - User's phone number
+ * @param {Object} payment - { method: 'video'|'xp', videoId, watchDuration }
+ * @returns {Promise<Object>} Repair result
+ */
+async function repairStreak(phone, { method, videoId = null, watchDuration = null }) {
+  const client = await pool.connect();
+  let result;
+
+  try {
+    await client.query('BEGIN');
+
+    const streakResult = await client.query(`
+      SELECT current_streak, longest_streak, repair_streak, repair_expires_at > ${SQL_IST_NOW} as repair_open
+      FROM streak_tracking
+      WHERE phone = $1
+      FOR UPDATE
+    `, [phone]);
+
+    const streak = streakResult.rows[0];
+
+    if (!streak || !streak.repair_streak) {
+      throw { code: 'NO_STREAK_REPAIR', message: 'There is no broken streak to repair' };
+    }
+
+    if (!streak.repair_open) {
+      throw { code: 'STREAK_REPAIR_EXPIRED', message: 'The time to repair this streak has passed' };
+    }
+
+    const config = await getStreakConfig(client);
+    let xpSpent = 0;
+
+    if (method === 'video') {
+      const videoResult = await client.query(
+        'SELECT duration_seconds FROM promotional_videos WHERE id = $1 AND is_active = TRUE',
+        [videoId]
+      );
+
+      if (videoResult.rows.length === 0) {
+        throw { code: 'VIDEO_NOT_FOUND', message: 'Video not found' };
+      }
+
+      // Validate watch duration (must watch at least 80%)
+      const watchPercentage = (watchDuration / videoResult.rows[0].duration_seconds) * 100;
+      if (watchPercentage < 80) {
+        throw {
+          code: 'INSUFFICIENT_WATCH_TIME',
+          message: 'Watch at least 80% of the video to repair your streak',
+          watched_percentage: parseFloat(watchPercentage.toFixed(2)),
+          required_percentage: 80
+        };
+      }
+    } else {
+      if (config.streak_repair_xp_cost === 0) {
+        throw { code: 'INVALID_INPUT', message: 'Streaks can only be repaired by watching a video' };
+      }
+
+      const userResult = await client.query(
+        'SELECT xp_total FROM users_profile WHERE phone = $1 FOR UPDATE',
+        [phone]
+      );
+
+      if (userResult.rows.length === 0 || userResult.rows[0].xp_total < config.streak_repair_xp_cost) {
+        throw { code: 'INSUFFICIENT_XP', message: `You need ${config.streak_repair_xp_cost} XP to repair your streak` };
+      }
+
+      xpSpent = config.streak_repair_xp_cost;
+    }
+
+    const newStreak = streak.repair_streak + streak.current_streak;
+    const newLongest = Math.max(streak.longest_streak, newStreak);
+
+    await client.query(`
+      UPDATE streak_tracking
+      SET
+        current_streak = $1,
+        longest_streak = $2,
+        repair_streak = NULL,
+        repair_expires_at = NULL,
+        updated_at = ${SQL_IST_NOW}
+      WHERE phone = $3
+    `, [newStreak, newLongest, phone]);
+
+    const repairResult = await client.query(`
+      INSERT INTO streak_repairs (
+        phone, method, restored_streak, new_streak, xp_spent, video_id, watch_duration_seconds, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, ${SQL_IST_NOW})
+      RETURNING id
+    `, [phone, method, streak.repair_streak, newStreak, xpSpent, method === 'video' ? videoId : null, method === 'video' ? watchDuration : null]);
+
+    const milestonesReached = await awardStreakMilestones(client, phone, newStreak, config.streak_milestones);
+
+    if (xpSpent > 0) {
+      // Spent XP comes off the total only; daily and weekly XP already earned stand
+      await client.query(
+        `UPDATE users_profile SET xp_total = xp_total - $1, updated_at = ${SQL_IST_NOW} WHERE phone = $2`,
+        [xpSpent, phone]
+      );
+      await recordXPTransaction(client, {
+        phone,
+        amount: -xpSpent,
+        source: 'streak_repair',
+        referenceId: repairResult.rows[0].id
+      });
+    } else {
+      await addDailyActivity(phone, { videos: 1 }, client);
+    }
+
+    await client.query('COMMIT');
+
+    result = {
+      success: true,
+      method,
+      restored_streak: streak.repair_streak,
+      current_streak: newStreak,
+      longest_streak: newLongest,
+      xp_spent: xpSpent,
+      milestones_reached: milestonesReached,
+      message: `Streak repaired! ${newStreak} days 🔥`
+    };
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code) throw err;
+    console.error('Repair streak error:', err);
+    throw { code: 'SERVER_ERROR', message: 'Failed to repair streak' };
+  } finally {
+    client.release();
+  }
+
+  notifyStreakEvents(phone, result);
+
+  result.achievements_earned = await checkAchievements(phone, ['streak_days']).catch(err => {
+    console.error('Streak achievements error (non-critical):', err.message);
+    return [];
+  });
+
+  return result;
+}
+
+/**
+ * Get a user's streak freeze history, newest first
+ * @param {string} phone - User's phone number
+ * @param {number} limit - Max entries
+ * @param {number} offset - Entries to skip
+ * @returns {Promise<Object>} { freezes_available, history, pagination }
+ */
+async function getFreezeHistory(phone, limit = 50, offset = 0) {
+  const result = await pool.query(`
+    SELECT id, change, reason, covered_date::text as covered_date, streak_days, created_at,
+           COUNT(*) OVER() as total
+    FROM streak_freeze_history
+    WHERE phone = $1
+    ORDER BY id DESC
+    LIMIT $2 OFFSET $3
+  `, [phone, limit, offset]);
+
+  const streakResult = await pool.query(
+    'SELECT freezes_available FROM streak_tracking WHERE phone = $1',
+    [phone]
+  );
+
+  const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+
+  return {
+    freezes_available: streakResult.rows[0]?.freezes_available || 0,
+    history: result.rows.map(row => ({
+      id: row.id,
+      change: row.change,
+      reason: row.reason,
+      covered_date: row.covered_date,
+      streak_days: row.streak_days,
+      created_at: row.created_at
+    })),
+    pagination: {
+      limit,
+      offset,
+      has_more: (offset + limit) < total
+    }
+  };
+}
+
+// ========================================
+// STREAK AT RISK (primary worker)
+// ========================================
+
+// How often the at-risk check runs; events only go out from streak_at_risk_hour (IST)
+const AT_RISK_JOB_INTERVAL_MS = 15 * 60 * 1000;
+
+// Most users notified per run (the rest go out on the next run)
+const AT_RISK_BATCH_SIZE = 500;
+
+let atRiskRunning = false;
+
+/**
+ * Send streak_at_risk events to users who haven't played today and would lose their streak tomorrow
+ * Includes users whose missed days so far are covered by freezes; each user is notified once per IST day
+ * @returns {Promise<number>} Users notified
+ */
+async function sendStreakAtRiskEvents() {
+  const eventWebhook = require('./eventWebhookService');
+  const config = await getStreakConfig();
+
+  if (getISTTimestamp().getUTCHours() < config.streak_at_risk_hour) {
+    return 0;
+  }
+
+  // Nothing to do unless the event is switched on (users stay unmarked for when it is)
+  const webhookConfig = await eventWebhook.getWebhookConfig();
+  if (!webhookConfig.event_webhook_enabled ||
+      !(webhookConfig.event_webhook_events || []).includes(eventWebhook.EVENT_TYPES.STREAK_AT_RISK)) {
+    return 0;
+  }
+
+  const todayIST = getISTDate();
+
+  // Mark the batch as notified first, so a restart or another run never sends twice
+  const result = await pool.query(`
+    UPDATE streak_tracking
+    SET at_risk_notified_date = $1
+    WHERE id IN (
+      SELECT id
+      FROM streak_tracking
+      WHERE current_streak > 0
+        AND last_activity_date < $1::date
+        AND $1::date - last_activity_date - 1 <= freezes_available
+        AND (at_risk_notified_date IS NULL OR at_risk_notified_date < $1::date)
+      ORDER BY current_streak DESC
+      LIMIT $2
+    )
+    RETURNING phone, current_streak, freezes_available, $1::date - last_activity_date as days_needed
+  `, [todayIST, AT_RISK_BATCH_SIZE]);
+
+  // Sent one at a time so a large batch doesn't flood the webhook
+  for (const row of result.rows) {
+    await eventWebhook.onStreakAtRisk(row.phone, row.current_streak, row.freezes_available, row.freezes_available >= row.days_needed)
+      .catch(err => console.error('Webhook error (non-critical):', err.message));
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Start the evening streak-at-risk job
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+function startStreakAtRiskJob() {
+  const run = async () => {
+    if (atRiskRunning) return;
+    atRiskRunning = true;
+
+    try {
+      const count = await sendStreakAtRiskEvents();
+      if (count > 0) {
+        console.log(`✓ Sent streak at-risk events to ${count} user(s)`);
+      }
+    } catch (err) {
+      console.error('Streak at-risk job error:', err);
+    } finally {
+      atRiskRunning = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, AT_RISK_JOB_INTERVAL_MS);
+
+  console.log('✓ Streak at-risk job started (every 15 minutes)');
+  return timer;
+}
+
 module.exports = {
+  getStreakConfig,
   updateStreak,
-  getStreak
+  getStreak,
+  repairStreak,
+  getFreezeHistory,
+  sendStreakAtRiskEvents,
+  startStreakAtRiskJob
 };
@@ -0,0 +1,178 @@
+const pool = require('../config/database');
+const { SQL_IST_NOW } = require('../utils/timezone');
+const { notifyLeaderboardChange, requestLeaderboardRebuild } = require('./leaderboardCacheService');
+
+// Why a user's XP changed; reference_id points at the row named in the comment
+const XP_SOURCES = [
+  'level_complete', // level_attempts.id
+  'video_bonus', // level_attempts.id
+  'practice', // practice_sessions.id
+  'referral', // referral_tracking.id
+  'anti_cheat_release', // attempt_flags.id
+  'achievement', // achievements.id
+  'streak_repair', // streak_repairs.id (negative: XP spent)
+  'streak_milestone', // streak_milestone_rewards.id
+  'daily_mission', // user_daily_missions.id
+  'power_up', // attempt_power_ups.id (negative: XP spent)
+  'admin_adjustment', // none (admin edited xp_total)
+  'admin_reset', // none (progress reset; marks where daily totals start over)
+  'opening_balance' // none (XP earned before the ledger existed)
+];
+
+/**
+ * Append an XP change to the ledger and announce it to the Redis leaderboards
+ * Must run in the same transaction as the xp_total / daily_xp_summary change it records
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Object} entry - { phone, amount, source, referenceId, xpDate, ruleVersion, note }
+ *   xpDate is the IST day the amount was added to daily_xp_summary (null if only xp_total changed);
+ *   ruleVersion is the XP rules version that computed the amount (null for admin entries)
+ */
+async function recordXPTransaction(client, { phone, amount, source, referenceId = null, xpDate = null, ruleVersion = null, note = null }) {
+  if (!XP_SOURCES.includes(source)) {
+    throw new Error(`Unknown XP source: ${source}`);
+  }
+
+  await client.query(`
+    INSERT INTO xp_transactions (phone, amount, source_type, reference_id, xp_date, rule_version, note, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, ${SQL_IST_NOW})
+  `, [phone, amount, source, referenceId, xpDate, ruleVersion, note]);
+
+  await notifyLeaderboardChange(client, { phone, amount, xpDate });
+}
+
+/**
+ * Record a progress reset (xp_total and daily totals cleared)
+ * Call before zeroing xp_total so the entry reverses the user's balance
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string|null} phone - User's phone number, or null for every user
+ * @param {string|null} note - Who reset it
+ */
+async function recordXPReset(client, phone, note = null) {
+  await client.query(`
+    INSERT INTO xp_transactions (phone, amount, source_type, note, created_at)
+    SELECT phone, -xp_total, 'admin_reset', $2, ${SQL_IST_NOW}
+    FROM users_profile
+    WHERE ($1::varchar IS NULL OR phone = $1)
+  `, [phone, note]);
+
+  await requestLeaderboardRebuild(client);
+}
+
+/**
+ * Get a user's XP history, newest first
+ * @param {string} phone - User's phone number
+ * @param {number} limit - Max entries
+ * @param {number} offset - Entries to skip
+ * @returns {Promise<Object>} { xp_total, total_transactions, transactions, pagination }
+ */
+async function getXPHistory(phone, limit = 50, offset = 0) {
+  const result = await pool.query(`
+    SELECT id, amount, source_type, reference_id, xp_date, rule_version, created_at
+    FROM xp_transactions
+    WHERE phone = $1
+    ORDER BY id DESC
+    LIMIT $2 OFFSET $3
+  `, [phone, limit, offset]);
+
+  const summaryResult = await pool.query(`
+    SELECT
+      u.xp_total,
+      (SELECT COUNT(*) FROM xp_transactions WHERE phone = u.phone) as total
+    FROM users_profile u
+    WHERE u.phone = $1
+  `, [phone]);
+
+  const summary = summaryResult.rows[0] || { xp_total: 0, total: 0 };
+  const total = parseInt(summary.total);
+
+  return {
+    xp_total: summary.xp_total,
+    total_transactions: total,
+    transactions: result.rows.map(row => ({
+      id: parseInt(row.id),
+      amount: row.amount,
+      source: row.source_type,
+      reference_id: row.reference_id,
+      xp_date: row.xp_date,
+      rule_version: row.rule_version,
+      created_at: row.created_at
+    })),
+    pagination: {
+      limit,
+      offset,
+      has_more: (offset + limit) < total
+    }
+  };
+}
+
+/**
+ * Find users whose stored XP disagrees with the ledger (admin)
+ * - total: users_profile.xp_total vs the sum of all of the user's entries
+ * - daily: daily_xp_summary.total_xp_today vs the entries dated that day, counting only
+ *   entries after the user's last reset (resets delete the daily rows)
+ * @param {number} limit - Max rows per list
+ * @returns {Promise<Object>} { total_mismatches, daily_mismatches }
+ */
+async function getXPReconciliation(limit = 200) {
+  const totalResult = await pool.query(`
+    SELECT u.phone, u.name, u.xp_total, COALESCE(l.ledger_xp, 0) as ledger_xp,
+           u.xp_total - COALESCE(l.ledger_xp, 0) as difference
+    FROM users_profile u
+    LEFT JOIN (
+      SELECT phone, SUM(amount) as ledger_xp
+      FROM xp_transactions
+      GROUP BY phone
+    ) l ON l.phone = u.phone
+    WHERE u.xp_total <> COALESCE(l.ledger_xp, 0)
+    ORDER BY ABS(u.xp_total - COALESCE(l.ledger_xp, 0)) DESC
+    LIMIT $1
+  `, [limit]);
+
+  const dailyResult = await pool.query(`
+    WITH last_reset AS (
+      SELECT phone, MAX(id) as reset_id
+      FROM xp_transactions
+      WHERE source_type = 'admin_reset'
+      GROUP BY phone
+    ),
+    ledger_daily AS (
+      SELECT t.phone, t.xp_date, SUM(t.amount) as ledger_xp
+      FROM xp_transactions t
+      LEFT JOIN last_reset r ON r.phone = t.phone
+      WHERE t.xp_date IS NOT NULL AND t.id > COALESCE(r.reset_id, 0)
+      GROUP BY t.phone, t.xp_date
+    )
+    SELECT
+      COALESCE(d.phone, l.phone) as phone,
+      COALESCE(d.date, l.xp_date) as date,
+      COALESCE(d.total_xp_today, 0) as summary_xp,
+      COALESCE(l.ledger_xp, 0) as ledger_xp,
+      COALESCE(d.total_xp_today, 0) - COALESCE(l.ledger_xp, 0) as difference
+    FROM daily_xp_summary d
+    FULL OUTER JOIN ledger_daily l ON l.phone = d.phone AND l.xp_date = d.date
+    WHERE COALESCE(d.total_xp_today, 0) <> COALESCE(l.ledger_xp, 0)
+    ORDER BY date DESC, ABS(COALESCE(d.total_xp_today, 0) - COALESCE(l.ledger_xp, 0)) DESC
+    LIMIT $1
+  `, [limit]);
+
+  return {
+    total_mismatches: totalResult.rows.map(row => ({
+      ...row,
+      ledger_xp: parseInt(row.ledger_xp),
+      difference: parseInt(row.difference)
+    })),
+    daily_mismatches: dailyResult.rows.map(row => ({
+      ...row,
+      ledger_xp: parseInt(row.ledger_xp),
+      difference: parseInt(row.difference)
+    }))
+  };
+}
+
+module.exports = {
+  XP_SOURCES,
+  recordXPTransaction,
+  recordXPReset,
+  getXPHistory,
+  getXPReconciliation
+};
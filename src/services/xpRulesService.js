@@ -0,0 +1,290 @@
+const pool = require('../config/database');
+const { getISTDate, getISTTimestamp, SQL_IST_NOW } = require('../utils/timezone');
+
+// Rules used when a version is missing a field (and for attempts completed before XP rules existed)
+const DEFAULT_XP_RULES = {
+  per_correct_by_attempt: [5, 1], // XP per correct answer on attempt 1, 2, ...; the last value applies to later attempts
+  speed_bonus: { enabled: false, max_seconds: 5, xp_per_answer: 1 }, // per correct answer given within max_seconds
+  combo_bonus: { enabled: false, every: 5, xp: 5 }, // every `every` correct answers in a row
+  level_multipliers: [], // [{ from_level, to_level, multiplier }]
+  video_multiplier: 2, // final XP = attempt XP × video_multiplier after the promotional video
+  referral_bonus_xp: 50, // to both the new user and the referrer
+  max_xp_per_attempt: null, // before the video bonus; null = no cap
+  daily_level_xp_cap: null, // level + video XP per IST day; null = no cap
+  events: [] // [{ name, multiplier, starts_at, ends_at }] with IST 'YYYY-MM-DDTHH:MM' times
+};
+
+// Ledger sources counted against daily_level_xp_cap
+const CAPPED_SOURCES = ['level_complete', 'video_bonus'];
+
+/**
+ * Fill in fields missing from stored rules
+ * @param {Object} rules - Stored rules
+ * @returns {Object} Complete rules
+ */
+function withDefaults(rules) {
+  return {
+    ...DEFAULT_XP_RULES,
+    ...rules,
+    speed_bonus: { ...DEFAULT_XP_RULES.speed_bonus, ...(rules && rules.speed_bonus) },
+    combo_bonus: { ...DEFAULT_XP_RULES.combo_bonus, ...(rules && rules.combo_bonus) }
+  };
+}
+
+/**
+ * Get the active XP rules (the newest version)
+ * @param {Object} client - Database client (for transactions)
+ * @returns {Promise<Object>} { version, rules }
+ */
+async function getActiveXPRules(client = null) {
+  const db = client || pool;
+
+  const result = await db.query('SELECT id, rules FROM xp_rule_versions ORDER BY id DESC LIMIT 1');
+
+  if (result.rows.length === 0) {
+    return { version: null, rules: { ...DEFAULT_XP_RULES } };
+  }
+
+  return { version: result.rows[0].id, rules: withDefaults(result.rows[0].rules) };
+}
+
+/**
+ * Get the rules of a specific version, falling back to the active rules
+ * @param {number|null} version - Rule version
+ * @param {Object} client - Database client (for transactions)
+ * @returns {Promise<Object>} { version, rules }
+ */
+async function getXPRulesVersion(version, client = null) {
+  const db = client || pool;
+
+  if (version != null) {
+    const result = await db.query('SELECT id, rules FROM xp_rule_versions WHERE id = $1', [version]);
+    if (result.rows.length > 0) {
+      return { version: result.rows[0].id, rules: withDefaults(result.rows[0].rules) };
+    }
+  }
+
+  return getActiveXPRules(client);
+}
+
+/**
+ * Get recent rule versions (admin)
+ * @param {number} limit - Max versions
+ * @returns {Promise<Array>} Versions, newest first
+ */
+async function getXPRuleHistory(limit = 10) {
+  const result = await pool.query(`
+    SELECT id, note, created_by, created_at
+    FROM xp_rule_versions
+    ORDER BY id DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+}
+
+/**
+ * Save rules as a new version; it applies to every award from now on
+ * The referral bonus is mirrored to app_config.referral_bonus_xp
+ * @param {Object} rules - Complete rules (validated by the caller)
+ * @param {string} adminEmail - Saving admin
+ * @param {string|null} note - What changed
+ * @returns {Promise<number>} New version
+ */
+async function saveXPRules(rules, adminEmail, note = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      INSERT INTO xp_rule_versions (rules, note, created_by, created_at)
+      VALUES ($1, $2, $3, ${SQL_IST_NOW})
+      RETURNING id
+    `, [JSON.stringify(rules), note, adminEmail]);
+
+    await client.query(
+      'UPDATE app_config SET referral_bonus_xp = $1, updated_at = NOW() WHERE id = 1',
+      [rules.referral_bonus_xp]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0].id;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * XP per correct answer for an attempt number
+ * @param {Object} rules - XP rules
+ * @param {number} attemptNumber - 1 for the first attempt at a level
+ * @returns {number} XP per correct answer
+ */
+function xpPerCorrect(rules, attemptNumber) {
+  const values = rules.per_correct_by_attempt;
+  const index = Math.min(Math.max(attemptNumber, 1), values.length) - 1;
+  return values[index];
+}
+
+/**
+ * Multiplier for a level (1 when no range covers it)
+ * @param {Object} rules - XP rules
+ * @param {number} level - Level number
+ * @returns {number} Multiplier
+ */
+function levelMultiplier(rules, level) {
+  const range = rules.level_multipliers.find(r => level >= r.from_level && level <= r.to_level);
+  return range ? range.multiplier : 1;
+}
+
+/**
+ * The running event with the highest multiplier, if any
+ * @param {Object} rules - XP rules
+ * @returns {Object|null} Event
+ */
+function activeEvent(rules) {
+  const now = getISTTimestamp().toISOString().slice(0, 16);
+
+  return rules.events
+    .filter(e => e.starts_at <= now && now < e.ends_at)
+    .reduce((best, e) => (!best || e.multiplier > best.multiplier ? e : best), null);
+}
+
+/**
+ * Combined level and event multiplier shown when a level starts
+ * @param {Object} rules - XP rules
+ * @param {number} level - Level number
+ * @returns {number} Multiplier
+ */
+function currentMultiplier(rules, level) {
+  const event = activeEvent(rules);
+  return parseFloat((levelMultiplier(rules, level) * (event ? event.multiplier : 1)).toFixed(2));
+}
+
+/**
+ * XP the user can still earn from levels and videos today under the daily cap
+ * Locks the user's row so concurrent completions cannot both use the same headroom
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string} phone - User's phone number
+ * @param {Object} rules - XP rules
+ * @returns {Promise<number|null>} Remaining XP, or null if there is no cap
+ */
+async function getDailyCapRemaining(client, phone, rules) {
+  if (rules.daily_level_xp_cap == null) {
+    return null;
+  }
+
+  await client.query('SELECT 1 FROM users_profile WHERE phone = $1 FOR UPDATE', [phone]);
+
+  const result = await client.query(`
+    SELECT COALESCE(SUM(amount), 0) as earned
+    FROM xp_transactions
+    WHERE phone = $1 AND xp_date = $2 AND source_type = ANY($3::text[])
+  `, [phone, getISTDate(), CAPPED_SOURCES]);
+
+  return Math.max(0, rules.daily_level_xp_cap - parseInt(result.rows[0].earned));
+}
+
+/**
+ * Calculate the XP a completing level attempt earns
+ * Speed is measured from the server-side gap between answers, not the time the app reports
+ * @param {Object} client - Database client (inside the completing transaction)
+ * @param {Object} attempt - { id, phone, level, attempt_number, is_first_attempt, correct_answers }
+ * @param {Object} active - { version, rules } from getActiveXPRules
+ * @returns {Promise<Object>} { xp, breakdown }
+ */
+async function calculateAttemptXP(client, attempt, { version, rules }) {
+  const attemptNumber = attempt.attempt_number || (attempt.is_first_attempt ? 1 : 2);
+  const perCorrect = xpPerCorrect(rules, attemptNumber);
+  const baseXP = attempt.correct_answers * perCorrect;
+
+  let fastCorrect = 0;
+  let combos = 0;
+
+  if (rules.speed_bonus.enabled || rules.combo_bonus.enabled) {
+    const responsesResult = await client.query(`
+      SELECT
+        qr.is_correct,
+        EXTRACT(EPOCH FROM (
+          qr.answered_at - LAG(qr.answered_at, 1, la.created_at) OVER (ORDER BY qr.answered_at, qr.id)
+        )) AS gap_seconds
+      FROM question_responses qr
+      JOIN level_attempts la ON la.id = qr.attempt_id
+      WHERE qr.attempt_id = $1
+      ORDER BY qr.answered_at ASC, qr.id ASC
+    `, [attempt.id]);
+
+    let run = 0;
+    for (const row of responsesResult.rows) {
+      if (!row.is_correct) {
+        run = 0;
+        continue;
+      }
+      run++;
+      if (rules.combo_bonus.enabled && run % rules.combo_bonus.every === 0) combos++;
+      if (rules.speed_bonus.enabled && parseFloat(row.gap_seconds) <= rules.speed_bonus.max_seconds) fastCorrect++;
+    }
+  }
+
+  const speedXP = rules.speed_bonus.enabled ? fastCorrect * rules.speed_bonus.xp_per_answer : 0;
+  const comboXP = rules.combo_bonus.enabled ? combos * rules.combo_bonus.xp : 0;
+  const levelMult = levelMultiplier(rules, attempt.level);
+  const event = activeEvent(rules);
+  const eventMult = event ? event.multiplier : 1;
+
+  let xp = Math.round((baseXP + speedXP + comboXP) * levelMult * eventMult);
+  let cappedBy = null;
+
+  if (rules.max_xp_per_attempt != null && xp > rules.max_xp_per_attempt) {
+    xp = rules.max_xp_per_attempt;
+    cappedBy = 'attempt';
+  }
+
+  const remaining = await getDailyCapRemaining(client, attempt.phone, rules);
+  if (remaining !== null && xp > remaining) {
+    xp = remaining;
+    cappedBy = 'daily';
+  }
+
+  return {
+    xp,
+    breakdown: {
+      rule_version: version,
+      attempt_number: attemptNumber,
+      xp_per_correct: perCorrect,
+      correct_xp: baseXP,
+      speed_bonus_xp: speedXP,
+      combo_bonus_xp: comboXP,
+      level_multiplier: levelMult,
+      event_multiplier: eventMult,
+      event_name: event ? event.name : null,
+      capped_by: cappedBy
+    }
+  };
+}
+
+/**
+ * Video bonus before the daily cap
+ * @param {Object} rules - XP rules
+ * @param {number} attemptXP - XP the attempt earned
+ * @returns {number} Bonus XP
+ */
+function videoBonusXP(rules, attemptXP) {
+  return Math.round(attemptXP * (rules.video_multiplier - 1));
+}
+
+module.exports = {
+  DEFAULT_XP_RULES,
+  getActiveXPRules,
+  getXPRulesVersion,
+  getXPRuleHistory,
+  saveXPRules,
+  xpPerCorrect,
+  currentMultiplier,
+  getDailyCapRemaining,
+  calculateAttemptXP,
+  videoBonusXP
+};
@@ -1,24 +1,15 @@
 const pool = require('../config/database');
+const { recordXPTransaction } = require('./xpLedgerService');
 const { getISTDate, SQL_IST_NOW } = require('../utils/timezone');
 
 /**
- * Calculate XP for level attempt
- * @param {number} correctAnswers - Number of correct answers
- * @param {boolean} isFirstAttempt - Is this the first attempt
- * @returns {number} Base XP earned
- */
-function calculateBaseXP(correctAnswers, isFirstAttempt) {
-  const xpPerCorrect = isFirstAttempt ? 5 : 1;
-  return correctAnswers * xpPerCorrect;
-}
-
-/**
- * Update user's total XP and daily XP
+ * Update user's total XP and daily XP, and record the change in the XP ledger
  * @param {string} phone - User's phone number
  * @param {number} xpToAdd - XP to add
  * @param {Object} client - Database client (for transactions)
+ * @param {Object} origin - { source, referenceId, ruleVersion } for the ledger entry (see xpLedgerService.XP_SOURCES)
  */
-async function addXPToUser(phone, xpToAdd, client = null) {
+async function addXPToUser(phone, xpToAdd, client = null, { source, referenceId = null, ruleVersion = null } = {}) {
   const db = client || pool;
 
   try {
@@ -39,12 +30,43 @@ async function addXPToUser(phone, xpToAdd, client = null) {
         updated_at = ${SQL_IST_NOW}
     `, [phone, today, xpToAdd]);
 
+    await recordXPTransaction(db, {
+      phone,
+      amount: xpToAdd,
+      source,
+      referenceId,
+      xpDate: today,
+      ruleVersion
+    });
+
   } catch (err) {
     console.error('Add XP error:', err);
     throw err;
   }
 }
 
+/**
+ * Add to the user's activity counters for today (IST) in daily_xp_summary
+ * @param {string} phone - User's phone number
+ * @param {Object} counts - { levels, questions, videos } to add
+ * @param {Object} client - Database client (for transactions)
+ */
+async function addDailyActivity(phone, { levels = 0, questions = 0, videos = 0 }, client = null) {
+  const db = client || pool;
+
+  await db.query(`
+    INSERT INTO daily_xp_summary (
+      phone, date, levels_completed_today, questions_attempted_today, videos_watched_today, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, ${SQL_IST_NOW}, ${SQL_IST_NOW})
+    ON CONFLICT (phone, date)
+    DO UPDATE SET
+      levels_completed_today = daily_xp_summary.levels_completed_today + $3,
+      questions_attempted_today = daily_xp_summary.questions_attempted_today + $4,
+      videos_watched_today = daily_xp_summary.videos_watched_today + $5,
+      updated_at = ${SQL_IST_NOW}
+  `, [phone, getISTDate(), levels, questions, videos]);
+}
+
 /**
  * Calculate accuracy percentage
  * @param {number} correct - Correct answers
@@ -57,7 +79,7 @@ function calculateAccuracy(correct, total) {
 }
 
 module.exports = {
-  calculateBaseXP,
   addXPToUser,
+  addDailyActivity,
   calculateAccuracy
 };
@@ -0,0 +1,123 @@
+/**
+ * District and state name normalization
+ * Profiles store free-text names; normalizing them on write keeps spellings like
+ * "up", "U.P." and "uttar pradesh " on the same district/state leaderboard
+ */
+
+// States and union territories, as stored
+const STATES = [
+  'Andaman and Nicobar Islands', 'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar',
+  'Chandigarh', 'Chhattisgarh', 'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Goa',
+  'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jammu and Kashmir', 'Jharkhand', 'Karnataka',
+  'Kerala', 'Ladakh', 'Lakshadweep', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya',
+  'Mizoram', 'Nagaland', 'Odisha', 'Puducherry', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu',
+  'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal'
+];
+
+// Abbreviations, old names and common misspellings (keys as produced by matchKey)
+const STATE_ALIASES = {
+  an: 'Andaman and Nicobar Islands',
+  andaman: 'Andaman and Nicobar Islands',
+  andamannicobar: 'Andaman and Nicobar Islands',
+  ap: 'Andhra Pradesh',
+  cg: 'Chhattisgarh',
+  chattisgarh: 'Chhattisgarh',
+  chhatisgarh: 'Chhattisgarh',
+  chhattishgarh: 'Chhattisgarh',
+  dadraandnagarhaveli: 'Dadra and Nagar Haveli and Daman and Diu',
+  damananddiu: 'Dadra and Nagar Haveli and Daman and Diu',
+  dnhdd: 'Dadra and Nagar Haveli and Daman and Diu',
+  newdelhi: 'Delhi',
+  nctofdelhi: 'Delhi',
+  delhincr: 'Delhi',
+  hp: 'Himachal Pradesh',
+  jk: 'Jammu and Kashmir',
+  jandk: 'Jammu and Kashmir',
+  jammukashmir: 'Jammu and Kashmir',
+  mp: 'Madhya Pradesh',
+  mh: 'Maharashtra',
+  orissa: 'Odisha',
+  pondicherry: 'Puducherry',
+  tn: 'Tamil Nadu',
+  tamilnadu: 'Tamil Nadu',
+  telengana: 'Telangana',
+  up: 'Uttar Pradesh',
+  uttaranchal: 'Uttarakhand',
+  uttrakhand: 'Uttarakhand',
+  wb: 'West Bengal'
+};
+
+// Renamed districts
+const DISTRICT_ALIASES = {
+  allahabad: 'Prayagraj',
+  bombay: 'Mumbai',
+  calcutta: 'Kolkata',
+  faizabad: 'Ayodhya',
+  gurgaon: 'Gurugram',
+  madras: 'Chennai',
+  mewat: 'Nuh'
+};
+
+/**
+ * Key used to compare names: lowercase letters only, '&' read as 'and'
+ * @param {string} name - Cleaned name
+ * @returns {string} Match key
+ */
+function matchKey(name) {
+  return name.toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+}
+
+/**
+ * Trim, collapse whitespace and capitalize each word
+ * Names typed in all lower or all upper case are title-cased; mixed case (e.g. "YSR Kadapa") is kept
+ * @param {string} name - Raw name
+ * @returns {string} Cleaned name
+ */
+function cleanName(name) {
+  const trimmed = name.trim().replace(/\s+/g, ' ').replace(/[\s.,-]+$/, '');
+  const singleCase = trimmed === trimmed.toLowerCase() || trimmed === trimmed.toUpperCase();
+
+  return trimmed
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + (singleCase ? word.slice(1).toLowerCase() : word.slice(1)))
+    .join(' ');
+}
+
+const STATES_BY_KEY = Object.fromEntries(STATES.map(state => [matchKey(state), state]));
+
+/**
+ * Normalize a state name to its canonical spelling
+ * Unrecognized names are only cleaned
+ * @param {string|null} name - Raw state name
+ * @returns {string|null} Normalized name (null if empty)
+ */
+function normalizeState(name) {
+  if (name == null || String(name).trim() === '') {
+    return null;
+  }
+
+  const cleaned = cleanName(String(name)).replace(/^State of /i, '');
+  const key = matchKey(cleaned);
+  return STATES_BY_KEY[key] || STATE_ALIASES[key] || cleaned;
+}
+
+/**
+ * Normalize a district name: cleaned, with a trailing "District"/"Dist." removed and
+ * renamed districts mapped to their current name
+ * @param {string|null} name - Raw district name
+ * @returns {string|null} Normalized name (null if empty)
+ */
+function normalizeDistrict(name) {
+  if (name == null || String(name).trim() === '') {
+    return null;
+  }
+
+  const cleaned = cleanName(String(name).replace(/\s+(district|dist\.?|dt\.?)\s*$/i, ''));
+  return DISTRICT_ALIASES[matchKey(cleaned)] || cleaned;
+}
+
+module.exports = {
+  STATES,
+  normalizeState,
+  normalizeDistrict
+};
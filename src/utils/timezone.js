@@ -5,6 +5,7 @@
 
 const IST_OFFSET_HOURS = 5;
 const IST_OFFSET_MINUTES = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Get current timestamp in IST
@@ -75,6 +76,44 @@ function formatISTTime(date) {
   return ist.toISOString().split('T')[1].split('.')[0];
 }
 
+/**
+ * Get the IST week (Monday to Sunday) containing a date
+ * @param {string} date - Date in YYYY-MM-DD format (defaults to today in IST)
+ * @returns {Object} { start, end, key } with YYYY-MM-DD dates and the ISO week key (e.g. 2026-W07)
+ */
+function getISTWeekRange(date = getISTDate()) {
+  const day = new Date(`${date}T00:00:00Z`);
+  const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  const sunday = new Date(monday.getTime() + 6 * DAY_MS);
+
+  // ISO week numbering: the week belongs to the year of its Thursday
+  const thursday = new Date(monday.getTime() + 3 * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / DAY_MS / 7) + 1;
+
+  return {
+    start: monday.toISOString().split('T')[0],
+    end: sunday.toISOString().split('T')[0],
+    key: `${year}-W${String(week).padStart(2, '0')}`
+  };
+}
+
+/**
+ * Get the IST calendar month containing a date
+ * @param {string} date - Date in YYYY-MM-DD format (defaults to today in IST)
+ * @returns {Object} { start, end, key } with YYYY-MM-DD dates and the month key (e.g. 2026-02)
+ */
+function getISTMonthRange(date = getISTDate()) {
+  const [year, month] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0));
+
+  return {
+    start: `${date.slice(0, 7)}-01`,
+    end: lastDay.toISOString().split('T')[0],
+    key: date.slice(0, 7)
+  };
+}
+
 /**
  * SQL snippet to get current IST timestamp in PostgreSQL
  * Use this in SQL queries: ${SQL_IST_NOW}
@@ -101,6 +140,8 @@ module.exports = {
   utcToIST,
   formatISTDate,
   formatISTTime,
+  getISTWeekRange,
+  getISTMonthRange,
   SQL_IST_NOW,
   SQL_IST_DATE,
   SQL_IST_TIME